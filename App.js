@@ -3,12 +3,20 @@ import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { StatusBar, View, Text, ActivityIndicator, StyleSheet } from 'react-native';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import AppNavigator from './src/navigation/AppNavigator';
+import IncomingSOSAlert from './src/components/IncomingSOSAlert';
 import { requestLocationPermissions, requestBluetoothPermissions } from './src/utils/permissions';
 import firebaseConfig from './src/config/firebase';
 import firebaseService from './src/services/firebaseService';
 import messagingService from './src/services/messagingService';
 import databaseService from './src/services/databaseService';
 import sosService from './src/services/sosService';
+import locationSharingService from './src/services/locationSharingService';
+import checkInService from './src/services/checkInService';
+import sosIncidentService from './src/services/sosIncidentService';
+import sosBeaconService from './src/services/sosBeaconService';
+import sosAlertService from './src/services/sosAlertService';
+import emergencyContactsService from './src/services/emergencyContactsService';
+import medicalProfileService from './src/services/medicalProfileService';
 
 // Import mock SQLite for web platform
 import './src/mocks/web-mocks';
@@ -45,6 +53,27 @@ const App = () => {
           await messagingService.initialize(null, 'Anonymous Hiker');
         }
         
+        // Resume live location sessions from before the restart
+        await locationSharingService.initialize();
+        
+        // Load who is alerted of our SOS
+        await emergencyContactsService.initialize();
+        
+        // Load our ICE card and the medical details sent with our SOS
+        await medicalProfileService.initialize();
+        
+        // Load open SOS incidents and follow responses to them
+        await sosIncidentService.initialize();
+        
+        // Resume emergency mode if it was on
+        await sosBeaconService.initialize();
+        
+        // Raise a full-screen alert for SOS from other hikers
+        await sosAlertService.initialize();
+        
+        // Resume trip check-ins, alerting contacts if one was missed meanwhile
+        await checkInService.initialize();
+        
         // Initialize SOS service
         sosService.initialize(
           "I need help! This is an emergency SOS signal triggered by shake/long press.",
@@ -76,6 +105,21 @@ const App = () => {
       
       // Clean up SOS service
       sosService.cleanup();
+      
+      // Stop listening for live location updates
+      locationSharingService.cleanup();
+      
+      // Stop the emergency mode timers; the beacon resumes on the next start
+      sosBeaconService.cleanup();
+      
+      // Stop alerting on incoming SOS; scheduled reminders still fire
+      sosAlertService.cleanup();
+      
+      // Stop following SOS responses
+      sosIncidentService.cleanup();
+      
+      // Stop checking the trip plan; it resumes on the next start
+      checkInService.cleanup();
     };
   }, []);
 
@@ -103,6 +147,7 @@ const App = () => {
       <SafeAreaProvider>
         <StatusBar barStyle="dark-content" />
         <AppNavigator />
+        <IncomingSOSAlert />
       </SafeAreaProvider>
     </GestureHandlerRootView>
   );
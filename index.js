@@ -1,5 +1,33 @@
 import { AppRegistry } from 'react-native';
+import notifee from '@notifee/react-native';
 import App from './App';
+import firebaseConfig from './src/config/firebase';
+import databaseService from './src/services/databaseService';
+import messagingService from './src/services/messagingService';
+import sosIncidentService from './src/services/sosIncidentService';
+import sosAlertService from './src/services/sosAlertService';
 import { name as appName } from './app.json';
 
+// Respond to or relay an incoming SOS from its notification while the app is in the background
+// The press may start the app headless, without App having set anything up, so the
+// services that answer an SOS over the mesh and the cloud are started first.
+notifee.onBackgroundEvent(async (event) => {
+  try {
+    await databaseService.init();
+
+    const config = firebaseConfig.apiKey && firebaseConfig.projectId ? firebaseConfig : null;
+    if (!await messagingService.initialize(config, 'Anonymous Hiker')) {
+      throw new Error('Messaging service failed to start');
+    }
+    if (!await sosIncidentService.initialize()) {
+      throw new Error('SOS incident service failed to start');
+    }
+  } catch (error) {
+    console.error('Error starting services for SOS alert action:', error);
+    return;
+  }
+
+  await sosAlertService.handleNotificationEvent(event);
+});
+
 AppRegistry.registerComponent(appName, () => App);
@@ -0,0 +1,272 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { VERIFICATION_WARNINGS } from '../utils/meshProtocol';
+import locationService from '../services/locationService';
+import sosAlertService, { toCompassPoint, formatDistance } from '../services/sosAlertService';
+import { MEDICAL_FIELDS } from '../services/medicalProfileService';
+
+// Number of track points listed
+const TRACK_POINTS_SHOWN = 3;
+
+// Format a timestamp as time elapsed since then
+const formatAge = (timestamp) => {
+  const minutes = Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 60000));
+  if (minutes < 60) return `${minutes}m ago`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m ago`;
+};
+
+// Describe which way the hiker was moving along their track, e.g. "heading NE"
+const describeHeading = (track) => {
+  if (track.length < 2) return null;
+
+  const first = track[0];
+  const last = track[track.length - 1];
+  const distance = locationService.calculateDistance(first.latitude, first.longitude, last.latitude, last.longitude);
+  if (distance < 20) return 'not moving';
+
+  const bearing = locationService.calculateBearing(first.latitude, first.longitude, last.latitude, last.longitude);
+  return `heading ${toCompassPoint(bearing)}, ${formatDistance(distance)} covered`;
+};
+
+const IncomingSOSAlert = () => {
+  const [alert, setAlert] = useState(() => sosAlertService.getActiveAlert());
+  const [busyAction, setBusyAction] = useState(null);
+
+  // Follow the alert to show
+  useEffect(() => {
+    return sosAlertService.addAlertListener(setAlert);
+  }, []);
+
+  if (!alert) return null;
+
+  // Run an action on the alert, reporting failures
+  const runAction = async (action, run, failure) => {
+    setBusyAction(action);
+    try {
+      await run();
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      Alert.alert('Error', `${failure}: ${error.message}`);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const warning = VERIFICATION_WARNINGS[alert.verification];
+  const heading = describeHeading(alert.track);
+
+  return (
+    <Modal
+      visible
+      animationType="fade"
+      presentationStyle="fullScreen"
+      onRequestClose={() => sosAlertService.silence()}
+    >
+      <View style={styles.container}>
+        <Text style={styles.title}>SOS</Text>
+        <Text style={styles.name}>{alert.ownerName || 'Unknown hiker'} needs help</Text>
+        {alert.message && <Text style={styles.message}>{alert.message}</Text>}
+        {alert.relayedBy && <Text style={styles.detailText}>Relayed by another hiker</Text>}
+
+        <View style={styles.locationBox}>
+          {alert.distance !== null ? (
+            <>
+              <Text style={styles.distance}>{formatDistance(alert.distance)}</Text>
+              <Text style={styles.bearing}>
+                {toCompassPoint(alert.bearing)} ({Math.round(alert.bearing)}°)
+              </Text>
+            </>
+          ) : (
+            <Text style={styles.detailText}>
+              {alert.location ? 'Your location is unknown' : 'Their location is unknown'}
+            </Text>
+          )}
+          {alert.location && (
+            <Text style={styles.detailText}>
+              At {alert.location.latitude.toFixed(5)}, {alert.location.longitude.toFixed(5)}
+            </Text>
+          )}
+        </View>
+
+        {alert.track.length > 0 && (
+          <View style={styles.trackBox}>
+            <Text style={styles.trackTitle}>Last track{heading ? ` - ${heading}` : ''}</Text>
+            {alert.track.slice(-TRACK_POINTS_SHOWN).reverse().map(point => (
+              <Text key={`${point.timestamp}-${point.latitude}`} style={styles.detailText}>
+                {point.latitude.toFixed(5)}, {point.longitude.toFixed(5)}
+                {point.timestamp ? `, ${formatAge(point.timestamp)}` : ''}
+              </Text>
+            ))}
+          </View>
+        )}
+
+        {alert.medical && (
+          <View style={styles.medicalBox}>
+            <Text style={styles.trackTitle}>Medical</Text>
+            {MEDICAL_FIELDS.filter(field => alert.medical[field.key]).map(field => (
+              <Text key={field.key} style={styles.medicalText}>
+                {field.label}: {alert.medical[field.key]}
+              </Text>
+            ))}
+          </View>
+        )}
+
+        {warning && <Text style={styles.warning}>{warning}</Text>}
+
+        <TouchableOpacity
+          style={styles.respondButton}
+          onPress={() => runAction('respond', () => sosAlertService.respond(alert.sosId), 'Failed to respond')}
+          disabled={busyAction !== null}
+        >
+          {busyAction === 'respond' ? (
+            <ActivityIndicator color="#e74c3c" />
+          ) : (
+            <Text style={styles.respondButtonText}>I'm Responding</Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.relayButton}
+          onPress={() => runAction('relay', () => sosAlertService.relay(alert.sosId), 'Failed to relay the SOS')}
+          disabled={busyAction !== null}
+        >
+          {busyAction === 'relay' ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={styles.relayButtonText}>Relay to Rescue</Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.dismissButton}
+          onPress={() => sosAlertService.dismiss(alert.sosId)}
+          disabled={busyAction !== null}
+        >
+          <Text style={styles.dismissButtonText}>Dismiss</Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#c0392b',
+    padding: 25,
+    justifyContent: 'center',
+  },
+  title: {
+    fontSize: 48,
+    fontWeight: 'bold',
+    color: 'white',
+    textAlign: 'center',
+  },
+  name: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: 'white',
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  message: {
+    fontSize: 16,
+    color: 'white',
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  locationBox: {
+    alignItems: 'center',
+    marginTop: 25,
+  },
+  distance: {
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  bearing: {
+    fontSize: 20,
+    color: 'white',
+    marginBottom: 4,
+  },
+  trackBox: {
+    backgroundColor: 'rgba(0, 0, 0, 0.15)',
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 20,
+  },
+  trackTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: 'white',
+    marginBottom: 4,
+  },
+  detailText: {
+    fontSize: 13,
+    color: '#fadbd8',
+    textAlign: 'center',
+    marginTop: 2,
+  },
+  medicalBox: {
+    backgroundColor: 'rgba(0, 0, 0, 0.25)',
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 12,
+  },
+  medicalText: {
+    fontSize: 14,
+    color: 'white',
+    marginTop: 2,
+  },
+  warning: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#f1c40f',
+    textAlign: 'center',
+    marginTop: 15,
+  },
+  respondButton: {
+    backgroundColor: 'white',
+    padding: 18,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 30,
+  },
+  respondButtonText: {
+    color: '#c0392b',
+    fontWeight: 'bold',
+    fontSize: 18,
+  },
+  relayButton: {
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 12,
+    borderWidth: 2,
+    borderColor: 'white',
+  },
+  relayButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  dismissButton: {
+    padding: 12,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  dismissButtonText: {
+    color: '#fadbd8',
+    fontSize: 14,
+  },
+});
+
+export default IncomingSOSAlert;
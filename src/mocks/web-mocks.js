@@ -500,6 +500,79 @@ export const BackgroundFetch = {
   }
 };
 
+// Mock for react-native-volume-manager
+// Volume button presses can be simulated with Alt+Up and Alt+Down.
+export const VolumeManager = {
+  volume: 0.5,
+  
+  getVolume: async () => {
+    return { volume: VolumeManager.volume };
+  },
+  
+  addVolumeListener: (callback) => {
+    if (typeof window === 'undefined') {
+      return { remove: () => {} };
+    }
+    
+    const handleKeyDown = (event) => {
+      if (!event.altKey || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) return;
+      
+      const step = event.key === 'ArrowUp' ? 0.1 : -0.1;
+      VolumeManager.volume = Math.min(1, Math.max(0, Math.round((VolumeManager.volume + step) * 10) / 10));
+      console.log('[Web VolumeManager Mock] Volume:', VolumeManager.volume);
+      callback({ volume: VolumeManager.volume });
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return {
+      remove: () => window.removeEventListener('keydown', handleKeyDown)
+    };
+  }
+};
+
+// Mock for @notifee/react-native
+export const AndroidImportance = { DEFAULT: 3, HIGH: 4 };
+export const AndroidCategory = { ALARM: 'alarm', CALL: 'call' };
+export const TriggerType = { TIMESTAMP: 0 };
+export const EventType = { DISMISSED: 0, PRESS: 1, ACTION_PRESS: 2 };
+
+export const Notifee = {
+  createChannel: async (channel) => {
+    console.log('[Web Notifee Mock] Created channel:', channel.id);
+    return channel.id;
+  },
+  
+  requestPermission: async () => {
+    return { authorizationStatus: 1 };
+  },
+  
+  setNotificationCategories: async (categories) => {
+    console.log('[Web Notifee Mock] Set notification categories:', categories.length);
+  },
+  
+  displayNotification: async (notification) => {
+    console.log('[Web Notifee Mock] Notification:', notification.title, notification.body);
+    return notification.id || `web-${Date.now()}`;
+  },
+  
+  createTriggerNotification: async (notification, trigger) => {
+    console.log('[Web Notifee Mock] Scheduled notification for:', new Date(trigger.timestamp));
+    return notification.id || `web-${Date.now()}`;
+  },
+  
+  cancelNotification: async (notificationId) => {
+    console.log('[Web Notifee Mock] Cancelled notification:', notificationId);
+  },
+  
+  onForegroundEvent: (callback) => {
+    return () => {};
+  },
+  
+  onBackgroundEvent: (callback) => {
+    console.log('[Web Notifee Mock] Background event handler registered');
+  }
+};
+
 // Apply mocks based on platform
 if (Platform.OS === 'web') {
   // Mock SQLite for web
@@ -529,4 +602,14 @@ if (Platform.OS === 'web') {
   if (!global.BackgroundFetch) {
     global.BackgroundFetch = BackgroundFetch;
   }
+  
+  // Add Notifee mock
+  if (!global.Notifee) {
+    global.Notifee = Notifee;
+  }
+  
+  // Add VolumeManager mock
+  if (!global.VolumeManager) {
+    global.VolumeManager = VolumeManager;
+  }
 }
\ No newline at end of file
@@ -8,6 +8,14 @@ import ProfileScreen from '../screens/ProfileScreen';
 import MapScreen from '../screens/MapScreen';
 import SettingsScreen from '../screens/SettingsScreen';
 import MessagingScreen from '../screens/MessagingScreen';
+import TrailChannelsScreen from '../screens/TrailChannelsScreen';
+import MeshDiagnosticsScreen from '../screens/MeshDiagnosticsScreen';
+import LocationSharingScreen from '../screens/LocationSharingScreen';
+import TripPlanScreen from '../screens/TripPlanScreen';
+import TripPlanEditScreen from '../screens/TripPlanEditScreen';
+import SOSStatusScreen from '../screens/SOSStatusScreen';
+import EmergencyContactsScreen from '../screens/EmergencyContactsScreen';
+import ICECardScreen from '../screens/ICECardScreen';
 import FloatingSOSButton from '../components/FloatingSOSButton';
 
 // Create navigators
@@ -36,6 +44,34 @@ const HomeStack = () => {
           title: 'HikerLink',
         }} 
       />
+      <Stack.Screen 
+        name="TripPlan" 
+        component={TripPlanScreen} 
+        options={{ 
+          title: 'Trip Check-In',
+        }} 
+      />
+      <Stack.Screen 
+        name="TripPlanEdit" 
+        component={TripPlanEditScreen} 
+        options={{ 
+          title: 'Trip Plan',
+        }} 
+      />
+      <Stack.Screen 
+        name="SOSStatus" 
+        component={SOSStatusScreen} 
+        options={{ 
+          title: 'SOS Status',
+        }} 
+      />
+      <Stack.Screen 
+        name="ICECard" 
+        component={ICECardScreen} 
+        options={{ 
+          headerShown: false,
+        }} 
+      />
     </Stack.Navigator>
   );
 };
@@ -51,6 +87,13 @@ const MapStack = () => {
           title: 'Trail Map',
         }} 
       />
+      <Stack.Screen 
+        name="LocationSharing" 
+        component={LocationSharingScreen} 
+        options={{ 
+          title: 'Live Location',
+        }} 
+      />
     </Stack.Navigator>
   );
 };
@@ -66,6 +109,20 @@ const MessagingStack = () => {
           title: 'Offline Messaging',
         }} 
       />
+      <Stack.Screen 
+        name="TrailChannels" 
+        component={TrailChannelsScreen} 
+        options={{ 
+          title: 'Trail Channels',
+        }} 
+      />
+      <Stack.Screen 
+        name="MeshDiagnostics" 
+        component={MeshDiagnosticsScreen} 
+        options={{ 
+          title: 'Mesh Diagnostics',
+        }} 
+      />
     </Stack.Navigator>
   );
 };
@@ -81,6 +138,20 @@ const ProfileStack = () => {
           title: 'My Profile',
         }} 
       />
+      <Stack.Screen 
+        name="EmergencyContacts" 
+        component={EmergencyContactsScreen} 
+        options={{ 
+          title: 'Emergency Contacts',
+        }} 
+      />
+      <Stack.Screen 
+        name="ICECard" 
+        component={ICECardScreen} 
+        options={{ 
+          headerShown: false,
+        }} 
+      />
     </Stack.Navigator>
   );
 };
@@ -96,6 +167,13 @@ const SettingsStack = () => {
           title: 'Settings',
         }} 
       />
+      <Stack.Screen 
+        name="EmergencyContacts" 
+        component={EmergencyContactsScreen} 
+        options={{ 
+          title: 'Emergency Contacts',
+        }} 
+      />
     </Stack.Navigator>
   );
 };
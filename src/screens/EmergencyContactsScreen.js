@@ -0,0 +1,430 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import databaseService from '../services/databaseService';
+import emergencyContactsService, {
+  CONTACT_CHANNEL,
+  DEFAULT_ESCALATION_DELAY,
+} from '../services/emergencyContactsService';
+
+// Ways to reach a contact, as shown to the hiker
+const CHANNEL_LABELS = {
+  [CONTACT_CHANNEL.CLOUD]: 'App',
+  [CONTACT_CHANNEL.MESH]: 'Mesh',
+  [CONTACT_CHANNEL.SMS]: 'Text',
+};
+
+// Time a contact is given to respond before the next one is alerted
+const DELAY_OPTIONS = [
+  { label: '5 min', value: 5 },
+  { label: '10 min', value: DEFAULT_ESCALATION_DELAY },
+  { label: '30 min', value: 30 },
+  { label: '1 hour', value: 60 },
+];
+
+// Describe how a contact is reached, e.g. "Text, then Mesh - 10 min to respond"
+const describeContact = (contact) => {
+  const channels = contact.channels.map(channel => CHANNEL_LABELS[channel]).join(', then ');
+  return `${channels} - ${contact.delay} min to respond`;
+};
+
+const EmergencyContactsScreen = () => {
+  const [contacts, setContacts] = useState(() => emergencyContactsService.getContacts());
+  const [peers, setPeers] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [name, setName] = useState('');
+  const [phone, setPhone] = useState('');
+  const [peer, setPeer] = useState(null);
+  const [channels, setChannels] = useState([]);
+  const [delay, setDelay] = useState(DEFAULT_ESCALATION_DELAY);
+  const [isBusy, setIsBusy] = useState(false);
+
+  // Follow the contacts and load the hikers we have met
+  useEffect(() => {
+    databaseService.getAllPeers()
+      .then(setPeers)
+      .catch(error => console.error('Error loading peers:', error));
+
+    return emergencyContactsService.addContactListener(setContacts);
+  }, []);
+
+  // Fill the form with a contact, or clear it for a new one
+  const editContact = (contact = null) => {
+    setEditingId(contact?.id || null);
+    setName(contact?.name || '');
+    setPhone(contact?.phone || '');
+    setPeer(contact?.peerId
+      ? { id: contact.peerId, firebaseUid: contact.firebaseUid }
+      : null);
+    setChannels(contact?.channels || []);
+    setDelay(contact ? contact.delay : DEFAULT_ESCALATION_DELAY);
+  };
+
+  // Add or remove a channel; channels are tried in the order chosen
+  const toggleChannel = (channel) => {
+    setChannels(current =>
+      current.includes(channel)
+        ? current.filter(c => c !== channel)
+        : [...current, channel]
+    );
+  };
+
+  // Pick the hiker the contact is, or unpick them
+  const togglePeer = (candidate) => {
+    if (peer?.id === candidate.id) {
+      setPeer(null);
+      return;
+    }
+
+    setPeer({ id: candidate.id, firebaseUid: candidate.firebase_uid || null });
+    if (!name.trim() && candidate.name) {
+      setName(candidate.name);
+    }
+  };
+
+  // Run a change to the contacts, reporting failures
+  const runChange = async (change, failure) => {
+    setIsBusy(true);
+    try {
+      await change();
+      return true;
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      Alert.alert('Error', `${failure}: ${error.message}`);
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // Save the contact in the form
+  const saveContact = async () => {
+    const saved = await runChange(() => emergencyContactsService.saveContact({
+      id: editingId || undefined,
+      name,
+      phone: phone.trim() || null,
+      peerId: peer?.id || null,
+      firebaseUid: peer?.firebaseUid || null,
+      channels,
+      delay,
+    }), 'Failed to save the contact');
+
+    if (saved) {
+      editContact(null);
+    }
+  };
+
+  // Remove a contact after confirmation
+  const removeContact = (contact) => {
+    Alert.alert(
+      'Remove Contact?',
+      `${contact.name} will no longer be alerted of your SOS.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            await runChange(() => emergencyContactsService.removeContact(contact.id), 'Failed to remove the contact');
+            if (editingId === contact.id) {
+              editContact(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Channels that can be chosen with what is filled in
+  const reachable = {
+    [CONTACT_CHANNEL.CLOUD]: !!peer?.firebaseUid,
+    [CONTACT_CHANNEL.MESH]: !!peer,
+    [CONTACT_CHANNEL.SMS]: !!phone.trim(),
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.detailText}>
+        When you send an SOS, your contacts are alerted in this order. Each is given time
+        to respond before the next one is alerted.
+      </Text>
+
+      {contacts.length === 0 ? (
+        <Text style={styles.emptyText}>No emergency contacts yet.</Text>
+      ) : (
+        contacts.map((contact, index) => (
+          <View
+            key={contact.id}
+            style={[styles.card, editingId === contact.id && styles.selectedCard]}
+          >
+            <TouchableOpacity onPress={() => editContact(contact)}>
+              <Text style={styles.itemTitle}>{index + 1}. {contact.name}</Text>
+              <Text style={styles.detailText}>{describeContact(contact)}</Text>
+            </TouchableOpacity>
+            <View style={styles.cardActions}>
+              <TouchableOpacity
+                style={styles.cardAction}
+                onPress={() => runChange(() => emergencyContactsService.moveContact(contact.id, -1), 'Failed to move the contact')}
+                disabled={isBusy || index === 0}
+              >
+                <Text style={[styles.cardActionText, index === 0 && styles.disabledText]}>Earlier</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.cardAction}
+                onPress={() => runChange(() => emergencyContactsService.moveContact(contact.id, 1), 'Failed to move the contact')}
+                disabled={isBusy || index === contacts.length - 1}
+              >
+                <Text style={[styles.cardActionText, index === contacts.length - 1 && styles.disabledText]}>Later</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.cardAction}
+                onPress={() => removeContact(contact)}
+                disabled={isBusy}
+              >
+                <Text style={[styles.cardActionText, styles.removeText]}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))
+      )}
+
+      <Text style={styles.sectionTitle}>{editingId ? 'Edit Contact' : 'Add Contact'}</Text>
+      <TextInput
+        style={styles.input}
+        value={name}
+        onChangeText={setName}
+        placeholder="Name"
+      />
+      <TextInput
+        style={[styles.input, styles.spacedInput]}
+        value={phone}
+        onChangeText={setPhone}
+        placeholder="Phone number"
+        keyboardType="phone-pad"
+      />
+
+      <Text style={styles.label}>HikerLink User</Text>
+      {peers.length === 0 ? (
+        <Text style={styles.detailText}>Hikers you meet on the mesh can be picked here.</Text>
+      ) : (
+        <View style={styles.optionRow}>
+          {peers.map(candidate => (
+            <TouchableOpacity
+              key={candidate.id}
+              style={[styles.optionButton, peer?.id === candidate.id && styles.selectedOption]}
+              onPress={() => togglePeer(candidate)}
+            >
+              <Text style={[styles.optionText, peer?.id === candidate.id && styles.selectedOptionText]}>
+                {candidate.name || candidate.id}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      <Text style={styles.label}>Reach By</Text>
+      <Text style={styles.detailText}>Tried in the order you pick them.</Text>
+      <View style={styles.optionRow}>
+        {Object.values(CONTACT_CHANNEL).map(channel => {
+          const order = channels.indexOf(channel);
+          return (
+            <TouchableOpacity
+              key={channel}
+              style={[
+                styles.optionButton,
+                order !== -1 && styles.selectedOption,
+                order === -1 && !reachable[channel] && styles.disabledOption,
+              ]}
+              onPress={() => toggleChannel(channel)}
+              disabled={order === -1 && !reachable[channel]}
+            >
+              <Text style={[styles.optionText, order !== -1 && styles.selectedOptionText]}>
+                {order !== -1 ? `${order + 1}. ` : ''}{CHANNEL_LABELS[channel]}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <Text style={styles.label}>Time to Respond</Text>
+      <View style={styles.optionRow}>
+        {DELAY_OPTIONS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.optionButton, delay === option.value && styles.selectedOption]}
+            onPress={() => setDelay(option.value)}
+          >
+            <Text style={[styles.optionText, delay === option.value && styles.selectedOptionText]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {isBusy ? (
+        <ActivityIndicator style={styles.busyIndicator} size="large" color="#27ae60" />
+      ) : (
+        <>
+          <TouchableOpacity style={styles.primaryButton} onPress={saveContact}>
+            <Text style={styles.primaryButtonText}>{editingId ? 'Save Contact' : 'Add Contact'}</Text>
+          </TouchableOpacity>
+
+          {editingId && (
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => editContact(null)}>
+              <Text style={styles.secondaryButtonText}>Cancel</Text>
+            </TouchableOpacity>
+          )}
+        </>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  content: {
+    padding: 15,
+    paddingBottom: 40,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#2c3e50',
+    marginTop: 15,
+    marginBottom: 5,
+  },
+  input: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    padding: 12,
+    fontSize: 16,
+  },
+  spacedInput: {
+    marginTop: 10,
+  },
+  card: {
+    backgroundColor: 'white',
+    padding: 12,
+    borderRadius: 10,
+    marginTop: 10,
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 1,
+  },
+  selectedCard: {
+    borderWidth: 2,
+    borderColor: '#27ae60',
+  },
+  itemTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  detailText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  cardActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  cardAction: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+  },
+  cardActionText: {
+    color: '#3498db',
+    fontWeight: 'bold',
+  },
+  disabledText: {
+    color: '#bdc3c7',
+  },
+  removeText: {
+    color: '#e74c3c',
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 5,
+  },
+  optionButton: {
+    borderWidth: 1,
+    borderColor: '#3498db',
+    borderRadius: 20,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedOption: {
+    backgroundColor: '#3498db',
+  },
+  disabledOption: {
+    opacity: 0.4,
+  },
+  optionText: {
+    color: '#3498db',
+    fontWeight: 'bold',
+  },
+  selectedOptionText: {
+    color: 'white',
+  },
+  primaryButton: {
+    backgroundColor: '#27ae60',
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  secondaryButton: {
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 10,
+    borderWidth: 1,
+    borderColor: '#3498db',
+  },
+  secondaryButtonText: {
+    color: '#3498db',
+    fontWeight: 'bold',
+  },
+  busyIndicator: {
+    marginTop: 20,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#7f8c8d',
+    marginTop: 10,
+  },
+});
+
+export default EmergencyContactsScreen;
@@ -200,6 +200,20 @@ const HomeScreen = ({ navigation }) => {
             >
               <Text style={styles.actionButtonText}>Track My Hike</Text>
             </TouchableOpacity>
+            
+            <TouchableOpacity 
+              style={styles.actionButton}
+              onPress={() => navigation.navigate('TripPlan')}
+            >
+              <Text style={styles.actionButtonText}>Trip Check-In</Text>
+            </TouchableOpacity>
+            
+            <TouchableOpacity 
+              style={styles.actionButton}
+              onPress={() => navigation.navigate('SOSStatus')}
+            >
+              <Text style={styles.actionButtonText}>SOS Status</Text>
+            </TouchableOpacity>
           </View>
         </View>
         
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  SafeAreaView,
+  StatusBar,
+  Linking,
+  Alert,
+} from 'react-native';
+import medicalProfileService, { MEDICAL_FIELDS } from '../services/medicalProfileService';
+import emergencyContactsService from '../services/emergencyContactsService';
+
+const ICECardScreen = ({ navigation }) => {
+  const [profile, setProfile] = useState(() => medicalProfileService.getProfile());
+  const [contacts, setContacts] = useState(() => emergencyContactsService.getContacts());
+
+  // Follow the profile and contacts, which can change while the card is open
+  useEffect(() => {
+    const removeProfileListener = medicalProfileService.addProfileListener(setProfile);
+    const removeContactListener = emergencyContactsService.addContactListener(setContacts);
+
+    return () => {
+      removeProfileListener();
+      removeContactListener();
+    };
+  }, []);
+
+  // Call an emergency contact
+  const callContact = async (contact) => {
+    try {
+      await Linking.openURL(`tel:${contact.phone}`);
+    } catch (error) {
+      console.error('Error calling emergency contact:', error);
+      Alert.alert('Error', `Could not call ${contact.name}: ${error.message}`);
+    }
+  };
+
+  const fields = MEDICAL_FIELDS.filter(field => profile[field.key]);
+  const phoneContacts = contacts.filter(contact => contact.phone);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="#c0392b" />
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.title}>ICE</Text>
+        <Text style={styles.subtitle}>In Case of Emergency</Text>
+        {profile.name ? <Text style={styles.name}>{profile.name}</Text> : null}
+
+        <View style={styles.section}>
+          {fields.length === 0 ? (
+            <Text style={styles.emptyText}>No medical details yet. Add them in your profile.</Text>
+          ) : (
+            fields.map(field => (
+              <View key={field.key} style={styles.field}>
+                <Text style={styles.fieldLabel}>{field.label}</Text>
+                <Text style={field.key === 'bloodType' ? styles.bloodType : styles.fieldValue}>
+                  {profile[field.key]}
+                </Text>
+              </View>
+            ))
+          )}
+        </View>
+
+        {phoneContacts.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.fieldLabel}>Emergency Contacts</Text>
+            {phoneContacts.map(contact => (
+              <TouchableOpacity
+                key={contact.id}
+                style={styles.contactRow}
+                onPress={() => callContact(contact)}
+              >
+                <Text style={styles.contactName}>{contact.name}</Text>
+                <Text style={styles.contactPhone}>{contact.phone}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        <TouchableOpacity style={styles.closeButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.closeButtonText}>Close</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#c0392b',
+  },
+  content: {
+    padding: 25,
+    paddingBottom: 40,
+  },
+  title: {
+    fontSize: 48,
+    fontWeight: 'bold',
+    color: 'white',
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#fadbd8',
+    textAlign: 'center',
+  },
+  name: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: 'white',
+    textAlign: 'center',
+    marginTop: 15,
+  },
+  section: {
+    backgroundColor: 'rgba(0, 0, 0, 0.15)',
+    borderRadius: 10,
+    padding: 15,
+    marginTop: 20,
+  },
+  field: {
+    marginBottom: 12,
+  },
+  fieldLabel: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#fadbd8',
+    textTransform: 'uppercase',
+  },
+  fieldValue: {
+    fontSize: 18,
+    color: 'white',
+    marginTop: 2,
+  },
+  bloodType: {
+    fontSize: 36,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: 'white',
+    textAlign: 'center',
+  },
+  contactRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  contactName: {
+    fontSize: 18,
+    color: 'white',
+  },
+  contactPhone: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  closeButton: {
+    backgroundColor: 'white',
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 30,
+  },
+  closeButtonText: {
+    color: '#c0392b',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+});
+
+export default ICECardScreen;
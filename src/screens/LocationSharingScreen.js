@@ -0,0 +1,329 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import bridgefyService from '../services/bridgefyService';
+import messagingService from '../services/messagingService';
+import locationSharingService, {
+  SHARE_TARGET,
+  DEFAULT_SHARE_DURATION,
+} from '../services/locationSharingService';
+
+// Durations offered when starting a session
+const DURATIONS = [
+  { label: '30 min', value: 30 * 60 * 1000 },
+  { label: '1 hour', value: 60 * 60 * 1000 },
+  { label: '2 hours', value: DEFAULT_SHARE_DURATION },
+  { label: '8 hours', value: 8 * 60 * 60 * 1000 },
+];
+
+// Format the time left until a timestamp, e.g. "1h 20m left"
+const formatRemaining = (timestamp) => {
+  const minutes = Math.max(0, Math.round((new Date(timestamp).getTime() - Date.now()) / 60000));
+  if (minutes < 60) return `${minutes}m left`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m left`;
+};
+
+// Format a timestamp as time elapsed since then
+const formatAge = (timestamp) => {
+  if (!timestamp) return 'no position yet';
+
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  return `${Math.floor(seconds / 3600)}h ago`;
+};
+
+const LocationSharingScreen = ({ navigation }) => {
+  const [shares, setShares] = useState(() => locationSharingService.getActiveShares());
+  const [groups, setGroups] = useState([]);
+  const [peers, setPeers] = useState([]);
+  const [duration, setDuration] = useState(DEFAULT_SHARE_DURATION);
+  const [busyId, setBusyId] = useState(null);
+
+  // Follow session changes and load who we can share with
+  useEffect(() => {
+    const removeListener = locationSharingService.addShareListener(setShares);
+
+    const loadTargets = async () => {
+      try {
+        setGroups(await messagingService.getGroups());
+      } catch (error) {
+        console.error('Error loading groups:', error);
+      }
+      setPeers(bridgefyService.getAvailablePeers());
+    };
+
+    loadTargets();
+
+    return removeListener;
+  }, []);
+
+  // Start sharing with a peer or group
+  const startSharing = async (target) => {
+    setBusyId(target.id);
+    try {
+      await locationSharingService.startSharing(target, duration);
+    } catch (error) {
+      console.error('Error starting location share:', error);
+      Alert.alert('Error', `Failed to share your location: ${error.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // End one of our sessions, or stop viewing one shared with us
+  const stopSharing = (share) => {
+    Alert.alert(
+      share.isOutgoing ? 'Stop Sharing' : 'Stop Viewing',
+      share.isOutgoing
+        ? `Stop sharing your location with ${share.targetName || share.targetId}?`
+        : `Stop receiving the location of ${share.ownerName || share.ownerId}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Stop',
+          style: 'destructive',
+          onPress: async () => {
+            setBusyId(share.id);
+            try {
+              await locationSharingService.stopSharing(share.id);
+            } catch (error) {
+              console.error('Error stopping location share:', error);
+            } finally {
+              setBusyId(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Render an active session
+  const renderShare = (share) => (
+    <View key={share.id} style={styles.card}>
+      <View style={styles.rowHeader}>
+        <View style={styles.rowInfo}>
+          <Text style={styles.itemTitle}>
+            {share.isOutgoing
+              ? share.targetName || share.targetId
+              : share.ownerName || share.ownerId}
+          </Text>
+          <Text style={styles.detailText}>
+            {formatRemaining(share.expiresAt)}
+            {' - '}
+            updated {formatAge(share.lastLocation?.timestamp)}
+          </Text>
+        </View>
+
+        {!share.isOutgoing && share.lastLocation && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => navigation.navigate('Map', { focusLocation: share.lastLocation })}
+          >
+            <Text style={styles.actionButtonText}>Map</Text>
+          </TouchableOpacity>
+        )}
+
+        <TouchableOpacity
+          style={[styles.actionButton, styles.stopButton]}
+          onPress={() => stopSharing(share)}
+          disabled={busyId !== null}
+        >
+          {busyId === share.id ? (
+            <ActivityIndicator color="white" size="small" />
+          ) : (
+            <Text style={styles.actionButtonText}>Stop</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  // Render a peer or group we can share with
+  const renderTarget = (target) => {
+    const isSharing = shares.some(share =>
+      share.isOutgoing && share.targetId === target.id
+    );
+
+    return (
+      <View key={target.id} style={styles.card}>
+        <View style={styles.rowHeader}>
+          <View style={styles.rowInfo}>
+            <Text style={styles.itemTitle}>{target.name}</Text>
+            <Text style={styles.detailText}>
+              {target.type === SHARE_TARGET.GROUP ? 'Group' : 'Hiker'}
+              {isSharing ? ' - already sharing' : ''}
+            </Text>
+          </View>
+
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => startSharing(target)}
+            disabled={busyId !== null}
+          >
+            {busyId === target.id ? (
+              <ActivityIndicator color="white" size="small" />
+            ) : (
+              <Text style={styles.actionButtonText}>Share</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  const outgoing = shares.filter(share => share.isOutgoing);
+  const incoming = shares.filter(share => !share.isOutgoing);
+  const targets = [
+    ...groups.map(group => ({ type: SHARE_TARGET.GROUP, id: group.id, name: group.name })),
+    ...peers.map(peer => ({ type: SHARE_TARGET.PEER, id: peer.id, name: peer.name })),
+  ];
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.sectionTitle}>Sharing My Location ({outgoing.length})</Text>
+      {outgoing.length === 0 ? (
+        <Text style={styles.emptyText}>You are not sharing your location.</Text>
+      ) : (
+        outgoing.map(renderShare)
+      )}
+
+      <Text style={styles.sectionTitle}>Shared With Me ({incoming.length})</Text>
+      {incoming.length === 0 ? (
+        <Text style={styles.emptyText}>Nobody is sharing their location with you.</Text>
+      ) : (
+        incoming.map(renderShare)
+      )}
+
+      <Text style={styles.sectionTitle}>Share My Live Location</Text>
+      <View style={styles.durationRow}>
+        {DURATIONS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[
+              styles.durationButton,
+              duration === option.value && styles.selectedDuration,
+            ]}
+            onPress={() => setDuration(option.value)}
+          >
+            <Text
+              style={[
+                styles.durationText,
+                duration === option.value && styles.selectedDurationText,
+              ]}
+            >
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {targets.length === 0 ? (
+        <Text style={styles.emptyText}>
+          Create a group or start offline messaging to find hikers to share with.
+        </Text>
+      ) : (
+        targets.map(renderTarget)
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  content: {
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginTop: 10,
+    marginBottom: 10,
+  },
+  card: {
+    backgroundColor: 'white',
+    padding: 12,
+    borderRadius: 10,
+    marginBottom: 10,
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 1,
+  },
+  rowHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  itemTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  detailText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  actionButton: {
+    backgroundColor: '#3498db',
+    paddingVertical: 8,
+    paddingHorizontal: 15,
+    borderRadius: 20,
+    minWidth: 60,
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  stopButton: {
+    backgroundColor: '#e74c3c',
+  },
+  actionButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  durationRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  durationButton: {
+    borderWidth: 1,
+    borderColor: '#3498db',
+    borderRadius: 20,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedDuration: {
+    backgroundColor: '#3498db',
+  },
+  durationText: {
+    color: '#3498db',
+    fontWeight: 'bold',
+  },
+  selectedDurationText: {
+    color: 'white',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#7f8c8d',
+    marginBottom: 10,
+  },
+});
+
+export default LocationSharingScreen;
@@ -18,12 +18,63 @@ import { requestLocationPermissions } from '../utils/permissions';
 import locationService from '../services/locationService';
 import backgroundLocationService from '../services/backgroundLocationService';
 import firebaseService from '../services/firebaseService';
+import nearbyHikersService, { HIKER_SOURCE } from '../services/nearbyHikersService';
+import locationSharingService from '../services/locationSharingService';
+import { PRESENCE_STATUS } from '../services/bridgefyService';
 
-const MapScreen = ({ route }) => {
+// Labels for where a hiker's position came from
+const SOURCE_LABELS = {
+  [HIKER_SOURCE.MESH]: 'mesh',
+  [HIKER_SOURCE.CLOUD]: 'cloud',
+};
+
+// Distance in meters as a short label, e.g. "350 m" or "1.2 km"
+const formatDistance = (meters) => {
+  if (meters === null || meters === undefined) return 'Distance unknown';
+  if (meters < 1000) return `${Math.round(meters)} m`;
+  return `${(meters / 1000).toFixed(1)} km`;
+};
+
+// Format a position age in milliseconds, e.g. "5m ago"
+const formatAge = (age) => {
+  if (age === null || age === undefined) return 'age unknown';
+  
+  const seconds = Math.round(age / 1000);
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  return `${Math.floor(seconds / 3600)}h ago`;
+};
+
+// Where and when a hiker's position was seen, e.g. "via mesh 2m ago"
+const describeSource = (hiker) => {
+  const also = hiker.sources
+    .filter(source => source !== hiker.source)
+    .map(source => ` (also ${SOURCE_LABELS[source]})`)
+    .join('');
+  
+  return `via ${SOURCE_LABELS[hiker.source]} ${formatAge(hiker.age)}${also}`;
+};
+
+// Marker description for a hiker, e.g. "350 m away · via mesh 2m ago · Battery 80%"
+const describeHiker = (hiker) => {
+  const parts = [`${formatDistance(hiker.distance)} away`, describeSource(hiker)];
+  
+  if (hiker.status === PRESENCE_STATUS.NEEDS_HELP) {
+    parts.unshift('Needs help');
+  }
+  if (hiker.battery && typeof hiker.battery.level === 'number') {
+    parts.push(`Battery ${Math.round(hiker.battery.level * 100)}%`);
+  }
+  
+  return parts.join(' · ');
+};
+
+const MapScreen = ({ navigation, route }) => {
   const [isTracking, setIsTracking] = useState(false);
   const [trackingMode, setTrackingMode] = useState('standard'); // 'standard', 'power-saving', 'high-accuracy'
   const [userLocation, setUserLocation] = useState(null);
   const [nearbyHikers, setNearbyHikers] = useState([]);
+  const [liveShares, setLiveShares] = useState(() => locationSharingService.getActiveShares());
   const [trackHistory, setTrackHistory] = useState([]);
   const [isSettingsVisible, setIsSettingsVisible] = useState(false);
   const [isBackgroundTrackingEnabled, setIsBackgroundTrackingEnabled] = useState(false);
@@ -108,6 +159,35 @@ const MapScreen = ({ route }) => {
     };
   }, [route?.params]);
   
+  // Follow live location sessions, ours and those shared with us
+  useEffect(() => {
+    return locationSharingService.addShareListener(setLiveShares);
+  }, []);
+  
+  // Center the map on a position picked on another screen
+  useEffect(() => {
+    const focusLocation = route?.params?.focusLocation;
+    if (focusLocation && mapRef.current) {
+      mapRef.current.animateToRegion({
+        latitude: focusLocation.latitude,
+        longitude: focusLocation.longitude,
+        latitudeDelta: 0.01,
+        longitudeDelta: 0.01,
+      });
+    }
+  }, [route?.params?.focusLocation]);
+  
+  // Keep the hikers shown up to date as they and we move
+  useEffect(() => {
+    const removeListener = nearbyHikersService.addListener(setNearbyHikers);
+    nearbyHikersService.start().catch(console.error);
+    
+    return () => {
+      removeListener();
+      nearbyHikersService.stop();
+    };
+  }, []);
+  
   // Load track history from Firebase
   const loadTrackHistory = async () => {
     try {
@@ -402,61 +482,27 @@ const MapScreen = ({ route }) => {
       .join(':');
   };
 
-  // Find nearby hikers using Bluetooth
-  const findNearbyHikers = () => {
-    // This will be implemented with actual Bluetooth/Bridgefy functionality in the future
-    console.log('Finding nearby hikers...');
-    
-    // Simulate finding hikers
-    const mockHikers = [
-      { 
-        id: '1', 
-        name: 'Alex', 
-        distance: '0.5 miles',
-        location: {
-          latitude: userLocation ? userLocation.latitude + 0.002 : 37.7751,
-          longitude: userLocation ? userLocation.longitude + 0.001 : -122.4184,
-        }
-      },
-      { 
-        id: '2', 
-        name: 'Jamie', 
-        distance: '1.2 miles',
-        location: {
-          latitude: userLocation ? userLocation.latitude - 0.003 : 37.7719,
-          longitude: userLocation ? userLocation.longitude - 0.002 : -122.4214,
-        }
-      },
-    ];
-    
-    setNearbyHikers(mockHikers);
+  // Look for hikers nearby over the mesh and in the cloud
+  const findNearbyHikers = async () => {
+    try {
+      const hikers = await nearbyHikersService.refresh();
+      setNearbyHikers(hikers);
+      
+      if (hikers.length === 0) {
+        Alert.alert(
+          'No Hikers Found',
+          'No hikers nearby yet. Start offline messaging to find hikers over Bluetooth.'
+        );
+      }
+    } catch (error) {
+      console.error('Error finding nearby hikers:', error);
+      Alert.alert('Error', 'Failed to find nearby hikers');
+    }
   };
 
-  // Share user's location with nearby hikers
+  // Manage live location sharing sessions
   const shareLocation = () => {
-    // This will be implemented with actual Bluetooth/Bridgefy functionality
-    if (!userLocation) {
-      Alert.alert('Error', 'Cannot share location: your current location is unknown.');
-      return;
-    }
-    
-    Alert.alert(
-      'Share Location',
-      'This will broadcast your current location to nearby hikers. Continue?',
-      [
-        {
-          text: 'Cancel',
-          style: 'cancel'
-        },
-        {
-          text: 'Share',
-          onPress: () => {
-            console.log('Location shared with nearby hikers:', userLocation);
-            Alert.alert('Success', 'Your location has been shared with nearby hikers.');
-          }
-        }
-      ]
-    );
+    navigation.navigate('LocationSharing');
   };
 
   // Handle map region change
@@ -490,8 +536,21 @@ const MapScreen = ({ route }) => {
                 key={hiker.id}
                 coordinate={hiker.location}
                 title={hiker.name}
-                description={`${hiker.distance} away`}
-                pinColor="#3498db"
+                description={describeHiker(hiker)}
+                pinColor={hiker.status === PRESENCE_STATUS.NEEDS_HELP ? '#e74c3c' : '#3498db'}
+              />
+            )
+          ))}
+          
+          {/* Display live locations shared with us */}
+          {liveShares.map(share => (
+            !share.isOutgoing && share.lastLocation && (
+              <Marker
+                key={share.id}
+                coordinate={share.lastLocation}
+                title={share.ownerName || share.ownerId}
+                description={`Live location · updated ${formatAge(Date.now() - new Date(share.lastLocation.timestamp).getTime())}`}
+                pinColor="#27ae60"
               />
             )
           ))}
@@ -544,7 +603,9 @@ const MapScreen = ({ route }) => {
           style={styles.controlButton}
           onPress={shareLocation}
         >
-          <Text style={styles.controlButtonText}>Share My Location</Text>
+          <Text style={styles.controlButtonText}>
+            {liveShares.some(share => share.isOutgoing) ? 'Sharing Location' : 'Share My Location'}
+          </Text>
         </TouchableOpacity>
       </View>
       
@@ -566,8 +627,18 @@ const MapScreen = ({ route }) => {
                 }
               }}
             >
-              <Text style={styles.hikerName}>{hiker.name}</Text>
-              <Text style={styles.hikerDistance}>{hiker.distance}</Text>
+              <Text
+                style={[
+                  styles.hikerName,
+                  hiker.status === PRESENCE_STATUS.NEEDS_HELP && styles.hikerNeedsHelp
+                ]}
+              >
+                {hiker.status === PRESENCE_STATUS.NEEDS_HELP ? `${hiker.name} (needs help)` : hiker.name}
+              </Text>
+              <View style={styles.hikerDetails}>
+                <Text style={styles.hikerDistance}>{formatDistance(hiker.distance)}</Text>
+                <Text style={styles.hikerSource}>{describeSource(hiker)}</Text>
+              </View>
             </TouchableOpacity>
           ))}
         </View>
@@ -764,10 +835,21 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#2c3e50',
   },
+  hikerNeedsHelp: {
+    color: '#e74c3c',
+    fontWeight: 'bold',
+  },
+  hikerDetails: {
+    alignItems: 'flex-end',
+  },
   hikerDistance: {
     fontSize: 16,
     color: '#7f8c8d',
   },
+  hikerSource: {
+    fontSize: 12,
+    color: '#95a5a6',
+  },
   // Modal styles
   modalOverlay: {
     flex: 1,
@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import bridgefyService, { CONNECTION_STATE } from '../services/bridgefyService';
+
+// How often the snapshot is refreshed
+const REFRESH_INTERVAL = 2000;
+
+// Describe how we reach a peer
+const getLinkLabel = (peer) => {
+  if (peer.isNeighbour) return 'Connected';
+  if (peer.connectionState === CONNECTION_STATE.CONNECTING) return 'Connecting';
+  if (peer.connectionState) return 'In range, not connected';
+  return 'Via relay';
+};
+
+// Format a timestamp as time elapsed since then
+const formatAge = (timestamp) => {
+  if (!timestamp) return 'never';
+
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  return `${Math.floor(seconds / 3600)}h ago`;
+};
+
+// Format a byte count
+const formatBytes = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+
+const MeshDiagnosticsScreen = () => {
+  const [diagnostics, setDiagnostics] = useState(() => bridgefyService.getDiagnostics());
+  const [pingResults, setPingResults] = useState({});
+  const [pingingPeerId, setPingingPeerId] = useState(null);
+
+  // Refresh the snapshot while the screen is open
+  useEffect(() => {
+    const refresh = () => setDiagnostics(bridgefyService.getDiagnostics());
+
+    const interval = setInterval(refresh, REFRESH_INTERVAL);
+    bridgefyService.onError(refresh);
+
+    return () => {
+      clearInterval(interval);
+      bridgefyService.removeErrorCallback(refresh);
+    };
+  }, []);
+
+  // Measure the round trip to a peer
+  const pingPeer = async (peer) => {
+    setPingingPeerId(peer.id);
+    try {
+      const result = await bridgefyService.pingPeer(peer.id);
+      setPingResults(prev => ({
+        ...prev,
+        [peer.id]: `${result.roundTripTime} ms, ${result.hopCount} hop(s) out, ${result.returnHopCount} back`,
+      }));
+    } catch (error) {
+      setPingResults(prev => ({ ...prev, [peer.id]: error.message }));
+    } finally {
+      setPingingPeerId(null);
+      setDiagnostics(bridgefyService.getDiagnostics());
+    }
+  };
+
+  // Reset counters and the error log
+  const clearDiagnostics = () => {
+    bridgefyService.clearDiagnostics();
+    setPingResults({});
+    setDiagnostics(bridgefyService.getDiagnostics());
+  };
+
+  // Render peer row
+  const renderPeer = (peer) => (
+    <View key={peer.id} style={styles.card}>
+      <View style={styles.peerHeader}>
+        <View style={styles.peerInfo}>
+          <Text style={styles.peerName}>{peer.name}</Text>
+          <Text style={styles.detailText}>
+            {getLinkLabel(peer)}
+            {' - '}
+            {peer.hopCount ? `${peer.hopCount} hop(s)` : 'hops unknown'}
+            {' - '}
+            seen {formatAge(peer.lastSeen)}
+          </Text>
+        </View>
+
+        <TouchableOpacity
+          style={styles.pingButton}
+          onPress={() => pingPeer(peer)}
+          disabled={pingingPeerId !== null || !diagnostics.isStarted}
+        >
+          {pingingPeerId === peer.id ? (
+            <ActivityIndicator color="white" size="small" />
+          ) : (
+            <Text style={styles.pingButtonText}>Ping</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.detailText}>
+        Signal: {peer.rssi !== null
+          ? `${peer.rssi} dBm (~${Math.round(peer.estimatedDistance)} m)`
+          : 'unknown'}
+        {peer.hasKeys ? '' : ' - no keys exchanged'}
+      </Text>
+      <Text style={styles.detailText}>
+        Sent: {peer.envelopesSent} msgs / {peer.framesSent} frames / {formatBytes(peer.bytesSent)}
+      </Text>
+      <Text style={styles.detailText}>
+        Received: {peer.envelopesReceived} msgs / {peer.framesReceived} frames / {formatBytes(peer.bytesReceived)}
+      </Text>
+
+      {pingResults[peer.id] && (
+        <Text style={styles.pingResult}>Ping: {pingResults[peer.id]}</Text>
+      )}
+    </View>
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.card}>
+        <Text style={styles.peerName}>{diagnostics.username || 'Mesh not started'}</Text>
+        <Text style={styles.detailText}>ID: {diagnostics.userId}</Text>
+        <Text style={styles.detailText}>
+          Status: {diagnostics.isStarted ? 'Running' : 'Stopped'}
+          {' - '}
+          {diagnostics.seenMessageCount} message IDs cached
+        </Text>
+
+        <TouchableOpacity style={styles.clearButton} onPress={clearDiagnostics}>
+          <Text style={styles.clearButtonText}>Reset Counters</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.sectionTitle}>Peers ({diagnostics.peers.length})</Text>
+      {diagnostics.peers.length === 0 ? (
+        <Text style={styles.emptyText}>No peers heard from yet.</Text>
+      ) : (
+        diagnostics.peers.map(renderPeer)
+      )}
+
+      <Text style={styles.sectionTitle}>Relay Queue ({diagnostics.relayQueue.length})</Text>
+      {diagnostics.relayQueue.length === 0 ? (
+        <Text style={styles.emptyText}>Nothing waiting to be relayed.</Text>
+      ) : (
+        diagnostics.relayQueue.map(item => (
+          <View key={item.messageId} style={styles.card}>
+            <Text style={styles.itemTitle}>{item.type} to {item.recipientId || 'everyone'}</Text>
+            <Text style={styles.detailText}>
+              From {item.originId} - TTL {item.ttl} - queued {formatAge(item.queuedAt)}
+            </Text>
+          </View>
+        ))
+      )}
+
+      <Text style={styles.sectionTitle}>Recent Errors ({diagnostics.recentErrors.length})</Text>
+      {diagnostics.recentErrors.length === 0 ? (
+        <Text style={styles.emptyText}>No errors reported.</Text>
+      ) : (
+        [...diagnostics.recentErrors].reverse().map((error, index) => (
+          <View key={`${error.timestamp}-${index}`} style={[styles.card, styles.errorCard]}>
+            <Text style={styles.errorCode}>{error.code}</Text>
+            <Text style={styles.detailText}>{error.message}</Text>
+            <Text style={styles.timeText}>{new Date(error.timestamp).toLocaleTimeString()}</Text>
+          </View>
+        ))
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  content: {
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginTop: 10,
+    marginBottom: 10,
+  },
+  card: {
+    backgroundColor: 'white',
+    padding: 12,
+    borderRadius: 10,
+    marginBottom: 10,
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 1,
+  },
+  peerHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 5,
+  },
+  peerInfo: {
+    flex: 1,
+  },
+  peerName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  itemTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  detailText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  timeText: {
+    fontSize: 12,
+    color: '#95a5a6',
+    marginTop: 3,
+  },
+  pingButton: {
+    backgroundColor: '#3498db',
+    paddingVertical: 8,
+    paddingHorizontal: 15,
+    borderRadius: 20,
+    minWidth: 60,
+    alignItems: 'center',
+  },
+  pingButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  pingResult: {
+    fontSize: 13,
+    color: '#27ae60',
+    fontWeight: 'bold',
+    marginTop: 5,
+  },
+  clearButton: {
+    alignSelf: 'flex-start',
+    marginTop: 10,
+  },
+  clearButtonText: {
+    color: '#3498db',
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#7f8c8d',
+    marginBottom: 10,
+  },
+  errorCard: {
+    borderLeftWidth: 4,
+    borderLeftColor: '#e74c3c',
+  },
+  errorCode: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#e74c3c',
+  },
+});
+
+export default MeshDiagnosticsScreen;
@@ -13,7 +13,51 @@ import {
   Platform,
 } from 'react-native';
 import ConnectionStatus from '../components/ConnectionStatus';
-import bridgefyService, { MESSAGE_TYPES, CONNECTION_STATE } from '../services/bridgefyService';
+import bridgefyService, {
+  MESSAGE_TYPES,
+  CONNECTION_STATE,
+  DELIVERY_STATUS,
+  PRESENCE_STATUS,
+} from '../services/bridgefyService';
+import messagingService from '../services/messagingService';
+import presenceService from '../services/presenceService';
+import sosIncidentService, { SOS_STATUS } from '../services/sosIncidentService';
+import { VERIFICATION_WARNINGS } from '../utils/meshProtocol';
+
+// Labels shown under outgoing messages
+const DELIVERY_LABELS = {
+  [DELIVERY_STATUS.PENDING]: 'Sending...',
+  [DELIVERY_STATUS.SENT]: 'Sent',
+  [DELIVERY_STATUS.RELAYED]: 'Relayed',
+  [DELIVERY_STATUS.DELIVERED]: 'Delivered',
+  [DELIVERY_STATUS.READ]: 'Read',
+  [DELIVERY_STATUS.FAILED]: 'Failed',
+};
+
+// What an SOS update says happened
+const SOS_UPDATE_LABELS = {
+  [SOS_STATUS.ACKNOWLEDGED]: 'acknowledged',
+  [SOS_STATUS.EN_ROUTE]: 'responder on the way',
+  [SOS_STATUS.RESOLVED]: 'resolved',
+  [SOS_STATUS.CANCELLED]: 'cancelled',
+};
+
+// Summary of a hiker's latest presence beacon, e.g. "Battery 80% · walking · 2 hops"
+const formatPresence = (presence) => {
+  const parts = [];
+  
+  if (presence.battery && typeof presence.battery.level === 'number') {
+    parts.push(`Battery ${Math.round(presence.battery.level * 100)}%${presence.battery.isCharging ? ' (charging)' : ''}`);
+  }
+  if (presence.activity) {
+    parts.push(presence.activity.replace('_', ' '));
+  }
+  if (presence.hopCount > 1) {
+    parts.push(`${presence.hopCount} hops`);
+  }
+  
+  return parts.join(' · ');
+};
 
 const MessagingScreen = ({ navigation, route }) => {
   const [initialized, setInitialized] = useState(false);
@@ -21,13 +65,20 @@ const MessagingScreen = ({ navigation, route }) => {
   const [nearbyPeers, setNearbyPeers] = useState([]);
   const [connectedPeers, setConnectedPeers] = useState([]);
   const [selectedPeer, setSelectedPeer] = useState(null);
+  const [groups, setGroups] = useState([]);
+  const [selectedGroup, setSelectedGroup] = useState(null);
+  const [groupName, setGroupName] = useState('');
   const [messages, setMessages] = useState([]);
   const [messageText, setMessageText] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [username, setUsername] = useState('');
   const [apiKey, setApiKey] = useState(''); // You would get this from environment variables
+  const [deliveryStatuses, setDeliveryStatuses] = useState({});
+  const [peerPresence, setPeerPresence] = useState({});
+  const [presenceStatus, setPresenceStatus] = useState(presenceService.getStatus());
   
   const flatListRef = useRef(null);
+  const readReceiptsRef = useRef(new Set());
 
   // Initialize Bridgefy
   useEffect(() => {
@@ -118,9 +169,14 @@ const MessagingScreen = ({ navigation, route }) => {
     bridgefyService.onMessageReceived((peerId, message) => {
       console.log('Message received:', peerId, message);
       
-      // Update messages if it's from the selected peer
-      if (selectedPeer && selectedPeer.id === peerId) {
+      // Update messages if it's from the selected peer (group messages
+      // reach the group chat through the messaging service instead, channel
+      // posts are shown on the trail channels screen, live locations on
+      // the map and SOS updates on the SOS status screen)
+      if (selectedPeer && selectedPeer.id === peerId && !message.groupId && !message.channelId &&
+          message.type !== MESSAGE_TYPES.LIVE_LOCATION && message.type !== MESSAGE_TYPES.SOS_UPDATE) {
         setMessages(prev => [...prev, message]);
+        sendReadReceipt(message);
         
         // Scroll to bottom
         setTimeout(() => {
@@ -128,12 +184,14 @@ const MessagingScreen = ({ navigation, route }) => {
         }, 100);
       }
       
-      // Show notification for emergency messages
-      if (message.isEmergency) {
+      // Show notification for emergency messages; an SOS raises its own
+      // full-screen alert
+      if (message.isEmergency && message.type !== MESSAGE_TYPES.SOS) {
         const peerName = connectedPeers.find(p => p.id === peerId)?.name || 'Unknown hiker';
+        const warning = VERIFICATION_WARNINGS[message.verification];
         Alert.alert(
           'Emergency!',
-          `${peerName} has sent an emergency message!`,
+          `${peerName} has sent an emergency message!${warning ? `\n\n${warning}` : ''}`,
           [
             {
               text: 'View',
@@ -171,6 +229,80 @@ const MessagingScreen = ({ navigation, route }) => {
     };
   }, [initialized, selectedPeer, nearbyPeers, connectedPeers]);
 
+  // Keep track of the presence beacons of hikers nearby
+  useEffect(() => {
+    if (!isStarted) return;
+    
+    const removeListener = presenceService.addPresenceListener((presence) => {
+      setPeerPresence(prev => ({ ...prev, [presence.peerId]: presence }));
+    });
+    
+    return removeListener;
+  }, [isStarted]);
+
+  // Show our own outgoing messages for the selected peer
+  useEffect(() => {
+    if (!selectedPeer) return;
+    
+    const removeListener = messagingService.addMessageListener((newMessages) => {
+      const outgoing = newMessages.filter(message =>
+        message.peerId === selectedPeer.id && message.senderId === message.localUserId
+      );
+      if (outgoing.length === 0) return;
+      
+      setMessages(prev => [
+        ...prev,
+        ...outgoing.filter(message => !prev.some(m => m.messageId === message.messageId)),
+      ]);
+    });
+    
+    return removeListener;
+  }, [selectedPeer]);
+
+  // Keep the open group chat and group unread counts up to date
+  useEffect(() => {
+    const removeListener = messagingService.addMessageListener(async (newMessages) => {
+      const groupMessages = newMessages.filter(message => message.groupId);
+      if (groupMessages.length === 0) return;
+      
+      const visible = selectedGroup
+        ? groupMessages.filter(message => message.groupId === selectedGroup.id)
+        : [];
+      
+      if (visible.length > 0) {
+        setMessages(prev => [
+          ...prev,
+          ...visible.filter(message => !prev.some(m => m.messageId === message.messageId)),
+        ]);
+        await messagingService.markGroupRead(selectedGroup.id);
+      }
+      
+      loadGroups();
+    });
+    
+    return removeListener;
+  }, [selectedGroup]);
+
+  // Load group channels once messaging has started
+  useEffect(() => {
+    if (isStarted) {
+      loadGroups();
+    }
+  }, [isStarted]);
+
+  // Track delivery acknowledgements for outgoing messages
+  useEffect(() => {
+    const removeListener = messagingService.addDeliveryListener(({ messageId, status }) => {
+      setDeliveryStatuses(prev => {
+        // Late 'delivered' ACKs must not hide a 'read' receipt
+        if (prev[messageId] === DELIVERY_STATUS.READ) return prev;
+        return { ...prev, [messageId]: status };
+      });
+    });
+    
+    return removeListener;
+  }, []);
+
   // Load messages when selected peer changes
   useEffect(() => {
     if (selectedPeer) {
@@ -178,6 +310,9 @@ const MessagingScreen = ({ navigation, route }) => {
       const history = bridgefyService.getMessageHistory(selectedPeer.id);
       setMessages(history);
       
+      // Let the peer know we've seen their messages
+      history.forEach(sendReadReceipt);
+      
       // Scroll to bottom
       setTimeout(() => {
         flatListRef.current?.scrollToEnd({ animated: true });
@@ -187,6 +322,28 @@ const MessagingScreen = ({ navigation, route }) => {
     }
   }, [selectedPeer]);
 
+  // Load messages when selected group changes
+  useEffect(() => {
+    if (!selectedGroup) return;
+    
+    const loadGroupMessages = async () => {
+      try {
+        setMessages(await messagingService.getGroupMessages(selectedGroup.id));
+        await messagingService.markGroupRead(selectedGroup.id);
+        loadGroups();
+        
+        // Scroll to bottom
+        setTimeout(() => {
+          flatListRef.current?.scrollToEnd({ animated: true });
+        }, 100);
+      } catch (error) {
+        console.error('Error loading group messages:', error);
+      }
+    };
+    
+    loadGroupMessages();
+  }, [selectedGroup]);
+
   // Handle SOS parameter if passed from HomeScreen
   useEffect(() => {
     if (route.params?.sendSOS && isStarted) {
@@ -194,6 +351,16 @@ const MessagingScreen = ({ navigation, route }) => {
     }
   }, [route.params, isStarted]);
 
+  // Send a read receipt for a message addressed to us
+  const sendReadReceipt = (message) => {
+    if (message.recipientId !== bridgefyService.userId) return;
+    if (readReceiptsRef.current.has(message.messageId)) return;
+    
+    readReceiptsRef.current.add(message.messageId);
+    messagingService.markMessageRead(message.senderId, message.messageId)
+      .catch(error => console.error('Error sending read receipt:', error));
+  };
+
   // Start Bridgefy service
   const startBridgefy = async () => {
     if (!initialized) {
@@ -227,6 +394,9 @@ const MessagingScreen = ({ navigation, route }) => {
         setIsStarted(true);
         console.log('Bridgefy started successfully');
         
+        // Let hikers nearby know we are here
+        await presenceService.start(username.trim());
+        
         // Send SOS if requested
         if (route.params?.sendSOS) {
           setTimeout(() => {
@@ -249,6 +419,7 @@ const MessagingScreen = ({ navigation, route }) => {
     if (!isStarted) return;
     
     try {
+      presenceService.stop();
       const success = await bridgefyService.stop();
       
       if (success) {
@@ -256,6 +427,7 @@ const MessagingScreen = ({ navigation, route }) => {
         setNearbyPeers([]);
         setConnectedPeers([]);
         setSelectedPeer(null);
+        setPeerPresence({});
         console.log('Bridgefy stopped successfully');
       }
     } catch (error) {
@@ -310,30 +482,64 @@ const MessagingScreen = ({ navigation, route }) => {
     }
   };
 
-  // Send a message to the selected peer
+  // Load group channels with their unread counts
+  const loadGroups = async () => {
+    try {
+      setGroups(await messagingService.getGroups());
+    } catch (error) {
+      console.error('Error loading groups:', error);
+    }
+  };
+
+  // Create a group channel with the currently connected hikers
+  const createGroup = async () => {
+    if (!groupName.trim()) return;
+    
+    if (connectedPeers.length === 0) {
+      Alert.alert('No Hikers Connected', 'Connect to the hikers you want in the group first.');
+      return;
+    }
+    
+    try {
+      const group = await messagingService.createGroup(groupName.trim(), connectedPeers);
+      setGroupName('');
+      await loadGroups();
+      setSelectedGroup(group);
+    } catch (error) {
+      console.error('Error creating group:', error);
+      Alert.alert('Error', 'Failed to create group');
+    }
+  };
+
+  // Leave the open chat and go back to the list
+  const closeChat = () => {
+    setSelectedPeer(null);
+    setSelectedGroup(null);
+  };
+
+  // Send a message to the selected peer or group
   const sendMessage = async () => {
-    if (!isStarted || !selectedPeer) {
-      Alert.alert('Error', 'No peer selected');
+    if (!isStarted || (!selectedPeer && !selectedGroup)) {
+      Alert.alert('Error', 'No chat selected');
       return;
     }
     
     if (!messageText.trim()) return;
     
+    const chatName = selectedGroup ? selectedGroup.name : selectedPeer.name;
+    
     try {
-      // Prepare the message
-      const message = {
-        type: MESSAGE_TYPES.TEXT,
-        content: messageText.trim(),
-      };
-      
-      // Send the message
-      const success = await bridgefyService.sendMessage(selectedPeer.id, message);
+      // Send through the messaging service so undeliverable messages
+      // are kept in the outbox and retried
+      const success = selectedGroup
+        ? await messagingService.sendGroupMessage(selectedGroup.id, messageText.trim())
+        : await messagingService.sendTextMessage(selectedPeer.id, messageText.trim());
+      setMessageText('');
       
       if (success) {
-        console.log(`Message sent to ${selectedPeer.name} (${selectedPeer.id})`);
-        setMessageText('');
+        console.log(`Message sent to ${chatName}`);
       } else {
-        Alert.alert('Error', 'Failed to send message');
+        console.log(`Message to ${chatName} queued for retry`);
       }
     } catch (error) {
       console.error('Error sending message:', error);
@@ -341,6 +547,16 @@ const MessagingScreen = ({ navigation, route }) => {
     }
   };
 
+  // Manually resend a message that ran out of retries
+  const resendMessage = async (messageId) => {
+    try {
+      await messagingService.resendMessage(messageId);
+    } catch (error) {
+      console.error('Error resending message:', error);
+      Alert.alert('Error', 'Failed to resend message');
+    }
+  };
+
   // Send location to the selected peer
   const sendLocation = async () => {
     if (!isStarted || !selectedPeer) {
@@ -382,11 +598,24 @@ const MessagingScreen = ({ navigation, route }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              const success = await bridgefyService.sendSOS('I need immediate assistance!');
+              const message = 'I need immediate assistance!';
+              const incident = await sosIncidentService.startIncident(message);
+              const { meshSent, cloudSent } = await messagingService.sendSOSMessage(message, incident.id);
               
-              if (success) {
+              if (meshSent || cloudSent) {
                 console.log('SOS message sent to all nearby hikers');
-                Alert.alert('SOS Sent', 'Emergency message has been broadcast to all nearby hikers');
+                await updatePresenceStatus(PRESENCE_STATUS.NEEDS_HELP);
+                Alert.alert(
+                  'SOS Sent',
+                  'Emergency message has been broadcast to all nearby hikers',
+                  [
+                    { text: 'OK' },
+                    {
+                      text: 'View Status',
+                      onPress: () => navigation.navigate('HomeTab', { screen: 'SOSStatus' }),
+                    },
+                  ]
+                );
               } else {
                 Alert.alert('Error', 'Failed to send SOS message');
               }
@@ -400,10 +629,24 @@ const MessagingScreen = ({ navigation, route }) => {
     );
   };
 
+  // Change the status advertised in our presence beacons
+  const updatePresenceStatus = async (status) => {
+    try {
+      await presenceService.setStatus(status);
+      setPresenceStatus(status);
+    } catch (error) {
+      console.error('Error updating presence status:', error);
+    }
+  };
+
   // Render message item
   const renderMessage = ({ item }) => {
-    const isIncoming = item.senderId !== bridgefyService.userId;
+    const isIncoming = item.senderId !== bridgefyService.userId &&
+      item.senderId !== messagingService.userId;
+    const deliveryStatus = deliveryStatuses[item.messageId] || DELIVERY_STATUS.PENDING;
     const isEmergency = item.isEmergency || item.type === MESSAGE_TYPES.SOS;
+    const verificationWarning = isIncoming &&
+      VERIFICATION_WARNINGS[item.verification || item.metadata?.verification];
     
     // Determine message container style
     const containerStyle = [
@@ -424,57 +667,92 @@ const MessagingScreen = ({ navigation, route }) => {
     
     // Render different message types
     let content;
-    switch (item.type) {
-      case MESSAGE_TYPES.TEXT:
-        content = (
-          <Text style={textStyle}>{item.content}</Text>
-        );
-        break;
+    if (item.metadata?.decryptionError) {
+      // Cloud messages we could not decrypt have no content to show
+      content = (
+        <Text style={[textStyle, styles.decryptionErrorText]}>🔒 Message could not be decrypted</Text>
+      );
+    } else {
+      switch (item.type) {
+        case MESSAGE_TYPES.TEXT:
+          content = (
+            <Text style={textStyle}>{item.content}</Text>
+          );
+          break;
         
-      case MESSAGE_TYPES.LOCATION:
-        content = (
-          <View>
-            <Text style={textStyle}>📍 Location Update</Text>
-            {item.content.latitude && item.content.longitude && (
-              <Text style={[textStyle, styles.locationText]}>
-                {item.content.latitude.toFixed(4)}, {item.content.longitude.toFixed(4)}
-              </Text>
-            )}
-          </View>
-        );
-        break;
+        case MESSAGE_TYPES.LOCATION:
+          content = (
+            <View>
+              <Text style={textStyle}>📍 Location Update</Text>
+              {item.content.latitude && item.content.longitude && (
+                <Text style={[textStyle, styles.locationText]}>
+                  {item.content.latitude.toFixed(4)}, {item.content.longitude.toFixed(4)}
+                </Text>
+              )}
+            </View>
+          );
+          break;
         
-      case MESSAGE_TYPES.SOS:
-        content = (
-          <View>
-            <Text style={[textStyle, styles.sosText]}>🆘 EMERGENCY SOS</Text>
-            {item.content.message && (
-              <Text style={textStyle}>{item.content.message}</Text>
-            )}
-            {item.content.latitude && item.content.longitude && (
-              <Text style={[textStyle, styles.locationText]}>
-                Location: {item.content.latitude.toFixed(4)}, {item.content.longitude.toFixed(4)}
-              </Text>
-            )}
-          </View>
-        );
-        break;
+        case MESSAGE_TYPES.SOS:
+          content = (
+            <View>
+              <Text style={[textStyle, styles.sosText]}>🆘 EMERGENCY SOS</Text>
+              {item.content.message && (
+                <Text style={textStyle}>{item.content.message}</Text>
+              )}
+              {item.content.latitude && item.content.longitude && (
+                <Text style={[textStyle, styles.locationText]}>
+                  Location: {item.content.latitude.toFixed(4)}, {item.content.longitude.toFixed(4)}
+                </Text>
+              )}
+              {item.content.tripPlan && (
+                <Text style={[textStyle, styles.locationText]}>
+                  Trip: {item.content.tripPlan.name || 'Hike'}
+                  {item.content.tripPlan.trailhead?.name ? ` from ${item.content.tripPlan.trailhead.name}` : ''}
+                  {item.content.tripPlan.route?.description ? `\nRoute: ${item.content.tripPlan.route.description}` : ''}
+                  {`\nBack by: ${new Date(item.content.tripPlan.expectedReturnAt).toLocaleString()}`}
+                </Text>
+              )}
+              {item.content.sosId && sosIncidentService.getIncident(item.content.sosId) && (
+                <TouchableOpacity
+                  onPress={() => navigation.navigate('HomeTab', { screen: 'SOSStatus' })}
+                >
+                  <Text style={[textStyle, styles.sosLinkText]}>
+                    {isIncoming ? 'Respond to this SOS' : 'View SOS status'}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          );
+          break;
         
-      case MESSAGE_TYPES.STATUS:
-        content = (
-          <View>
-            <Text style={textStyle}>{item.content.status}</Text>
-            {item.content.message && (
-              <Text style={textStyle}>{item.content.message}</Text>
-            )}
-          </View>
-        );
-        break;
+        case MESSAGE_TYPES.SOS_UPDATE:
+          content = (
+            <Text style={textStyle}>
+              SOS {SOS_UPDATE_LABELS[item.content.status] || item.content.status}
+              {item.content.eta
+                ? `, arriving ${new Date(item.content.eta).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                : ''}
+            </Text>
+          );
+          break;
         
-      default:
-        content = (
-          <Text style={textStyle}>{JSON.stringify(item.content)}</Text>
-        );
+        case MESSAGE_TYPES.STATUS:
+          content = (
+            <View>
+              <Text style={textStyle}>{item.content.status}</Text>
+              {item.content.message && (
+                <Text style={textStyle}>{item.content.message}</Text>
+              )}
+            </View>
+          );
+          break;
+        
+        default:
+          content = (
+            <Text style={textStyle}>{JSON.stringify(item.content)}</Text>
+          );
+      }
     }
     
     return (
@@ -486,20 +764,57 @@ const MessagingScreen = ({ navigation, route }) => {
           {isIncoming && (
             <Text style={styles.messageSender}>{item.senderName}</Text>
           )}
+          {verificationWarning && (
+            <Text style={styles.verificationWarning}>⚠️ {verificationWarning}</Text>
+          )}
           
           {content}
           
-          <Text style={styles.messageTimestamp}>{timestamp}</Text>
+          <Text style={styles.messageTimestamp}>
+            {timestamp}
+            {!isIncoming && ` · ${DELIVERY_LABELS[deliveryStatus]}`}
+          </Text>
+          
+          {!isIncoming && deliveryStatus === DELIVERY_STATUS.FAILED && (
+            <TouchableOpacity
+              style={styles.resendButton}
+              onPress={() => resendMessage(item.messageId)}
+            >
+              <Text style={styles.resendButtonText}>Tap to resend</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </View>
     );
   };
 
+  // Render group item
+  const renderGroup = ({ item }) => (
+    <TouchableOpacity
+      key={item.id}
+      style={styles.peerItem}
+      onPress={() => setSelectedGroup(item)}
+    >
+      <View style={styles.peerInfo}>
+        <Text style={styles.peerName}>{item.name}</Text>
+        <Text style={styles.peerStatus}>{item.members.length} members</Text>
+      </View>
+      
+      {item.unreadCount > 0 && (
+        <View style={styles.unreadBadge}>
+          <Text style={styles.unreadBadgeText}>{item.unreadCount}</Text>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+
   // Render peer item
   const renderPeer = ({ item }) => {
     const isConnected = item.connectionState === CONNECTION_STATE.CONNECTED;
     const isConnecting = item.connectionState === CONNECTION_STATE.CONNECTING;
     const isSelected = selectedPeer && selectedPeer.id === item.id;
+    const presence = peerPresence[item.id];
+    const needsHelp = presence && presence.status === PRESENCE_STATUS.NEEDS_HELP;
     
     return (
       <TouchableOpacity
@@ -518,7 +833,13 @@ const MessagingScreen = ({ navigation, route }) => {
         disabled={isConnecting}
       >
         <View style={styles.peerInfo}>
-          <Text style={styles.peerName}>{item.name}</Text>
+          <Text style={styles.peerName}>{presence?.displayName || item.name}</Text>
+          {needsHelp && (
+            <Text style={styles.needsHelpText}>Needs help</Text>
+          )}
+          {presence && formatPresence(presence) !== '' && (
+            <Text style={styles.peerPresence}>{formatPresence(presence)}</Text>
+          )}
           <View style={styles.peerStatusContainer}>
             <View 
               style={[
@@ -588,13 +909,15 @@ const MessagingScreen = ({ navigation, route }) => {
         <View style={styles.messagesContainer}>
           <View style={styles.header}>
             <Text style={styles.headerTitle}>
-              {selectedPeer ? `Chat with ${selectedPeer.name}` : 'Nearby Hikers'}
+              {selectedGroup
+                ? selectedGroup.name
+                : selectedPeer ? `Chat with ${selectedPeer.name}` : 'Nearby Hikers'}
             </Text>
             
-            {selectedPeer && (
+            {(selectedPeer || selectedGroup) && (
               <TouchableOpacity
                 style={styles.backButton}
-                onPress={() => setSelectedPeer(null)}
+                onPress={closeChat}
               >
                 <Text style={styles.backButtonText}>Back</Text>
               </TouchableOpacity>
@@ -608,8 +931,59 @@ const MessagingScreen = ({ navigation, route }) => {
             </TouchableOpacity>
           </View>
           
-          {!selectedPeer ? (
+          {!selectedPeer && !selectedGroup ? (
             <View style={styles.peerListContainer}>
+              <TouchableOpacity
+                style={styles.channelsButton}
+                onPress={() => navigation.navigate('TrailChannels')}
+              >
+                <Text style={styles.channelsButtonText}>Trail Channels</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={[styles.channelsButton, styles.diagnosticsButton]}
+                onPress={() => navigation.navigate('MeshDiagnostics')}
+              >
+                <Text style={styles.channelsButtonText}>Mesh Diagnostics</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity
+                style={[
+                  styles.channelsButton,
+                  presenceStatus === PRESENCE_STATUS.NEEDS_HELP ? styles.needsHelpButton : styles.statusOkButton
+                ]}
+                onPress={() => updatePresenceStatus(
+                  presenceStatus === PRESENCE_STATUS.NEEDS_HELP ? PRESENCE_STATUS.OK : PRESENCE_STATUS.NEEDS_HELP
+                )}
+              >
+                <Text style={styles.channelsButtonText}>
+                  {presenceStatus === PRESENCE_STATUS.NEEDS_HELP
+                    ? 'Status: Need help (tap when OK)'
+                    : 'Status: OK (tap if you need help)'}
+                </Text>
+              </TouchableOpacity>
+              
+              <Text style={styles.sectionTitle}>Groups ({groups.length})</Text>
+              
+              <View style={styles.newGroupRow}>
+                <TextInput
+                  style={styles.newGroupInput}
+                  placeholder="New group with connected hikers"
+                  value={groupName}
+                  onChangeText={setGroupName}
+                  maxLength={30}
+                />
+                <TouchableOpacity
+                  style={styles.newGroupButton}
+                  onPress={createGroup}
+                  disabled={!groupName.trim()}
+                >
+                  <Text style={styles.newGroupButtonText}>Create</Text>
+                </TouchableOpacity>
+              </View>
+              
+              {groups.map(group => renderGroup({ item: group }))}
+              
               <Text style={styles.sectionTitle}>Available Hikers ({nearbyPeers.length})</Text>
               
               {nearbyPeers.length === 0 ? (
@@ -639,12 +1013,14 @@ const MessagingScreen = ({ navigation, route }) => {
               />
               
               <View style={styles.inputRow}>
-                <TouchableOpacity
-                  style={styles.locationButton}
-                  onPress={sendLocation}
-                >
-                  <Text style={styles.locationButtonText}>📍</Text>
-                </TouchableOpacity>
+                {!selectedGroup && (
+                  <TouchableOpacity
+                    style={styles.locationButton}
+                    onPress={sendLocation}
+                  >
+                    <Text style={styles.locationButtonText}>📍</Text>
+                  </TouchableOpacity>
+                )}
                 
                 <TextInput
                   style={styles.messageInput}
@@ -818,6 +1194,17 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#7f8c8d',
   },
+  peerPresence: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginBottom: 5,
+  },
+  needsHelpText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#e74c3c',
+    marginBottom: 5,
+  },
   disconnectButton: {
     backgroundColor: '#e74c3c',
     paddingVertical: 5,
@@ -828,6 +1215,65 @@ const styles = StyleSheet.create({
     color: 'white',
     fontWeight: '500',
   },
+  channelsButton: {
+    backgroundColor: '#27ae60',
+    padding: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  channelsButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  diagnosticsButton: {
+    backgroundColor: '#7f8c8d',
+  },
+  statusOkButton: {
+    backgroundColor: '#27ae60',
+  },
+  needsHelpButton: {
+    backgroundColor: '#e74c3c',
+  },
+  newGroupRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  newGroupInput: {
+    flex: 1,
+    backgroundColor: 'white',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginRight: 10,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  newGroupButton: {
+    backgroundColor: '#3498db',
+    paddingVertical: 8,
+    paddingHorizontal: 15,
+    borderRadius: 10,
+  },
+  newGroupButtonText: {
+    color: 'white',
+    fontWeight: '500',
+  },
+  unreadBadge: {
+    minWidth: 24,
+    height: 24,
+    borderRadius: 12,
+    paddingHorizontal: 6,
+    backgroundColor: '#e74c3c',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  unreadBadgeText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
   emptyStateContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -904,12 +1350,40 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginTop: 5,
   },
+  sosLinkText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    textDecorationLine: 'underline',
+    marginTop: 5,
+  },
   messageTimestamp: {
     fontSize: 10,
     alignSelf: 'flex-end',
     marginTop: 5,
     opacity: 0.7,
   },
+  resendButton: {
+    alignSelf: 'flex-end',
+    marginTop: 5,
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+    borderRadius: 10,
+    backgroundColor: '#e74c3c',
+  },
+  resendButtonText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  verificationWarning: {
+    fontSize: 11,
+    color: '#e67e22',
+    fontStyle: 'italic',
+    marginBottom: 3,
+  },
+  decryptionErrorText: {
+    fontStyle: 'italic',
+  },
   inputRow: {
     flexDirection: 'row',
     alignItems: 'flex-end',
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   View, 
   Text, 
@@ -7,19 +7,91 @@ import {
   TouchableOpacity, 
   Switch, 
   ScrollView,
-  SafeAreaView
+  SafeAreaView,
+  Alert,
+  Share
 } from 'react-native';
+import emergencyContactsService from '../services/emergencyContactsService';
+import medicalProfileService, { MEDICAL_FIELDS } from '../services/medicalProfileService';
 
-const ProfileScreen = () => {
+// Examples shown in the empty medical fields
+const MEDICAL_PLACEHOLDERS = {
+  bloodType: 'e.g. O+',
+  allergies: 'e.g. Penicillin, bee stings',
+  medications: 'e.g. Insulin, 10 units twice a day',
+  conditions: 'e.g. Type 1 diabetes, asthma',
+  notes: 'e.g. Organ donor, contact lenses',
+};
+
+const ProfileScreen = ({ navigation }) => {
   const [name, setName] = useState('');
   const [bio, setBio] = useState('');
-  const [emergencyContact, setEmergencyContact] = useState('');
+  const [emergencyContacts, setEmergencyContacts] = useState(() => emergencyContactsService.getContacts());
   const [shareLocation, setShareLocation] = useState(true);
   const [isPublicProfile, setIsPublicProfile] = useState(true);
+  const [medical, setMedical] = useState(() => medicalProfileService.getProfile());
+  const [restoreKey, setRestoreKey] = useState('');
+
+  // Follow the emergency contacts, which are edited on their own screen
+  useEffect(() => {
+    return emergencyContactsService.addContactListener(setEmergencyContacts);
+  }, []);
 
-  const saveProfile = () => {
-    console.log('Profile saved:', { name, bio, emergencyContact, shareLocation, isPublicProfile });
+  // Change a field of the medical profile being edited
+  const setMedicalField = (key, value) => {
+    setMedical(current => ({ ...current, [key]: value }));
+  };
+
+  // Allow or stop sending a medical field with our SOS
+  const toggleSOSField = (key) => {
+    setMedical(current => ({
+      ...current,
+      sosFields: current.sosFields.includes(key)
+        ? current.sosFields.filter(field => field !== key)
+        : [...current.sosFields, key],
+    }));
+  };
+
+  // Show the key the cloud backup is encrypted with, which only the hiker holds
+  const showBackupKey = (backupKey) => {
+    Alert.alert(
+      'Your Backup Key',
+      'Your medical details are encrypted with this key before they are backed up, and nobody else has it. ' +
+      `Keep it somewhere safe: you need it to restore them on a new phone.\n\n${backupKey}`,
+      [
+        { text: 'Share', onPress: () => Share.share({ message: backupKey }) },
+        { text: 'OK' },
+      ]
+    );
+  };
+
+  const saveProfile = async () => {
+    console.log('Profile saved:', { name, bio, shareLocation, isPublicProfile });
     // Here we would save to Firebase in the future
+
+    try {
+      const saved = await medicalProfileService.saveProfile(medical);
+      setMedical(saved);
+      if (saved.cloudBackup && saved.backupKey !== medical.backupKey) {
+        showBackupKey(saved.backupKey);
+      } else {
+        Alert.alert('Profile Saved', 'Your medical details are saved on this phone.');
+      }
+    } catch (error) {
+      console.error('Error saving medical profile:', error);
+      Alert.alert('Error', `Failed to save your medical details: ${error.message}`);
+    }
+  };
+
+  const restoreMedicalProfile = async () => {
+    try {
+      setMedical(await medicalProfileService.restoreFromCloud(restoreKey));
+      setRestoreKey('');
+      Alert.alert('Profile Restored', 'Your medical details were restored from your cloud backup.');
+    } catch (error) {
+      console.error('Error restoring medical profile:', error);
+      Alert.alert('Error', `Failed to restore your medical details: ${error.message}`);
+    }
   };
 
   return (
@@ -55,15 +127,101 @@ const ProfileScreen = () => {
             numberOfLines={4}
           />
 
-          <Text style={styles.label}>Emergency Contact</Text>
+          <Text style={styles.label}>Emergency Contacts</Text>
+          <TouchableOpacity 
+            style={styles.contactsRow}
+            onPress={() => navigation.navigate('EmergencyContacts')}
+          >
+            <Text style={styles.contactsText} numberOfLines={1}>
+              {emergencyContacts.length > 0
+                ? emergencyContacts.map(contact => contact.name).join(', ')
+                : 'Nobody is alerted of your SOS yet'}
+            </Text>
+            <Text style={styles.manageText}>Manage</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.sectionTitle}>Medical & ICE Card</Text>
+          <Text style={styles.hintText}>
+            Shown on your ICE card for whoever finds you, even without a connection.
+            Switch on what may also go with your SOS, so responders know what to expect.
+          </Text>
+
+          <Text style={styles.label}>Name on ICE Card</Text>
           <TextInput
             style={styles.input}
-            placeholder="Phone number"
-            value={emergencyContact}
-            onChangeText={setEmergencyContact}
-            keyboardType="phone-pad"
+            placeholder="Your full name"
+            value={medical.name}
+            onChangeText={value => setMedicalField('name', value)}
           />
 
+          {MEDICAL_FIELDS.map(field => (
+            <View key={field.key}>
+              <View style={styles.medicalHeader}>
+                <Text style={styles.label}>{field.label}</Text>
+                <View style={styles.sosToggle}>
+                  <Text style={styles.sosToggleLabel}>Send with SOS</Text>
+                  <Switch
+                    value={medical.sosFields.includes(field.key)}
+                    onValueChange={() => toggleSOSField(field.key)}
+                    trackColor={{ false: "#767577", true: "#81b0ff" }}
+                    thumbColor={medical.sosFields.includes(field.key) ? "#e74c3c" : "#f4f3f4"}
+                  />
+                </View>
+              </View>
+              <TextInput
+                style={[styles.input, field.key !== 'bloodType' && styles.medicalInput]}
+                placeholder={MEDICAL_PLACEHOLDERS[field.key]}
+                value={medical[field.key]}
+                onChangeText={value => setMedicalField(field.key, value)}
+                multiline={field.key !== 'bloodType'}
+              />
+            </View>
+          ))}
+
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>Back Up Medical Details to Cloud</Text>
+            <Switch
+              value={medical.cloudBackup}
+              onValueChange={value => setMedicalField('cloudBackup', value)}
+              trackColor={{ false: "#767577", true: "#81b0ff" }}
+              thumbColor={medical.cloudBackup ? "#27ae60" : "#f4f3f4"}
+            />
+          </View>
+
+          {medical.cloudBackup && medical.backupKey ? (
+            <TouchableOpacity onPress={() => showBackupKey(medical.backupKey)}>
+              <Text style={styles.backupKeyText}>Show Backup Key</Text>
+            </TouchableOpacity>
+          ) : null}
+
+          {!medicalProfileService.hasProfile() ? (
+            <View>
+              <Text style={styles.label}>Restore From Cloud Backup</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Backup key from your old phone"
+                value={restoreKey}
+                onChangeText={setRestoreKey}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              <TouchableOpacity 
+                style={styles.restoreButton}
+                onPress={restoreMedicalProfile}
+                disabled={!restoreKey.trim()}
+              >
+                <Text style={styles.restoreButtonText}>Restore Medical Details</Text>
+              </TouchableOpacity>
+            </View>
+          ) : null}
+
+          <TouchableOpacity 
+            style={styles.iceButton}
+            onPress={() => navigation.navigate('ICECard')}
+          >
+            <Text style={styles.iceButtonText}>Show ICE Card</Text>
+          </TouchableOpacity>
+
           <View style={styles.switchRow}>
             <Text style={styles.switchLabel}>Share My Location</Text>
             <Switch
@@ -151,6 +309,85 @@ const styles = StyleSheet.create({
     borderColor: '#ddd',
     marginBottom: 15,
   },
+  contactsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginBottom: 15,
+  },
+  contactsText: {
+    flex: 1,
+    color: '#2c3e50',
+  },
+  manageText: {
+    color: '#3498db',
+    fontWeight: '500',
+    marginLeft: 10,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginTop: 10,
+    marginBottom: 5,
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginBottom: 15,
+  },
+  medicalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sosToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  sosToggleLabel: {
+    fontSize: 12,
+    color: '#7f8c8d',
+    marginRight: 5,
+  },
+  medicalInput: {
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+  backupKeyText: {
+    color: '#3498db',
+    fontWeight: '500',
+    marginBottom: 15,
+  },
+  restoreButton: {
+    padding: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#3498db',
+    marginBottom: 15,
+  },
+  restoreButtonText: {
+    color: '#3498db',
+    fontWeight: 'bold',
+  },
+  iceButton: {
+    padding: 15,
+    borderRadius: 8,
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: '#c0392b',
+    marginBottom: 15,
+  },
+  iceButtonText: {
+    color: '#c0392b',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
   bioInput: {
     height: 100,
     textAlignVertical: 'top',
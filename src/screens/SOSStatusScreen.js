@@ -0,0 +1,430 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import messagingService from '../services/messagingService';
+import bridgefyService from '../services/bridgefyService';
+import sosIncidentService, { SOS_STATUS } from '../services/sosIncidentService';
+import sosBeaconService from '../services/sosBeaconService';
+import medicalProfileService, { MEDICAL_FIELDS } from '../services/medicalProfileService';
+
+// How an SOS is described at each stage
+const STATUS_LABELS = {
+  [SOS_STATUS.ACTIVE]: 'Waiting for a responder',
+  [SOS_STATUS.ACKNOWLEDGED]: 'Seen by a responder',
+  [SOS_STATUS.EN_ROUTE]: 'Help is on the way',
+};
+
+// What a responder is doing
+const RESPONDER_LABELS = {
+  [SOS_STATUS.ACKNOWLEDGED]: 'has seen it',
+  [SOS_STATUS.EN_ROUTE]: 'is on the way',
+};
+
+// ETAs offered when heading out to help
+const ETA_OPTIONS = [15, 30, 60, 120];
+
+// Format an arrival time, e.g. "arriving in 25m"
+const formatEta = (eta) => {
+  const minutes = Math.round((new Date(eta).getTime() - Date.now()) / 60000);
+  if (minutes <= 0) return 'should be there now';
+  if (minutes < 60) return `arriving in ${minutes}m`;
+  return `arriving in ${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+// Format a timestamp as time elapsed since then
+const formatAge = (timestamp) => {
+  const minutes = Math.max(0, Math.round((Date.now() - new Date(timestamp).getTime()) / 60000));
+  if (minutes < 60) return `${minutes}m ago`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m ago`;
+};
+
+const SOSStatusScreen = ({ navigation }) => {
+  const [incidents, setIncidents] = useState(() => sosIncidentService.getActiveIncidents());
+  const [pin, setPin] = useState('');
+  const [beacon, setBeacon] = useState(() => sosBeaconService.getBeacon());
+  const [busyId, setBusyId] = useState(null);
+
+  // Follow changes to the incidents and the emergency mode beacon
+  useEffect(() => {
+    const removeIncidentListener = sosIncidentService.addIncidentListener(setIncidents);
+    const removeBeaconListener = sosBeaconService.addBeaconListener(setBeacon);
+
+    return () => {
+      removeIncidentListener();
+      removeBeaconListener();
+    };
+  }, []);
+
+  const userId = messagingService.userId || bridgefyService.userId;
+
+  // Run an action on an incident, reporting failures
+  const runAction = async (incident, action, failure) => {
+    setBusyId(incident.id);
+    try {
+      await action();
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      Alert.alert('Error', `${failure}: ${error.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Cancel our SOS as a false alarm
+  const cancelSOS = (incident) => {
+    Alert.alert(
+      'Cancel SOS',
+      'Tell everyone this was a false alarm?',
+      [
+        { text: 'Keep SOS', style: 'cancel' },
+        {
+          text: 'Cancel SOS',
+          style: 'destructive',
+          onPress: () => runAction(incident, async () => {
+            await sosIncidentService.cancel(incident.id, pin);
+            setPin('');
+          }, 'Failed to cancel the SOS'),
+        },
+      ]
+    );
+  };
+
+  // Mark an SOS as resolved
+  const resolveSOS = (incident) => {
+    Alert.alert(
+      'Resolve SOS',
+      incident.isOwn
+        ? 'Let everyone know you are safe now?'
+        : `Confirm that ${incident.ownerName || 'the hiker'} is safe?`,
+      [
+        { text: 'Not Yet', style: 'cancel' },
+        {
+          text: 'Resolve',
+          onPress: () => runAction(
+            incident,
+            () => sosIncidentService.resolve(incident.id),
+            'Failed to resolve the SOS'
+          ),
+        },
+      ]
+    );
+  };
+
+  // Render the responders of an incident
+  const renderResponders = (incident) => {
+    if (incident.responders.length === 0) {
+      return <Text style={styles.detailText}>No responders yet</Text>;
+    }
+
+    return incident.responders.map(responder => (
+      <Text key={responder.id} style={styles.detailText}>
+        {responder.id === userId ? 'You' : responder.name || responder.id}
+        {' '}
+        {RESPONDER_LABELS[responder.status]}
+        {responder.eta ? `, ${formatEta(responder.eta)}` : ''}
+      </Text>
+    ));
+  };
+
+  // Render our own SOS
+  const renderOwnIncident = (incident) => (
+    <View key={incident.id} style={[styles.card, styles.ownCard]}>
+      <Text style={styles.itemTitle}>Your SOS</Text>
+      <Text style={styles.statusText}>{STATUS_LABELS[incident.status]}</Text>
+      <Text style={styles.detailText}>Sent {formatAge(incident.createdAt)}</Text>
+      {beacon?.sosId === incident.id && (
+        <Text style={styles.detailText}>
+          Emergency mode: repeating every {Math.round(beacon.interval / 60000)} min
+          {beacon.lastBroadcastAt ? `, last sent ${formatAge(beacon.lastBroadcastAt)}` : ''}
+        </Text>
+      )}
+      {renderResponders(incident)}
+
+      <TouchableOpacity
+        style={styles.primaryButton}
+        onPress={() => resolveSOS(incident)}
+        disabled={busyId !== null}
+      >
+        {busyId === incident.id ? (
+          <ActivityIndicator color="white" />
+        ) : (
+          <Text style={styles.primaryButtonText}>I'm Safe Now</Text>
+        )}
+      </TouchableOpacity>
+
+      {sosIncidentService.hasCancelPin() ? (
+        <TextInput
+          style={styles.input}
+          value={pin}
+          onChangeText={setPin}
+          placeholder="Cancel PIN"
+          keyboardType="number-pad"
+          secureTextEntry
+          maxLength={8}
+        />
+      ) : (
+        <Text style={styles.hintText}>
+          Set a cancel PIN in Settings so nobody else can cancel your SOS.
+        </Text>
+      )}
+
+      <TouchableOpacity
+        style={styles.secondaryButton}
+        onPress={() => cancelSOS(incident)}
+        disabled={busyId !== null}
+      >
+        <Text style={styles.secondaryButtonText}>Cancel SOS (False Alarm)</Text>
+      </TouchableOpacity>
+
+      {medicalProfileService.hasProfile() && (
+        <TouchableOpacity
+          style={styles.secondaryButton}
+          onPress={() => navigation.navigate('ICECard')}
+        >
+          <Text style={styles.secondaryButtonText}>Show ICE Card</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  // Render another hiker's SOS
+  const renderIncident = (incident) => {
+    const ownResponse = incident.responders.find(responder => responder.id === userId);
+
+    return (
+      <View key={incident.id} style={styles.card}>
+        <Text style={styles.itemTitle}>{incident.ownerName || 'Unknown hiker'}</Text>
+        <Text style={[styles.statusText, styles.alertText]}>{STATUS_LABELS[incident.status]}</Text>
+        {incident.message && <Text style={styles.messageText}>{incident.message}</Text>}
+        {incident.location && (
+          <Text style={styles.detailText}>
+            At {incident.location.latitude.toFixed(4)}, {incident.location.longitude.toFixed(4)}
+          </Text>
+        )}
+        {incident.medical && MEDICAL_FIELDS.filter(field => incident.medical[field.key]).map(field => (
+          <Text key={field.key} style={styles.medicalText}>
+            {field.label}: {incident.medical[field.key]}
+          </Text>
+        ))}
+        <Text style={styles.detailText}>Sent {formatAge(incident.createdAt)}</Text>
+        {renderResponders(incident)}
+
+        {!ownResponse && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => runAction(
+              incident,
+              () => sosIncidentService.acknowledge(incident.id),
+              'Failed to acknowledge the SOS'
+            )}
+            disabled={busyId !== null}
+          >
+            <Text style={styles.actionButtonText}>Acknowledge</Text>
+          </TouchableOpacity>
+        )}
+
+        <Text style={styles.optionLabel}>
+          {ownResponse?.status === SOS_STATUS.EN_ROUTE ? 'Update my ETA' : "I'm on my way, arriving in"}
+        </Text>
+        <View style={styles.optionRow}>
+          {ETA_OPTIONS.map(minutes => (
+            <TouchableOpacity
+              key={minutes}
+              style={styles.optionButton}
+              onPress={() => runAction(
+                incident,
+                () => sosIncidentService.setEnRoute(incident.id, minutes),
+                'Failed to send your ETA'
+              )}
+              disabled={busyId !== null}
+            >
+              <Text style={styles.optionText}>
+                {minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {ownResponse && (
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={() => resolveSOS(incident)}
+            disabled={busyId !== null}
+          >
+            <Text style={styles.secondaryButtonText}>Hiker Is Safe - Resolve</Text>
+          </TouchableOpacity>
+        )}
+
+        {busyId === incident.id && <ActivityIndicator style={styles.busyIndicator} color="#e74c3c" />}
+      </View>
+    );
+  };
+
+  const own = incidents.filter(incident => incident.isOwn);
+  const others = incidents.filter(incident => !incident.isOwn);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {own.map(renderOwnIncident)}
+
+      <Text style={styles.sectionTitle}>Hikers Needing Help ({others.length})</Text>
+      {others.length === 0 ? (
+        <Text style={styles.emptyText}>No SOS from other hikers right now.</Text>
+      ) : (
+        others.map(renderIncident)
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  content: {
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginTop: 10,
+    marginBottom: 10,
+  },
+  card: {
+    backgroundColor: 'white',
+    padding: 12,
+    borderRadius: 10,
+    marginBottom: 10,
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 1,
+  },
+  ownCard: {
+    borderWidth: 2,
+    borderColor: '#e74c3c',
+  },
+  itemTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  statusText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#27ae60',
+    marginTop: 4,
+  },
+  alertText: {
+    color: '#e74c3c',
+  },
+  messageText: {
+    fontSize: 14,
+    color: '#2c3e50',
+    marginTop: 4,
+  },
+  detailText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  medicalText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#c0392b',
+    marginTop: 2,
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginTop: 10,
+  },
+  input: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    padding: 12,
+    fontSize: 16,
+    marginTop: 10,
+  },
+  optionLabel: {
+    fontSize: 14,
+    color: '#2c3e50',
+    marginTop: 10,
+    marginBottom: 6,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  optionButton: {
+    borderWidth: 1,
+    borderColor: '#3498db',
+    borderRadius: 20,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  optionText: {
+    color: '#3498db',
+    fontWeight: 'bold',
+  },
+  actionButton: {
+    backgroundColor: '#3498db',
+    padding: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  actionButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#27ae60',
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  secondaryButton: {
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 10,
+    borderWidth: 1,
+    borderColor: '#7f8c8d',
+  },
+  secondaryButtonText: {
+    color: '#2c3e50',
+    fontWeight: 'bold',
+  },
+  busyIndicator: {
+    marginTop: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#7f8c8d',
+    marginBottom: 10,
+  },
+});
+
+export default SOSStatusScreen;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { 
   View, 
   Text, 
@@ -7,23 +7,95 @@ import {
   Switch, 
   ScrollView,
   SafeAreaView,
+  TextInput,
   Alert
 } from 'react-native';
+import sosIncidentService from '../services/sosIncidentService';
+import sosService from '../services/sosService';
+import sosBeaconService from '../services/sosBeaconService';
 
-const SettingsScreen = () => {
+// Shakes needed to start the SOS countdown
+const SHAKE_COUNT_OPTIONS = [
+  { label: '1 shake', value: 1 },
+  { label: '2 shakes', value: 2 },
+  { label: '3 shakes', value: 3 },
+];
+
+// Seconds before the SOS is sent while moving
+const MOVING_COUNTDOWN_OPTIONS = [
+  { label: '5 s', value: 5 },
+  { label: '15 s', value: 15 },
+  { label: '30 s', value: 30 },
+];
+
+// Trigger log entries shown
+const AUDIT_ENTRIES_SHOWN = 10;
+
+// Describe an SOS audit log entry, e.g. "triggered by shake"
+const describeAuditEntry = (entry) => {
+  const event = entry.event.replace('_', ' ');
+  return entry.trigger ? `${event} by ${entry.trigger.replace('_', ' ')}` : event;
+};
+
+const SettingsScreen = ({ navigation }) => {
   const [locationSharing, setLocationSharing] = useState(true);
   const [bluetoothEnabled, setBluetoothEnabled] = useState(true);
   const [offlineMessaging, setOfflineMessaging] = useState(true);
   const [batteryOptimization, setBatteryOptimization] = useState(true);
   const [pushNotifications, setPushNotifications] = useState(true);
-  const [emergencyMode, setEmergencyMode] = useState(false);
+  const [emergencyMode, setEmergencyMode] = useState(() => sosBeaconService.isActive());
+  const [hasCancelPin, setHasCancelPin] = useState(() => sosIncidentService.hasCancelPin());
+  const [currentPin, setCurrentPin] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [triggerPolicy, setTriggerPolicy] = useState(() => sosService.getTriggerPolicy());
+  const [auditLog, setAuditLog] = useState([]);
+
+  // Emergency mode is on while the SOS beacon runs
+  useEffect(() => {
+    return sosBeaconService.addBeaconListener(beacon => setEmergencyMode(!!beacon));
+  }, []);
+
+  // Load the latest SOS triggers and cancels
+  const loadAuditLog = () => {
+    sosService.getAuditLog(AUDIT_ENTRIES_SHOWN)
+      .then(setAuditLog)
+      .catch(error => console.error('Error loading SOS trigger log:', error));
+  };
+
+  useEffect(loadAuditLog, []);
+
+  // Change how an SOS can be triggered
+  const updateTriggerPolicy = async (changes) => {
+    try {
+      setTriggerPolicy(await sosService.setTriggerPolicy(changes));
+    } catch (error) {
+      Alert.alert("Error", error.message);
+    }
+  };
+
+  // Render a row of selectable options
+  const renderOptions = (options, selected, onSelect) => (
+    <View style={styles.optionRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.value}
+          style={[styles.optionButton, selected === option.value && styles.selectedOption]}
+          onPress={() => onSelect(option.value)}
+        >
+          <Text style={[styles.optionText, selected === option.value && styles.selectedOptionText]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
 
   const toggleEmergencyMode = () => {
     if (!emergencyMode) {
       // Show confirmation before enabling emergency mode
       Alert.alert(
         "Enable Emergency Mode?",
-        "Emergency mode will broadcast your location continuously to nearby hikers and send your emergency contacts an alert if available.",
+        "Emergency mode will send an SOS and keep broadcasting it with your location to nearby hikers and the cloud, less often as your battery runs low. It stops only when the SOS is resolved or cancelled.",
         [
           {
             text: "Cancel",
@@ -31,13 +103,52 @@ const SettingsScreen = () => {
           },
           {
             text: "Enable", 
-            onPress: () => setEmergencyMode(true),
+            onPress: async () => {
+              try {
+                await sosBeaconService.start();
+              } catch (error) {
+                console.error('Error enabling emergency mode:', error);
+                Alert.alert("Error", `Failed to enable emergency mode: ${error.message}`);
+              }
+            },
             style: "destructive"
           }
         ]
       );
     } else {
-      setEmergencyMode(false);
+      // The beacon stops with the SOS, so that it can't be turned off by accident
+      Alert.alert(
+        "Emergency Mode Is On",
+        "Emergency mode stops when your SOS is resolved or cancelled.",
+        [
+          {
+            text: "Keep On",
+            style: "cancel"
+          },
+          {
+            text: "SOS Status",
+            onPress: () => navigation.navigate('HomeTab', { screen: 'SOSStatus' })
+          }
+        ]
+      );
+    }
+  };
+
+  // Set or change the PIN needed to cancel an SOS
+  const saveCancelPin = async () => {
+    try {
+      const saved = await sosIncidentService.setCancelPin(newPin, currentPin);
+      if (!saved) {
+        Alert.alert("Error", "Failed to save the cancel PIN");
+        return;
+      }
+
+      setHasCancelPin(true);
+      setCurrentPin('');
+      setNewPin('');
+      Alert.alert("PIN Saved", "You will need this PIN to cancel an SOS as a false alarm.");
+    } catch (error) {
+      Alert.alert("Error", error.message);
     }
   };
 
@@ -146,7 +257,7 @@ const SettingsScreen = () => {
           <View style={styles.settingRow}>
             <View style={styles.settingInfo}>
               <Text style={styles.settingLabel}>Emergency Mode</Text>
-              <Text style={styles.settingDescription}>Broadcast continuous emergency signal</Text>
+              <Text style={styles.settingDescription}>Keep broadcasting an SOS with your location</Text>
             </View>
             <Switch
               value={emergencyMode}
@@ -156,9 +267,111 @@ const SettingsScreen = () => {
             />
           </View>
           
+          <View style={styles.settingRow}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingLabel}>Shake to Send SOS</Text>
+              <Text style={styles.settingDescription}>
+                Turn off if your phone gets shaken in your backpack
+              </Text>
+            </View>
+            <Switch
+              value={triggerPolicy.shakeEnabled}
+              onValueChange={shakeEnabled => updateTriggerPolicy({ shakeEnabled })}
+              trackColor={{ false: "#767577", true: "#81b0ff" }}
+              thumbColor={triggerPolicy.shakeEnabled ? "#27ae60" : "#f4f3f4"}
+            />
+          </View>
+          
+          {triggerPolicy.shakeEnabled && (
+            <View style={styles.subSection}>
+              <Text style={styles.settingDescription}>
+                Shakes needed within {triggerPolicy.shakeWindow} seconds
+              </Text>
+              {renderOptions(SHAKE_COUNT_OPTIONS, triggerPolicy.shakeCount,
+                shakeCount => updateTriggerPolicy({ shakeCount }))}
+            </View>
+          )}
+          
+          <View style={styles.settingRow}>
+            <View style={styles.settingInfo}>
+              <Text style={styles.settingLabel}>Volume Buttons</Text>
+              <Text style={styles.settingDescription}>
+                Press {triggerPolicy.volumeSequence.join(', ')} within {triggerPolicy.volumeWindow} seconds to start the SOS countdown
+              </Text>
+            </View>
+            <Switch
+              value={triggerPolicy.volumeEnabled}
+              onValueChange={volumeEnabled => updateTriggerPolicy({ volumeEnabled })}
+              trackColor={{ false: "#767577", true: "#81b0ff" }}
+              thumbColor={triggerPolicy.volumeEnabled ? "#27ae60" : "#f4f3f4"}
+            />
+          </View>
+          
+          <View style={styles.subSection}>
+            <Text style={styles.settingLabel}>Countdown While Moving</Text>
+            <Text style={styles.settingDescription}>
+              Time to cancel an SOS triggered while walking, instead of {triggerPolicy.countdown} seconds
+            </Text>
+            {renderOptions(MOVING_COUNTDOWN_OPTIONS, triggerPolicy.movingCountdown,
+              movingCountdown => updateTriggerPolicy({ movingCountdown }))}
+          </View>
+          
+          <View style={styles.subSection}>
+            <Text style={styles.settingLabel}>SOS Cancel PIN</Text>
+            <Text style={styles.settingDescription}>
+              {hasCancelPin
+                ? "Needed to cancel your SOS as a false alarm"
+                : "Set a PIN so nobody else can cancel your SOS"}
+            </Text>
+            {hasCancelPin && (
+              <TextInput
+                style={styles.input}
+                value={currentPin}
+                onChangeText={setCurrentPin}
+                placeholder="Current PIN"
+                keyboardType="number-pad"
+                secureTextEntry
+                maxLength={8}
+              />
+            )}
+            <TextInput
+              style={styles.input}
+              value={newPin}
+              onChangeText={setNewPin}
+              placeholder="New PIN (4-8 digits)"
+              keyboardType="number-pad"
+              secureTextEntry
+              maxLength={8}
+            />
+            <TouchableOpacity 
+              style={styles.accountButton}
+              onPress={saveCancelPin}
+            >
+              <Text style={styles.buttonText}>{hasCancelPin ? "Change PIN" : "Set PIN"}</Text>
+            </TouchableOpacity>
+          </View>
+          
+          <View style={styles.subSection}>
+            <View style={styles.logHeader}>
+              <Text style={styles.settingLabel}>SOS Trigger Log</Text>
+              <TouchableOpacity onPress={loadAuditLog}>
+                <Text style={styles.linkText}>Refresh</Text>
+              </TouchableOpacity>
+            </View>
+            {auditLog.length === 0 ? (
+              <Text style={styles.settingDescription}>No SOS triggered yet</Text>
+            ) : (
+              auditLog.map(entry => (
+                <Text key={entry.id} style={styles.settingDescription}>
+                  {new Date(entry.createdAt).toLocaleString()} - {describeAuditEntry(entry)}
+                </Text>
+              ))
+            )}
+          </View>
+          
           <TouchableOpacity 
             style={styles.emergencyButton}
-            onPress={() => console.log("Emergency contacts")}
+            onPress={() => navigation.navigate('EmergencyContacts')}
           >
             <Text style={styles.buttonText}>Manage Emergency Contacts</Text>
           </TouchableOpacity>
@@ -233,6 +446,52 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#7f8c8d',
   },
+  subSection: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+    marginTop: 10,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  optionButton: {
+    borderWidth: 1,
+    borderColor: '#3498db',
+    borderRadius: 20,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  selectedOption: {
+    backgroundColor: '#3498db',
+  },
+  optionText: {
+    color: '#3498db',
+    fontWeight: 'bold',
+  },
+  selectedOptionText: {
+    color: 'white',
+  },
+  logHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  linkText: {
+    color: '#3498db',
+    fontWeight: '500',
+  },
   emergencyButton: {
     backgroundColor: '#e74c3c',
     padding: 15,
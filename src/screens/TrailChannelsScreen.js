@@ -0,0 +1,335 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TextInput,
+  TouchableOpacity,
+  Switch,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import messagingService from '../services/messagingService';
+
+const TrailChannelsScreen = () => {
+  const [channels, setChannels] = useState([]);
+  const [selectedChannel, setSelectedChannel] = useState(null);
+  const [posts, setPosts] = useState([]);
+  const [postText, setPostText] = useState('');
+  const [isPosting, setIsPosting] = useState(false);
+
+  // Load the channel list with subscription state
+  useEffect(() => {
+    setChannels(messagingService.getTrailChannels());
+  }, []);
+
+  // Load posts when the selected channel changes
+  useEffect(() => {
+    if (!selectedChannel) {
+      setPosts([]);
+      return;
+    }
+
+    const loadPosts = async () => {
+      try {
+        setPosts(await messagingService.getChannelPosts(selectedChannel.id));
+      } catch (error) {
+        console.error('Error loading channel posts:', error);
+      }
+    };
+
+    loadPosts();
+  }, [selectedChannel]);
+
+  // Show new posts on the open channel
+  useEffect(() => {
+    if (!selectedChannel) return;
+
+    const removeListener = messagingService.addChannelListener((newPosts) => {
+      const channelPosts = newPosts.filter(post => post.channelId === selectedChannel.id);
+      if (channelPosts.length === 0) return;
+
+      setPosts(prev => [
+        ...channelPosts.filter(post => !prev.some(p => p.postId === post.postId)),
+        ...prev,
+      ]);
+    });
+
+    return removeListener;
+  }, [selectedChannel]);
+
+  // Opt in to or out of a channel
+  const toggleSubscription = async (channel) => {
+    try {
+      const success = channel.isSubscribed
+        ? await messagingService.unsubscribeFromChannel(channel.id)
+        : await messagingService.subscribeToChannel(channel.id);
+
+      if (!success) {
+        Alert.alert('Error', 'Failed to update channel subscription');
+      }
+
+      setChannels(messagingService.getTrailChannels());
+    } catch (error) {
+      console.error('Error updating channel subscription:', error);
+      Alert.alert('Error', 'Start messaging before joining trail channels');
+    }
+  };
+
+  // Post to the open channel
+  const submitPost = async () => {
+    if (!postText.trim() || !selectedChannel) return;
+
+    setIsPosting(true);
+    try {
+      const sent = await messagingService.postToChannel(selectedChannel.id, postText.trim());
+      setPostText('');
+
+      if (!sent) {
+        console.log(`Post to ${selectedChannel.name} saved, will be shared when hikers are in range`);
+      }
+    } catch (error) {
+      console.error('Error posting to channel:', error);
+      Alert.alert('Error', 'Failed to post. Make sure location is available.');
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  // Render channel item
+  const renderChannel = ({ item }) => (
+    <TouchableOpacity
+      style={styles.channelItem}
+      onPress={() => item.isSubscribed && setSelectedChannel(item)}
+      disabled={!item.isSubscribed}
+    >
+      <View style={styles.channelInfo}>
+        <Text style={styles.channelName}>{item.name}</Text>
+        <Text style={styles.channelRadius}>
+          Posts within {(item.radius / 1000).toFixed(0)} km
+        </Text>
+      </View>
+
+      <Switch
+        value={item.isSubscribed}
+        onValueChange={() => toggleSubscription(item)}
+        trackColor={{ false: '#767577', true: '#81b0ff' }}
+        thumbColor={item.isSubscribed ? '#27ae60' : '#f4f3f4'}
+      />
+    </TouchableOpacity>
+  );
+
+  // Render post item
+  const renderPost = ({ item }) => {
+    const isOutgoing = item.senderId === item.localUserId;
+
+    return (
+      <View style={[styles.postItem, isOutgoing && styles.outgoingPost]}>
+        <Text style={styles.postSender}>{isOutgoing ? 'You' : item.senderName}</Text>
+        <Text style={styles.postText}>{item.content}</Text>
+        <Text style={styles.postTime}>{new Date(item.timestamp).toLocaleString()}</Text>
+      </View>
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      keyboardVerticalOffset={Platform.OS === 'ios' ? 90 : 0}
+    >
+      {!selectedChannel ? (
+        <View style={styles.listContainer}>
+          <Text style={styles.sectionTitle}>Trail Channels</Text>
+          <Text style={styles.sectionSubtitle}>
+            Join a channel to see posts from hikers around you and share your own.
+          </Text>
+
+          <FlatList
+            data={channels}
+            renderItem={renderChannel}
+            keyExtractor={(item) => item.id}
+          />
+        </View>
+      ) : (
+        <View style={styles.channelContainer}>
+          <View style={styles.header}>
+            <Text style={styles.headerTitle}>{selectedChannel.name}</Text>
+            <TouchableOpacity onPress={() => setSelectedChannel(null)}>
+              <Text style={styles.backButtonText}>Back</Text>
+            </TouchableOpacity>
+          </View>
+
+          {posts.length === 0 ? (
+            <View style={styles.emptyStateContainer}>
+              <Text style={styles.emptyStateText}>No posts in this area yet.</Text>
+            </View>
+          ) : (
+            <FlatList
+              data={posts}
+              renderItem={renderPost}
+              keyExtractor={(item) => item.postId}
+              contentContainerStyle={styles.postList}
+            />
+          )}
+
+          <View style={styles.inputRow}>
+            <TextInput
+              style={styles.postInput}
+              placeholder={`Post to ${selectedChannel.name}...`}
+              value={postText}
+              onChangeText={setPostText}
+              multiline
+            />
+
+            <TouchableOpacity
+              style={styles.postButton}
+              onPress={submitPost}
+              disabled={isPosting || !postText.trim()}
+            >
+              <Text style={styles.postButtonText}>Post</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  listContainer: {
+    flex: 1,
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 5,
+  },
+  sectionSubtitle: {
+    fontSize: 14,
+    color: '#7f8c8d',
+    marginBottom: 15,
+  },
+  channelItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: 'white',
+    padding: 15,
+    borderRadius: 10,
+    marginBottom: 10,
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 1,
+  },
+  channelInfo: {
+    flex: 1,
+  },
+  channelName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  channelRadius: {
+    fontSize: 14,
+    color: '#7f8c8d',
+    marginTop: 3,
+  },
+  channelContainer: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 15,
+    backgroundColor: '#2c3e50',
+  },
+  headerTitle: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+    flex: 1,
+  },
+  backButtonText: {
+    color: '#27ae60',
+    fontWeight: 'bold',
+  },
+  postList: {
+    padding: 15,
+  },
+  postItem: {
+    backgroundColor: 'white',
+    padding: 12,
+    borderRadius: 10,
+    marginBottom: 10,
+  },
+  outgoingPost: {
+    backgroundColor: '#e8f8ef',
+  },
+  postSender: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginBottom: 3,
+  },
+  postText: {
+    fontSize: 16,
+    color: '#2c3e50',
+  },
+  postTime: {
+    fontSize: 12,
+    color: '#95a5a6',
+    marginTop: 5,
+  },
+  emptyStateContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#7f8c8d',
+    textAlign: 'center',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 10,
+    backgroundColor: 'white',
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  postInput: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+    borderRadius: 20,
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    maxHeight: 100,
+  },
+  postButton: {
+    backgroundColor: '#27ae60',
+    paddingVertical: 10,
+    paddingHorizontal: 15,
+    borderRadius: 20,
+    marginLeft: 10,
+  },
+  postButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default TrailChannelsScreen;
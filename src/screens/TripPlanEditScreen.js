@@ -0,0 +1,522 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import bridgefyService from '../services/bridgefyService';
+import messagingService from '../services/messagingService';
+import locationService from '../services/locationService';
+import checkInService from '../services/checkInService';
+import tripPlanService, {
+  TRIP_STATUS,
+  CONTACT_TYPE,
+  DEFAULT_CHECK_IN_INTERVAL,
+} from '../services/tripPlanService';
+
+// When the trip starts
+const START_OPTIONS = [
+  { label: 'Now', value: 0 },
+  { label: 'In 1 hour', value: 60 * 60 * 1000 },
+  { label: 'In 3 hours', value: 3 * 60 * 60 * 1000 },
+  { label: 'Tomorrow', value: 24 * 60 * 60 * 1000 },
+];
+
+// How long after the start the hiker expects to be back
+const DURATION_OPTIONS = [
+  { label: '2 hours', value: 2 * 60 * 60 * 1000 },
+  { label: '4 hours', value: 4 * 60 * 60 * 1000 },
+  { label: '8 hours', value: 8 * 60 * 60 * 1000 },
+  { label: '12 hours', value: 12 * 60 * 60 * 1000 },
+  { label: '24 hours', value: 24 * 60 * 60 * 1000 },
+];
+
+// Time allowed between check-ins
+const INTERVAL_OPTIONS = [
+  { label: '30 min', value: 30 * 60 * 1000 },
+  { label: '1 hour', value: DEFAULT_CHECK_IN_INTERVAL },
+  { label: '2 hours', value: 2 * 60 * 60 * 1000 },
+  { label: '4 hours', value: 4 * 60 * 60 * 1000 },
+];
+
+// Format a timestamp as a day and time
+const formatDateTime = (timestamp) => {
+  return new Date(timestamp).toLocaleString([], {
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const TripPlanEditScreen = ({ navigation, route }) => {
+  const plan = route.params?.planId ? tripPlanService.getPlan(route.params.planId) : null;
+  const isRunning = !!plan && plan.status !== TRIP_STATUS.PLANNED;
+
+  const [name, setName] = useState(plan?.name || '');
+  const [trailheadName, setTrailheadName] = useState(plan?.trailhead?.name || '');
+  const [trailheadPosition, setTrailheadPosition] = useState(
+    plan?.trailhead?.latitude !== undefined && plan?.trailhead?.latitude !== null
+      ? { latitude: plan.trailhead.latitude, longitude: plan.trailhead.longitude }
+      : null
+  );
+  const [routeDescription, setRouteDescription] = useState(plan?.route?.description || '');
+  const [waypoints, setWaypoints] = useState(plan?.route?.waypoints || []);
+  const [party, setParty] = useState((plan?.partyMembers || []).join(', '));
+  const [vehicle, setVehicle] = useState(plan?.vehicle || '');
+  const [gear, setGear] = useState(plan?.gear || '');
+  const [startIn, setStartIn] = useState(plan ? null : 0);
+  const [duration, setDuration] = useState(plan ? null : DURATION_OPTIONS[1].value);
+  const [checkInInterval, setCheckInInterval] = useState(
+    plan?.checkInInterval || DEFAULT_CHECK_IN_INTERVAL
+  );
+  const [contacts, setContacts] = useState(plan?.contacts || []);
+  const [groups, setGroups] = useState([]);
+  const [peers, setPeers] = useState([]);
+  const [isBusy, setIsBusy] = useState(false);
+
+  // Load who the plan can be shared with
+  useEffect(() => {
+    const loadContacts = async () => {
+      try {
+        setGroups(await messagingService.getGroups());
+      } catch (error) {
+        console.error('Error loading groups:', error);
+      }
+      setPeers(bridgefyService.getAvailablePeers());
+    };
+
+    loadContacts();
+  }, []);
+
+  // Add or remove a contact
+  const toggleContact = (contact) => {
+    setContacts(current =>
+      current.some(c => c.id === contact.id)
+        ? current.filter(c => c.id !== contact.id)
+        : [...current, contact]
+    );
+  };
+
+  // Get our position, for the trailhead or a waypoint
+  const getPosition = async () => {
+    try {
+      const location = await locationService.getCurrentLocation();
+      return { latitude: location.latitude, longitude: location.longitude };
+    } catch (error) {
+      console.error('Error getting location:', error);
+      Alert.alert('Error', 'Could not get your current location');
+      return null;
+    }
+  };
+
+  // Set the trailhead to where we are
+  const useCurrentTrailhead = async () => {
+    const position = await getPosition();
+    if (position) {
+      setTrailheadPosition(position);
+    }
+  };
+
+  // Add where we are to the route
+  const addWaypoint = async () => {
+    const position = await getPosition();
+    if (position) {
+      setWaypoints(current => [...current, position]);
+    }
+  };
+
+  // Collect the edited fields
+  const getChanges = () => {
+    const changes = {
+      name: name.trim() || null,
+      trailhead: trailheadName.trim() || trailheadPosition
+        ? { name: trailheadName.trim() || null, ...trailheadPosition }
+        : null,
+      route: routeDescription.trim() || waypoints.length > 0
+        ? { description: routeDescription.trim() || null, waypoints }
+        : null,
+      partyMembers: party.split(',').map(member => member.trim()).filter(Boolean),
+      vehicle: vehicle.trim() || null,
+      gear: gear.trim() || null,
+      contacts,
+    };
+
+    // A running trip keeps its times; check-ins move them
+    if (!isRunning) {
+      const startedAt = startIn !== null
+        ? Date.now() + startIn
+        : new Date(plan.startedAt).getTime();
+      const tripDuration = duration !== null
+        ? duration
+        : new Date(plan.expectedReturnAt).getTime() - new Date(plan.startedAt).getTime();
+
+      changes.startedAt = new Date(startedAt).toISOString();
+      changes.expectedReturnAt = new Date(startedAt + tripDuration).toISOString();
+      changes.checkInInterval = checkInInterval;
+    }
+
+    return changes;
+  };
+
+  // Save the plan, then optionally start it
+  const savePlan = async (start = false) => {
+    setIsBusy(true);
+    try {
+      const saved = await tripPlanService.savePlan({ id: plan?.id, ...getChanges() });
+
+      if (start) {
+        await checkInService.startTrip({
+          id: saved.id,
+          expectedReturnAt: new Date(
+            Date.now() +
+            new Date(saved.expectedReturnAt).getTime() -
+            new Date(saved.startedAt).getTime()
+          ),
+        });
+      }
+
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error saving trip plan:', error);
+      Alert.alert('Error', `Failed to save the trip plan: ${error.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // Save the plan and share it with the selected contacts
+  const sharePlan = async () => {
+    setIsBusy(true);
+    try {
+      const saved = await tripPlanService.savePlan({ id: plan?.id, ...getChanges() });
+      const sentIds = await tripPlanService.sharePlan(saved.id, contacts);
+      Alert.alert(
+        'Trip Plan Shared',
+        `Your trip plan was sent to ${sentIds.length} of ${contacts.length} contacts.`
+      );
+      navigation.setParams({ planId: saved.id });
+    } catch (error) {
+      console.error('Error sharing trip plan:', error);
+      Alert.alert('Error', `Failed to share the trip plan: ${error.message}`);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // Render a row of selectable options
+  const renderOptions = (options, selected, onSelect) => (
+    <View style={styles.optionRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={option.value}
+          style={[styles.optionButton, selected === option.value && styles.selectedOption]}
+          onPress={() => onSelect(option.value)}
+        >
+          <Text
+            style={[styles.optionText, selected === option.value && styles.selectedOptionText]}
+          >
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const candidates = [
+    ...groups.map(group => ({ type: CONTACT_TYPE.GROUP, id: group.id, name: group.name })),
+    ...peers.map(peer => ({ type: CONTACT_TYPE.PEER, id: peer.id, name: peer.name })),
+    // Keep contacts chosen earlier that are out of range now
+    ...contacts.filter(contact =>
+      !groups.some(group => group.id === contact.id) &&
+      !peers.some(peer => peer.id === contact.id)
+    ),
+  ];
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.sectionTitle}>Trip</Text>
+      <TextInput
+        style={styles.input}
+        value={name}
+        onChangeText={setName}
+        placeholder="Name, e.g. Eagle Peak loop"
+      />
+
+      <Text style={styles.sectionTitle}>Trailhead</Text>
+      <TextInput
+        style={styles.input}
+        value={trailheadName}
+        onChangeText={setTrailheadName}
+        placeholder="Trailhead or parking area"
+      />
+      <View style={styles.inlineRow}>
+        <Text style={styles.detailText}>
+          {trailheadPosition
+            ? `${trailheadPosition.latitude.toFixed(4)}, ${trailheadPosition.longitude.toFixed(4)}`
+            : 'No position set'}
+        </Text>
+        <TouchableOpacity style={styles.smallButton} onPress={useCurrentTrailhead}>
+          <Text style={styles.smallButtonText}>Use My Location</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.sectionTitle}>Planned Route</Text>
+      <TextInput
+        style={[styles.input, styles.multilineInput]}
+        value={routeDescription}
+        onChangeText={setRouteDescription}
+        placeholder="Trails, junctions, summits and bail-out options"
+        multiline
+      />
+      <View style={styles.inlineRow}>
+        <Text style={styles.detailText}>{waypoints.length} waypoints</Text>
+        <TouchableOpacity style={styles.smallButton} onPress={addWaypoint}>
+          <Text style={styles.smallButtonText}>Add My Location</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.sectionTitle}>Party</Text>
+      <TextInput
+        style={styles.input}
+        value={party}
+        onChangeText={setParty}
+        placeholder="Names, separated by commas"
+      />
+
+      <Text style={styles.sectionTitle}>Vehicle</Text>
+      <TextInput
+        style={styles.input}
+        value={vehicle}
+        onChangeText={setVehicle}
+        placeholder="Make, color and plate"
+      />
+
+      <Text style={styles.sectionTitle}>Gear</Text>
+      <TextInput
+        style={[styles.input, styles.multilineInput]}
+        value={gear}
+        onChangeText={setGear}
+        placeholder="Tent color, stove, beacon, first aid..."
+        multiline
+      />
+
+      {isRunning ? (
+        <Text style={styles.detailText}>
+          Started {formatDateTime(plan.startedAt)}, back by {formatDateTime(plan.expectedReturnAt)}
+        </Text>
+      ) : (
+        <>
+          <Text style={styles.sectionTitle}>Start</Text>
+          {plan && startIn === null && (
+            <Text style={styles.detailText}>{formatDateTime(plan.startedAt)}</Text>
+          )}
+          {renderOptions(START_OPTIONS, startIn, setStartIn)}
+
+          <Text style={styles.sectionTitle}>Back Within</Text>
+          {plan && duration === null && (
+            <Text style={styles.detailText}>Back by {formatDateTime(plan.expectedReturnAt)}</Text>
+          )}
+          {renderOptions(DURATION_OPTIONS, duration, setDuration)}
+
+          <Text style={styles.sectionTitle}>Check In Every</Text>
+          {renderOptions(INTERVAL_OPTIONS, checkInInterval, setCheckInInterval)}
+        </>
+      )}
+
+      <Text style={styles.sectionTitle}>Contacts</Text>
+      <Text style={styles.detailText}>
+        Contacts are alerted if you miss a check-in, and receive the plan when you share it.
+      </Text>
+      {candidates.length === 0 ? (
+        <Text style={styles.emptyText}>
+          Create a group or start offline messaging to find contacts.
+        </Text>
+      ) : (
+        candidates.map(contact => {
+          const isSelected = contacts.some(c => c.id === contact.id);
+          return (
+            <TouchableOpacity
+              key={contact.id}
+              style={[styles.card, isSelected && styles.selectedCard]}
+              onPress={() => toggleContact(contact)}
+            >
+              <Text style={styles.itemTitle}>{contact.name || contact.id}</Text>
+              <Text style={styles.detailText}>
+                {contact.type === CONTACT_TYPE.GROUP ? 'Group' : 'Hiker'}
+                {plan?.sharedWith?.some(shared => shared.id === contact.id) ? ' - plan shared' : ''}
+              </Text>
+            </TouchableOpacity>
+          );
+        })
+      )}
+
+      {isBusy ? (
+        <ActivityIndicator style={styles.busyIndicator} size="large" color="#27ae60" />
+      ) : (
+        <>
+          <TouchableOpacity style={styles.primaryButton} onPress={() => savePlan(false)}>
+            <Text style={styles.primaryButtonText}>Save Plan</Text>
+          </TouchableOpacity>
+
+          {!isRunning && (
+            <TouchableOpacity
+              style={[styles.primaryButton, contacts.length === 0 && styles.disabledButton]}
+              onPress={() => savePlan(true)}
+              disabled={contacts.length === 0}
+            >
+              <Text style={styles.primaryButtonText}>Save and Start Trip Now</Text>
+            </TouchableOpacity>
+          )}
+
+          <TouchableOpacity
+            style={[styles.secondaryButton, contacts.length === 0 && styles.disabledSecondary]}
+            onPress={sharePlan}
+            disabled={contacts.length === 0}
+          >
+            <Text style={styles.secondaryButtonText}>Share Plan With Contacts</Text>
+          </TouchableOpacity>
+        </>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  content: {
+    padding: 15,
+    paddingBottom: 40,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginTop: 10,
+    marginBottom: 10,
+  },
+  input: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 10,
+    padding: 12,
+    fontSize: 16,
+  },
+  multilineInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  inlineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  smallButton: {
+    backgroundColor: '#3498db',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 20,
+  },
+  smallButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  card: {
+    backgroundColor: 'white',
+    padding: 12,
+    borderRadius: 10,
+    marginTop: 10,
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 1,
+  },
+  selectedCard: {
+    borderWidth: 2,
+    borderColor: '#27ae60',
+  },
+  itemTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  detailText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  optionButton: {
+    borderWidth: 1,
+    borderColor: '#3498db',
+    borderRadius: 20,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedOption: {
+    backgroundColor: '#3498db',
+  },
+  optionText: {
+    color: '#3498db',
+    fontWeight: 'bold',
+  },
+  selectedOptionText: {
+    color: 'white',
+  },
+  primaryButton: {
+    backgroundColor: '#27ae60',
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  disabledButton: {
+    backgroundColor: '#95a5a6',
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  secondaryButton: {
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 10,
+    borderWidth: 1,
+    borderColor: '#3498db',
+  },
+  disabledSecondary: {
+    borderColor: '#95a5a6',
+  },
+  secondaryButtonText: {
+    color: '#3498db',
+    fontWeight: 'bold',
+  },
+  busyIndicator: {
+    marginTop: 20,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#7f8c8d',
+    marginTop: 10,
+  },
+});
+
+export default TripPlanEditScreen;
@@ -0,0 +1,322 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import checkInService from '../services/checkInService';
+import tripPlanService, { TRIP_STATUS } from '../services/tripPlanService';
+
+// Status shown for a running trip
+const STATUS_LABELS = {
+  [TRIP_STATUS.ACTIVE]: 'On schedule',
+  [TRIP_STATUS.OVERDUE]: 'Check-in missed',
+  [TRIP_STATUS.ESCALATED]: 'Contacts alerted',
+};
+
+// Format the time until a timestamp, e.g. "in 1h 20m" or "20m ago"
+const formatDue = (timestamp) => {
+  const minutes = Math.round((new Date(timestamp).getTime() - Date.now()) / 60000);
+  const absolute = Math.abs(minutes);
+  const text = absolute < 60 ? `${absolute}m` : `${Math.floor(absolute / 60)}h ${absolute % 60}m`;
+  return minutes >= 0 ? `in ${text}` : `${text} ago`;
+};
+
+// Format a timestamp as a day and time
+const formatDateTime = (timestamp) => {
+  return new Date(timestamp).toLocaleString([], {
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const TripPlanScreen = ({ navigation }) => {
+  const [trip, setTrip] = useState(() => checkInService.getActiveTrip());
+  const [plans, setPlans] = useState(() => tripPlanService.getPlans());
+  const [busyId, setBusyId] = useState(null);
+
+  // Follow the running trip and the planned ones
+  useEffect(() => {
+    const removeTripListener = checkInService.addTripListener(setTrip);
+    const removePlanListener = tripPlanService.addPlanListener(setPlans);
+
+    return () => {
+      removeTripListener();
+      removePlanListener();
+    };
+  }, []);
+
+  // Start a planned trip now, keeping its planned length
+  const startTrip = async (plan) => {
+    if (plan.contacts.length === 0) {
+      Alert.alert('No Contacts', 'Edit the plan to choose who to alert if you miss a check-in.');
+      return;
+    }
+
+    setBusyId(plan.id);
+    try {
+      const duration = new Date(plan.expectedReturnAt).getTime() -
+        new Date(plan.startedAt).getTime();
+      await checkInService.startTrip({
+        id: plan.id,
+        expectedReturnAt: new Date(Date.now() + duration),
+      });
+    } catch (error) {
+      console.error('Error starting trip:', error);
+      Alert.alert('Error', `Failed to start the trip: ${error.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Confirm we are OK
+  const checkIn = async () => {
+    setBusyId(trip.id);
+    try {
+      await checkInService.checkIn();
+    } catch (error) {
+      console.error('Error checking in:', error);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // End the trip once back
+  const endTrip = () => {
+    Alert.alert(
+      'End Trip',
+      'Are you back safely? Check-ins will stop.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'End Trip',
+          onPress: async () => {
+            setBusyId(trip.id);
+            try {
+              await checkInService.endTrip();
+            } catch (error) {
+              console.error('Error ending trip:', error);
+            } finally {
+              setBusyId(null);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (trip) {
+    const isLate = trip.status !== TRIP_STATUS.ACTIVE;
+
+    return (
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        <View style={[styles.card, isLate && styles.lateCard]}>
+          <Text style={styles.itemTitle}>{trip.name || 'Current trip'}</Text>
+          <Text style={[styles.statusText, isLate && styles.lateText]}>
+            {STATUS_LABELS[trip.status]}
+          </Text>
+          <Text style={styles.detailText}>
+            Next check-in due {formatDue(trip.nextCheckInAt)}
+          </Text>
+          <Text style={styles.detailText}>
+            Expected back by {formatDateTime(trip.expectedReturnAt)}
+          </Text>
+          <Text style={styles.detailText}>
+            Alerting {trip.contacts.map(contact => contact.name || contact.id).join(', ')}
+          </Text>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.primaryButton, isLate && styles.lateButton]}
+          onPress={checkIn}
+          disabled={busyId !== null}
+        >
+          {busyId === trip.id ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={styles.primaryButtonText}>Check In - I'm OK</Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.secondaryButton}
+          onPress={() => navigation.navigate('TripPlanEdit', { planId: trip.id })}
+          disabled={busyId !== null}
+        >
+          <Text style={styles.secondaryButtonText}>Edit Plan</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={styles.secondaryButton}
+          onPress={endTrip}
+          disabled={busyId !== null}
+        >
+          <Text style={styles.secondaryButtonText}>End Trip</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    );
+  }
+
+  const planned = plans.filter(plan => plan.status === TRIP_STATUS.PLANNED);
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.sectionTitle}>Planned Trips ({planned.length})</Text>
+      {planned.length === 0 ? (
+        <Text style={styles.emptyText}>
+          Plan a trip so your contacts know where you are going, and are alerted if you
+          miss a check-in.
+        </Text>
+      ) : (
+        planned.map(plan => (
+          <TouchableOpacity
+            key={plan.id}
+            style={styles.card}
+            onPress={() => navigation.navigate('TripPlanEdit', { planId: plan.id })}
+          >
+            <View style={styles.rowHeader}>
+              <View style={styles.rowInfo}>
+                <Text style={styles.itemTitle}>{plan.name || 'Unnamed trip'}</Text>
+                <Text style={styles.detailText}>
+                  {formatDateTime(plan.startedAt)} - {formatDateTime(plan.expectedReturnAt)}
+                </Text>
+                {plan.trailhead?.name && (
+                  <Text style={styles.detailText}>From {plan.trailhead.name}</Text>
+                )}
+              </View>
+
+              <TouchableOpacity
+                style={styles.startButton}
+                onPress={() => startTrip(plan)}
+                disabled={busyId !== null}
+              >
+                {busyId === plan.id ? (
+                  <ActivityIndicator color="white" size="small" />
+                ) : (
+                  <Text style={styles.startButtonText}>Start</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </TouchableOpacity>
+        ))
+      )}
+
+      <TouchableOpacity
+        style={styles.primaryButton}
+        onPress={() => navigation.navigate('TripPlanEdit')}
+      >
+        <Text style={styles.primaryButtonText}>Plan a Trip</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9f9f9',
+  },
+  content: {
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+    marginTop: 10,
+    marginBottom: 10,
+  },
+  card: {
+    backgroundColor: 'white',
+    padding: 12,
+    borderRadius: 10,
+    marginBottom: 10,
+    elevation: 1,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 1,
+  },
+  lateCard: {
+    borderWidth: 2,
+    borderColor: '#e74c3c',
+  },
+  rowHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  itemTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2c3e50',
+  },
+  statusText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#27ae60',
+    marginTop: 4,
+  },
+  lateText: {
+    color: '#e74c3c',
+  },
+  detailText: {
+    fontSize: 13,
+    color: '#7f8c8d',
+    marginTop: 2,
+  },
+  startButton: {
+    backgroundColor: '#27ae60',
+    paddingVertical: 8,
+    paddingHorizontal: 15,
+    borderRadius: 20,
+    minWidth: 60,
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  startButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#27ae60',
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  lateButton: {
+    backgroundColor: '#e74c3c',
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  secondaryButton: {
+    padding: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 10,
+    borderWidth: 1,
+    borderColor: '#7f8c8d',
+  },
+  secondaryButtonText: {
+    color: '#2c3e50',
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#7f8c8d',
+    marginBottom: 10,
+  },
+});
+
+export default TripPlanScreen;
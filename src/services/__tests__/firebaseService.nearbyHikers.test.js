@@ -0,0 +1,163 @@
+import firebaseService from '../firebaseService';
+import { encodeGeohash, decodeGeohash, getGeohashesInRadius } from '../../utils/geohash';
+
+// A small stand-in for the users collection in Firestore. It understands the
+// constraints getNearbyHikers uses: range filters, ordering, limits and cursors.
+const mockUsers = new Map();
+const mockQueries = [];
+
+jest.mock('firebase/firestore', () => {
+  const getField = (data, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  const matches = (data, { field, op, value }) => {
+    const actual = getField(data, field);
+    if (actual === undefined) return false;
+    switch (op) {
+      case '>=': return actual >= value;
+      case '<=': return actual <= value;
+      case '==': return actual === value;
+      default: throw new Error(`Unsupported operator ${op}`);
+    }
+  };
+
+  return {
+    collection: (firestore, name) => ({ name }),
+    where: (field, op, value) => ({ kind: 'where', field, op, value }),
+    orderBy: (field) => ({ kind: 'orderBy', field }),
+    limit: (count) => ({ kind: 'limit', count }),
+    startAfter: (doc) => ({ kind: 'startAfter', doc }),
+    query: (ref, ...constraints) => ({ ref, constraints }),
+    getDocs: async ({ constraints }) => {
+      mockQueries.push(constraints);
+      const byKind = kind => constraints.filter(constraint => constraint.kind === kind);
+
+      let docs = Array.from(mockUsers.entries())
+        .filter(([, data]) => byKind('where').every(filter => matches(data, filter)))
+        .map(([id, data]) => ({ id, data: () => data }));
+
+      byKind('orderBy').forEach(({ field }) => {
+        docs.sort((a, b) => compare(getField(a.data(), field), getField(b.data(), field)) || compare(a.id, b.id));
+      });
+      byKind('startAfter').forEach(({ doc }) => {
+        docs = docs.slice(docs.findIndex(candidate => candidate.id === doc.id) + 1);
+      });
+      byKind('limit').forEach(({ count }) => {
+        docs = docs.slice(0, count);
+      });
+
+      return { docs, size: docs.length, forEach: callback => docs.forEach(callback) };
+    },
+  };
+});
+
+const HOME = { latitude: 46.5, longitude: 8.0 };
+
+// Move north by a distance in metres
+const north = ({ latitude, longitude }, meters) => ({ latitude: latitude + meters / 111195, longitude });
+
+const addUser = (id, position, extra = {}) => {
+  const { location, ...rest } = extra;
+  mockUsers.set(id, {
+    displayName: id,
+    shareLocation: true,
+    isOnline: true,
+    location: {
+      ...position,
+      geohash: encodeGeohash(position.latitude, position.longitude),
+      isEmergency: false,
+      ...location,
+    },
+    ...rest,
+  });
+};
+
+describe('firebaseService.getNearbyHikers', () => {
+  beforeEach(() => {
+    mockUsers.clear();
+    mockQueries.length = 0;
+    firebaseService.initialized = true;
+    firebaseService.firestore = {};
+    firebaseService.userId = 'me';
+    addUser('me', HOME);
+  });
+
+  afterEach(() => {
+    firebaseService.initialized = false;
+    firebaseService.firestore = null;
+    firebaseService.userId = null;
+  });
+
+  test('queries the cell around the user and its neighbours', async () => {
+    await firebaseService.getNearbyHikers(HOME, 1);
+
+    const cells = getGeohashesInRadius(HOME.latitude, HOME.longitude, 1000);
+    expect(mockQueries).toHaveLength(cells.length);
+    expect(mockQueries.map(constraints => constraints[0].value).sort()).toEqual([...cells].sort());
+    mockQueries.forEach(([from, to]) => {
+      expect(from).toMatchObject({ field: 'location.geohash', op: '>=' });
+      expect(to).toMatchObject({ field: 'location.geohash', op: '<=', value: `${from.value}~` });
+    });
+  });
+
+  test('finds hikers just across the edge of the user\'s cell', async () => {
+    // Stand 200m below the northern edge of our cell, with a hiker 300m above it
+    const cell = decodeGeohash(getGeohashesInRadius(HOME.latitude, HOME.longitude, 1000)[0]);
+    const edge = { latitude: cell.latitude + cell.latitudeError, longitude: HOME.longitude };
+    const here = north(edge, -200);
+    const across = north(edge, 300);
+    addUser('across', across);
+
+    const precision = getGeohashesInRadius(here.latitude, here.longitude, 1000)[0].length;
+    expect(encodeGeohash(across.latitude, across.longitude, precision))
+      .not.toBe(encodeGeohash(here.latitude, here.longitude, precision));
+
+    const hikers = await firebaseService.getNearbyHikers(here, 1);
+
+    expect(hikers.map(hiker => hiker.id)).toEqual(['across']);
+    expect(hikers[0].distance).toBeCloseTo(500, -1);
+  });
+
+  test('leaves out hikers in the queried cells who are further than the radius', async () => {
+    addUser('near', north(HOME, 800));
+    addUser('far', north(HOME, 1500));
+
+    const hikers = await firebaseService.getNearbyHikers(HOME, 1);
+
+    expect(hikers.map(hiker => hiker.id)).toEqual(['near']);
+  });
+
+  test('skips the user and hikers who do not share their location unless in an emergency', async () => {
+    addUser('private', north(HOME, 100), { shareLocation: false });
+    addUser('emergency', north(HOME, 200), { shareLocation: false, location: { isEmergency: true } });
+    mockUsers.set('noLocation', { displayName: 'noLocation', shareLocation: true });
+
+    const hikers = await firebaseService.getNearbyHikers(HOME, 1);
+
+    expect(hikers.map(hiker => hiker.id)).toEqual(['emergency']);
+    expect(hikers[0].isEmergency).toBe(true);
+  });
+
+  test('pages through busy cells and returns the nearest hikers first', async () => {
+    [700, 100, 400, 600, 200, 500, 300].forEach(meters => addUser(`h${meters}`, north(HOME, meters)));
+
+    const hikers = await firebaseService.getNearbyHikers(HOME, 1, { pageSize: 3 });
+
+    expect(hikers.map(hiker => hiker.id)).toEqual(['h100', 'h200', 'h300', 'h400', 'h500', 'h600', 'h700']);
+    expect(mockQueries.some(constraints => constraints.some(({ kind }) => kind === 'startAfter'))).toBe(true);
+  });
+
+  test('stops at the maximum number of results', async () => {
+    [100, 200, 300, 400, 500].forEach(meters => addUser(`h${meters}`, north(HOME, meters)));
+
+    const hikers = await firebaseService.getNearbyHikers(HOME, 1, { pageSize: 2, maxResults: 3 });
+
+    expect(hikers).toHaveLength(3);
+    hikers.slice(1).forEach((hiker, i) => expect(hiker.distance).toBeGreaterThanOrEqual(hikers[i].distance));
+  });
+
+  test('fails when Firebase is not initialized', async () => {
+    firebaseService.initialized = false;
+
+    await expect(firebaseService.getNearbyHikers(HOME, 1)).rejects.toThrow('Firebase not initialized');
+  });
+});
@@ -0,0 +1,211 @@
+import sosIncidentService, { SOS_STATUS } from '../sosIncidentService';
+import bridgefyService, { MESSAGE_TYPES, VERIFICATION_STATUS } from '../bridgefyService';
+import firebaseService from '../firebaseService';
+import cryptoService from '../cryptoService';
+
+jest.mock('../bridgefyService', () => ({
+  ...jest.requireActual('../../utils/meshProtocol'),
+  __esModule: true,
+  default: {
+    isStarted: false,
+    onMessageReceived: jest.fn(),
+    removeMessageReceivedCallback: jest.fn(),
+    setTrackProvider: jest.fn(),
+    getPeerSigningKey: jest.fn(() => null),
+  },
+}));
+jest.mock('../firebaseService', () => ({
+  __esModule: true,
+  default: {
+    isSignedIn: jest.fn(() => true),
+    listenToSOSEvents: jest.fn(() => () => {}),
+  },
+}));
+jest.mock('../databaseService', () => ({
+  __esModule: true,
+  default: {
+    getSOSIncidents: jest.fn(async () => []),
+    getSetting: jest.fn(async () => null),
+    saveSOSIncident: jest.fn(async () => true),
+  },
+}));
+jest.mock('../messagingService', () => ({
+  __esModule: true,
+  default: {
+    userId: 'me',
+    username: 'Me',
+    isOnline: false,
+    isOfflineMessagingEnabled: false,
+    queueSOSUpdate: jest.fn(async () => true),
+  },
+}));
+jest.mock('../cryptoService', () => ({
+  __esModule: true,
+  default: {
+    sign: jest.fn(() => 'signature'),
+    verify: jest.fn(() => true),
+  },
+}));
+jest.mock('../presenceService', () => ({
+  __esModule: true,
+  default: { getStatus: jest.fn(() => 'ok'), setStatus: jest.fn() },
+}));
+jest.mock('../backgroundLocationService', () => ({
+  __esModule: true,
+  default: { getRecentTrack: jest.fn(() => []) },
+}));
+jest.mock('../medicalProfileService', () => ({
+  readSOSMedical: jest.fn(() => null),
+}));
+
+const LOCATION = { latitude: 46.5, longitude: 8.0 };
+
+// Deliver a message over the mesh as bridgefyService hands it on
+const receive = (message) => {
+  const [handler] = bridgefyService.onMessageReceived.mock.calls[0];
+  return handler(message.originId, { senderId: message.originId, senderName: message.originId, ...message });
+};
+
+const receiveUpdate = (sosId, originId, status, verification = VERIFICATION_STATUS.VERIFIED) => receive({
+  type: MESSAGE_TYPES.SOS_UPDATE,
+  originId,
+  content: { sosId, status, timestamp: new Date().toISOString() },
+  verification,
+});
+
+const receiveSOS = (sosId, originId) => receive({
+  type: MESSAGE_TYPES.SOS,
+  messageId: `${sosId}-message`,
+  originId,
+  content: { sosId, message: 'Fell on the scree', ...LOCATION, timestamp: new Date().toISOString() },
+  verification: VERIFICATION_STATUS.VERIFIED,
+});
+
+// Alice's SOS as she signed it, the way a relayer passes it on
+const signedSOS = (sosId) => ({
+  type: MESSAGE_TYPES.SOS,
+  messageId: `${sosId}-message`,
+  originId: 'alice',
+  senderId: 'alice',
+  senderName: 'Alice',
+  content: { sosId, message: 'Fell on the scree', ...LOCATION, timestamp: new Date().toISOString() },
+  isBroadcast: true,
+  isEmergency: true,
+  timestamp: new Date().toISOString(),
+  signingKey: 'alice-key',
+  signature: 'alice-signature',
+});
+
+const cloudDoc = (sosId, fields) => ({ id: sosId, responders: {}, ...fields });
+
+describe('sosIncidentService remote updates', () => {
+  beforeEach(async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await sosIncidentService.initialize();
+  });
+
+  afterEach(() => {
+    sosIncidentService.cleanup();
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  test('ignores a responder resolving our own SOS over the mesh', async () => {
+    const incident = await sosIncidentService.startIncident('Twisted ankle', LOCATION);
+
+    await receiveUpdate(incident.id, 'stranger', SOS_STATUS.ACKNOWLEDGED, VERIFICATION_STATUS.UNVERIFIED);
+    await receiveUpdate(incident.id, 'stranger', SOS_STATUS.RESOLVED);
+
+    expect(incident.responders.map(responder => responder.id)).toEqual(['stranger']);
+    expect(sosIncidentService.getOwnActiveIncident()).toBe(incident);
+  });
+
+  test('ignores a signed end of our own SOS written to the cloud by someone else', async () => {
+    const incident = await sosIncidentService.startIncident('Twisted ankle', LOCATION);
+    bridgefyService.getPeerSigningKey.mockReturnValue('stranger-key');
+
+    const [handler] = firebaseService.listenToSOSEvents.mock.calls[0];
+    await handler([cloudDoc(incident.id, { status: SOS_STATUS.CANCELLED, endedBy: 'stranger', endSignature: 'sig' })]);
+
+    expect(sosIncidentService.getOwnActiveIncident()).toBe(incident);
+  });
+
+  test('takes a responder\'s resolve of another hiker\'s SOS only when verified', async () => {
+    await receiveSOS('sos-1', 'alice');
+    await receiveUpdate('sos-1', 'bob', SOS_STATUS.ACKNOWLEDGED);
+
+    await receiveUpdate('sos-1', 'bob', SOS_STATUS.RESOLVED, VERIFICATION_STATUS.UNVERIFIED);
+    expect(sosIncidentService.getIncident('sos-1').status).toBe(SOS_STATUS.ACKNOWLEDGED);
+
+    await receiveUpdate('sos-1', 'bob', SOS_STATUS.RESOLVED);
+    expect(sosIncidentService.getActiveIncidents()).toEqual([]);
+  });
+
+  test('takes an end from the cloud only with a valid signature of whoever ended it', async () => {
+    await receiveSOS('sos-1', 'alice');
+    const [handler] = firebaseService.listenToSOSEvents.mock.calls[0];
+    const cancelled = { status: SOS_STATUS.CANCELLED, endedBy: 'alice' };
+
+    await handler([cloudDoc('sos-1', cancelled)]);
+    bridgefyService.getPeerSigningKey.mockReturnValue('alice-key');
+    cryptoService.verify.mockReturnValueOnce(false);
+    await handler([cloudDoc('sos-1', { ...cancelled, endSignature: 'forged' })]);
+    expect(sosIncidentService.getActiveIncidents()).toHaveLength(1);
+
+    await handler([cloudDoc('sos-1', { ...cancelled, endSignature: 'sig' })]);
+    expect(sosIncidentService.getActiveIncidents()).toEqual([]);
+    expect(cryptoService.verify).toHaveBeenLastCalledWith(
+      { purpose: 'sos_end', sosId: 'sos-1', status: SOS_STATUS.CANCELLED, endedBy: 'alice' },
+      'sig',
+      'alice-key'
+    );
+  });
+
+  test('takes the owner of a relayed SOS from the hiker\'s own signature', async () => {
+    const original = signedSOS('sos-1');
+    await receive({
+      type: MESSAGE_TYPES.SOS,
+      originId: 'bob',
+      content: { sosId: 'sos-1', original, relayedBy: 'bob' },
+      verification: VERIFICATION_STATUS.VERIFIED,
+    });
+
+    const incident = sosIncidentService.getIncident('sos-1');
+    expect(incident).toMatchObject({ ownerId: 'alice', ownerName: 'Alice', message: 'Fell on the scree' });
+    expect(cryptoService.verify).toHaveBeenCalledWith(
+      expect.objectContaining({ originId: 'alice', content: original.content }),
+      'alice-signature',
+      'alice-key'
+    );
+
+    // The relayer can't end it, the hiker can
+    await receiveUpdate('sos-1', 'bob', SOS_STATUS.CANCELLED);
+    expect(sosIncidentService.getActiveIncidents()).toHaveLength(1);
+    await receiveUpdate('sos-1', 'alice', SOS_STATUS.CANCELLED);
+    expect(sosIncidentService.getActiveIncidents()).toEqual([]);
+  });
+
+  test('drops a relayed SOS whose signature does not check out', async () => {
+    bridgefyService.getPeerSigningKey.mockReturnValue('another-key');
+
+    await receive({
+      type: MESSAGE_TYPES.SOS,
+      originId: 'bob',
+      content: { sosId: 'sos-1', original: signedSOS('sos-1'), relayedBy: 'bob' },
+      verification: VERIFICATION_STATUS.VERIFIED,
+    });
+
+    expect(sosIncidentService.getActiveIncidents()).toEqual([]);
+  });
+
+  test('does not take the owner named in the content of an SOS', async () => {
+    await receive({
+      type: MESSAGE_TYPES.SOS,
+      originId: 'mallory',
+      content: { sosId: 'sos-1', ownerId: 'alice', ownerName: 'Alice', message: 'Fell on the scree', ...LOCATION },
+      verification: VERIFICATION_STATUS.VERIFIED,
+    });
+
+    expect(sosIncidentService.getIncident('sos-1').ownerId).toBe('mallory');
+  });
+});
@@ -6,6 +6,12 @@ import messagingService from './messagingService';
 import locationService from './locationService';
 import { requestLocationPermissions } from '../utils/permissions';
 
+// Number of recent fixes kept in memory as our last known track
+const MAX_RECENT_TRACK = 100;
+
+// Activities reported while the device is not being carried along
+const STILL_ACTIVITIES = ['still', 'unknown'];
+
 /**
  * Service for managing background location tracking
  * Uses a combination of react-native-background-geolocation and react-native-background-fetch
@@ -16,8 +22,12 @@ class BackgroundLocationService {
     this.isInitialized = false;
     this.isTracking = false;
     this.trackingMode = 'standard'; // 'standard', 'power-saving', 'high-accuracy'
+    this.lockedMode = null; // Mode kept until unlocked, e.g. while an SOS beacon runs
     this.lastKnownLocation = null;
+    this.activity = null; // Last confident activity ({ activity, confidence, timestamp })
     this.locationListeners = [];
+    this.backgroundTasks = [];
+    this.recentTrack = [];
     this.locationUpdateInterval = 60000; // 1 minute default
     this.minDisplacement = 10; // minimum 10 meters by default
     this.syncInterval = 300000; // 5 minutes - sync tracked locations to Firebase
@@ -94,6 +104,9 @@ class BackgroundLocationService {
     }
     
     try {
+      // A locked mode wins over the one asked for
+      mode = this.lockedMode || mode;
+      
       // If mode has changed, update the configuration
       if (mode && mode !== this.trackingMode) {
         this.trackingMode = mode;
@@ -126,8 +139,10 @@ class BackgroundLocationService {
       // Stop background geolocation
       await BackgroundGeolocation.stop();
       
-      // Stop background fetch
-      BackgroundFetch.stop();
+      // Stop background fetch, unless other services still need to wake up
+      if (this.backgroundTasks.length === 0) {
+        BackgroundFetch.stop();
+      }
       
       // Clear backup interval
       if (this.backupInterval) {
@@ -158,6 +173,11 @@ class BackgroundLocationService {
       return true; // No change needed
     }
     
+    if (this.lockedMode && mode !== this.lockedMode) {
+      console.log(`Tracking mode locked to ${this.lockedMode}, not changing to ${mode}`);
+      return false;
+    }
+    
     try {
       this.trackingMode = mode;
       
@@ -175,6 +195,30 @@ class BackgroundLocationService {
     }
   }
 
+  /**
+   * Keep tracking in one mode until unlocked, whatever the activity
+   * Starts tracking if it was off. An SOS beacon needs the best fix we can
+   * get even when the hiker is not moving.
+   * @param {string} mode - 'standard', 'power-saving', or 'high-accuracy'
+   * @returns {Promise<boolean>} Success status
+   */
+  async lockTrackingMode(mode) {
+    this.lockedMode = mode;
+    
+    if (this.isTracking) {
+      return await this.setTrackingMode(mode);
+    }
+    return await this.startTracking(mode);
+  }
+
+  /**
+   * Let the tracking mode change again
+   * The mode stays as it is until changed.
+   */
+  unlockTrackingMode() {
+    this.lockedMode = null;
+  }
+
   /**
    * Add a listener for location updates
    * @param {Function} listener - Callback function(location)
@@ -189,6 +233,38 @@ class BackgroundLocationService {
     };
   }
 
+  /**
+   * Add a task to run on every background fetch
+   * Background fetch keeps running while any task is registered, even when
+   * tracking stops, so services can check their timers in the background.
+   * @param {Function} task - Async callback function()
+   * @returns {Function} Function to remove the task
+   */
+  addBackgroundTask(task) {
+    if (typeof task !== 'function') return () => {};
+    
+    this.backgroundTasks.push(task);
+    if (this.isInitialized) {
+      BackgroundFetch.start();
+    }
+    
+    return () => {
+      this.backgroundTasks = this.backgroundTasks.filter(t => t !== task);
+      if (this.backgroundTasks.length === 0 && this.isInitialized && !this.isTracking) {
+        BackgroundFetch.stop();
+      }
+    };
+  }
+
+  /**
+   * Get our most recent fixes
+   * @param {number} limit - Maximum number of fixes
+   * @returns {Array} Locations, oldest first
+   */
+  getRecentTrack(limit = 20) {
+    return this.recentTrack.slice(-limit);
+  }
+
   /**
    * Get the last known location
    * @returns {Object|null} Location object or null
@@ -197,6 +273,14 @@ class BackgroundLocationService {
     return this.lastKnownLocation;
   }
 
+  /**
+   * Check whether the device is being carried along, e.g. walking or running
+   * @returns {boolean} Whether the last confident activity was a moving one
+   */
+  isMoving() {
+    return !!this.activity && !STILL_ACTIVITIES.includes(this.activity.activity);
+  }
+
   /**
    * Manually request a location update
    * @param {boolean} highAccuracy - Whether to request high accuracy
@@ -224,6 +308,7 @@ class BackgroundLocationService {
       
       // Update last known location
       this.lastKnownLocation = this._formatLocation(location);
+      this._addToRecentTrack(this.lastKnownLocation);
       
       // Notify listeners
       this._notifyLocationListeners(this.lastKnownLocation);
@@ -254,6 +339,7 @@ class BackgroundLocationService {
       isInitialized: this.isInitialized,
       isTracking: this.isTracking,
       trackingMode: this.trackingMode,
+      lockedMode: this.lockedMode,
       lastKnownLocation: this.lastKnownLocation,
       lastSyncTime: this.lastSyncTime,
       pendingLocationCount: this.pendingLocations.length
@@ -385,6 +471,15 @@ class BackgroundLocationService {
         console.error('[BackgroundFetch] Error syncing locations:', error);
       }
       
+      // Run tasks other services registered
+      for (const task of this.backgroundTasks) {
+        try {
+          await task();
+        } catch (error) {
+          console.error('[BackgroundFetch] Error in background task:', error);
+        }
+      }
+      
       // IMPORTANT: You must call finish() when your task is complete
       BackgroundFetch.finish(taskId);
     }, (error) => {
@@ -448,6 +543,9 @@ class BackgroundLocationService {
     }
     
     try {
+      // Our SOS changes go before the location history
+      await messagingService.syncSOSOutbox();
+      
       // Get locations from the native plugin
       const locations = await BackgroundGeolocation.getLocations();
       
@@ -524,6 +622,20 @@ class BackgroundLocationService {
     };
   }
 
+  /**
+   * Remember a fix as part of our recent track
+   * @param {Object} location - Formatted location
+   * @private
+   */
+  _addToRecentTrack(location) {
+    if (!location || !location.latitude || !location.longitude) return;
+    
+    this.recentTrack.push(location);
+    if (this.recentTrack.length > MAX_RECENT_TRACK) {
+      this.recentTrack.splice(0, this.recentTrack.length - MAX_RECENT_TRACK);
+    }
+  }
+
   /**
    * Notify all location listeners of a new location
    * @param {Object} location - Location object
@@ -551,6 +663,7 @@ class BackgroundLocationService {
     
     // Update last known location
     this.lastKnownLocation = this._formatLocation(location);
+    this._addToRecentTrack(this.lastKnownLocation);
     
     // Notify listeners
     this._notifyLocationListeners(this.lastKnownLocation);
@@ -589,8 +702,16 @@ class BackgroundLocationService {
   _onActivityChange(event) {
     console.log('[BackgroundGeolocation] Activity changed:', event);
     
-    // Adjust tracking mode based on activity
     if (event.confidence >= 75) {
+      this.activity = {
+        activity: event.activity,
+        confidence: event.confidence,
+        timestamp: new Date().toISOString(),
+      };
+    }
+    
+    // Adjust tracking mode based on activity, unless it is locked
+    if (event.confidence >= 75 && !this.lockedMode) {
       if (event.activity === 'still') {
         // If stationary for a while, reduce polling frequency
         if (this.trackingMode !== 'power-saving') {
@@ -1,36 +1,93 @@
 import { Platform, NativeEventEmitter, NativeModules } from 'react-native';
-import { requestBluetoothPermissions } from '../utils/permissions';
 import locationService from './locationService';
+import cryptoService from './cryptoService';
+import DemoTransport from './transports/demoTransport';
+import { generateMessageId } from '../utils/messageId';
+import {
+  encodeEnvelope,
+  EnvelopeDecoder,
+  DEFAULT_MTU,
+  CODEC_VERSION,
+  MIN_CODEC_VERSION,
+  isSupportedVersion,
+} from '../utils/envelopeCodec';
+import {
+  MESSAGE_TYPES,
+  DELIVERY_STATUS,
+  VERIFICATION_STATUS,
+  CONNECTION_STATE,
+  PRESENCE_STATUS,
+  SOS_STATUS,
+  DEFAULT_TTL,
+  PRESENCE_TTL,
+  RSSI_AT_ONE_METER,
+  PATH_LOSS_EXPONENT,
+  getSignedFields,
+} from '../utils/meshProtocol';
 
-// Message types
-export const MESSAGE_TYPES = {
-  TEXT: 'text',
-  LOCATION: 'location',
-  SOS: 'sos',
-  STATUS: 'status',
-};
-
-// Simulated peer connection states
-export const CONNECTION_STATE = {
-  DISCONNECTED: 'disconnected',
-  CONNECTING: 'connecting',
-  CONNECTED: 'connected',
-};
+export { MESSAGE_TYPES, DELIVERY_STATUS, VERIFICATION_STATUS, CONNECTION_STATE, PRESENCE_STATUS, SOS_STATUS };
+
+// Mesh relay settings
+const SEEN_CACHE_SIZE = 500; // Message IDs remembered for duplicate detection
+const SEEN_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+const RELAY_QUEUE_SIZE = 100; // Envelopes held for store-and-forward
+const RELAY_QUEUE_TTL = 30 * 60 * 1000; // 30 minutes
+
+// Messages dropped unless their signature checks out: anyone could otherwise
+// raise or cancel an SOS, or swap the keys we use, in another hiker's name
+const SIGNATURE_REQUIRED_TYPES = [
+  MESSAGE_TYPES.SOS,
+  MESSAGE_TYPES.SOS_UPDATE,
+  MESSAGE_TYPES.KEY_EXCHANGE,
+];
+
+// Presence settings
+const PRESENCE_EXPIRY = 15 * 60 * 1000; // Hikers not heard from for 15 minutes are dropped
+
+// Diagnostics settings
+const ERROR_LOG_SIZE = 50; // Recent errors kept for troubleshooting
+const PING_TIMEOUT = 10 * 1000; // 10 seconds
 
 /**
  * BridgefyService - Service for handling peer-to-peer communication
  * 
- * This implementation simulates Bridgefy SDK behavior. In a real app,
- * you would replace this with the actual Bridgefy SDK implementation.
+ * Routing, relaying, encryption and signing happen here; moving frames
+ * between neighbouring devices is left to a pluggable transport. The app
+ * uses DemoTransport, which simulates Bridgefy SDK behavior with made-up
+ * hikers. In a real app, you would plug in a transport backed by the
+ * actual Bridgefy SDK; tests use the transport of the mesh simulator.
+ * 
+ * A transport implements:
+ * - initialize(): Promise<boolean>, request radio permissions
+ * - start(node) / stop(), where node is { userId, username,
+ *   onPeerDiscovered(peer), onPeerLost(peerId), onPeerConnected(peerId),
+ *   onPeerDisconnected(peerId), onFrameReceived(peerId, frame) }
+ * - connect(peerId): Promise<boolean> / disconnect(peerId)
+ * - send(peerId, frame): boolean, whether the frame was handed to the radio
  */
-class BridgefyService {
-  constructor() {
+export class BridgefyService {
+  /**
+   * @param {Object} options - Dependencies, defaulting to the app singletons
+   * @param {Object} options.transport - Transport carrying frames between devices
+   * @param {Object} options.crypto - Crypto service holding this device's keys
+   * @param {Object} options.location - Location service for this device
+   * @param {string} options.userId - Mesh user ID (random by default)
+   */
+  constructor({
+    transport = null,
+    crypto = cryptoService,
+    location = locationService,
+    userId = null,
+  } = {}) {
     this.apiKey = null;
     this.isInitialized = false;
     this.isStarted = false;
-    this.userId = `user_${Math.floor(Math.random() * 1000000)}`;
+    this.userId = userId || `user_${Math.floor(Math.random() * 1000000)}`;
     this.username = null;
     this.profileInfo = {};
+    this.tripPlanProvider = null; // Returns a summary of our trip plan, sent with every SOS
+    this.trackProvider = null; // Returns our last few fixes, sent with every SOS
+    this.medicalProvider = null; // Returns the medical details we agreed to send with every SOS
     
     // Connected peers
     this.connectedPeers = new Map();
@@ -41,10 +98,34 @@ class BridgefyService {
     this.onPeerLostCallbacks = [];
     this.onPeerConnectionStateChangedCallbacks = [];
     this.onMessageReceivedCallbacks = [];
+    this.onDeliveryStatusChangedCallbacks = [];
+    this.onPeerKeyExchangedCallbacks = [];
+    this.onPresenceUpdatedCallbacks = [];
     this.onErrorCallbacks = [];
     
     // Message storage
     this.messageHistory = new Map();
+    this.peerPresence = new Map(); // peerId -> latest presence beacon
+    
+    // Mesh relay state
+    this.seenMessages = new Map(); // messageId -> time first seen
+    this.relayQueue = []; // Envelopes waiting for a neighbour to forward to
+    this.envelopeDecoder = new EnvelopeDecoder(); // Reassembles frames from neighbours
+    this.peerCodecVersions = new Map(); // neighbour peerId -> newest wire format version we both read
+    
+    // End-to-end encryption state
+    this.peerPublicKeys = new Map(); // peerId -> base64 public encryption key
+    this.peerSigningKeys = new Map(); // peerId -> base64 identity key, pinned on first use
+    
+    // Diagnostics
+    this.peerStats = new Map(); // peerId -> traffic counters, last seen time and hop count
+    this.recentErrors = []; // Errors passed to _notifyError, oldest first
+    this.pendingPings = new Map(); // ping messageId -> { peerId, sentAt, resolve, reject, timer }
+    
+    // Injected dependencies
+    this.transport = transport;
+    this.crypto = crypto;
+    this.location = location;
     
     // Simulate a native event emitter
     this.eventEmitter = null;
@@ -70,14 +151,19 @@ class BridgefyService {
       // Store the API key
       this.apiKey = apiKey;
       
-      // Request Bluetooth permissions
-      const hasPermission = await requestBluetoothPermissions();
+      if (!this.transport) {
+        console.error('No mesh transport configured');
+        return false;
+      }
+      
+      // Let the transport request the permissions its radio needs
+      const hasPermission = await this.transport.initialize();
       if (!hasPermission) {
         console.error('Bluetooth permissions not granted');
         return false;
       }
       
-      // Simulate initialization success
+
       this.isInitialized = true;
       console.log('Bridgefy initialized successfully');
       
@@ -116,11 +202,18 @@ class BridgefyService {
         username: this.username,
       };
       
-      // Simulate starting the service
       this.isStarted = true;
       
-      // Simulate peer discovery process
-      this._simulatePeerDiscovery();
+      // Start discovering neighbours; the transport reports back through these
+      await this.transport.start({
+        userId: this.userId,
+        username: this.username,
+        onPeerDiscovered: peer => this._handlePeerDiscovered(peer),
+        onPeerLost: peerId => this._handlePeerLost(peerId),
+        onPeerConnected: peerId => this._handlePeerConnected(peerId),
+        onPeerDisconnected: peerId => this._handlePeerDisconnected(peerId),
+        onFrameReceived: (peerId, frame) => this._receiveFrame(peerId, frame),
+      });
       
       console.log('Bridgefy service started successfully');
       return true;
@@ -144,13 +237,25 @@ class BridgefyService {
     try {
       console.log('Stopping Bridgefy service...');
       
-      // Simulate stopping the service
       this.isStarted = false;
+      await this.transport.stop();
       
       // Clear peer lists
       this.connectedPeers.clear();
       this.availablePeers.clear();
       
+      // Clear relay state
+      this.seenMessages.clear();
+      this.relayQueue = [];
+      this.peerPresence.clear();
+      
+      // Abandon pings still waiting for an answer
+      this.pendingPings.forEach(({ reject, timer }) => {
+        clearTimeout(timer);
+        reject(new Error('Bridgefy stopped'));
+      });
+      this.pendingPings.clear();
+      
       console.log('Bridgefy service stopped successfully');
       return true;
     } catch (error) {
@@ -162,6 +267,10 @@ class BridgefyService {
 
   /**
    * Send a message to a specific peer
+   * The peer does not need to be in range: if it is not a direct neighbour
+   * the envelope is flooded to all neighbours, which relay it onwards.
+   * The content is encrypted for the peer, so relays only see routing fields.
+   * Fails until a key exchange with the peer has completed.
    * @param {string} peerId - Recipient peer ID
    * @param {Object} message - Message to send
    * @returns {Promise<boolean>} - Success status
@@ -172,36 +281,51 @@ class BridgefyService {
       return false;
     }
     
-    if (!this.connectedPeers.has(peerId)) {
-      console.error(`Peer ${peerId} not connected`);
+    if (this.connectedPeers.size === 0) {
+      console.error(`No mesh route to peer ${peerId}`);
+      return false;
+    }
+    
+    const publicKey = this.peerPublicKeys.get(peerId);
+    if (!publicKey) {
+      console.error(`No public key for peer ${peerId}, requesting key exchange`);
+      this._sendKeyExchange(peerId);
       return false;
     }
     
     try {
       // Prepare message with metadata
-      const messageWithMetadata = {
+      const envelope = this._createEnvelope({
         ...message,
-        senderId: this.userId,
-        senderName: this.username,
-        timestamp: new Date().toISOString(),
-        messageId: `msg_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-      };
+        content: this.crypto.encrypt(message.content, publicKey),
+        isEncrypted: true,
+      }, peerId);
       
-      console.log(`Sending message to peer ${peerId}:`, messageWithMetadata);
+      console.log(`Sending encrypted message to peer ${peerId}:`, envelope.messageId);
       
-      // In a real implementation, this would call the Bridgefy SDK
-      // to send the message to the peer
+      // Remember our own message so relayed copies are dropped
+      this._markMessageSeen(envelope.messageId);
       
-      // Simulate message delivery delay
-      setTimeout(() => {
-        // Add to local message history
-        this._addToMessageHistory(peerId, messageWithMetadata);
-        
-        // Simulate peer receiving the message (for demo only)
-        this._simulateMessageDelivery(peerId, messageWithMetadata);
-      }, 500);
+      // Keep the readable content in local message history
+      this._addToMessageHistory(peerId, {
+        ...envelope,
+        content: message.content,
+        isEncrypted: false,
+      });
       
-      return true;
+      // Hand the envelope to the mesh
+      const isDirect = this.connectedPeers.has(peerId);
+      const sent = this._routeEnvelope(envelope) > 0;
+      
+      if (sent) {
+        this._notifyDeliveryStatusChanged(
+          envelope.messageId,
+          isDirect ? DELIVERY_STATUS.SENT : DELIVERY_STATUS.RELAYED,
+          peerId
+        );
+      }
+      
+      return sent;
     } catch (error) {
       console.error(`Error sending message to peer ${peerId}:`, error);
       this._notifyError('send_message_error', error.message);
@@ -210,7 +334,9 @@ class BridgefyService {
   }
 
   /**
-   * Broadcast a message to all connected peers
+   * Broadcast a message to all peers in the mesh
+   * Broadcasts are not encrypted, so anyone can read an SOS, but like every
+   * envelope they are signed with this device's identity key.
    * @param {Object} message - Message to broadcast
    * @returns {Promise<boolean>} - Success status
    */
@@ -227,32 +353,24 @@ class BridgefyService {
     
     try {
       // Prepare message with metadata
-      const messageWithMetadata = {
-        ...message,
-        senderId: this.userId,
-        senderName: this.username,
-        timestamp: new Date().toISOString(),
-        messageId: `msg_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-        isBroadcast: true,
-      };
+      const envelope = this._createEnvelope(message, null);
+      
+      console.log(`Broadcasting ${envelope.type} message to ${this.connectedPeers.size} peers:`, envelope.messageId);
       
-      console.log(`Broadcasting message to ${this.connectedPeers.size} peers:`, messageWithMetadata);
-      
-      // Send to all connected peers
-      const peerIds = Array.from(this.connectedPeers.keys());
-      for (const peerId of peerIds) {
-        // Simulate message delivery delay with slight variation
-        const delay = 500 + Math.random() * 500;
-        setTimeout(() => {
-          // Add to local message history
-          this._addToMessageHistory(peerId, messageWithMetadata);
-          
-          // Simulate peer receiving the message (for demo only)
-          this._simulateMessageDelivery(peerId, messageWithMetadata);
-        }, delay);
+      // Remember our own message so relayed copies are dropped
+      this._markMessageSeen(envelope.messageId);
+      
+      // Add to local message history of the group or channel, or of every neighbour
+      if (envelope.groupId || envelope.channelId) {
+        this._addToMessageHistory(envelope.groupId || envelope.channelId, envelope);
+      } else {
+        this.connectedPeers.forEach((peer, peerId) => {
+          this._addToMessageHistory(peerId, envelope);
+        });
       }
       
-      return true;
+      // Hand the envelope to the mesh
+      return this._routeEnvelope(envelope) > 0;
     } catch (error) {
       console.error('Error broadcasting message:', error);
       this._notifyError('broadcast_message_error', error.message);
@@ -260,6 +378,44 @@ class BridgefyService {
     }
   }
 
+  /**
+   * Send a message to a group channel
+   * The message is broadcast through the mesh with the member list attached;
+   * peers outside the group relay it without delivering it locally.
+   * @param {Object} group - Group ({ id, name, memberIds })
+   * @param {Object} message - Message to send
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendGroupMessage(group, message) {
+    return this.broadcastMessage({
+      ...message,
+      groupId: group.id,
+      groupName: group.name,
+      groupMembers: group.memberIds,
+    });
+  }
+
+  /**
+   * Post a message to a public trail channel
+   * The post is broadcast with the position it was made at and the radius
+   * it applies to; receivers outside that radius neither show nor relay it.
+   * @param {Object} channel - Channel ({ id, radius, latitude, longitude })
+   * @param {Object} message - Message to post
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendChannelMessage(channel, message) {
+    return this.broadcastMessage({
+      ...message,
+      type: MESSAGE_TYPES.CHANNEL,
+      channelId: channel.id,
+      channelRadius: channel.radius,
+      channelOrigin: {
+        latitude: channel.latitude,
+        longitude: channel.longitude,
+      },
+    });
+  }
+
   /**
    * Send current location to all connected peers
    * @param {boolean} isEmergency - Whether this is an emergency SOS broadcast
@@ -268,7 +424,7 @@ class BridgefyService {
   async sendLocationUpdate(isEmergency = false) {
     try {
       // Get current location
-      const location = await locationService.getCurrentLocation();
+      const location = await this.location.getCurrentLocation();
       if (!location) {
         console.error('Could not get current location');
         return false;
@@ -296,24 +452,57 @@ class BridgefyService {
     }
   }
 
+  /**
+   * Set where the trip plan summary sent with our SOS messages comes from
+   * @param {Function|null} provider - Function returning a trip plan summary or null
+   */
+  setTripPlanProvider(provider) {
+    this.tripPlanProvider = typeof provider === 'function' ? provider : null;
+  }
+
+  /**
+   * Set where the recent track sent with our SOS messages comes from
+   * @param {Function|null} provider - Function returning our last few fixes, oldest first
+   */
+  setTrackProvider(provider) {
+    this.trackProvider = typeof provider === 'function' ? provider : null;
+  }
+
+  /**
+   * Set where the medical details sent with our SOS messages come from
+   * @param {Function|null} provider - Function returning a medical summary or null
+   */
+  setMedicalProvider(provider) {
+    this.medicalProvider = typeof provider === 'function' ? provider : null;
+  }
+
   /**
    * Send an SOS emergency message with current location
+   * Our trip plan, if any, goes with it so responders know the intended route,
+   * and our recent track shows which way we were heading. The medical
+   * details we approved tell responders what to expect when they reach us.
    * @param {string} message - Additional emergency message
+   * @param {string|null} sosId - ID that updates to this SOS refer to (a new one by default)
+   * @param {Object|null} location - Where we are (looked up by default)
    * @returns {Promise<boolean>} - Success status
    */
-  async sendSOS(message = '') {
+  async sendSOS(message = '', sosId = null, location = null) {
     try {
       // Get current location
-      const location = await locationService.getCurrentLocation();
+      location = location || await this.location.getCurrentLocation();
       
       // Prepare SOS message
       const sosMessage = {
         type: MESSAGE_TYPES.SOS,
         content: {
+          sosId: sosId || generateMessageId(),
           message,
           latitude: location ? location.latitude : null,
           longitude: location ? location.longitude : null,
           timestamp: new Date().toISOString(),
+          tripPlan: this.tripPlanProvider ? this.tripPlanProvider() : null,
+          track: this.trackProvider ? this.trackProvider() : [],
+          medical: this.medicalProvider ? this.medicalProvider() : null,
         },
         isEmergency: true,
         priority: 'high',
@@ -328,6 +517,99 @@ class BridgefyService {
     }
   }
 
+  /**
+   * Broadcast a change in the state of an SOS
+   * Sent by the hiker who needs help when they resolve or cancel it, and by
+   * responders when they acknowledge it, head out or resolve it.
+   * @param {Object} update - Update ({ sosId, status: SOS_STATUS value, eta })
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendSOSUpdate(update) {
+    try {
+      return await this.broadcastMessage({
+        type: MESSAGE_TYPES.SOS_UPDATE,
+        content: {
+          sosId: update.sosId,
+          status: update.status,
+          eta: update.eta || null,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    } catch (error) {
+      console.error('Error sending SOS update:', error);
+      this._notifyError('sos_error', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Advertise our presence to hikers nearby
+   * Beacons are signed broadcasts that travel at most PRESENCE_TTL hops and
+   * are never queued for relay: a stale beacon is worse than none.
+   * @param {Object} presence - Beacon content ({ displayName, status, battery, lastFix, heading, activity, trackingMode })
+   * @returns {Promise<boolean>} - Whether the beacon was handed to a neighbour
+   */
+  async sendPresenceBeacon(presence) {
+    if (!this.isStarted) {
+      console.error('Bridgefy not started');
+      return false;
+    }
+    
+    try {
+      const beacon = {
+        ...this._createEnvelope({
+          type: MESSAGE_TYPES.PRESENCE,
+          content: presence,
+        }, null),
+        ttl: PRESENCE_TTL,
+      };
+      
+      this._markMessageSeen(beacon.messageId);
+      return this._routeEnvelope(beacon) > 0;
+    } catch (error) {
+      console.error('Error sending presence beacon:', error);
+      this._notifyError('presence_error', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get the latest presence beacon of every hiker heard from recently
+   * @returns {Array} - Presence entries ({ peerId, displayName, status, battery, lastFix, ..., receivedAt, hopCount })
+   */
+  getPeerPresence() {
+    const now = Date.now();
+    
+    this.peerPresence.forEach((presence, peerId) => {
+      if (now - new Date(presence.receivedAt).getTime() > PRESENCE_EXPIRY) {
+        this.peerPresence.delete(peerId);
+      }
+    });
+    
+    return Array.from(this.peerPresence.values());
+  }
+
+  /**
+   * Tell the sender of a message that it has been read
+   * @param {string} peerId - Original sender peer ID
+   * @param {string} messageId - ID of the message that was read
+   * @returns {Promise<boolean>} - Success status
+   */
+  async sendReadReceipt(peerId, messageId) {
+    if (!this.isStarted) {
+      console.error('Bridgefy not started');
+      return false;
+    }
+    
+    try {
+      return this._sendAck(peerId, messageId, DELIVERY_STATUS.READ);
+    } catch (error) {
+      console.error(`Error sending read receipt to peer ${peerId}:`, error);
+      this._notifyError('read_receipt_error', error.message);
+      return false;
+    }
+  }
+
   /**
    * Get all available peers (discovered but not necessarily connected)
    * @returns {Array} - List of available peers
@@ -344,8 +626,78 @@ class BridgefyService {
     return Array.from(this.connectedPeers.values());
   }
 
+  /**
+   * Replace the transport that carries frames between devices
+   * Only possible while the service is stopped.
+   * @param {Object} transport - Transport implementation
+   * @returns {boolean} - Success status
+   */
+  setTransport(transport) {
+    if (this.isStarted) {
+      console.error('Cannot change transport while Bridgefy is running');
+      return false;
+    }
+    
+    this.transport = transport;
+    this.isInitialized = false;
+    return true;
+  }
+
+  /**
+   * Set the public encryption key of a peer
+   * Used to restore keys exchanged in an earlier session.
+   * @param {string} peerId - Peer ID
+   * @param {string} publicKey - Base64 public key
+   */
+  setPeerPublicKey(peerId, publicKey) {
+    if (!publicKey) return;
+    
+    this.peerPublicKeys.set(peerId, publicKey);
+    
+    const peer = this.availablePeers.get(peerId);
+    if (peer) {
+      peer.publicKey = publicKey;
+    }
+  }
+
+  /**
+   * Get the public encryption key of a peer
+   * @param {string} peerId - Peer ID
+   * @returns {string|null} - Base64 public key, or null if no key has been exchanged
+   */
+  getPeerPublicKey(peerId) {
+    return this.peerPublicKeys.get(peerId) || null;
+  }
+
+  /**
+   * Set the identity (signing) key of a peer
+   * Used to restore keys pinned in an earlier session.
+   * @param {string} peerId - Peer ID
+   * @param {string} signingKey - Base64 public signing key
+   */
+  setPeerSigningKey(peerId, signingKey) {
+    if (!signingKey) return;
+    
+    this.peerSigningKeys.set(peerId, signingKey);
+    
+    const peer = this.availablePeers.get(peerId);
+    if (peer) {
+      peer.signingKey = signingKey;
+    }
+  }
+
+  /**
+   * Get the identity (signing) key of a peer
+   * @param {string} peerId - Peer ID
+   * @returns {string|null} - Base64 public signing key, or null if none is known yet
+   */
+  getPeerSigningKey(peerId) {
+    return this.peerSigningKeys.get(peerId) || null;
+  }
+
   /**
    * Connect to a specific peer
+   * Public keys are exchanged as soon as the connection is up.
    * @param {string} peerId - Peer ID to connect to
    * @returns {Promise<boolean>} - Success status
    */
@@ -374,18 +726,20 @@ class BridgefyService {
       peer.connectionState = CONNECTION_STATE.CONNECTING;
       this._notifyPeerConnectionStateChanged(peer);
       
-      // Simulate connection process
-      return new Promise((resolve) => {
-        setTimeout(() => {
-          // Connect to peer
-          peer.connectionState = CONNECTION_STATE.CONNECTED;
-          this.connectedPeers.set(peerId, peer);
-          this._notifyPeerConnectionStateChanged(peer);
-          
-          console.log(`Connected to peer ${peerId}`);
-          resolve(true);
-        }, 1000);
-      });
+      const connected = await this.transport.connect(peerId);
+      if (!connected || !this.isStarted) {
+        peer.connectionState = CONNECTION_STATE.DISCONNECTED;
+        this._notifyPeerConnectionStateChanged(peer);
+        
+        console.error(`Could not connect to peer ${peerId}`);
+        return false;
+      }
+      
+      this._handlePeerConnected(peerId);
+      
+      // Agree on keys for end-to-end encryption
+      this._sendKeyExchange(peerId);
+      return true;
     } catch (error) {
       console.error(`Error connecting to peer ${peerId}:`, error);
       this._notifyError('connect_peer_error', error.message);
@@ -412,14 +766,8 @@ class BridgefyService {
     try {
       console.log(`Disconnecting from peer ${peerId}...`);
       
-      const peer = this.connectedPeers.get(peerId);
-      
-      // Update connection state
-      peer.connectionState = CONNECTION_STATE.DISCONNECTED;
-      this.connectedPeers.delete(peerId);
-      this._notifyPeerConnectionStateChanged(peer);
-      
-      console.log(`Disconnected from peer ${peerId}`);
+      await this.transport.disconnect(peerId);
+      this._handlePeerDisconnected(peerId);
       return true;
     } catch (error) {
       console.error(`Error disconnecting from peer ${peerId}:`, error);
@@ -449,6 +797,115 @@ class BridgefyService {
     return history;
   }
 
+  /**
+   * Get a snapshot of the mesh for troubleshooting
+   * Lists every peer we have heard from, whether a neighbour or a hiker
+   * reached through relays, along with the relay queue and recent errors.
+   * Send and receive counters are per link, so they only grow for neighbours.
+   * @returns {Object} - Diagnostics snapshot
+   */
+  getDiagnostics() {
+    const peerIds = new Set([...this.availablePeers.keys(), ...this.peerStats.keys()]);
+    
+    const peers = Array.from(peerIds).map(peerId => {
+      const peer = this.availablePeers.get(peerId);
+      const stats = this._getPeerStats(peerId);
+      const rssi = peer && peer.rssi !== undefined ? peer.rssi : null;
+      const isNeighbour = this.connectedPeers.has(peerId);
+      
+      return {
+        id: peerId,
+        name: (peer && peer.name) || stats.name || peerId,
+        connectionState: peer ? peer.connectionState : null,
+        isNeighbour,
+        lastSeen: stats.lastSeen ? new Date(stats.lastSeen).toISOString() : (peer ? peer.discoveredAt : null),
+        rssi,
+        estimatedDistance: rssi !== null ? this._estimateDistance(rssi) : null,
+        hopCount: isNeighbour ? 1 : stats.hopCount,
+        hasKeys: this.peerPublicKeys.has(peerId),
+        envelopesSent: stats.envelopesSent,
+        envelopesReceived: stats.envelopesReceived,
+        framesSent: stats.framesSent,
+        framesReceived: stats.framesReceived,
+        bytesSent: stats.bytesSent,
+        bytesReceived: stats.bytesReceived,
+      };
+    });
+    
+    // Most recently heard from first
+    peers.sort((a, b) => (b.lastSeen || '').localeCompare(a.lastSeen || ''));
+    
+    return {
+      userId: this.userId,
+      username: this.username,
+      isStarted: this.isStarted,
+      peers,
+      relayQueue: this.relayQueue.map(item => ({
+        messageId: item.envelope.messageId,
+        type: item.envelope.type,
+        originId: item.envelope.originId,
+        recipientId: item.envelope.recipientId,
+        ttl: item.envelope.ttl,
+        queuedAt: new Date(item.queuedAt).toISOString(),
+      })),
+      seenMessageCount: this.seenMessages.size,
+      recentErrors: [...this.recentErrors],
+    };
+  }
+
+  /**
+   * Reset the traffic counters and error log
+   */
+  clearDiagnostics() {
+    this.peerStats.clear();
+    this.recentErrors = [];
+  }
+
+  /**
+   * Measure the round trip to a peer through the mesh
+   * The peer does not need to be a neighbour; the ping is relayed like any
+   * other envelope and the peer answers with a pong.
+   * @param {string} peerId - Peer to ping
+   * @param {number} timeout - Milliseconds to wait for the answer
+   * @returns {Promise<Object>} - Round trip time in ms and hop counts each way
+   */
+  async pingPeer(peerId, timeout = PING_TIMEOUT) {
+    if (!this.isStarted) {
+      throw new Error('Bridgefy not started');
+    }
+    
+    if (this.connectedPeers.size === 0) {
+      throw new Error(`No mesh route to peer ${peerId}`);
+    }
+    
+    const ping = this._createEnvelope({
+      type: MESSAGE_TYPES.PING,
+      content: {
+        sentAt: new Date().toISOString(),
+      },
+    }, peerId);
+    
+    this._markMessageSeen(ping.messageId);
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingPings.delete(ping.messageId);
+        reject(new Error(`No answer from ${peerId} within ${timeout} ms`));
+      }, timeout);
+      
+      this.pendingPings.set(ping.messageId, {
+        peerId,
+        sentAt: Date.now(),
+        resolve,
+        reject,
+        timer,
+      });
+      
+      console.log(`Pinging peer ${peerId}:`, ping.messageId);
+      this._routeEnvelope(ping);
+    });
+  }
+
   /**
    * Register callback for peer detected event
    * @param {Function} callback - Callback function
@@ -489,6 +946,38 @@ class BridgefyService {
     }
   }
 
+  /**
+   * Register callback for delivery status changed event
+   * Called with (messageId, status, peerId) where status is a DELIVERY_STATUS value
+   * @param {Function} callback - Callback function
+   */
+  onDeliveryStatusChanged(callback) {
+    if (typeof callback === 'function') {
+      this.onDeliveryStatusChangedCallbacks.push(callback);
+    }
+  }
+
+  /**
+   * Register callback for peer key exchanged event
+   * Called with (peerId, publicKey, signingKey) when a peer's keys are received
+   * @param {Function} callback - Callback function
+   */
+  onPeerKeyExchanged(callback) {
+    if (typeof callback === 'function') {
+      this.onPeerKeyExchangedCallbacks.push(callback);
+    }
+  }
+
+  /**
+   * Register callback for presence beacons received from other hikers
+   * @param {Function} callback - Callback function(presence)
+   */
+  onPresenceUpdated(callback) {
+    if (typeof callback === 'function') {
+      this.onPresenceUpdatedCallbacks.push(callback);
+    }
+  }
+
   /**
    * Register callback for error event
    * @param {Function} callback - Callback function
@@ -540,243 +1029,910 @@ class BridgefyService {
   }
 
   /**
-   * Remove error callback
+   * Remove delivery status changed callback
    * @param {Function} callback - Callback function to remove
    */
-  removeErrorCallback(callback) {
-    this.onErrorCallbacks = this.onErrorCallbacks.filter(
+  removeDeliveryStatusChangedCallback(callback) {
+    this.onDeliveryStatusChangedCallbacks = this.onDeliveryStatusChangedCallbacks.filter(
       cb => cb !== callback
     );
   }
 
   /**
-   * Add message to history
-   * @param {string} peerId - Peer ID
-   * @param {Object} message - Message object
+   * Remove peer key exchanged callback
+   * @param {Function} callback - Callback function to remove
    */
-  _addToMessageHistory(peerId, message) {
-    if (!this.messageHistory.has(peerId)) {
-      this.messageHistory.set(peerId, []);
-    }
-    
-    const history = this.messageHistory.get(peerId);
-    history.push(message);
-    
-    // Limit history size
-    if (history.length > 100) {
-      history.shift(); // Remove oldest message
-    }
+  removePeerKeyExchangedCallback(callback) {
+    this.onPeerKeyExchangedCallbacks = this.onPeerKeyExchangedCallbacks.filter(
+      cb => cb !== callback
+    );
   }
 
   /**
-   * Notify all peer detected callbacks
-   * @param {Object} peer - Detected peer
+   * Remove presence updated callback
+   * @param {Function} callback - Callback function to remove
    */
-  _notifyPeerDetected(peer) {
-    this.onPeerDetectedCallbacks.forEach(callback => {
-      callback(peer);
-    });
+  removePresenceUpdatedCallback(callback) {
+    this.onPresenceUpdatedCallbacks = this.onPresenceUpdatedCallbacks.filter(
+      cb => cb !== callback
+    );
   }
 
   /**
-   * Notify all peer lost callbacks
-   * @param {Object} peer - Lost peer
+   * Remove error callback
+   * @param {Function} callback - Callback function to remove
    */
-  _notifyPeerLost(peer) {
-    this.onPeerLostCallbacks.forEach(callback => {
-      callback(peer);
-    });
+  removeErrorCallback(callback) {
+    this.onErrorCallbacks = this.onErrorCallbacks.filter(
+      cb => cb !== callback
+    );
   }
 
   /**
-   * Notify all peer connection state changed callbacks
-   * @param {Object} peer - Peer with updated connection state
+   * Report an error found outside the mesh, such as a cloud message that
+   * could not be decrypted, to the error callbacks
+   * @param {string} code - Error code
+   * @param {string} message - Error message
    */
-  _notifyPeerConnectionStateChanged(peer) {
-    this.onPeerConnectionStateChangedCallbacks.forEach(callback => {
-      callback(peer);
+  reportError(code, message) {
+    this._notifyError(code, message);
+  }
+
+  /**
+   * Wrap a message in a signed mesh envelope
+   * A messageId already present on the payload is kept so callers can match
+   * acknowledgements against their own records.
+   * @param {Object} message - Message payload
+   * @param {string|null} recipientId - Final recipient, or null for a broadcast
+   * @returns {Object} - Envelope ready to be routed
+   * @private
+   */
+  _createEnvelope(message, recipientId) {
+    return this._signEnvelope({
+      ...message,
+      senderId: this.userId,
+      senderName: this.username,
+      timestamp: new Date().toISOString(),
+      messageId: message.messageId || generateMessageId(),
+      originId: this.userId,
+      recipientId,
+      isBroadcast: !recipientId,
+      ttl: DEFAULT_TTL,
+      hopCount: 0,
     });
   }
 
   /**
-   * Notify all message received callbacks
-   * @param {string} peerId - Sender peer ID
-   * @param {Object} message - Received message
+   * Sign an envelope with an identity key
+   * @param {Object} envelope - Envelope to sign
+   * @param {Object|null} signingKeyPair - Base64 key pair to sign with (defaults to this device)
+   * @returns {Object} - Envelope with signingKey and signature
+   * @private
    */
-  _notifyMessageReceived(peerId, message) {
-    this.onMessageReceivedCallbacks.forEach(callback => {
-      callback(peerId, message);
+  _signEnvelope(envelope, signingKeyPair = null) {
+    const signingKey = signingKeyPair ? signingKeyPair.publicKey : this.crypto.getSigningPublicKey();
+    const signature = this.crypto.sign(
+      getSignedFields(envelope),
+      signingKeyPair ? signingKeyPair.secretKey : null
+    );
+    
+    return {
+      ...envelope,
+      signingKey,
+      signature,
+    };
+  }
+
+  /**
+   * Check an envelope signature against the identity key of its origin
+   * The first validly signed envelope from a peer pins its key (trust on
+   * first use); envelopes signed with any other key afterwards, or not
+   * signed at all, are invalid.
+   * @param {string} originId - Claimed origin of the envelope
+   * @param {Object} envelope - Received envelope, before decryption
+   * @returns {string} - VERIFICATION_STATUS value
+   * @private
+   */
+  _verifyEnvelope(originId, envelope) {
+    const pinnedKey = this.peerSigningKeys.get(originId);
+    
+    if (!envelope.signature || !envelope.signingKey) {
+      // Once we know a peer's key, stripping the signature is impersonation
+      if (pinnedKey) {
+        console.warn(`Message ${envelope.messageId} claims to be from ${originId} but is not signed`);
+        return VERIFICATION_STATUS.INVALID;
+      }
+      return VERIFICATION_STATUS.UNSIGNED;
+    }
+    
+    if (pinnedKey && pinnedKey !== envelope.signingKey) {
+      console.warn(`Message ${envelope.messageId} claims to be from ${originId} but is signed with another key`);
+      return VERIFICATION_STATUS.INVALID;
+    }
+    
+    if (!this.crypto.verify(getSignedFields(envelope), envelope.signature, envelope.signingKey)) {
+      console.warn(`Message ${envelope.messageId} from ${originId} has an invalid signature`);
+      return VERIFICATION_STATUS.INVALID;
+    }
+    
+    if (!pinnedKey) {
+      this.setPeerSigningKey(originId, envelope.signingKey);
+      return VERIFICATION_STATUS.UNVERIFIED;
+    }
+    
+    return VERIFICATION_STATUS.VERIFIED;
+  }
+
+  /**
+   * Send an acknowledgement back to the origin of a message
+   * The ACK travels through the mesh like any other envelope and is held
+   * for relay when no neighbour is currently in range.
+   * @param {string} peerId - Origin of the acknowledged message
+   * @param {string} messageId - ID of the acknowledged message
+   * @param {string} status - DELIVERY_STATUS.DELIVERED or DELIVERY_STATUS.READ
+   * @returns {boolean} - Whether the ACK was handed to a neighbour
+   * @private
+   */
+  _sendAck(peerId, messageId, status) {
+    const ack = this._createEnvelope({
+      type: MESSAGE_TYPES.ACK,
+      content: {
+        messageId,
+        status,
+        receivedAt: new Date().toISOString(),
+      },
+    }, peerId);
+    
+    this._markMessageSeen(ack.messageId);
+    
+    if (this._routeEnvelope(ack) > 0) {
+      return true;
+    }
+    
+    this._enqueueRelay(ack, null);
+    return false;
+  }
+
+  /**
+   * Send our public keys to a peer
+   * Like ACKs, key exchanges travel through the mesh, so keys can be agreed
+   * with peers that are several hops away.
+   * @param {string} peerId - Peer to exchange keys with
+   * @param {boolean} isReply - Whether this answers a key exchange from the peer
+   * @returns {boolean} - Whether the key exchange was handed to a neighbour
+   * @private
+   */
+  _sendKeyExchange(peerId, isReply = false) {
+    const publicKey = this.crypto.getPublicKey();
+    if (!publicKey) {
+      console.error('Cannot exchange keys: crypto service not initialized');
+      return false;
+    }
+    
+    const keyExchange = this._createEnvelope({
+      type: MESSAGE_TYPES.KEY_EXCHANGE,
+      content: {
+        publicKey,
+        signingKey: this.crypto.getSigningPublicKey(),
+        codecVersion: CODEC_VERSION,
+        isReply,
+      },
+    }, peerId);
+    
+    this._markMessageSeen(keyExchange.messageId);
+    
+    if (this._routeEnvelope(keyExchange) > 0) {
+      return true;
+    }
+    
+    this._enqueueRelay(keyExchange, null);
+    return false;
+  }
+
+  /**
+   * Handle a key exchange addressed to us
+   * @param {string} peerId - Peer that sent its keys
+   * @param {Object} envelope - Key exchange envelope
+   * @param {string} fromPeerId - Neighbour the envelope arrived from
+   * @private
+   */
+  _handleKeyExchange(peerId, envelope, fromPeerId) {
+    const { publicKey, isReply, codecVersion } = envelope.content || {};
+    if (!publicKey) return;
+    
+    // The advertised identity key must be the one the exchange was signed with
+    if (envelope.content.signingKey && envelope.content.signingKey !== envelope.signingKey) {
+      this._notifyError('verification_error', `Key exchange from ${peerId} is signed with another key`);
+      return;
+    }
+    
+    // Neighbours exchange keys on connect, which tells us their wire format
+    if (peerId === fromPeerId && codecVersion) {
+      this._setPeerCodecVersion(peerId, codecVersion);
+    }
+    
+    this.setPeerPublicKey(peerId, publicKey);
+    this._notifyPeerKeyExchanged(peerId, publicKey, envelope.signingKey || null);
+    
+    console.log(`Exchanged keys with peer ${peerId}`);
+    
+    if (!isReply) {
+      this._sendKeyExchange(peerId, true);
+    }
+  }
+
+  /**
+   * Answer a ping addressed to us
+   * Pongs are not held for relay: a late answer is no use to a ping that
+   * has already timed out.
+   * @param {string} peerId - Origin of the ping
+   * @param {Object} ping - Ping envelope
+   * @private
+   */
+  _sendPong(peerId, ping) {
+    const pong = this._createEnvelope({
+      type: MESSAGE_TYPES.PONG,
+      content: {
+        pingId: ping.messageId,
+        hopCount: ping.hopCount || 0,
+      },
+    }, peerId);
+    
+    this._markMessageSeen(pong.messageId);
+    this._routeEnvelope(pong);
+  }
+
+  /**
+   * Resolve the ping a pong answers
+   * @param {string} peerId - Origin of the pong
+   * @param {Object} pong - Pong envelope
+   * @private
+   */
+  _handlePong(peerId, pong) {
+    const pingId = pong.content && pong.content.pingId;
+    const pending = this.pendingPings.get(pingId);
+    if (!pending || pending.peerId !== peerId) return;
+    
+    clearTimeout(pending.timer);
+    this.pendingPings.delete(pingId);
+    
+    // Hop counts on envelopes count relays, so a direct link is one hop
+    pending.resolve({
+      peerId,
+      roundTripTime: Date.now() - pending.sentAt,
+      hopCount: (pong.content.hopCount || 0) + 1,
+      returnHopCount: (pong.hopCount || 0) + 1,
     });
   }
 
   /**
-   * Notify all error callbacks
-   * @param {string} code - Error code
-   * @param {string} message - Error message
+   * Record a presence beacon from another hiker
+   * @param {string} peerId - Origin of the beacon
+   * @param {Object} envelope - Presence envelope
+   * @param {string} verification - VERIFICATION_STATUS of the envelope
+   * @private
    */
-  _notifyError(code, message) {
-    const error = { code, message };
-    this.onErrorCallbacks.forEach(callback => {
-      callback(error);
+  _handlePresence(peerId, envelope, verification) {
+    const content = envelope.content || {};
+    
+    // Beacons can arrive out of order over different paths
+    const previous = this.peerPresence.get(peerId);
+    if (previous && previous.sentAt > envelope.timestamp) return;
+    
+    const presence = {
+      displayName: envelope.senderName,
+      status: PRESENCE_STATUS.OK,
+      ...content,
+      peerId,
+      sentAt: envelope.timestamp,
+      receivedAt: new Date().toISOString(),
+      hopCount: (envelope.hopCount || 0) + 1,
+      verification,
+    };
+    
+    this.peerPresence.set(peerId, presence);
+    
+    // Show the advertised name and details on the peer itself
+    const peer = this.availablePeers.get(peerId);
+    if (peer) {
+      peer.name = presence.displayName || peer.name;
+      peer.presence = presence;
+    }
+    
+    this._notifyPresenceUpdated(presence);
+  }
+
+  /**
+   * Decrypt the content of an envelope addressed to us
+   * @param {string} peerId - Origin of the envelope
+   * @param {Object} envelope - Encrypted envelope
+   * @returns {Object|null} - Envelope with readable content, or null on failure
+   * @private
+   */
+  _decryptEnvelope(peerId, envelope) {
+    const publicKey = this.peerPublicKeys.get(peerId);
+    
+    try {
+      if (!publicKey) {
+        throw new Error('no public key for sender');
+      }
+      
+      return {
+        ...envelope,
+        content: this.crypto.decrypt(envelope.content, publicKey),
+        isEncrypted: false,
+      };
+    } catch (error) {
+      console.error(`Error decrypting message ${envelope.messageId} from peer ${peerId}:`, error);
+      this._notifyError('decryption_error', `Could not decrypt message from ${peerId}: ${error.message}`);
+      
+      // The sender may be using a key we do not have yet
+      if (!publicKey) {
+        this._sendKeyExchange(peerId);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Forward an envelope towards its recipient
+   * Goes straight to the recipient when it is a neighbour, otherwise floods
+   * every neighbour except the one it came from and its origin.
+   * @param {Object} envelope - Envelope to route
+   * @param {string|null} fromPeerId - Neighbour the envelope arrived from
+   * @returns {number} - Number of neighbours the envelope was handed to
+   * @private
+   */
+  _routeEnvelope(envelope, fromPeerId = null) {
+    if (envelope.recipientId && this.connectedPeers.has(envelope.recipientId)) {
+      this._transmitEnvelope(envelope.recipientId, envelope);
+      return 1;
+    }
+    
+    const neighbourIds = Array.from(this.connectedPeers.keys()).filter(
+      peerId => peerId !== fromPeerId && peerId !== envelope.originId
+    );
+    
+    neighbourIds.forEach(peerId => {
+      this._transmitEnvelope(peerId, envelope);
     });
+    
+    return neighbourIds.length;
   }
 
   /**
-   * Simulate peer discovery process
-   * This is used for development and testing only
+   * Transmit an envelope to a single neighbour
+   * @param {string} peerId - Neighbour peer ID
+   * @param {Object} envelope - Envelope to transmit
+   * @private
    */
-  _simulatePeerDiscovery() {
-    if (!this.isStarted) return;
+  _transmitEnvelope(peerId, envelope) {
+    let frames;
+    try {
+      // Serialise to the binary wire format, fragmented to fit the link MTU,
+      // in a version the neighbour can read
+      const version = this.peerCodecVersions.get(peerId) || MIN_CODEC_VERSION;
+      frames = encodeEnvelope(envelope, DEFAULT_MTU, version);
+    } catch (error) {
+      console.error(`Error encoding message ${envelope.messageId}:`, error);
+      this._notifyError('encode_error', error.message);
+      return;
+    }
     
-    console.log('Simulating peer discovery...');
+    const stats = this._getPeerStats(peerId);
+    stats.envelopesSent++;
+    stats.framesSent += frames.length;
+    stats.bytesSent += frames.reduce((total, frame) => total + frame.length, 0);
     
-    // Simulate discovery of 2-5 peers
-    const peerCount = Math.floor(Math.random() * 4) + 2;
-    const discoveryInterval = setInterval(() => {
-      if (!this.isStarted) {
-        clearInterval(discoveryInterval);
-        return;
+    frames.forEach(frame => {
+      if (!this.transport.send(peerId, frame)) {
+        console.warn(`Transport could not send frame of message ${envelope.messageId} to ${peerId}`);
       }
+    });
+  }
+
+  /**
+   * Remember the wire format version a neighbour reads
+   * Versions only go up while connected; we never send newer than our own.
+   * @param {string} peerId - Neighbour peer ID
+   * @param {number} version - Version the neighbour reads
+   * @private
+   */
+  _setPeerCodecVersion(peerId, version) {
+    const shared = Math.min(version, CODEC_VERSION);
+    if (isSupportedVersion(shared) && shared > (this.peerCodecVersions.get(peerId) || MIN_CODEC_VERSION)) {
+      this.peerCodecVersions.set(peerId, shared);
+    }
+  }
+
+  /**
+   * Handle a frame received from a neighbour
+   * Frames are reassembled into envelopes; frames in an unknown format
+   * version, or that fail to decode, are dropped.
+   * @param {string} fromPeerId - Neighbour the frame arrived from
+   * @param {Uint8Array} frame - Received frame
+   * @private
+   */
+  _receiveFrame(fromPeerId, frame) {
+    const stats = this._getPeerStats(fromPeerId);
+    stats.framesReceived++;
+    stats.bytesReceived += frame.length;
+    stats.lastSeen = Date.now();
+    
+    let envelope;
+    try {
+      envelope = this.envelopeDecoder.receive(fromPeerId, frame);
+    } catch (error) {
+      console.error(`Dropping frame from ${fromPeerId}:`, error);
+      this._notifyError('decode_error', error.message);
+      return;
+    }
+    
+    // A neighbour writing a newer version can read it too
+    this._setPeerCodecVersion(fromPeerId, frame[0]);
+    
+    // Wait for the remaining fragments
+    if (!envelope) return;
+    
+    stats.envelopesReceived++;
+    this._handleIncomingEnvelope(fromPeerId, envelope);
+  }
+
+  /**
+   * Handle an envelope received from a neighbour
+   * Delivers it locally when addressed to us (or broadcast) and relays it
+   * onwards while its TTL allows.
+   * @param {string} fromPeerId - Neighbour the envelope arrived from
+   * @param {Object} envelope - Received envelope
+   * @private
+   */
+  _handleIncomingEnvelope(fromPeerId, envelope) {
+    if (!envelope || !envelope.messageId) return;
+    
+    // Drop duplicates arriving over different paths
+    if (this._hasSeenMessage(envelope.messageId)) return;
+    this._markMessageSeen(envelope.messageId);
+    
+    const originId = envelope.originId || envelope.senderId || fromPeerId;
+    if (originId === this.userId) return;
+    
+    // Remember how far away the origin is for diagnostics
+    const originStats = this._getPeerStats(originId);
+    originStats.name = envelope.senderName || originStats.name;
+    originStats.lastSeen = Date.now();
+    originStats.hopCount = (envelope.hopCount || 0) + 1;
+    
+    // Envelopes without a recipient come from pre-relay peers and are for us.
+    // Group broadcasts are only for the members listed on them, and channel
+    // posts only for hikers inside their radius.
+    const isGroupMember = !envelope.groupId ||
+      (envelope.groupMembers || []).includes(this.userId);
+    const isInChannelRadius = this._isInChannelRadius(envelope);
+    const isForUs = isGroupMember && isInChannelRadius && (
+      envelope.isBroadcast ||
+      !envelope.recipientId ||
+      envelope.recipientId === this.userId
+    );
+    
+    // Only the final recipient checks who really sent the envelope
+    const verification = isForUs ? this._verifyEnvelope(originId, envelope) : null;
+    const isControl = [
+      MESSAGE_TYPES.ACK,
+      MESSAGE_TYPES.KEY_EXCHANGE,
+      MESSAGE_TYPES.PING,
+      MESSAGE_TYPES.PONG,
+      MESSAGE_TYPES.PRESENCE,
+    ].includes(envelope.type);
+    
+    const isSignatureRequired = SIGNATURE_REQUIRED_TYPES.includes(envelope.type);
+    
+    if (isForUs && isControl && verification === VERIFICATION_STATUS.INVALID) {
+      // Forged acknowledgements, key exchanges and pings are dropped outright
+      this._notifyError('verification_error', `Dropped ${envelope.type} from ${originId} with an invalid signature`);
+    } else if (isForUs && isSignatureRequired && (
+      verification === VERIFICATION_STATUS.INVALID || verification === VERIFICATION_STATUS.UNSIGNED
+    )) {
+      // SOS, SOS updates and key exchanges are only acted on with a valid signature
+      this._notifyError('verification_error', `Dropped ${envelope.type} from ${originId}: ${verification} signature`);
+    } else if (isForUs && envelope.type === MESSAGE_TYPES.ACK) {
+      // Acknowledgement for one of our messages, which must be signed and
+      // can only say it arrived or was read
+      const { messageId, status } = envelope.content || {};
+      if (verification === VERIFICATION_STATUS.UNSIGNED) {
+        this._notifyError('verification_error', `Dropped ${envelope.type} from ${originId}: ${verification} signature`);
+      } else if (status === DELIVERY_STATUS.DELIVERED || status === DELIVERY_STATUS.READ) {
+        this._notifyDeliveryStatusChanged(messageId, status, originId);
+      }
+    } else if (isForUs && envelope.type === MESSAGE_TYPES.KEY_EXCHANGE) {
+      this._handleKeyExchange(originId, envelope, fromPeerId);
+    } else if (isForUs && envelope.type === MESSAGE_TYPES.PING) {
+      this._sendPong(originId, envelope);
+    } else if (isForUs && envelope.type === MESSAGE_TYPES.PONG) {
+      this._handlePong(originId, envelope);
+    } else if (isForUs && envelope.type === MESSAGE_TYPES.PRESENCE) {
+      this._handlePresence(originId, envelope, verification);
+    } else if (isForUs) {
+      let message = envelope;
       
-      // Generate random peer
-      const peerId = `peer_${Math.floor(Math.random() * 1000000)}`;
-      const peer = {
-        id: peerId,
-        name: `Hiker ${Math.floor(Math.random() * 100)}`,
-        connectionState: CONNECTION_STATE.DISCONNECTED,
-        discoveredAt: new Date().toISOString(),
-        profileInfo: {
-          hikeExperience: ['beginner', 'intermediate', 'advanced'][Math.floor(Math.random() * 3)],
-        },
+      if (envelope.isEncrypted) {
+        // Undecryptable messages are dropped without an acknowledgement
+        message = this._decryptEnvelope(originId, envelope);
+        if (!message) return;
+      }
+      
+      message = {
+        ...message,
+        verification,
       };
       
-      // Add to available peers
-      this.availablePeers.set(peerId, peer);
+      if (message.isEmergency && verification !== VERIFICATION_STATUS.VERIFIED) {
+        console.warn(`Emergency message ${message.messageId} from ${originId} is ${verification}`);
+      }
       
-      // Notify listeners
-      this._notifyPeerDetected(peer);
+      // Add to local message history of the sender, or of the group or channel
+      this._addToMessageHistory(message.groupId || message.channelId || originId, message);
       
-      console.log(`Discovered peer: ${peer.name} (${peerId})`);
+      // Notify listeners
+      this._notifyMessageReceived(originId, message);
       
-      if (this.availablePeers.size >= peerCount) {
-        clearInterval(discoveryInterval);
-        
-        // Simulate peer loss after some time
-        setTimeout(() => {
-          if (!this.isStarted) return;
-          
-          // Randomly select a peer to lose
-          const peerIds = Array.from(this.availablePeers.keys());
-          if (peerIds.length > 0) {
-            const randomPeerId = peerIds[Math.floor(Math.random() * peerIds.length)];
-            const lostPeer = this.availablePeers.get(randomPeerId);
-            
-            // Remove peer
-            this.availablePeers.delete(randomPeerId);
-            if (this.connectedPeers.has(randomPeerId)) {
-              this.connectedPeers.delete(randomPeerId);
-            }
-            
-            // Notify listeners
-            this._notifyPeerLost(lostPeer);
-            
-            console.log(`Lost peer: ${lostPeer.name} (${randomPeerId})`);
-          }
-        }, 30000); // Simulate peer loss after 30 seconds
+      // Acknowledge messages addressed to us (broadcasts are not acknowledged),
+      // unless the ACK would go to a sender we could not authenticate
+      if (envelope.recipientId === this.userId && verification !== VERIFICATION_STATUS.INVALID) {
+        this._sendAck(originId, envelope.messageId, DELIVERY_STATUS.DELIVERED);
       }
-    }, 5000); // Discover a new peer every 5 seconds
+    }
+    
+    const needsRelay = envelope.isBroadcast ||
+      (envelope.recipientId && envelope.recipientId !== this.userId);
+    if (!needsRelay) return;
+    
+    // Channel posts stop spreading once they leave their area
+    if (!isInChannelRadius) {
+      console.log(`Dropping message ${envelope.messageId}: outside channel radius`);
+      return;
+    }
+    
+    const relayed = {
+      ...envelope,
+      ttl: (envelope.ttl !== undefined ? envelope.ttl : DEFAULT_TTL) - 1,
+      hopCount: (envelope.hopCount || 0) + 1,
+    };
+    
+    if (relayed.ttl <= 0) {
+      console.log(`Dropping message ${envelope.messageId}: TTL expired`);
+      return;
+    }
+    
+    // Presence beacons are not worth holding: the next one will be fresher
+    if (this._routeEnvelope(relayed, fromPeerId) === 0 &&
+        envelope.type !== MESSAGE_TYPES.PRESENCE) {
+      this._enqueueRelay(relayed, fromPeerId);
+    }
   }
 
   /**
-   * Simulate message delivery (for demo purposes only)
-   * @param {string} peerId - Recipient peer ID
-   * @param {Object} message - Message to deliver
-   */
-  _simulateMessageDelivery(peerId, message) {
-    if (!this.isStarted) return;
-    
-    // Simulate a response from the peer
-    setTimeout(() => {
-      if (!this.isStarted || !this.connectedPeers.has(peerId)) return;
-      
-      const peer = this.connectedPeers.get(peerId);
-      
-      // Generate a response based on the message type
-      let response;
-      switch (message.type) {
-        case MESSAGE_TYPES.TEXT:
-          response = {
-            type: MESSAGE_TYPES.TEXT,
-            content: `Thanks for your message: "${message.content}"`,
-            senderId: peer.id,
-            senderName: peer.name,
-            timestamp: new Date().toISOString(),
-            messageId: `msg_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-            isResponse: true,
-          };
-          break;
-          
-        case MESSAGE_TYPES.LOCATION:
-          // Simulate nearby location
-          const latOffset = (Math.random() * 0.01) - 0.005;
-          const lonOffset = (Math.random() * 0.01) - 0.005;
-          response = {
-            type: MESSAGE_TYPES.LOCATION,
-            content: {
-              latitude: message.content.latitude + latOffset,
-              longitude: message.content.longitude + lonOffset,
-              timestamp: new Date().toISOString(),
-            },
-            senderId: peer.id,
-            senderName: peer.name,
-            timestamp: new Date().toISOString(),
-            messageId: `msg_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-            isResponse: true,
-          };
-          break;
-          
-        case MESSAGE_TYPES.SOS:
-          response = {
-            type: MESSAGE_TYPES.STATUS,
-            content: {
-              status: 'received_sos',
-              message: 'I received your SOS and am coming to help!',
-              eta: '15 minutes',
-            },
-            senderId: peer.id,
-            senderName: peer.name,
-            timestamp: new Date().toISOString(),
-            messageId: `msg_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-            isResponse: true,
-            isEmergency: true,
-          };
-          break;
-          
-        default:
-          response = {
-            type: MESSAGE_TYPES.STATUS,
-            content: {
-              status: 'received',
-              message: 'Message received',
-            },
-            senderId: peer.id,
-            senderName: peer.name,
-            timestamp: new Date().toISOString(),
-            messageId: `msg_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-            isResponse: true,
-          };
+   * Check whether this device is inside the area of a channel post
+   * Envelopes that are not channel posts, and positions we don't know yet,
+   * count as inside so that nothing is dropped for lack of a GPS fix.
+   * @param {Object} envelope - Received envelope
+   * @returns {boolean} - Whether the envelope applies to our position
+   * @private
+   */
+  _isInChannelRadius(envelope) {
+    const origin = envelope.channelOrigin;
+    const location = this.location.currentLocation;
+    if (!envelope.channelId || !envelope.channelRadius || !origin || !location) {
+      return true;
+    }
+    
+    const distance = this.location.calculateDistance(
+      origin.latitude,
+      origin.longitude,
+      location.latitude,
+      location.longitude
+    );
+    
+    return distance <= envelope.channelRadius;
+  }
+
+  /**
+   * Hold an envelope until a neighbour is available to carry it
+   * @param {Object} envelope - Envelope to hold
+   * @param {string} fromPeerId - Neighbour the envelope arrived from
+   * @private
+   */
+  _enqueueRelay(envelope, fromPeerId) {
+    this.relayQueue.push({
+      envelope,
+      fromPeerId,
+      queuedAt: Date.now(),
+    });
+    
+    // Limit queue size
+    if (this.relayQueue.length > RELAY_QUEUE_SIZE) {
+      this.relayQueue.shift(); // Drop oldest envelope
+    }
+    
+    console.log(`Queued message ${envelope.messageId} for relay (${this.relayQueue.length} queued)`);
+  }
+
+  /**
+   * Forward queued envelopes to the current neighbours
+   * @private
+   */
+  _flushRelayQueue() {
+    if (!this.isStarted || this.relayQueue.length === 0) return;
+    
+    const now = Date.now();
+    this.relayQueue = this.relayQueue.filter(item => {
+      // Drop envelopes that have been waiting too long
+      if (now - item.queuedAt > RELAY_QUEUE_TTL) {
+        return false;
       }
       
-      // Add to local message history
-      this._addToMessageHistory(peer.id, response);
-      
-      // Notify listeners
-      this._notifyMessageReceived(peer.id, response);
-      
-      console.log(`Received response from peer ${peer.name} (${peer.id}):`, response);
-    }, 2000 + Math.random() * 3000); // Random delay between 2-5 seconds
+      return this._routeEnvelope(item.envelope, item.fromPeerId) === 0;
+    });
+  }
+
+  /**
+   * Remember a message ID for duplicate detection
+   * @param {string} messageId - Message ID
+   * @private
+   */
+  _markMessageSeen(messageId) {
+    this.seenMessages.set(messageId, Date.now());
+    
+    // Limit cache size (Map keeps insertion order, so the first key is the oldest)
+    if (this.seenMessages.size > SEEN_CACHE_SIZE) {
+      this.seenMessages.delete(this.seenMessages.keys().next().value);
+    }
+  }
+
+  /**
+   * Check whether a message ID has been seen recently
+   * @param {string} messageId - Message ID
+   * @returns {boolean} - Whether the message is a duplicate
+   * @private
+   */
+  _hasSeenMessage(messageId) {
+    const seenAt = this.seenMessages.get(messageId);
+    if (seenAt === undefined) return false;
+    
+    if (Date.now() - seenAt > SEEN_CACHE_TTL) {
+      this.seenMessages.delete(messageId);
+      return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Get the diagnostics counters for a peer, creating them on first use
+   * @param {string} peerId - Peer ID
+   * @returns {Object} - Mutable counters for the peer
+   * @private
+   */
+  _getPeerStats(peerId) {
+    if (!this.peerStats.has(peerId)) {
+      this.peerStats.set(peerId, {
+        name: null,
+        lastSeen: null,
+        hopCount: null,
+        envelopesSent: 0,
+        envelopesReceived: 0,
+        framesSent: 0,
+        framesReceived: 0,
+        bytesSent: 0,
+        bytesReceived: 0,
+      });
+    }
+    
+    return this.peerStats.get(peerId);
+  }
+
+  /**
+   * Estimate the distance to a neighbour from its signal strength
+   * Uses the log-distance path loss model, so treat the result as a rough
+   * guide: terrain and bodies in the way easily double it.
+   * @param {number} rssi - Received signal strength in dBm
+   * @returns {number} - Estimated distance in meters
+   * @private
+   */
+  _estimateDistance(rssi) {
+    return Math.pow(10, (RSSI_AT_ONE_METER - rssi) / (10 * PATH_LOSS_EXPONENT));
+  }
+
+  /**
+   * Add message to history
+   * @param {string} peerId - Peer ID
+   * @param {Object} message - Message object
+   */
+  _addToMessageHistory(peerId, message) {
+    if (!this.messageHistory.has(peerId)) {
+      this.messageHistory.set(peerId, []);
+    }
+    
+    const history = this.messageHistory.get(peerId);
+    history.push(message);
+    
+    // Limit history size
+    if (history.length > 100) {
+      history.shift(); // Remove oldest message
+    }
+  }
+
+  /**
+   * Handle a neighbour reported by the transport
+   * Reports for a peer we already know update its details, such as RSSI.
+   * @param {Object} peer - Discovered peer
+   * @private
+   */
+  _handlePeerDiscovered(peer) {
+    const known = this.availablePeers.get(peer.id);
+    if (known) {
+      Object.assign(known, peer, { connectionState: known.connectionState });
+      return;
+    }
+    
+    this.availablePeers.set(peer.id, {
+      connectionState: CONNECTION_STATE.DISCONNECTED,
+      discoveredAt: new Date().toISOString(),
+      ...peer,
+    });
+    
+    this._notifyPeerDetected(this.availablePeers.get(peer.id));
+    
+    console.log(`Discovered peer: ${peer.name} (${peer.id})`);
+  }
+
+  /**
+   * Handle a neighbour the transport can no longer reach
+   * @param {string} peerId - Lost peer ID
+   * @private
+   */
+  _handlePeerLost(peerId) {
+    const lostPeer = this.availablePeers.get(peerId);
+    if (!lostPeer) return;
+    
+    this.availablePeers.delete(peerId);
+    this.connectedPeers.delete(peerId);
+    lostPeer.connectionState = CONNECTION_STATE.DISCONNECTED;
+    
+    this._notifyPeerLost(lostPeer);
+    
+    console.log(`Lost peer: ${lostPeer.name} (${peerId})`);
+  }
+
+  /**
+   * Handle a connection to a neighbour, opened by either side
+   * @param {string} peerId - Connected peer ID
+   * @private
+   */
+  _handlePeerConnected(peerId) {
+    const peer = this.availablePeers.get(peerId);
+    if (!peer || this.connectedPeers.has(peerId)) return;
+    
+    peer.connectionState = CONNECTION_STATE.CONNECTED;
+    this.connectedPeers.set(peerId, peer);
+    this._notifyPeerConnectionStateChanged(peer);
+    
+    console.log(`Connected to peer ${peerId}`);
+    
+    // A new neighbour may be able to carry queued envelopes
+    this._flushRelayQueue();
+  }
+
+  /**
+   * Handle a connection to a neighbour being closed by either side
+   * @param {string} peerId - Disconnected peer ID
+   * @private
+   */
+  _handlePeerDisconnected(peerId) {
+    const peer = this.connectedPeers.get(peerId);
+    if (!peer) return;
+    
+    peer.connectionState = CONNECTION_STATE.DISCONNECTED;
+    this.connectedPeers.delete(peerId);
+    this.peerCodecVersions.delete(peerId); // Learnt again on reconnect
+    this._notifyPeerConnectionStateChanged(peer);
+    
+    console.log(`Disconnected from peer ${peerId}`);
+  }
+
+  /**
+   * Notify all peer detected callbacks
+   * @param {Object} peer - Detected peer
+   */
+  _notifyPeerDetected(peer) {
+    this.onPeerDetectedCallbacks.forEach(callback => {
+      callback(peer);
+    });
+  }
+
+  /**
+   * Notify all peer lost callbacks
+   * @param {Object} peer - Lost peer
+   */
+  _notifyPeerLost(peer) {
+    this.onPeerLostCallbacks.forEach(callback => {
+      callback(peer);
+    });
+  }
+
+  /**
+   * Notify all peer connection state changed callbacks
+   * @param {Object} peer - Peer with updated connection state
+   */
+  _notifyPeerConnectionStateChanged(peer) {
+    this.onPeerConnectionStateChangedCallbacks.forEach(callback => {
+      callback(peer);
+    });
+  }
+
+  /**
+   * Notify all message received callbacks
+   * @param {string} peerId - Sender peer ID
+   * @param {Object} message - Received message
+   */
+  _notifyMessageReceived(peerId, message) {
+    this.onMessageReceivedCallbacks.forEach(callback => {
+      callback(peerId, message);
+    });
+  }
+
+  /**
+   * Notify all delivery status changed callbacks
+   * @param {string} messageId - Message ID
+   * @param {string} status - New delivery status
+   * @param {string} peerId - Recipient peer ID
+   */
+  _notifyDeliveryStatusChanged(messageId, status, peerId) {
+    this.onDeliveryStatusChangedCallbacks.forEach(callback => {
+      callback(messageId, status, peerId);
+    });
+  }
+
+  /**
+   * Notify all peer key exchanged callbacks
+   * @param {string} peerId - Peer ID
+   * @param {string} publicKey - Peer's base64 public key
+   * @param {string|null} signingKey - Peer's base64 identity key
+   */
+  _notifyPeerKeyExchanged(peerId, publicKey, signingKey) {
+    this.onPeerKeyExchangedCallbacks.forEach(callback => {
+      callback(peerId, publicKey, signingKey);
+    });
+  }
+
+  /**
+   * Notify all presence updated callbacks
+   * @param {Object} presence - Presence entry
+   */
+  _notifyPresenceUpdated(presence) {
+    this.onPresenceUpdatedCallbacks.forEach(callback => {
+      callback(presence);
+    });
+  }
+
+  /**
+   * Notify all error callbacks
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   */
+  _notifyError(code, message) {
+    const error = { code, message };
+    
+    // Keep recent errors for the diagnostics screen
+    this.recentErrors.push({ ...error, timestamp: new Date().toISOString() });
+    if (this.recentErrors.length > ERROR_LOG_SIZE) {
+      this.recentErrors.shift();
+    }
+    
+    this.onErrorCallbacks.forEach(callback => {
+      callback(error);
+    });
   }
 }
 
 // Export as singleton
-export default new BridgefyService();
\ No newline at end of file
+export default new BridgefyService({ transport: new DemoTransport() });
\ No newline at end of file
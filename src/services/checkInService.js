@@ -0,0 +1,515 @@
+import { Alert } from 'react-native';
+import sosService from './sosService';
+import sosIncidentService from './sosIncidentService';
+import messagingService from './messagingService';
+import firebaseService from './firebaseService';
+import backgroundLocationService from './backgroundLocationService';
+import tripPlanService, {
+  TRIP_STATUS,
+  CONTACT_TYPE,
+  DEFAULT_CHECK_IN_INTERVAL,
+  DEFAULT_GRACE_PERIOD,
+} from './tripPlanService';
+
+const ESCALATION_RETRY_INTERVAL = 60000; // Retry alerting contacts every minute until one is reached
+const TRACK_POINTS = 20; // Number of recent fixes sent with an alert
+
+// setTimeout can't wait longer than this
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Service for trip check-ins
+ * A running trip plan has an expected return time and a check-in interval.
+ * When a check-in, or the return, is missed the hiker is prompted on the
+ * device; if they don't answer within the grace period their designated
+ * contacts are sent an SOS with the last known track. The plan is stored
+ * by tripPlanService and checked again on every background fetch, so it
+ * keeps counting while the app is in the background or after a restart.
+ */
+class CheckInService {
+  constructor() {
+    this.isInitialized = false;
+    this.plan = null; // The running trip plan, if any
+    this.checkTimeout = null;
+    this.isChecking = false;
+    this.lastEscalationAttemptAt = 0;
+    this.escalationSosId = null; // SOS sent to the contacts of the running plan, if any
+    this.startedTracking = false;
+    this.tripListeners = [];
+    this.removeBackgroundTask = null;
+
+    // Bindings
+    this._checkDue = this._checkDue.bind(this);
+  }
+
+  /**
+   * Restore a running trip plan and check whether anything is due
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    try {
+      await tripPlanService.initialize();
+      this.plan = tripPlanService.getRunningPlan();
+      this.isInitialized = true;
+
+      if (this.plan) {
+        await this._startWatching();
+        await this._checkDue();
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error initializing check-ins:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Stop checking the running trip plan
+   * The plan keeps running and is picked up again by initialize().
+   */
+  cleanup() {
+    clearTimeout(this.checkTimeout);
+    this.checkTimeout = null;
+
+    if (this.removeBackgroundTask) {
+      this.removeBackgroundTask();
+      this.removeBackgroundTask = null;
+    }
+
+    this.plan = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Start a trip and its check-ins
+   * Starts a plan made beforehand when given its ID, or a new plan.
+   * @param {Object} options - Plan fields, e.g. name or route, and these:
+   * @param {string} options.id - ID of a planned trip to start
+   * @param {Date|string} options.expectedReturnAt - When we expect to be back
+   * @param {number} options.checkInInterval - Time allowed between check-ins, in milliseconds
+   * @param {number} options.gracePeriod - Time to answer a missed check-in prompt, in milliseconds
+   * @param {Array} options.contacts - Who to alert ({ type: CONTACT_TYPE value, id, name })
+   * @returns {Promise<Object>} The running trip plan
+   */
+  async startTrip(options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Check-ins not initialized');
+    }
+
+    if (this.plan) {
+      throw new Error('A trip is already running');
+    }
+
+    const planned = options.id ? tripPlanService.getPlan(options.id) : null;
+    if (options.id && (!planned || planned.status !== TRIP_STATUS.PLANNED)) {
+      throw new Error(`Trip plan ${options.id} can't be started`);
+    }
+
+    const {
+      expectedReturnAt,
+      checkInInterval = DEFAULT_CHECK_IN_INTERVAL,
+      gracePeriod = DEFAULT_GRACE_PERIOD,
+      contacts = [],
+    } = { ...planned, ...options };
+
+    const returnTime = new Date(expectedReturnAt).getTime();
+    if (isNaN(returnTime) || returnTime <= Date.now()) {
+      throw new Error('Expected return time must be in the future');
+    }
+
+    if (contacts.length === 0) {
+      throw new Error('At least one contact is needed to alert');
+    }
+
+    const unknown = contacts.find(contact => !Object.values(CONTACT_TYPE).includes(contact.type));
+    if (unknown) {
+      throw new Error(`Unknown contact type: ${unknown.type}`);
+    }
+
+    const now = Date.now();
+    this.plan = await tripPlanService.savePlan({
+      ...options,
+      status: TRIP_STATUS.ACTIVE,
+      contacts: contacts.map(contact => ({
+        type: contact.type,
+        id: contact.id,
+        name: contact.name || null,
+      })),
+      expectedReturnAt: new Date(returnTime).toISOString(),
+      checkInInterval,
+      gracePeriod,
+      startedAt: new Date(now).toISOString(),
+      lastCheckInAt: null,
+      nextCheckInAt: this._getNextCheckIn(now, checkInInterval, returnTime),
+      promptedAt: null,
+      escalatedAt: null,
+      escalationAttempts: 0,
+      endedAt: null,
+    });
+
+    await this._startWatching();
+    this._notifyTripListeners();
+
+    return this.plan;
+  }
+
+  /**
+   * Check in, confirming we are OK
+   * Resets the check-in timer. After an escalation the contacts are told
+   * we have checked in again.
+   * @returns {Promise<boolean>} Whether a trip was running
+   */
+  async checkIn() {
+    const plan = this.plan;
+    if (!plan) return false;
+
+    const wasEscalated = plan.status === TRIP_STATUS.ESCALATED;
+    const now = Date.now();
+
+    plan.status = TRIP_STATUS.ACTIVE;
+    plan.lastCheckInAt = new Date(now).toISOString();
+    plan.nextCheckInAt = this._getNextCheckIn(
+      now,
+      plan.checkInInterval,
+      new Date(plan.expectedReturnAt).getTime()
+    );
+    plan.promptedAt = null;
+    plan.escalatedAt = null;
+    plan.escalationAttempts = 0;
+    this.lastEscalationAttemptAt = 0;
+
+    await tripPlanService.savePlan(plan);
+    this._scheduleCheck();
+    this._notifyTripListeners();
+
+    if (wasEscalated) {
+      await this._notifyContacts(plan, 'I have checked in again and I am OK.');
+    }
+    await this._resolveEscalation();
+
+    return true;
+  }
+
+  /**
+   * End the running trip, e.g. once back at the trailhead
+   * @returns {Promise<boolean>} Whether a trip was running
+   */
+  async endTrip() {
+    const plan = this.plan;
+    if (!plan) return false;
+
+    const wasEscalated = plan.status === TRIP_STATUS.ESCALATED;
+
+    plan.status = TRIP_STATUS.COMPLETED;
+    plan.endedAt = new Date().toISOString();
+    await tripPlanService.savePlan(plan);
+
+    this.plan = null;
+    await this._stopWatching();
+    this._notifyTripListeners();
+
+    if (wasEscalated) {
+      await this._notifyContacts(plan, 'I am back safely. Thank you.');
+    }
+    await this._resolveEscalation();
+
+    return true;
+  }
+
+  /**
+   * Get the running trip plan
+   * @returns {Object|null} Trip plan or null
+   */
+  getActiveTrip() {
+    return this.plan;
+  }
+
+  /**
+   * Add a listener for changes to the running trip plan
+   * @param {Function} listener - Callback function(plan), with null once it ends
+   * @returns {Function} Function to remove listener
+   */
+  addTripListener(listener) {
+    if (typeof listener !== 'function') return () => {};
+
+    this.tripListeners.push(listener);
+    return () => {
+      this.tripListeners = this.tripListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Get when the next check-in is due
+   * A check-in is due after the interval, or at the expected return if
+   * that comes first. Once past the return time only the interval applies.
+   * @param {number} from - Time of the last check-in
+   * @param {number} interval - Check-in interval in milliseconds
+   * @param {number} returnTime - Expected return time
+   * @returns {string} ISO timestamp
+   * @private
+   */
+  _getNextCheckIn(from, interval, returnTime) {
+    const next = from + interval;
+    return new Date(returnTime > from ? Math.min(next, returnTime) : next).toISOString();
+  }
+
+  /**
+   * Start checking the running plan in the foreground and background
+   * Tracking is started so there is a track to send with an alert.
+   * @private
+   */
+  async _startWatching() {
+    if (!backgroundLocationService.isTracking) {
+      this.startedTracking = await backgroundLocationService.startTracking();
+    }
+
+    if (!this.removeBackgroundTask) {
+      this.removeBackgroundTask = backgroundLocationService.addBackgroundTask(this._checkDue);
+    }
+
+    this._scheduleCheck();
+  }
+
+  /**
+   * Stop checking once no plan is running
+   * @private
+   */
+  async _stopWatching() {
+    clearTimeout(this.checkTimeout);
+    this.checkTimeout = null;
+
+    if (this.removeBackgroundTask) {
+      this.removeBackgroundTask();
+      this.removeBackgroundTask = null;
+    }
+
+    // Stop tracking again if we only started it for the trip
+    if (this.startedTracking) {
+      this.startedTracking = false;
+      await backgroundLocationService.stopTracking();
+    }
+  }
+
+  /**
+   * Schedule the next check of the running plan
+   * @private
+   */
+  _scheduleCheck() {
+    clearTimeout(this.checkTimeout);
+    this.checkTimeout = null;
+
+    const plan = this.plan;
+    if (!plan) return;
+
+    let dueAt;
+    if (plan.status === TRIP_STATUS.ACTIVE) {
+      dueAt = new Date(plan.nextCheckInAt).getTime();
+    } else if (plan.status === TRIP_STATUS.OVERDUE) {
+      dueAt = Math.max(
+        new Date(plan.promptedAt).getTime() + plan.gracePeriod,
+        this.lastEscalationAttemptAt + ESCALATION_RETRY_INTERVAL
+      );
+    } else {
+      // Contacts have been alerted; wait for the hiker to check in
+      return;
+    }
+
+    const delay = Math.max(0, dueAt - Date.now());
+    this.checkTimeout = setTimeout(() => {
+      this._checkDue(false).catch(error => {
+        console.error('Error checking trip plan:', error);
+      });
+    }, Math.min(delay, MAX_TIMER_DELAY));
+  }
+
+  /**
+   * Prompt for a missed check-in, or alert contacts once the grace period is over
+   * Runs from our own timer and from background fetch.
+   * @param {boolean} escalateNow - Alert contacts of an overdue trip without waiting
+   * @private
+   */
+  async _checkDue(escalateNow = false) {
+    const plan = this.plan;
+    if (!plan || this.isChecking) return;
+
+    this.isChecking = true;
+    try {
+      const now = Date.now();
+
+      if (plan.status === TRIP_STATUS.ACTIVE && now >= new Date(plan.nextCheckInAt).getTime()) {
+        plan.status = TRIP_STATUS.OVERDUE;
+        plan.promptedAt = new Date(now).toISOString();
+        await tripPlanService.savePlan(plan);
+        this._notifyTripListeners();
+        this._promptCheckIn(plan);
+      }
+
+      if (
+        plan.status === TRIP_STATUS.OVERDUE && (escalateNow || (
+          now >= new Date(plan.promptedAt).getTime() + plan.gracePeriod &&
+          now >= this.lastEscalationAttemptAt + ESCALATION_RETRY_INTERVAL
+        ))
+      ) {
+        await this._escalate(plan);
+      }
+    } finally {
+      this.isChecking = false;
+      this._scheduleCheck();
+    }
+  }
+
+  /**
+   * Ask the hiker whether they are OK
+   * @param {Object} plan - Overdue trip plan
+   * @private
+   */
+  _promptCheckIn(plan) {
+    sosService.triggerHapticFeedback('notificationWarning');
+
+    const minutes = Math.round(plan.gracePeriod / 60000);
+    Alert.alert(
+      'Missed Check-In',
+      `You have not checked in${plan.name ? ` on "${plan.name}"` : ''}. ` +
+      `Your contacts will be alerted in ${minutes} minutes unless you check in.`,
+      [
+        {
+          text: 'Send SOS Now',
+          onPress: () => this._checkDue(true).catch(error => {
+            console.error('Error alerting contacts:', error);
+          }),
+          style: 'destructive',
+        },
+        {
+          text: "I'm OK",
+          onPress: () => this.checkIn().catch(console.error),
+        },
+      ],
+      { cancelable: false }
+    );
+  }
+
+  /**
+   * Alert the contacts of an overdue trip with our last known track
+   * Retried by _checkDue until at least one contact is reached.
+   * @param {Object} plan - Overdue trip plan
+   * @private
+   */
+  async _escalate(plan) {
+    this.lastEscalationAttemptAt = Date.now();
+    plan.escalationAttempts += 1;
+
+    const track = await this._getLastKnownTrack();
+    const since = plan.lastCheckInAt || plan.startedAt;
+    const message = `${messagingService.username || 'A hiker'} missed a check-in` +
+      `${plan.name ? ` on "${plan.name}"` : ''} and may need help. ` +
+      `Last check-in ${since}, expected back by ${plan.expectedReturnAt}.`;
+
+    const result = await sosService.sendSOSToContacts(plan.contacts, {
+      message,
+      track,
+      details: {
+        reason: 'missed_check_in',
+      },
+      sosId: this.escalationSosId,
+    });
+    this.escalationSosId = result.sosId;
+
+    // The hiker may have checked in while we were sending
+    if (this.plan !== plan || plan.status !== TRIP_STATUS.OVERDUE) return;
+
+    if (result.success) {
+      plan.status = TRIP_STATUS.ESCALATED;
+      plan.escalatedAt = new Date().toISOString();
+      console.log(`Missed check-in escalated to ${result.cloudSent ? 'the cloud and ' : ''}` +
+        `${result.notifiedIds.length} contacts over the mesh`);
+    } else {
+      console.warn(`Could not reach any contact for trip ${plan.id}, will retry`);
+    }
+
+    await tripPlanService.savePlan(plan);
+    this._notifyTripListeners();
+  }
+
+  /**
+   * Resolve the SOS sent for a missed check-in, now that we are OK
+   * @private
+   */
+  async _resolveEscalation() {
+    const sosId = this.escalationSosId;
+    this.escalationSosId = null;
+
+    if (sosId && sosIncidentService.getIncident(sosId)) {
+      try {
+        await sosIncidentService.resolve(sosId);
+      } catch (error) {
+        console.error('Error resolving missed check-in SOS:', error);
+      }
+    }
+  }
+
+  /**
+   * Get our last known track
+   * Recent fixes from background tracking, or our cloud history if there
+   * are none yet, e.g. just after a restart.
+   * @returns {Promise<Array>} Locations, oldest first
+   * @private
+   */
+  async _getLastKnownTrack() {
+    const track = backgroundLocationService.getRecentTrack(TRACK_POINTS);
+    if (track.length > 0 || !firebaseService.isSignedIn()) {
+      return track;
+    }
+
+    try {
+      const history = await firebaseService.getLocationHistory({ limit: TRACK_POINTS });
+      return history.reverse();
+    } catch (error) {
+      console.error('Error getting location history for check-in alert:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Send the contacts of a trip a text message
+   * @param {Object} plan - Trip plan
+   * @param {string} text - Message text
+   * @private
+   */
+  async _notifyContacts(plan, text) {
+    for (const contact of plan.contacts) {
+      try {
+        if (contact.type === CONTACT_TYPE.GROUP) {
+          await messagingService.sendGroupMessage(contact.id, text);
+        } else {
+          await messagingService.sendTextMessage(contact.id, text);
+        }
+      } catch (error) {
+        console.error(`Error notifying trip contact ${contact.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Notify all trip listeners of the running plan
+   * @private
+   */
+  _notifyTripListeners() {
+    const plan = this.plan ? { ...this.plan } : null;
+
+    this.tripListeners.forEach(listener => {
+      try {
+        listener(plan);
+      } catch (error) {
+        console.error('Error in trip listener:', error);
+      }
+    });
+  }
+}
+
+// Export as singleton
+export default new CheckInService();
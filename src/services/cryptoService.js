@@ -0,0 +1,360 @@
+import 'react-native-get-random-values';
+import nacl from 'tweetnacl';
+import naclUtil from 'tweetnacl-util';
+import databaseService from './databaseService';
+
+// Names under which the device keys are stored
+const ENCRYPTION_KEY = 'encryption';
+const SIGNING_KEY = 'signing';
+
+/**
+ * Crypto service for end-to-end encryption and signing
+ * Uses X25519 + XSalsa20-Poly1305 (nacl.box) for peer messages and
+ * Ed25519 (nacl.sign) for payloads that must stay readable, such as SOS.
+ */
+export class CryptoService {
+  /**
+   * @param {Object} keyStore - Where device keys are kept ({ getDeviceKey, saveDeviceKey })
+   */
+  constructor(keyStore = databaseService) {
+    this.keyStore = keyStore;
+    this.initialized = false;
+    this.encryptionKeyPair = null;
+    this.signingKeyPair = null;
+    this.sharedKeys = new Map(); // peer public key -> precomputed shared key
+  }
+
+  /**
+   * Load the device keys, generating them on first launch
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    try {
+      this.encryptionKeyPair = await this._loadOrCreateKeyPair(ENCRYPTION_KEY, () => nacl.box.keyPair());
+      this.signingKeyPair = await this._loadOrCreateKeyPair(SIGNING_KEY, () => nacl.sign.keyPair());
+
+      this.initialized = true;
+      console.log('Crypto service initialized');
+      return true;
+    } catch (error) {
+      console.error('Crypto service initialization error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get this device's public encryption key
+   * @returns {string|null} Base64 public key
+   */
+  getPublicKey() {
+    return this.encryptionKeyPair ? naclUtil.encodeBase64(this.encryptionKeyPair.publicKey) : null;
+  }
+
+  /**
+   * Get this device's public signing key
+   * The signing key pair is the device identity: it is created on first
+   * launch and every mesh envelope is signed with it.
+   * @returns {string|null} Base64 public key
+   */
+  getSigningPublicKey() {
+    return this.signingKeyPair ? naclUtil.encodeBase64(this.signingKeyPair.publicKey) : null;
+  }
+
+  /**
+   * Generate a standalone encryption key pair
+   * Used by the mesh simulator to give simulated peers their own keys.
+   * @returns {Object} Key pair with base64 publicKey and secretKey
+   */
+  generateKeyPair() {
+    const keyPair = nacl.box.keyPair();
+    return {
+      publicKey: naclUtil.encodeBase64(keyPair.publicKey),
+      secretKey: naclUtil.encodeBase64(keyPair.secretKey),
+    };
+  }
+
+  /**
+   * Generate a standalone signing key pair
+   * Used by the mesh simulator to give simulated peers their own identity.
+   * @returns {Object} Key pair with base64 publicKey and secretKey
+   */
+  generateSigningKeyPair() {
+    const keyPair = nacl.sign.keyPair();
+    return {
+      publicKey: naclUtil.encodeBase64(keyPair.publicKey),
+      secretKey: naclUtil.encodeBase64(keyPair.secretKey),
+    };
+  }
+
+  /**
+   * Encrypt a payload for a peer
+   * @param {*} payload - Any JSON-serializable value
+   * @param {string} peerPublicKey - Peer's base64 public encryption key
+   * @param {string} secretKey - Base64 secret key to encrypt with (defaults to this device)
+   * @returns {Object} Encrypted payload ({ nonce, ciphertext })
+   */
+  encrypt(payload, peerPublicKey, secretKey = null) {
+    const sharedKey = this._getSharedKey(peerPublicKey, secretKey);
+    const nonce = nacl.randomBytes(nacl.box.nonceLength);
+    const message = naclUtil.decodeUTF8(JSON.stringify(payload));
+
+    return {
+      nonce: naclUtil.encodeBase64(nonce),
+      ciphertext: naclUtil.encodeBase64(nacl.box.after(message, nonce, sharedKey)),
+    };
+  }
+
+  /**
+   * Decrypt a payload from a peer
+   * Because the shared key is symmetric, this also opens payloads this
+   * device encrypted for that peer.
+   * @param {Object} encrypted - Encrypted payload ({ nonce, ciphertext })
+   * @param {string} peerPublicKey - Peer's base64 public encryption key
+   * @param {string} secretKey - Base64 secret key to decrypt with (defaults to this device)
+   * @returns {*} Decrypted payload
+   */
+  decrypt(encrypted, peerPublicKey, secretKey = null) {
+    if (!this.isEncrypted(encrypted)) {
+      throw new Error('Payload is not encrypted');
+    }
+
+    const sharedKey = this._getSharedKey(peerPublicKey, secretKey);
+    const message = nacl.box.open.after(
+      naclUtil.decodeBase64(encrypted.ciphertext),
+      naclUtil.decodeBase64(encrypted.nonce),
+      sharedKey
+    );
+
+    if (!message) {
+      throw new Error('Unable to decrypt payload');
+    }
+
+    return JSON.parse(naclUtil.encodeUTF8(message));
+  }
+
+  /**
+   * Generate a random key for encryptWithKey()
+   * @returns {string} Base64 secret key
+   */
+  generateSecretKey() {
+    return naclUtil.encodeBase64(nacl.randomBytes(nacl.secretbox.keyLength));
+  }
+
+  /**
+   * Encrypt a payload with a secret key (XSalsa20-Poly1305, nacl.secretbox)
+   * For data only the holder of the key may read, such as backups.
+   * @param {*} payload - Any JSON-serializable value
+   * @param {string} secretKey - Base64 key from generateSecretKey()
+   * @returns {Object} Encrypted payload ({ nonce, ciphertext })
+   */
+  encryptWithKey(payload, secretKey) {
+    const key = this._decodeSecretKey(secretKey);
+    const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+    const message = naclUtil.decodeUTF8(JSON.stringify(payload));
+
+    return {
+      nonce: naclUtil.encodeBase64(nonce),
+      ciphertext: naclUtil.encodeBase64(nacl.secretbox(message, nonce, key)),
+    };
+  }
+
+  /**
+   * Decrypt a payload encrypted with encryptWithKey()
+   * @param {Object} encrypted - Encrypted payload ({ nonce, ciphertext })
+   * @param {string} secretKey - Base64 key it was encrypted with
+   * @returns {*} Decrypted payload
+   */
+  decryptWithKey(encrypted, secretKey) {
+    if (!this.isEncrypted(encrypted)) {
+      throw new Error('Payload is not encrypted');
+    }
+
+    const message = nacl.secretbox.open(
+      naclUtil.decodeBase64(encrypted.ciphertext),
+      naclUtil.decodeBase64(encrypted.nonce),
+      this._decodeSecretKey(secretKey)
+    );
+
+    if (!message) {
+      throw new Error('Unable to decrypt payload');
+    }
+
+    return JSON.parse(naclUtil.encodeUTF8(message));
+  }
+
+  /**
+   * Check whether a value is an encrypted payload
+   * @param {*} content - Value to check
+   * @returns {boolean} Whether the value was produced by encrypt()
+   */
+  isEncrypted(content) {
+    return !!content && typeof content === 'object' &&
+      typeof content.nonce === 'string' && typeof content.ciphertext === 'string';
+  }
+
+  /**
+   * Sign a payload with this device's identity key
+   * @param {*} payload - Any JSON-serializable value
+   * @param {string} secretKey - Base64 secret key to sign with (defaults to this device)
+   * @returns {string} Base64 detached signature
+   */
+  sign(payload, secretKey = null) {
+    if (!secretKey && !this.signingKeyPair) {
+      throw new Error('Crypto service not initialized');
+    }
+
+    const message = naclUtil.decodeUTF8(this._canonicalize(payload));
+    const key = secretKey ? naclUtil.decodeBase64(secretKey) : this.signingKeyPair.secretKey;
+    return naclUtil.encodeBase64(nacl.sign.detached(message, key));
+  }
+
+  /**
+   * Verify a detached signature
+   * @param {*} payload - Signed payload
+   * @param {string} signature - Base64 detached signature
+   * @param {string} signingPublicKey - Signer's base64 public signing key
+   * @returns {boolean} Whether the signature is valid
+   */
+  verify(payload, signature, signingPublicKey) {
+    if (!signature || !signingPublicKey) {
+      return false;
+    }
+
+    try {
+      const message = naclUtil.decodeUTF8(this._canonicalize(payload));
+      return nacl.sign.detached.verify(
+        message,
+        naclUtil.decodeBase64(signature),
+        naclUtil.decodeBase64(signingPublicKey)
+      );
+    } catch (error) {
+      console.error('Error verifying signature:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Hash a short secret such as a PIN so it can be stored and checked later
+   * @param {string} secret - Secret to hash
+   * @param {string|null} salt - Base64 salt of a stored hash, or null for a new one
+   * @returns {Object} { salt, hash } as base64
+   */
+  hashSecret(secret, salt = null) {
+    const saltBytes = salt ? naclUtil.decodeBase64(salt) : nacl.randomBytes(16);
+    const secretBytes = naclUtil.decodeUTF8(String(secret));
+
+    const input = new Uint8Array(saltBytes.length + secretBytes.length);
+    input.set(saltBytes);
+    input.set(secretBytes, saltBytes.length);
+
+    return {
+      salt: naclUtil.encodeBase64(saltBytes),
+      hash: naclUtil.encodeBase64(nacl.hash(input)),
+    };
+  }
+
+  /**
+   * Load a key pair from the database or create and store a new one
+   * @param {string} name - Key name
+   * @param {Function} generate - Function returning a new nacl key pair
+   * @returns {Promise<Object>} Key pair with Uint8Array publicKey and secretKey
+   * @private
+   */
+  async _loadOrCreateKeyPair(name, generate) {
+    const stored = await this.keyStore.getDeviceKey(name);
+    if (stored) {
+      return {
+        publicKey: naclUtil.decodeBase64(stored.public_key),
+        secretKey: naclUtil.decodeBase64(stored.secret_key),
+      };
+    }
+
+    const keyPair = generate();
+    await this.keyStore.saveDeviceKey(
+      name,
+      naclUtil.encodeBase64(keyPair.publicKey),
+      naclUtil.encodeBase64(keyPair.secretKey)
+    );
+
+    console.log(`Generated new ${name} key pair`);
+    return keyPair;
+  }
+
+  /**
+   * Decode a base64 secret key, checking its length
+   * @param {string} secretKey - Base64 secret key
+   * @returns {Uint8Array} Key
+   * @private
+   */
+  _decodeSecretKey(secretKey) {
+    let key;
+    try {
+      key = naclUtil.decodeBase64(String(secretKey).trim());
+    } catch (error) {
+      throw new Error('Invalid secret key');
+    }
+
+    if (key.length !== nacl.secretbox.keyLength) {
+      throw new Error('Invalid secret key');
+    }
+    return key;
+  }
+
+  /**
+   * Get the precomputed shared key for a peer
+   * @param {string} peerPublicKey - Peer's base64 public encryption key
+   * @param {string|null} secretKey - Base64 secret key, or null for this device
+   * @returns {Uint8Array} Shared key
+   * @private
+   */
+  _getSharedKey(peerPublicKey, secretKey) {
+    if (!peerPublicKey) {
+      throw new Error('Missing peer public key');
+    }
+
+    if (secretKey) {
+      return nacl.box.before(naclUtil.decodeBase64(peerPublicKey), naclUtil.decodeBase64(secretKey));
+    }
+
+    if (!this.encryptionKeyPair) {
+      throw new Error('Crypto service not initialized');
+    }
+
+    if (!this.sharedKeys.has(peerPublicKey)) {
+      this.sharedKeys.set(
+        peerPublicKey,
+        nacl.box.before(naclUtil.decodeBase64(peerPublicKey), this.encryptionKeyPair.secretKey)
+      );
+    }
+
+    return this.sharedKeys.get(peerPublicKey);
+  }
+
+  /**
+   * Serialize a value as JSON with sorted object keys
+   * Signatures must not depend on property order, which can change when
+   * a payload is rebuilt on another device.
+   * @param {*} value - Value to serialize
+   * @returns {string} Canonical JSON
+   * @private
+   */
+  _canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this._canonicalize(item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+      return `{${keys.map(key => `${JSON.stringify(key)}:${this._canonicalize(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+  }
+}
+
+// Export as singleton
+export default new CryptoService();
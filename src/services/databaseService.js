@@ -4,6 +4,19 @@ import { Platform } from 'react-native';
 // Enable SQLite Promises
 SQLite.enablePromise(true);
 
+// Order a message moves through on its way to the recipient
+const DELIVERY_STATUS_ORDER = ['pending', 'sent', 'relayed', 'delivered', 'read'];
+
+// Statuses a message can be in when its delivery status changes to another
+const getReplaceableStatuses = (status) => {
+  // Giving up only makes sense for a message that may never have left
+  if (status === 'failed') return ['pending', 'sent'];
+
+  const index = DELIVERY_STATUS_ORDER.indexOf(status);
+  if (index <= 0) return [];
+  return [...DELIVERY_STATUS_ORDER.slice(0, index), 'failed'];
+};
+
 /**
  * Database service for handling local SQLite storage
  * Used for storing offline messages and managing sync status
@@ -32,6 +45,9 @@ class DatabaseService {
 
       // Create tables if they don't exist
       await this.createTables();
+      
+      // Bring tables created by older versions up to date
+      await this.migrateTables();
 
       this.initialized = true;
       console.log('Database initialized successfully');
@@ -64,6 +80,11 @@ class DatabaseService {
         is_outgoing INTEGER NOT NULL,
         is_emergency INTEGER NOT NULL DEFAULT 0,
         is_delivered INTEGER NOT NULL DEFAULT 0,
+        delivery_status TEXT DEFAULT 'pending',
+        send_attempts INTEGER NOT NULL DEFAULT 0,
+        next_retry_at TEXT,
+        group_id TEXT,
+        hlc TEXT,
         needs_sync INTEGER NOT NULL DEFAULT 0,
         sync_status TEXT DEFAULT 'pending',
         created_at TEXT NOT NULL,
@@ -96,7 +117,212 @@ class DatabaseService {
         last_seen TEXT NOT NULL,
         metadata TEXT,
         firebase_uid TEXT,
-        cloud_messaging_token TEXT
+        cloud_messaging_token TEXT,
+        public_key TEXT,
+        signing_key TEXT
+      )
+    `);
+
+    // Group channels table for named trail-party chats
+    await this.database.executeSql(`
+      CREATE TABLE IF NOT EXISTS group_channels (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        created_by TEXT,
+        last_read_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Group members table for group channel membership
+    await this.database.executeSql(`
+      CREATE TABLE IF NOT EXISTS group_members (
+        group_id TEXT NOT NULL,
+        member_id TEXT NOT NULL,
+        member_name TEXT,
+        joined_at TEXT NOT NULL,
+        PRIMARY KEY (group_id, member_id),
+        FOREIGN KEY (group_id) REFERENCES group_channels (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Channel posts table for public trail channel posts
+    await this.database.executeSql(`
+      CREATE TABLE IF NOT EXISTS channel_posts (
+        id TEXT PRIMARY KEY,
+        channel_id TEXT NOT NULL,
+        sender_id TEXT NOT NULL,
+        sender_name TEXT,
+        content TEXT NOT NULL,
+        latitude REAL NOT NULL,
+        longitude REAL NOT NULL,
+        radius REAL NOT NULL,
+        geohash TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        is_outgoing INTEGER NOT NULL,
+        needs_sync INTEGER NOT NULL DEFAULT 0,
+        sync_status TEXT DEFAULT 'pending',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Channel subscriptions table for the trail channels this user opted in to
+    await this.database.executeSql(`
+      CREATE TABLE IF NOT EXISTS channel_subscriptions (
+        channel_id TEXT PRIMARY KEY,
+        subscribed_at TEXT NOT NULL
+      )
+    `);
+
+    // Location shares table for live location sharing sessions, both ways
+    await this.database.executeSql(`
+      CREATE TABLE IF NOT EXISTS location_shares (
+        id TEXT PRIMARY KEY,
+        is_outgoing INTEGER NOT NULL,
+        owner_id TEXT NOT NULL,
+        owner_name TEXT,
+        target_type TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        target_name TEXT,
+        viewer_ids TEXT,
+        status TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        ended_by TEXT,
+        last_location TEXT,
+        last_update_at TEXT,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Trip plans table for check-ins against an expected return time
+    await this.database.executeSql(`
+      CREATE TABLE IF NOT EXISTS trip_plans (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        status TEXT NOT NULL,
+        contacts TEXT,
+        expected_return_at TEXT NOT NULL,
+        check_in_interval INTEGER NOT NULL,
+        grace_period INTEGER NOT NULL,
+        started_at TEXT NOT NULL,
+        last_check_in_at TEXT,
+        next_check_in_at TEXT NOT NULL,
+        prompted_at TEXT,
+        escalated_at TEXT,
+        escalation_attempts INTEGER NOT NULL DEFAULT 0,
+        ended_at TEXT,
+        trailhead TEXT,
+        route TEXT,
+        party_members TEXT,
+        vehicle TEXT,
+        gear TEXT,
+        shared_with TEXT,
+        needs_sync INTEGER DEFAULT 1,
+        sync_status TEXT DEFAULT 'pending',
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // SOS incidents table for our own SOS and those we heard, with their responders
+    await this.database.executeSql(`
+      CREATE TABLE IF NOT EXISTS sos_incidents (
+        id TEXT PRIMARY KEY,
+        is_own INTEGER NOT NULL,
+        owner_id TEXT NOT NULL,
+        owner_name TEXT,
+        message TEXT,
+        location TEXT,
+        track TEXT,
+        status TEXT NOT NULL,
+        responders TEXT,
+        relayed_at TEXT,
+        notified_contacts TEXT,
+        medical TEXT,
+        owner_proof TEXT,
+        created_at TEXT NOT NULL,
+        ended_at TEXT,
+        ended_by TEXT,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Emergency contacts table, in the order they are alerted of our SOS
+    await this.database.executeSql(`
+      CREATE TABLE IF NOT EXISTS emergency_contacts (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        phone TEXT,
+        peer_id TEXT,
+        firebase_uid TEXT,
+        channels TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        delay INTEGER NOT NULL,
+        removed_at TEXT,
+        needs_sync INTEGER DEFAULT 1,
+        sync_status TEXT DEFAULT 'pending',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Medical profile table, a single row holding our ICE card. The profile
+    // is stored encrypted with this device's key.
+    await this.database.executeSql(`
+      CREATE TABLE IF NOT EXISTS medical_profile (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        data TEXT NOT NULL,
+        needs_sync INTEGER DEFAULT 1,
+        sync_status TEXT DEFAULT 'pending',
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // SOS outbox table, every SOS and SOS change of ours waiting for the cloud.
+    // The ID is the idempotency key the cloud uses to apply each change once.
+    await this.database.executeSql(`
+      CREATE TABLE IF NOT EXISTS sos_outbox (
+        id TEXT PRIMARY KEY,
+        sos_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        sync_status TEXT DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        synced_at TEXT
+      )
+    `);
+
+    // SOS audit table, a local record of every SOS trigger and cancel
+    await this.database.executeSql(`
+      CREATE TABLE IF NOT EXISTS sos_audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        trigger_type TEXT,
+        sos_id TEXT,
+        details TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+
+    // Settings table for app preferences, stored as JSON values
+    await this.database.executeSql(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Device keys table for this device's encryption and signing key pairs
+    await this.database.executeSql(`
+      CREATE TABLE IF NOT EXISTS device_keys (
+        name TEXT PRIMARY KEY,
+        public_key TEXT NOT NULL,
+        secret_key TEXT NOT NULL,
+        created_at TEXT NOT NULL
       )
     `);
 
@@ -104,7 +330,60 @@ class DatabaseService {
     await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_messages_peer_id ON messages (peer_id)');
     await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages (timestamp)');
     await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_messages_needs_sync ON messages (needs_sync)');
+    await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_messages_next_retry_at ON messages (next_retry_at)');
+    await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_messages_group_id ON messages (group_id)');
+    await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_messages_hlc ON messages (hlc)');
+    await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_channel_posts_channel_id ON channel_posts (channel_id, timestamp)');
+    await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_channel_posts_needs_sync ON channel_posts (needs_sync)');
     await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_peers_last_seen ON peers (last_seen)');
+    await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_location_shares_status ON location_shares (status)');
+    await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_trip_plans_status ON trip_plans (status)');
+    await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_sos_incidents_status ON sos_incidents (status)');
+    await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_sos_audit_log_created_at ON sos_audit_log (created_at)');
+    await this.database.executeSql('CREATE INDEX IF NOT EXISTS idx_sos_outbox_sync_status ON sos_outbox (sync_status, created_at)');
+  }
+
+  /**
+   * Add columns introduced after a table was first created
+   * SQLite has no ADD COLUMN IF NOT EXISTS, so an error here just means
+   * the column is already present.
+   * @returns {Promise<void>}
+   */
+  async migrateTables() {
+    if (!this.database) {
+      throw new Error('Database not initialized');
+    }
+
+    const columns = [
+      ['messages', 'delivery_status', "TEXT DEFAULT 'pending'"],
+      ['messages', 'send_attempts', 'INTEGER NOT NULL DEFAULT 0'],
+      ['messages', 'next_retry_at', 'TEXT'],
+      ['peers', 'public_key', 'TEXT'],
+      ['peers', 'signing_key', 'TEXT'],
+      ['messages', 'group_id', 'TEXT'],
+      ['messages', 'hlc', 'TEXT'],
+      ['trip_plans', 'trailhead', 'TEXT'],
+      ['trip_plans', 'route', 'TEXT'],
+      ['trip_plans', 'party_members', 'TEXT'],
+      ['trip_plans', 'vehicle', 'TEXT'],
+      ['trip_plans', 'gear', 'TEXT'],
+      ['trip_plans', 'shared_with', 'TEXT'],
+      ['trip_plans', 'needs_sync', 'INTEGER DEFAULT 1'],
+      ['trip_plans', 'sync_status', "TEXT DEFAULT 'pending'"],
+      ['sos_incidents', 'track', 'TEXT'],
+      ['sos_incidents', 'relayed_at', 'TEXT'],
+      ['sos_incidents', 'notified_contacts', 'TEXT'],
+      ['sos_incidents', 'medical', 'TEXT'],
+      ['sos_incidents', 'owner_proof', 'TEXT'],
+    ];
+
+    for (const [table, column, definition] of columns) {
+      try {
+        await this.database.executeSql(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      } catch (error) {
+        // Column already exists
+      }
+    }
   }
 
   /**
@@ -122,9 +401,12 @@ class DatabaseService {
 
   /**
    * Save a message to the database
+   * Message IDs are globally unique, so a message that is already stored
+   * (e.g. the Firestore copy of a message received over the mesh) is left
+   * untouched rather than saved twice.
    * @param {Object} message - Message object to save
    * @param {boolean} needsSync - Whether the message needs to be synced to cloud
-   * @returns {Promise<string>} Message ID
+   * @returns {Promise<boolean>} Whether the message was new
    */
   async saveMessage(message, needsSync = true) {
     if (!this.database) {
@@ -144,12 +426,12 @@ class DatabaseService {
     }
 
     // Save to messages table
-    await this.database.executeSql(
-      `INSERT OR REPLACE INTO messages (
+    const [results] = await this.database.executeSql(
+      `INSERT OR IGNORE INTO messages (
         id, peer_id, sender_id, sender_name, type, content, timestamp, 
-        is_outgoing, is_emergency, is_delivered, needs_sync, sync_status, 
+        is_outgoing, is_emergency, is_delivered, delivery_status, group_id, hlc, needs_sync, sync_status, 
         created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         message.messageId,
         message.peerId,
@@ -161,6 +443,9 @@ class DatabaseService {
         isOutgoing,
         isEmergency,
         message.isDelivered ? 1 : 0,
+        message.deliveryStatus || (message.isDelivered ? 'delivered' : 'pending'),
+        message.groupId || null,
+        message.hlc || null,
         needsSync ? 1 : 0,
         'pending',
         now,
@@ -168,6 +453,11 @@ class DatabaseService {
       ]
     );
 
+    // Already stored under this ID
+    if (results && results.rowsAffected === 0) {
+      return false;
+    }
+
     // Save detailed content to message_contents table
     if (message.type === 'location' || message.type === 'sos') {
       const content = typeof message.content === 'string' 
@@ -204,7 +494,7 @@ class DatabaseService {
       );
     }
 
-    return message.messageId;
+    return true;
   }
 
   /**
@@ -229,6 +519,127 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Update the delivery status of a message
+   * A message only moves forward (pending, sent, relayed, delivered, read),
+   * since ACKs and send results can arrive out of order over the mesh; it
+   * only fails while still pending or sent.
+   * @param {string} messageId - Message ID
+   * @param {string} status - Delivery status ('pending', 'sent', 'relayed', 'delivered', 'read', 'failed')
+   * @returns {Promise<boolean>} Whether the status changed
+   */
+  async updateMessageDeliveryStatus(messageId, status) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    const replaceable = getReplaceableStatuses(status);
+
+    try {
+      const [results] = await this.database.executeSql(
+        `UPDATE messages SET delivery_status = ?, updated_at = ? 
+         WHERE id = ? AND (delivery_status IS NULL${replaceable.length > 0
+           ? ` OR delivery_status IN (${replaceable.map(() => '?').join(', ')})`
+           : ''})`,
+        [status, new Date().toISOString(), messageId, ...replaceable]
+      );
+      return !(results && results.rowsAffected === 0);
+    } catch (error) {
+      console.error('Error updating message delivery status:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Schedule another send attempt for an outgoing message
+   * @param {string} messageId - Message ID
+   * @param {number} attempts - Number of attempts made so far
+   * @param {string|null} nextRetryAt - ISO time of the next attempt, or null to retry immediately
+   * @returns {Promise<boolean>} Success status
+   */
+  async scheduleMessageRetry(messageId, attempts, nextRetryAt) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const now = new Date().toISOString();
+      await this.database.executeSql(
+        `UPDATE messages 
+         SET send_attempts = ?, next_retry_at = ?, delivery_status = 'pending', updated_at = ? 
+         WHERE id = ?`,
+        [attempts, nextRetryAt || now, now, messageId]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error scheduling message retry:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get outgoing messages waiting in the outbox for another send attempt
+   * @param {string|null} dueBefore - Only return messages due before this ISO time (null for all)
+   * @param {number} limit - Maximum number of messages to retrieve
+   * @returns {Promise<Array>} Outbox messages, oldest first
+   */
+  async getOutboxMessages(dueBefore = null, limit = 50) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        `SELECT m.*, mc.latitude, mc.longitude, mc.altitude, mc.accuracy, 
+          mc.location_timestamp, mc.sos_message, mc.text_content, mc.metadata
+         FROM messages m
+         LEFT JOIN message_contents mc ON m.id = mc.message_id
+         WHERE m.is_outgoing = 1 AND m.delivery_status = 'pending' 
+           AND m.next_retry_at IS NOT NULL AND (? IS NULL OR m.next_retry_at <= ?)
+         ORDER BY m.timestamp ASC
+         LIMIT ?`,
+        [dueBefore, dueBefore, limit]
+      );
+
+      const messages = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        messages.push(this._parseMessageRow(results.rows.item(i)));
+      }
+
+      return messages;
+    } catch (error) {
+      console.error('Error getting outbox messages:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single message by ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} Message or null if not found
+   */
+  async getMessageById(messageId) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        `SELECT m.*, mc.latitude, mc.longitude, mc.altitude, mc.accuracy, 
+          mc.location_timestamp, mc.sos_message, mc.text_content, mc.metadata
+         FROM messages m
+         LEFT JOIN message_contents mc ON m.id = mc.message_id
+         WHERE m.id = ?`,
+        [messageId]
+      );
+
+      return results.rows.length > 0 ? this._parseMessageRow(results.rows.item(0)) : null;
+    } catch (error) {
+      console.error('Error getting message by ID:', error);
+      return null;
+    }
+  }
+
   /**
    * Mark a message for cloud sync
    * @param {string} messageId - Message ID
@@ -299,31 +710,7 @@ class DatabaseService {
 
       const messages = [];
       for (let i = 0; i < results.rows.length; i++) {
-        const message = results.rows.item(i);
-        
-        // Convert SQLite boolean (0/1) to JavaScript boolean
-        message.is_outgoing = !!message.is_outgoing;
-        message.is_emergency = !!message.is_emergency;
-        message.is_delivered = !!message.is_delivered;
-        message.needs_sync = !!message.needs_sync;
-
-        // Parse content if it's JSON
-        try {
-          message.content = JSON.parse(message.content);
-        } catch (e) {
-          // Keep as string if it's not valid JSON
-        }
-
-        // Parse metadata if available
-        if (message.metadata) {
-          try {
-            message.metadata = JSON.parse(message.metadata);
-          } catch (e) {
-            message.metadata = null;
-          }
-        }
-
-        messages.push(message);
+        messages.push(this._parseMessageRow(results.rows.item(i)));
       }
 
       return messages;
@@ -352,38 +739,14 @@ class DatabaseService {
          FROM messages m
          LEFT JOIN message_contents mc ON m.id = mc.message_id
          WHERE m.peer_id = ?
-         ORDER BY m.timestamp DESC
+         ORDER BY COALESCE(m.hlc, m.timestamp) DESC
          LIMIT ? OFFSET ?`,
         [peerId, limit, offset]
       );
 
       const messages = [];
       for (let i = 0; i < results.rows.length; i++) {
-        const message = results.rows.item(i);
-        
-        // Convert SQLite boolean (0/1) to JavaScript boolean
-        message.is_outgoing = !!message.is_outgoing;
-        message.is_emergency = !!message.is_emergency;
-        message.is_delivered = !!message.is_delivered;
-        message.needs_sync = !!message.needs_sync;
-
-        // Parse content if it's JSON
-        try {
-          message.content = JSON.parse(message.content);
-        } catch (e) {
-          // Keep as string if it's not valid JSON
-        }
-
-        // Parse metadata if available
-        if (message.metadata) {
-          try {
-            message.metadata = JSON.parse(message.metadata);
-          } catch (e) {
-            message.metadata = null;
-          }
-        }
-
-        messages.push(message);
+        messages.push(this._parseMessageRow(results.rows.item(i)));
       }
 
       return messages;
@@ -394,70 +757,1279 @@ class DatabaseService {
   }
 
   /**
-   * Save peer information to database
-   * @param {Object} peer - Peer object
-   * @returns {Promise<boolean>} Success status
+   * Get messages posted to a group channel
+   * @param {string} groupId - Group ID
+   * @param {number} limit - Maximum number of messages to retrieve
+   * @param {number} offset - Offset for pagination
+   * @returns {Promise<Array>} Messages in the group, newest first
    */
-  async savePeer(peer) {
+  async getMessagesByGroupId(groupId, limit = 50, offset = 0) {
     if (!this.database) {
       await this.init();
     }
 
     try {
-      const now = new Date().toISOString();
-      const metadata = peer.profileInfo ? JSON.stringify(peer.profileInfo) : null;
-
-      await this.database.executeSql(
-        `INSERT OR REPLACE INTO peers (
-          id, name, connection_state, last_seen, metadata, firebase_uid, cloud_messaging_token
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [
-          peer.id,
-          peer.name || '',
-          peer.connectionState || 'disconnected',
-          now,
-          metadata,
-          peer.firebaseUid || null,
-          peer.cloudMessagingToken || null
-        ]
+      const [results] = await this.database.executeSql(
+        `SELECT m.*, mc.latitude, mc.longitude, mc.altitude, mc.accuracy, 
+          mc.location_timestamp, mc.sos_message, mc.text_content, mc.metadata
+         FROM messages m
+         LEFT JOIN message_contents mc ON m.id = mc.message_id
+         WHERE m.group_id = ?
+         ORDER BY COALESCE(m.hlc, m.timestamp) DESC
+         LIMIT ? OFFSET ?`,
+        [groupId, limit, offset]
       );
-      return true;
+
+      const messages = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        messages.push(this._parseMessageRow(results.rows.item(i)));
+      }
+
+      return messages;
     } catch (error) {
-      console.error('Error saving peer:', error);
-      return false;
+      console.error('Error getting messages by group ID:', error);
+      return [];
     }
   }
 
   /**
-   * Update peer firebase UID
-   * @param {string} peerId - Peer ID
-   * @param {string} firebaseUid - Firebase UID
+   * Save a group channel and add its members
+   * Existing members are kept; use removeGroupMember to drop one.
+   * @param {Object} group - Group object ({ id, name, createdBy, members: [{ id, name }] })
    * @returns {Promise<boolean>} Success status
    */
-  async updatePeerFirebaseUid(peerId, firebaseUid) {
+  async saveGroup(group) {
     if (!this.database) {
       await this.init();
     }
 
     try {
+      const now = new Date().toISOString();
+
+      // Insert then update so the read marker of an existing group survives
       await this.database.executeSql(
-        'UPDATE peers SET firebase_uid = ?, last_seen = ? WHERE id = ?',
-        [firebaseUid, new Date().toISOString(), peerId]
+        `INSERT OR IGNORE INTO group_channels (
+          id, name, created_by, last_read_at, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
+        [group.id, group.name, group.createdBy || null, null, group.createdAt || now, now]
+      );
+      await this.database.executeSql(
+        'UPDATE group_channels SET name = ?, updated_at = ? WHERE id = ?',
+        [group.name, now, group.id]
       );
+
+      for (const member of group.members || []) {
+        await this.addGroupMember(group.id, member);
+      }
       return true;
     } catch (error) {
-      console.error('Error updating peer Firebase UID:', error);
+      console.error('Error saving group:', error);
       return false;
     }
   }
 
   /**
-   * Update peer cloud messaging token
-   * @param {string} peerId - Peer ID
-   * @param {string} token - Cloud messaging token
+   * Add a member to a group channel
+   * @param {string} groupId - Group ID
+   * @param {Object} member - Member object ({ id, name })
    * @returns {Promise<boolean>} Success status
    */
-  async updatePeerCloudMessagingToken(peerId, token) {
+  async addGroupMember(groupId, member) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      // Keep the original join time and any known name
+      await this.database.executeSql(
+        `INSERT OR REPLACE INTO group_members (group_id, member_id, member_name, joined_at)
+         VALUES (?, ?,
+           COALESCE(?, (SELECT member_name FROM group_members WHERE group_id = ? AND member_id = ?)),
+           COALESCE((SELECT joined_at FROM group_members WHERE group_id = ? AND member_id = ?), ?))`,
+        [
+          groupId,
+          member.id,
+          member.name || null,
+          groupId,
+          member.id,
+          groupId,
+          member.id,
+          new Date().toISOString()
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error adding group member:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a member from a group channel
+   * @param {string} groupId - Group ID
+   * @param {string} memberId - Member ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeGroupMember(groupId, memberId) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        'DELETE FROM group_members WHERE group_id = ? AND member_id = ?',
+        [groupId, memberId]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error removing group member:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the members of a group channel
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Array>} Members, in the order they joined
+   */
+  async getGroupMembers(groupId) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        'SELECT * FROM group_members WHERE group_id = ? ORDER BY joined_at ASC',
+        [groupId]
+      );
+
+      const members = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        members.push(results.rows.item(i));
+      }
+
+      return members;
+    } catch (error) {
+      console.error('Error getting group members:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a group channel with its members and unread count
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object|null>} Group or null if not found
+   */
+  async getGroupById(groupId) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        `SELECT g.*, ${this._groupUnreadCountSql()} AS unread_count
+         FROM group_channels g
+         WHERE g.id = ?`,
+        [groupId]
+      );
+
+      if (results.rows.length === 0) {
+        return null;
+      }
+
+      const group = results.rows.item(0);
+      group.members = await this.getGroupMembers(groupId);
+      return group;
+    } catch (error) {
+      console.error('Error getting group by ID:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get all group channels with their members and unread counts
+   * @returns {Promise<Array>} Groups, most recently active first
+   */
+  async getGroups() {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        `SELECT g.*, ${this._groupUnreadCountSql()} AS unread_count,
+           COALESCE((SELECT MAX(m.timestamp) FROM messages m WHERE m.group_id = g.id), g.updated_at) AS last_activity
+         FROM group_channels g
+         ORDER BY last_activity DESC`
+      );
+
+      const groups = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        const group = results.rows.item(i);
+        group.members = await this.getGroupMembers(group.id);
+        groups.push(group);
+      }
+
+      return groups;
+    } catch (error) {
+      console.error('Error getting groups:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Mark all messages in a group channel as read
+   * @param {string} groupId - Group ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async markGroupRead(groupId) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const now = new Date().toISOString();
+      await this.database.executeSql(
+        'UPDATE group_channels SET last_read_at = ?, updated_at = ? WHERE id = ?',
+        [now, now, groupId]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error marking group as read:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Save a trail channel post
+   * @param {Object} post - Post object
+   * @param {boolean} needsSync - Whether the post needs to be synced to cloud
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveChannelPost(post, needsSync = true) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const now = new Date().toISOString();
+
+      // Mesh and cloud copies of a post share its ID, so keep the first one
+      await this.database.executeSql(
+        `INSERT OR IGNORE INTO channel_posts (
+          id, channel_id, sender_id, sender_name, content, latitude, longitude,
+          radius, geohash, timestamp, is_outgoing, needs_sync, sync_status,
+          created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          post.postId,
+          post.channelId,
+          post.senderId,
+          post.senderName || '',
+          post.content,
+          post.latitude,
+          post.longitude,
+          post.radius,
+          post.geohash,
+          post.timestamp,
+          post.senderId === post.localUserId ? 1 : 0,
+          needsSync ? 1 : 0,
+          needsSync ? 'pending' : 'synced',
+          now,
+          now
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving channel post:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the posts of a trail channel
+   * @param {string} channelId - Channel ID
+   * @param {number} limit - Maximum number of posts to retrieve
+   * @returns {Promise<Array>} Posts, newest first
+   */
+  async getChannelPosts(channelId, limit = 100) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        'SELECT * FROM channel_posts WHERE channel_id = ? ORDER BY timestamp DESC LIMIT ?',
+        [channelId, limit]
+      );
+
+      const posts = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        posts.push(results.rows.item(i));
+      }
+
+      return posts;
+    } catch (error) {
+      console.error('Error getting channel posts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get trail channel posts that need to be synced to the cloud
+   * @param {number} limit - Maximum number of posts to retrieve
+   * @returns {Promise<Array>} Posts that need syncing
+   */
+  async getChannelPostsNeedingSync(limit = 50) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        `SELECT * FROM channel_posts
+         WHERE needs_sync = 1 AND sync_status IN ('pending', 'failed')
+         ORDER BY timestamp ASC
+         LIMIT ?`,
+        [limit]
+      );
+
+      const posts = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        posts.push(results.rows.item(i));
+      }
+
+      return posts;
+    } catch (error) {
+      console.error('Error getting channel posts that need sync:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Update trail channel post sync status
+   * @param {string} postId - Post ID
+   * @param {string} status - Sync status ('pending', 'syncing', 'synced', 'failed')
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateChannelPostSyncStatus(postId, status) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        'UPDATE channel_posts SET needs_sync = ?, sync_status = ?, updated_at = ? WHERE id = ?',
+        [status === 'synced' ? 0 : 1, status, new Date().toISOString(), postId]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error updating channel post sync status:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Subscribe to a trail channel
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveChannelSubscription(channelId) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        'INSERT OR IGNORE INTO channel_subscriptions (channel_id, subscribed_at) VALUES (?, ?)',
+        [channelId, new Date().toISOString()]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving channel subscription:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Unsubscribe from a trail channel
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteChannelSubscription(channelId) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        'DELETE FROM channel_subscriptions WHERE channel_id = ?',
+        [channelId]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error deleting channel subscription:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the IDs of the trail channels this user subscribed to
+   * @returns {Promise<Array>} Channel IDs
+   */
+  async getChannelSubscriptions() {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        'SELECT channel_id FROM channel_subscriptions ORDER BY subscribed_at ASC'
+      );
+
+      const channelIds = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        channelIds.push(results.rows.item(i).channel_id);
+      }
+
+      return channelIds;
+    } catch (error) {
+      console.error('Error getting channel subscriptions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a live location sharing session
+   * @param {Object} share - Session ({ id, isOutgoing, ownerId, targetType, targetId, status, expiresAt, ... })
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveLocationShare(share) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        `INSERT OR REPLACE INTO location_shares (
+          id, is_outgoing, owner_id, owner_name, target_type, target_id, target_name,
+          viewer_ids, status, started_at, expires_at, ended_by, last_location,
+          last_update_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          share.id,
+          share.isOutgoing ? 1 : 0,
+          share.ownerId,
+          share.ownerName || null,
+          share.targetType,
+          share.targetId,
+          share.targetName || null,
+          JSON.stringify(share.viewerIds || []),
+          share.status,
+          share.startedAt,
+          share.expiresAt,
+          share.endedBy || null,
+          share.lastLocation ? JSON.stringify(share.lastLocation) : null,
+          share.lastUpdateAt || null,
+          new Date().toISOString()
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving location share:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get live location sharing sessions
+   * @param {string|null} status - Only sessions with this status, or all
+   * @returns {Promise<Array>} Sessions, newest first
+   */
+  async getLocationShares(status = null) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = status
+        ? await this.database.executeSql(
+            'SELECT * FROM location_shares WHERE status = ? ORDER BY started_at DESC',
+            [status]
+          )
+        : await this.database.executeSql(
+            'SELECT * FROM location_shares ORDER BY started_at DESC'
+          );
+
+      const shares = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        const row = results.rows.item(i);
+        shares.push({
+          id: row.id,
+          isOutgoing: row.is_outgoing === 1,
+          ownerId: row.owner_id,
+          ownerName: row.owner_name,
+          targetType: row.target_type,
+          targetId: row.target_id,
+          targetName: row.target_name,
+          viewerIds: row.viewer_ids ? JSON.parse(row.viewer_ids) : [],
+          status: row.status,
+          startedAt: row.started_at,
+          expiresAt: row.expires_at,
+          endedBy: row.ended_by,
+          lastLocation: row.last_location ? JSON.parse(row.last_location) : null,
+          lastUpdateAt: row.last_update_at,
+        });
+      }
+
+      return shares;
+    } catch (error) {
+      console.error('Error getting location shares:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save a trip plan, its itinerary and check-in state
+   * @param {Object} plan - Trip plan ({ id, name, status, contacts, expectedReturnAt, checkInInterval, nextCheckInAt, route, ... })
+   * @param {boolean} needsSync - Whether the plan needs to be synced to the cloud
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveTripPlan(plan, needsSync = true) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        `INSERT OR REPLACE INTO trip_plans (
+          id, name, status, contacts, expected_return_at, check_in_interval,
+          grace_period, started_at, last_check_in_at, next_check_in_at, prompted_at,
+          escalated_at, escalation_attempts, ended_at, trailhead, route, party_members,
+          vehicle, gear, shared_with, needs_sync, sync_status, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          plan.id,
+          plan.name || null,
+          plan.status,
+          JSON.stringify(plan.contacts || []),
+          plan.expectedReturnAt,
+          plan.checkInInterval,
+          plan.gracePeriod,
+          plan.startedAt,
+          plan.lastCheckInAt || null,
+          plan.nextCheckInAt,
+          plan.promptedAt || null,
+          plan.escalatedAt || null,
+          plan.escalationAttempts || 0,
+          plan.endedAt || null,
+          plan.trailhead ? JSON.stringify(plan.trailhead) : null,
+          plan.route ? JSON.stringify(plan.route) : null,
+          JSON.stringify(plan.partyMembers || []),
+          plan.vehicle || null,
+          plan.gear || null,
+          JSON.stringify(plan.sharedWith || []),
+          needsSync ? 1 : 0,
+          needsSync ? 'pending' : 'synced',
+          new Date().toISOString()
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving trip plan:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get trip plans
+   * @param {string|null} status - Only plans with this status, or all
+   * @returns {Promise<Array>} Trip plans, newest first
+   */
+  async getTripPlans(status = null) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = status
+        ? await this.database.executeSql(
+            'SELECT * FROM trip_plans WHERE status = ? ORDER BY started_at DESC',
+            [status]
+          )
+        : await this.database.executeSql(
+            'SELECT * FROM trip_plans ORDER BY started_at DESC'
+          );
+
+      const plans = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        plans.push(this._tripPlanFromRow(results.rows.item(i)));
+      }
+
+      return plans;
+    } catch (error) {
+      console.error('Error getting trip plans:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get trip plans that need to be synced to the cloud
+   * @param {number} limit - Maximum number of plans
+   * @returns {Promise<Array>} Trip plans
+   */
+  async getTripPlansNeedingSync(limit = 50) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        `SELECT * FROM trip_plans
+         WHERE needs_sync = 1 AND sync_status IN ('pending', 'failed')
+         ORDER BY updated_at ASC
+         LIMIT ?`,
+        [limit]
+      );
+
+      const plans = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        plans.push(this._tripPlanFromRow(results.rows.item(i)));
+      }
+
+      return plans;
+    } catch (error) {
+      console.error('Error getting trip plans that need sync:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Update trip plan sync status
+   * @param {string} planId - Trip plan ID
+   * @param {string} status - Sync status ('pending', 'syncing', 'synced', 'failed')
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateTripPlanSyncStatus(planId, status) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        'UPDATE trip_plans SET needs_sync = ?, sync_status = ? WHERE id = ?',
+        [status === 'synced' ? 0 : 1, status, planId]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error updating trip plan sync status:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Save an SOS incident and its responders
+   * @param {Object} incident - Incident ({ id, isOwn, ownerId, ownerName, message, location, status, responders, ... })
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveSOSIncident(incident) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        `INSERT OR REPLACE INTO sos_incidents (
+          id, is_own, owner_id, owner_name, message, location, track, status, responders,
+          relayed_at, notified_contacts, medical, owner_proof, created_at, ended_at, ended_by, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          incident.id,
+          incident.isOwn ? 1 : 0,
+          incident.ownerId,
+          incident.ownerName || null,
+          incident.message || null,
+          incident.location ? JSON.stringify(incident.location) : null,
+          JSON.stringify(incident.track || []),
+          incident.status,
+          JSON.stringify(incident.responders || []),
+          incident.relayedAt || null,
+          JSON.stringify(incident.notifiedContacts || []),
+          incident.medical ? JSON.stringify(incident.medical) : null,
+          incident.ownerProof ? JSON.stringify(incident.ownerProof) : null,
+          incident.createdAt,
+          incident.endedAt || null,
+          incident.endedBy || null,
+          new Date().toISOString()
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving SOS incident:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get SOS incidents
+   * @param {Array|null} statuses - Only incidents with one of these statuses, or all
+   * @returns {Promise<Array>} Incidents, newest first
+   */
+  async getSOSIncidents(statuses = null) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = statuses
+        ? await this.database.executeSql(
+            `SELECT * FROM sos_incidents WHERE status IN (${statuses.map(() => '?').join(', ')})
+             ORDER BY created_at DESC`,
+            statuses
+          )
+        : await this.database.executeSql(
+            'SELECT * FROM sos_incidents ORDER BY created_at DESC'
+          );
+
+      const incidents = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        const row = results.rows.item(i);
+        incidents.push({
+          id: row.id,
+          isOwn: row.is_own === 1,
+          ownerId: row.owner_id,
+          ownerName: row.owner_name,
+          message: row.message,
+          location: row.location ? JSON.parse(row.location) : null,
+          track: row.track ? JSON.parse(row.track) : [],
+          status: row.status,
+          responders: row.responders ? JSON.parse(row.responders) : [],
+          relayedAt: row.relayed_at,
+          notifiedContacts: row.notified_contacts ? JSON.parse(row.notified_contacts) : [],
+          medical: row.medical ? JSON.parse(row.medical) : null,
+          ownerProof: row.owner_proof ? JSON.parse(row.owner_proof) : null,
+          createdAt: row.created_at,
+          endedAt: row.ended_at,
+          endedBy: row.ended_by,
+        });
+      }
+
+      return incidents;
+    } catch (error) {
+      console.error('Error getting SOS incidents:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Add an SOS or SOS change to the SOS outbox
+   * @param {Object} entry - Entry ({ id, sosId, kind, payload, createdAt })
+   * @returns {Promise<boolean>} Success status
+   */
+  async addSOSOutboxEntry(entry) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        `INSERT OR IGNORE INTO sos_outbox (id, sos_id, kind, payload, sync_status, attempts, created_at)
+         VALUES (?, ?, ?, ?, 'pending', 0, ?)`,
+        [
+          entry.id,
+          entry.sosId,
+          entry.kind,
+          JSON.stringify(entry.payload),
+          entry.createdAt || new Date().toISOString()
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error adding SOS outbox entry:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get SOS outbox entries not yet in the cloud
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Entries, in the order they were made
+   */
+  async getSOSOutboxEntries(limit = 100) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        `SELECT * FROM sos_outbox WHERE sync_status IN ('pending', 'failed')
+         ORDER BY created_at ASC, rowid ASC
+         LIMIT ?`,
+        [limit]
+      );
+
+      const entries = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        const row = results.rows.item(i);
+        entries.push({
+          id: row.id,
+          sosId: row.sos_id,
+          kind: row.kind,
+          payload: JSON.parse(row.payload),
+          syncStatus: row.sync_status,
+          attempts: row.attempts,
+          createdAt: row.created_at,
+        });
+      }
+
+      return entries;
+    } catch (error) {
+      console.error('Error getting SOS outbox entries:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Check whether an SOS outbox entry of a kind has reached the cloud
+   * @param {string} sosId - SOS ID
+   * @param {string} kind - Entry kind
+   * @returns {Promise<boolean>} Whether one was synced
+   */
+  async hasSyncedSOSOutboxEntry(sosId, kind) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        `SELECT 1 FROM sos_outbox WHERE sos_id = ? AND kind = ? AND sync_status = 'synced' LIMIT 1`,
+        [sosId, kind]
+      );
+      return results.rows.length > 0;
+    } catch (error) {
+      console.error('Error checking SOS outbox:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Update the sync status of an SOS outbox entry
+   * @param {string} entryId - Entry ID
+   * @param {string} status - New status ('synced', 'failed' or 'dropped')
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateSOSOutboxStatus(entryId, status) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        `UPDATE sos_outbox SET sync_status = ?,
+           attempts = attempts + 1,
+           synced_at = CASE WHEN ? = 'synced' THEN ? ELSE synced_at END
+         WHERE id = ?`,
+        [status, status, new Date().toISOString(), entryId]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error updating SOS outbox status:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Add an entry to the SOS audit log
+   * @param {Object} entry - Entry ({ event, trigger, sosId, details })
+   * @returns {Promise<boolean>} Success status
+   */
+  async addSOSAuditEntry(entry) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        `INSERT INTO sos_audit_log (event, trigger_type, sos_id, details, created_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          entry.event,
+          entry.trigger || null,
+          entry.sosId || null,
+          entry.details ? JSON.stringify(entry.details) : null,
+          entry.createdAt || new Date().toISOString()
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error adding SOS audit entry:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the SOS audit log
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array>} Entries, newest first
+   */
+  async getSOSAuditLog(limit = 100) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        'SELECT * FROM sos_audit_log ORDER BY created_at DESC, id DESC LIMIT ?',
+        [limit]
+      );
+
+      const entries = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        const row = results.rows.item(i);
+        entries.push({
+          id: row.id,
+          event: row.event,
+          trigger: row.trigger_type,
+          sosId: row.sos_id,
+          details: row.details ? JSON.parse(row.details) : null,
+          createdAt: row.created_at,
+        });
+      }
+
+      return entries;
+    } catch (error) {
+      console.error('Error getting SOS audit log:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save an emergency contact
+   * @param {Object} contact - Contact ({ id, name, phone, peerId, firebaseUid, channels, position, delay, ... })
+   * @param {boolean} needsSync - Whether the contact needs to be synced to the cloud
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveEmergencyContact(contact, needsSync = true) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        `INSERT OR REPLACE INTO emergency_contacts (
+          id, name, phone, peer_id, firebase_uid, channels, position, delay,
+          removed_at, needs_sync, sync_status, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          contact.id,
+          contact.name,
+          contact.phone || null,
+          contact.peerId || null,
+          contact.firebaseUid || null,
+          JSON.stringify(contact.channels || []),
+          contact.position,
+          contact.delay,
+          contact.removedAt || null,
+          needsSync ? 1 : 0,
+          needsSync ? 'pending' : 'synced',
+          contact.createdAt,
+          contact.updatedAt || new Date().toISOString()
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving emergency contact:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get emergency contacts, including removed ones
+   * @returns {Promise<Array>} Contacts, in the order they are alerted
+   */
+  async getEmergencyContacts() {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        'SELECT * FROM emergency_contacts ORDER BY position ASC'
+      );
+
+      const contacts = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        contacts.push(this._emergencyContactFromRow(results.rows.item(i)));
+      }
+
+      return contacts;
+    } catch (error) {
+      console.error('Error getting emergency contacts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get emergency contacts that need to be synced to the cloud
+   * @param {number} limit - Maximum number of contacts
+   * @returns {Promise<Array>} Contacts
+   */
+  async getEmergencyContactsNeedingSync(limit = 50) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        `SELECT * FROM emergency_contacts
+         WHERE needs_sync = 1 AND sync_status IN ('pending', 'failed')
+         ORDER BY updated_at ASC
+         LIMIT ?`,
+        [limit]
+      );
+
+      const contacts = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        contacts.push(this._emergencyContactFromRow(results.rows.item(i)));
+      }
+
+      return contacts;
+    } catch (error) {
+      console.error('Error getting emergency contacts that need sync:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Update emergency contact sync status
+   * @param {string} contactId - Contact ID
+   * @param {string} status - Sync status ('pending', 'syncing', 'synced', 'failed')
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateEmergencyContactSyncStatus(contactId, status) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        'UPDATE emergency_contacts SET needs_sync = ?, sync_status = ? WHERE id = ?',
+        [status === 'synced' ? 0 : 1, status, contactId]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error updating emergency contact sync status:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Save our medical profile
+   * @param {Object} sealed - Profile encrypted with the device key ({ nonce, ciphertext })
+   * @param {boolean} needsSync - Whether the profile needs to be synced to the cloud
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveMedicalProfile(sealed, needsSync = true) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        `INSERT OR REPLACE INTO medical_profile (id, data, needs_sync, sync_status, updated_at)
+         VALUES (1, ?, ?, ?, ?)`,
+        [
+          JSON.stringify(sealed),
+          needsSync ? 1 : 0,
+          needsSync ? 'pending' : 'synced',
+          new Date().toISOString()
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving medical profile:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get our medical profile
+   * @returns {Promise<Object|null>} Stored profile ({ sealed, needsSync, syncStatus, updatedAt }) or null
+   */
+  async getMedicalProfile() {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        'SELECT * FROM medical_profile WHERE id = 1'
+      );
+
+      if (results.rows.length === 0) {
+        return null;
+      }
+
+      const row = results.rows.item(0);
+      return {
+        sealed: JSON.parse(row.data),
+        needsSync: row.needs_sync === 1,
+        syncStatus: row.sync_status,
+        updatedAt: row.updated_at,
+      };
+    } catch (error) {
+      console.error('Error getting medical profile:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Update medical profile sync status
+   * @param {string} status - Sync status ('pending', 'syncing', 'synced', 'failed')
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateMedicalProfileSyncStatus(status) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        'UPDATE medical_profile SET needs_sync = ?, sync_status = ? WHERE id = 1',
+        [status === 'synced' ? 0 : 1, status]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error updating medical profile sync status:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a setting
+   * @param {string} key - Setting name
+   * @param {*} defaultValue - Value returned when the setting was never saved
+   * @returns {Promise<*>} Setting value
+   */
+  async getSetting(key, defaultValue = null) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        'SELECT value FROM settings WHERE key = ?',
+        [key]
+      );
+
+      if (results.rows.length === 0) {
+        return defaultValue;
+      }
+
+      const { value } = results.rows.item(0);
+      return value !== null ? JSON.parse(value) : defaultValue;
+    } catch (error) {
+      console.error(`Error getting setting ${key}:`, error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * Save a setting
+   * @param {string} key - Setting name
+   * @param {*} value - Any JSON-serializable value, or null to clear it
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveSetting(key, value) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        'INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, ?)',
+        [key, value !== null && value !== undefined ? JSON.stringify(value) : null, new Date().toISOString()]
+      );
+      return true;
+    } catch (error) {
+      console.error(`Error saving setting ${key}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Save peer information to database
+   * @param {Object} peer - Peer object
+   * @returns {Promise<boolean>} Success status
+   */
+  async savePeer(peer) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const metadata = peer.profileInfo ? JSON.stringify(peer.profileInfo) : null;
+
+      // Keep previously exchanged keys when the peer object has none
+      await this.database.executeSql(
+        `INSERT OR REPLACE INTO peers (
+          id, name, connection_state, last_seen, metadata, firebase_uid, cloud_messaging_token,
+          public_key, signing_key
+        ) VALUES (?, ?, ?, ?, ?, ?, ?,
+          COALESCE(?, (SELECT public_key FROM peers WHERE id = ?)),
+          COALESCE(?, (SELECT signing_key FROM peers WHERE id = ?)))`,
+        [
+          peer.id,
+          peer.name || '',
+          peer.connectionState || 'disconnected',
+          now,
+          metadata,
+          peer.firebaseUid || null,
+          peer.cloudMessagingToken || null,
+          peer.publicKey || null,
+          peer.id,
+          peer.signingKey || null,
+          peer.id
+        ]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving peer:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Update peer firebase UID
+   * @param {string} peerId - Peer ID
+   * @param {string} firebaseUid - Firebase UID
+   * @returns {Promise<boolean>} Success status
+   */
+  async updatePeerFirebaseUid(peerId, firebaseUid) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      await this.database.executeSql(
+        'UPDATE peers SET firebase_uid = ?, last_seen = ? WHERE id = ?',
+        [firebaseUid, new Date().toISOString(), peerId]
+      );
+      return true;
+    } catch (error) {
+      console.error('Error updating peer Firebase UID:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Update peer cloud messaging token
+   * @param {string} peerId - Peer ID
+   * @param {string} token - Cloud messaging token
+   * @returns {Promise<boolean>} Success status
+   */
+  async updatePeerCloudMessagingToken(peerId, token) {
     if (!this.database) {
       await this.init();
     }
@@ -474,6 +2046,75 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Update peer public keys
+   * Keys that are not given are left unchanged.
+   * @param {string} peerId - Peer ID
+   * @param {Object} keys - Base64 keys ({ publicKey, signingKey })
+   * @returns {Promise<boolean>} Success status
+   */
+  async updatePeerKeys(peerId, { publicKey = null, signingKey = null }) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    try {
+      const [results] = await this.database.executeSql(
+        `UPDATE peers SET
+          public_key = COALESCE(?, public_key),
+          signing_key = COALESCE(?, signing_key),
+          last_seen = ?
+        WHERE id = ?`,
+        [publicKey, signingKey, new Date().toISOString(), peerId]
+      );
+
+      // Keys can arrive over the mesh from peers we never discovered
+      if (results && results.rowsAffected === 0) {
+        await this.savePeer({ id: peerId, publicKey, signingKey });
+      }
+      return true;
+    } catch (error) {
+      console.error('Error updating peer keys:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get one of this device's stored key pairs
+   * @param {string} name - Key name
+   * @returns {Promise<Object|null>} Row with public_key and secret_key, or null
+   */
+  async getDeviceKey(name) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    const [results] = await this.database.executeSql(
+      'SELECT * FROM device_keys WHERE name = ?',
+      [name]
+    );
+
+    return results.rows.length > 0 ? results.rows.item(0) : null;
+  }
+
+  /**
+   * Store one of this device's key pairs
+   * @param {string} name - Key name
+   * @param {string} publicKey - Base64 public key
+   * @param {string} secretKey - Base64 secret key
+   * @returns {Promise<void>}
+   */
+  async saveDeviceKey(name, publicKey, secretKey) {
+    if (!this.database) {
+      await this.init();
+    }
+
+    await this.database.executeSql(
+      'INSERT OR REPLACE INTO device_keys (name, public_key, secret_key, created_at) VALUES (?, ?, ?, ?)',
+      [name, publicKey, secretKey, new Date().toISOString()]
+    );
+  }
+
   /**
    * Get all peers
    * @returns {Promise<Array>} All peers
@@ -513,6 +2154,8 @@ class DatabaseService {
 
   /**
    * Get emergency messages that need attention
+   * An SOS is filed under its SOS ID, so it comes with the state of its
+   * incident; SOS that are still open come first.
    * @returns {Promise<Array>} Emergency messages
    */
   async getEmergencyMessages() {
@@ -523,12 +2166,15 @@ class DatabaseService {
     try {
       const [results] = await this.database.executeSql(
         `SELECT m.*, mc.latitude, mc.longitude, mc.altitude, mc.sos_message, 
-          p.name as peer_name
+          p.name as peer_name, si.status as incident_status,
+          si.responders as incident_responders, si.relayed_at as incident_relayed_at
          FROM messages m
          LEFT JOIN message_contents mc ON m.id = mc.message_id
          LEFT JOIN peers p ON m.peer_id = p.id
+         LEFT JOIN sos_incidents si ON m.id = si.id
          WHERE m.is_emergency = 1
-         ORDER BY m.timestamp DESC
+         ORDER BY CASE WHEN si.status IS NOT NULL AND si.status NOT IN ('resolved', 'cancelled')
+           THEN 0 ELSE 1 END, m.timestamp DESC
          LIMIT 50`
       );
 
@@ -617,6 +2263,102 @@ class DatabaseService {
       throw error;
     }
   }
+
+  /**
+   * SQL expression counting unread incoming messages of group row `g`
+   * @returns {string} Correlated subquery
+   * @private
+   */
+  _groupUnreadCountSql() {
+    return `(SELECT COUNT(*) FROM messages m
+      WHERE m.group_id = g.id AND m.is_outgoing = 0
+        AND (g.last_read_at IS NULL OR m.timestamp > g.last_read_at))`;
+  }
+
+  /**
+   * Convert a joined messages/message_contents row to a message object
+   * @param {Object} message - Raw SQLite row
+   * @returns {Object} Parsed message
+   * @private
+   */
+  _parseMessageRow(message) {
+    // Convert SQLite boolean (0/1) to JavaScript boolean
+    message.is_outgoing = !!message.is_outgoing;
+    message.is_emergency = !!message.is_emergency;
+    message.is_delivered = !!message.is_delivered;
+    message.needs_sync = !!message.needs_sync;
+
+    // Parse content if it's JSON
+    try {
+      message.content = JSON.parse(message.content);
+    } catch (e) {
+      // Keep as string if it's not valid JSON
+    }
+
+    // Parse metadata if available
+    if (message.metadata) {
+      try {
+        message.metadata = JSON.parse(message.metadata);
+      } catch (e) {
+        message.metadata = null;
+      }
+    }
+
+    return message;
+  }
+
+  /**
+   * Convert a trip_plans row to a trip plan
+   * @param {Object} row - Database row
+   * @returns {Object} Trip plan
+   * @private
+   */
+  _tripPlanFromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      status: row.status,
+      contacts: row.contacts ? JSON.parse(row.contacts) : [],
+      expectedReturnAt: row.expected_return_at,
+      checkInInterval: row.check_in_interval,
+      gracePeriod: row.grace_period,
+      startedAt: row.started_at,
+      lastCheckInAt: row.last_check_in_at,
+      nextCheckInAt: row.next_check_in_at,
+      promptedAt: row.prompted_at,
+      escalatedAt: row.escalated_at,
+      escalationAttempts: row.escalation_attempts || 0,
+      endedAt: row.ended_at,
+      trailhead: row.trailhead ? JSON.parse(row.trailhead) : null,
+      route: row.route ? JSON.parse(row.route) : null,
+      partyMembers: row.party_members ? JSON.parse(row.party_members) : [],
+      vehicle: row.vehicle,
+      gear: row.gear,
+      sharedWith: row.shared_with ? JSON.parse(row.shared_with) : [],
+    };
+  }
+
+  /**
+   * Convert an emergency_contacts row to a contact
+   * @param {Object} row - Database row
+   * @returns {Object} Contact
+   * @private
+   */
+  _emergencyContactFromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      phone: row.phone,
+      peerId: row.peer_id,
+      firebaseUid: row.firebase_uid,
+      channels: row.channels ? JSON.parse(row.channels) : [],
+      position: row.position,
+      delay: row.delay,
+      removedAt: row.removed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+    };
+  }
 }
 
 export default new DatabaseService();
\ No newline at end of file
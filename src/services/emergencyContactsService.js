@@ -0,0 +1,263 @@
+import firebaseService from './firebaseService';
+import databaseService from './databaseService';
+import messagingService from './messagingService';
+import { generateMessageId } from '../utils/messageId';
+
+// Ways an emergency contact can be reached
+export const CONTACT_CHANNEL = {
+  CLOUD: 'cloud', // Push through the SOS document, needs their HikerLink account
+  MESH: 'mesh', // Direct mesh message, needs their mesh ID
+  SMS: 'sms', // Text message, needs their phone number
+};
+
+// What each channel needs to know about the contact
+const CHANNEL_ADDRESS = {
+  [CONTACT_CHANNEL.CLOUD]: { field: 'firebaseUid', name: 'HikerLink account' },
+  [CONTACT_CHANNEL.MESH]: { field: 'peerId', name: 'mesh ID' },
+  [CONTACT_CHANNEL.SMS]: { field: 'phone', name: 'phone number' },
+};
+
+// Minutes a contact is given to respond before the next one is alerted
+export const DEFAULT_ESCALATION_DELAY = 10;
+
+/**
+ * Service for the registry of emergency contacts
+ * Contacts are alerted of our SOS one after another, in the order kept
+ * here, through the first of their preferred channels that works; each is
+ * given their own delay to respond before the next one is alerted.
+ * sosService runs the escalation. The registry is stored
+ * locally first and then in the cloud, and synced with the messages when
+ * changed offline.
+ */
+class EmergencyContactsService {
+  constructor() {
+    this.isInitialized = false;
+    this.contacts = new Map(); // contactId -> contact, including removed ones
+    this.contactListeners = [];
+  }
+
+  /**
+   * Load stored contacts
+   * On a new device the registry is restored from the cloud.
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    try {
+      let contacts = await databaseService.getEmergencyContacts();
+
+      if (contacts.length === 0 && messagingService.isOnline && firebaseService.isSignedIn()) {
+        try {
+          contacts = await firebaseService.getEmergencyContacts();
+          for (const contact of contacts) {
+            await databaseService.saveEmergencyContact(contact, false);
+          }
+        } catch (error) {
+          console.error('Error restoring emergency contacts from Firebase:', error);
+        }
+      }
+
+      contacts.forEach(contact => this.contacts.set(contact.id, contact));
+      this.isInitialized = true;
+      return true;
+    } catch (error) {
+      console.error('Error initializing emergency contacts:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the emergency contacts
+   * @returns {Array} Contacts, in the order they are alerted
+   */
+  getContacts() {
+    return Array.from(this.contacts.values())
+      .filter(contact => !contact.removedAt)
+      .sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Get an emergency contact
+   * @param {string} contactId - Contact ID
+   * @returns {Object|null} Contact or null
+   */
+  getContact(contactId) {
+    const contact = this.contacts.get(contactId);
+    return contact && !contact.removedAt ? contact : null;
+  }
+
+  /**
+   * Get the phone numbers of contacts who take text messages
+   * @returns {Array} Phone numbers, in the order the contacts are alerted
+   */
+  getPhoneNumbers() {
+    return this.getContacts()
+      .filter(contact => contact.phone && contact.channels.includes(CONTACT_CHANNEL.SMS))
+      .map(contact => contact.phone);
+  }
+
+  /**
+   * Add or update an emergency contact
+   * New contacts go to the end of the escalation order.
+   * @param {Object} changes - Contact fields ({ name, phone, peerId, firebaseUid, channels, delay }), with the ID to update an existing contact
+   * @returns {Promise<Object>} The saved contact
+   */
+  async saveContact(changes) {
+    const existing = changes.id ? this.getContact(changes.id) : null;
+    if (changes.id && !existing) {
+      throw new Error(`Emergency contact ${changes.id} not found`);
+    }
+
+    const now = new Date().toISOString();
+    const defaults = {
+      id: generateMessageId(),
+      name: '',
+      phone: null,
+      peerId: null,
+      firebaseUid: null,
+      channels: [],
+      position: this.getContacts().length,
+      delay: DEFAULT_ESCALATION_DELAY,
+      removedAt: null,
+      createdAt: now,
+    };
+    const contact = { ...(existing || defaults), ...changes, id: (existing || defaults).id, updatedAt: now };
+    contact.name = (contact.name || '').trim();
+    contact.phone = contact.phone ? contact.phone.trim() : null;
+
+    if (!contact.name) {
+      throw new Error('Emergency contact needs a name');
+    }
+    if (contact.channels.length === 0) {
+      throw new Error('Choose at least one way to reach the contact');
+    }
+    const unknown = contact.channels.find(channel => !CHANNEL_ADDRESS[channel]);
+    if (unknown) {
+      throw new Error(`Unknown contact channel: ${unknown}`);
+    }
+    const missing = contact.channels.find(channel => !contact[CHANNEL_ADDRESS[channel].field]);
+    if (missing) {
+      throw new Error(`Cannot reach ${contact.name} by ${missing} without their ${CHANNEL_ADDRESS[missing].name}`);
+    }
+    if (!(contact.delay >= 0)) {
+      throw new Error('Escalation delay must be zero or more minutes');
+    }
+
+    this.contacts.set(contact.id, contact);
+    await this._storeContact(contact);
+    this._notifyContactListeners();
+
+    return contact;
+  }
+
+  /**
+   * Remove an emergency contact
+   * @param {string} contactId - Contact ID
+   * @returns {Promise<void>}
+   */
+  async removeContact(contactId) {
+    const contact = this.getContact(contactId);
+    if (!contact) {
+      throw new Error(`Emergency contact ${contactId} not found`);
+    }
+
+    contact.removedAt = new Date().toISOString();
+    contact.updatedAt = contact.removedAt;
+    await this._storeContact(contact);
+    await this._renumber();
+    this._notifyContactListeners();
+  }
+
+  /**
+   * Move an emergency contact earlier or later in the escalation order
+   * @param {string} contactId - Contact ID
+   * @param {number} offset - Places to move, negative to alert them sooner
+   * @returns {Promise<void>}
+   */
+  async moveContact(contactId, offset) {
+    const contacts = this.getContacts();
+    const index = contacts.findIndex(contact => contact.id === contactId);
+    if (index === -1) {
+      throw new Error(`Emergency contact ${contactId} not found`);
+    }
+
+    const target = Math.max(0, Math.min(contacts.length - 1, index + offset));
+    const [contact] = contacts.splice(index, 1);
+    contacts.splice(target, 0, contact);
+
+    await this._renumber(contacts);
+    this._notifyContactListeners();
+  }
+
+  /**
+   * Add a listener for changes to the emergency contacts
+   * @param {Function} listener - Callback function(contacts)
+   * @returns {Function} Function to remove listener
+   */
+  addContactListener(listener) {
+    if (typeof listener !== 'function') return () => {};
+
+    this.contactListeners.push(listener);
+    return () => {
+      this.contactListeners = this.contactListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Number the contacts from 0 in their order, storing those that moved
+   * @param {Array} contacts - Contacts in their new order (the current order by default)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _renumber(contacts = this.getContacts()) {
+    for (let position = 0; position < contacts.length; position++) {
+      const contact = contacts[position];
+      if (contact.position !== position) {
+        contact.position = position;
+        contact.updatedAt = new Date().toISOString();
+        await this._storeContact(contact);
+      }
+    }
+  }
+
+  /**
+   * Store a contact locally, and in the cloud when online
+   * @param {Object} contact - Contact
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _storeContact(contact) {
+    await databaseService.saveEmergencyContact(contact, true);
+
+    if (messagingService.isOnline && firebaseService.isSignedIn()) {
+      try {
+        await firebaseService.saveEmergencyContact(contact);
+        await databaseService.updateEmergencyContactSyncStatus(contact.id, 'synced');
+      } catch (error) {
+        console.error('Error saving emergency contact to Firebase:', error);
+      }
+    }
+  }
+
+  /**
+   * Notify all contact listeners of the emergency contacts
+   * @private
+   */
+  _notifyContactListeners() {
+    const contacts = this.getContacts();
+
+    this.contactListeners.forEach(listener => {
+      try {
+        listener(contacts);
+      } catch (error) {
+        console.error('Error in emergency contact listener:', error);
+      }
+    });
+  }
+}
+
+// Export as singleton
+export default new EmergencyContactsService();
@@ -18,13 +18,16 @@ import {
   getDoc, 
   getDocs,
   updateDoc,
+  deleteDoc,
   arrayUnion,
   arrayRemove,
   query,
   where,
   orderBy,
   limit,
+  startAfter,
   onSnapshot,
+  runTransaction,
   enableIndexedDbPersistence,
   CACHE_SIZE_UNLIMITED,
   initializeFirestore,
@@ -32,6 +35,9 @@ import {
   persistentSingleTabManager,
 } from 'firebase/firestore';
 import databaseService from './databaseService';
+import cryptoService from './cryptoService';
+import { encodeGeohash, getGeohashesInRadius } from '../utils/geohash';
+import { SOS_STATUS } from '../utils/meshProtocol';
 
 /**
  * Firebase service for handling authentication, Firestore, and cloud messaging
@@ -47,6 +53,7 @@ class FirebaseService {
     this.authUnsubscribe = null;
     this.onlineStatus = false;
     this.listeners = {};
+    this.peerPublicKeys = new Map(); // userId -> base64 public encryption key
   }
 
   /**
@@ -121,6 +128,7 @@ class FirebaseService {
     });
     
     this.listeners = {};
+    this.peerPublicKeys.clear();
     
     this.initialized = false;
     this.user = null;
@@ -223,6 +231,9 @@ class FirebaseService {
       // Update user online status
       await this.updateUserOnlineStatus(true);
       
+      // Make sure peers encrypt for this device's current key
+      await this.publishPublicKeys();
+      
       return user;
     } catch (error) {
       console.error('Email sign-in error:', error);
@@ -343,6 +354,7 @@ class FirebaseService {
           altitude: location.altitude,
           accuracy: location.accuracy,
           timestamp: location.timestamp || new Date().toISOString(),
+          geohash: encodeGeohash(location.latitude, location.longitude),
           isEmergency: isEmergency
         },
         lastLocationUpdate: new Date().toISOString()
@@ -405,6 +417,7 @@ class FirebaseService {
           speed: location.speed || null,
           heading: location.heading || null,
           timestamp: timestamp,
+          geohash: encodeGeohash(location.latitude, location.longitude),
           activity: location.activity || null,
           batteryLevel: location.battery?.level || null,
           isCharging: location.battery?.isCharging || false,
@@ -444,6 +457,7 @@ class FirebaseService {
                 altitude: mostRecent.altitude || null,
                 accuracy: mostRecent.accuracy || null,
                 timestamp: mostRecent.timestamp || new Date().toISOString(),
+                geohash: encodeGeohash(mostRecent.latitude, mostRecent.longitude),
                 isEmergency: false
               }
             }));
@@ -512,41 +526,73 @@ class FirebaseService {
   
   /**
    * Save an SOS event to Firestore
-   * @param {Object} sosData - SOS event data
+   * With an idempotency key the event is applied once, however often it is
+   * replayed. A document already made by a relay, a beacon or a responder
+   * is merged into, keeping its responders, notifications, status and
+   * creator.
+   * @param {Object} sosData - SOS event data, with the SOS ID as id if it has one
+   * @param {string|null} idempotencyKey - Key of this save, from the SOS outbox
    * @returns {Promise<string>} SOS document ID
    */
-  async saveSOSEvent(sosData) {
+  async saveSOSEvent(sosData, idempotencyKey = null) {
     if (!this.initialized || !this.userId) {
       throw new Error('Not authenticated');
     }
     
     try {
-      // Create a new SOS document
+      // Create a new SOS document, named after the SOS so updates can find it
       const sosCollectionRef = collection(this.firestore, 'sos');
-      const sosDocRef = doc(sosCollectionRef);
+      const sosDocRef = sosData.id ? doc(sosCollectionRef, sosData.id) : doc(sosCollectionRef);
+      const now = new Date().toISOString();
       
-      // Enhance the SOS data with event details
-      const enhancedSosData = {
-        ...sosData,
-        createdBy: this.userId,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        notifications: {
-          sent: false,
-          sentAt: null,
-          recipients: []
+      const applied = await runTransaction(this.firestore, async (transaction) => {
+        const sosDoc = await transaction.get(sosDocRef);
+        const existing = sosDoc.exists() ? sosDoc.data() : null;
+        
+        if (idempotencyKey && await this._isSOSChangeApplied(transaction, sosDocRef, existing, idempotencyKey)) {
+          return false;
         }
-      };
+        
+        if (existing) {
+          // A relay names no creator, and the creator never changes after that
+          const { status, ...fields } = sosData;
+          transaction.set(sosDocRef, {
+            ...fields,
+            ...(existing.createdBy ? {} : { createdBy: this.userId }),
+            updatedAt: now
+          }, { merge: true });
+        } else {
+          // Enhance the SOS data with event details
+          transaction.set(sosDocRef, {
+            ...sosData,
+            createdBy: this.userId,
+            createdAt: now,
+            updatedAt: now,
+            notifications: {
+              sent: false,
+              sentAt: null,
+              recipients: []
+            }
+          });
+        }
+        if (idempotencyKey) {
+          this._markSOSChangeApplied(transaction, sosDocRef, idempotencyKey, now);
+        }
+        return true;
+      });
       
-      // Save the SOS event to Firestore
-      await setDoc(sosDocRef, enhancedSosData);
+      if (!applied) {
+        console.log('SOS event already saved to Firestore:', sosDocRef.id);
+        return sosDocRef.id;
+      }
       
       // Also update user's emergency status
       const userDocRef = doc(this.firestore, 'users', this.userId);
       await updateDoc(userDocRef, {
         emergencyStatus: {
           isInEmergency: true,
-          emergencyTime: new Date().toISOString(),
+          status: sosData.status || SOS_STATUS.ACTIVE,
+          emergencyTime: sosData.timestamp || now,
           sosDocId: sosDocRef.id
         }
       });
@@ -559,6 +605,235 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Record a change in the state of an SOS
+   * Responders add themselves to the SOS document; the hiker it belongs to
+   * also updates the emergency status on their user document.
+   * @param {string} sosId - SOS document ID
+   * @param {Object} update - Change ({ status, responder: { id, name, status, eta, updatedAt }, endedBy, endSignature })
+   * @param {boolean} isOwn - Whether the SOS is ours
+   * @param {string|null} idempotencyKey - Key of this change, from the SOS outbox, so it is applied once
+   * @returns {Promise<void>}
+   */
+  async updateSOSStatus(sosId, update, isOwn, idempotencyKey = null) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      const now = new Date().toISOString();
+      const changes = {
+        status: update.status,
+        updatedAt: now,
+      };
+      
+      if (update.endedBy) {
+        changes.endedBy = update.endedBy;
+        changes.endedAt = now;
+      }
+      if (update.endSignature) {
+        changes.endSignature = update.endSignature;
+      }
+      
+      if (update.responder) {
+        changes[`responders.${update.responder.id}`] = update.responder;
+        changes.responderIds = arrayUnion(update.responder.id);
+      }
+      
+      const sosDocRef = doc(this.firestore, 'sos', sosId);
+      let applied = true;
+      if (idempotencyKey) {
+        applied = await runTransaction(this.firestore, async (transaction) => {
+          const sosDoc = await transaction.get(sosDocRef);
+          const existing = sosDoc.exists() ? sosDoc.data() : null;
+          if (await this._isSOSChangeApplied(transaction, sosDocRef, existing, idempotencyKey)) {
+            return false;
+          }
+          // Fails with not-found if the SOS has no cloud copy
+          transaction.update(sosDocRef, changes);
+          this._markSOSChangeApplied(transaction, sosDocRef, idempotencyKey, now);
+          return true;
+        });
+      } else {
+        await updateDoc(sosDocRef, changes);
+      }
+      
+      if (isOwn && applied) {
+        const isInEmergency = update.status !== SOS_STATUS.RESOLVED && update.status !== SOS_STATUS.CANCELLED;
+        await updateDoc(doc(this.firestore, 'users', this.userId), {
+          'emergencyStatus.isInEmergency': isInEmergency,
+          'emergencyStatus.status': update.status,
+          'emergencyStatus.sosDocId': sosId,
+          'emergencyStatus.updatedAt': now,
+          'emergencyStatus.endedAt': isInEmergency ? null : now,
+        });
+      }
+    } catch (error) {
+      console.error('Error updating SOS status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check in a transaction whether a change to an SOS was already applied
+   * The keys of applied changes are documents in the SOS's syncKeys
+   * subcollection, so the SOS document itself does not grow with them.
+   * @param {Object} transaction - Firestore transaction
+   * @param {Object} sosDocRef - SOS document reference
+   * @param {Object|null} existing - SOS document data, if it exists
+   * @param {string} idempotencyKey - Key of the change
+   * @returns {Promise<boolean>} Whether the change was applied before
+   * @private
+   */
+  async _isSOSChangeApplied(transaction, sosDocRef, existing, idempotencyKey) {
+    // Documents written before the subcollection kept the keys in an array
+    if (existing && (existing.syncKeys || []).includes(idempotencyKey)) {
+      return true;
+    }
+    
+    const keyDoc = await transaction.get(doc(sosDocRef, 'syncKeys', idempotencyKey));
+    return keyDoc.exists();
+  }
+
+  /**
+   * Record in a transaction that a change to an SOS was applied
+   * @param {Object} transaction - Firestore transaction
+   * @param {Object} sosDocRef - SOS document reference
+   * @param {string} idempotencyKey - Key of the change
+   * @param {string} appliedAt - When it was applied
+   * @private
+   */
+  _markSOSChangeApplied(transaction, sosDocRef, idempotencyKey, appliedAt) {
+    transaction.set(doc(sosDocRef, 'syncKeys', idempotencyKey), { appliedAt });
+  }
+
+  /**
+   * Record a re-broadcast of our SOS with where we are now
+   * Merged into the SOS document, which is created if the SOS started
+   * offline, so responders already listed are kept. Our user document
+   * gets the position as an emergency location.
+   * @param {string} sosId - SOS document ID
+   * @param {Object} sosData - SOS fields ({ message, displayName, status, createdAt })
+   * @param {Object|null} location - Where we are, if known
+   * @returns {Promise<void>}
+   */
+  async saveSOSBeacon(sosId, sosData, location) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const now = new Date().toISOString();
+      const position = location ? {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        altitude: location.altitude || null,
+        accuracy: location.accuracy || null,
+        timestamp: location.timestamp || now
+      } : null;
+
+      const sosDocRef = doc(this.firestore, 'sos', sosId);
+      await runTransaction(this.firestore, async (transaction) => {
+        const sosDoc = await transaction.get(sosDocRef);
+        transaction.set(sosDocRef, {
+          ...sosData,
+          ...(position ? { location: position } : {}),
+          ...(sosDoc.exists() && sosDoc.data().createdBy ? {} : { createdBy: this.userId }),
+          updatedAt: now,
+          beaconAt: now
+        }, { merge: true });
+      });
+
+      if (position) {
+        await updateDoc(doc(this.firestore, 'users', this.userId), {
+          location: {
+            ...position,
+            geohash: encodeGeohash(position.latitude, position.longitude),
+            isEmergency: true
+          },
+          lastLocationUpdate: now
+        });
+      }
+    } catch (error) {
+      console.error('Error saving SOS beacon:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pass on another hiker's SOS that we heard over the mesh
+   * Merged into the SOS document, which is created if the hiker could not
+   * reach the cloud themselves, with us added to the hikers relaying it.
+   * @param {string} sosId - SOS document ID
+   * @param {Object} sosData - SOS fields ({ ownerId, displayName, message, location, track, status, createdAt })
+   * @returns {Promise<void>}
+   */
+  async relaySOSEvent(sosId, sosData) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const now = new Date().toISOString();
+      await setDoc(doc(this.firestore, 'sos', sosId), {
+        ...sosData,
+        relayedBy: arrayUnion(this.userId),
+        relayedAt: now,
+        updatedAt: now
+      }, { merge: true });
+    } catch (error) {
+      console.error('Error relaying SOS event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Listen to SOS events we raised or are responding to
+   * @param {Function} callback - Called with the changed SOS documents
+   * @returns {Function} Unsubscribe function
+   */
+  listenToSOSEvents(callback) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      const sosRef = collection(this.firestore, 'sos');
+      const queries = {
+        sos_owned: query(sosRef, where('createdBy', '==', this.userId)),
+        sos_responding: query(sosRef, where('responderIds', 'array-contains', this.userId)),
+      };
+      
+      Object.entries(queries).forEach(([listenerId, sosQuery]) => {
+        // Remove existing listener if any
+        this._removeListener(listenerId);
+        
+        this.listeners[listenerId] = onSnapshot(sosQuery, (snapshot) => {
+          const events = [];
+          snapshot.docChanges().forEach(change => {
+            if (change.type === 'added' || change.type === 'modified') {
+              events.push({
+                ...change.doc.data(),
+                id: change.doc.id
+              });
+            }
+          });
+          
+          if (events.length > 0) {
+            callback(events);
+          }
+        });
+      });
+      
+      return () => {
+        Object.keys(queries).forEach(listenerId => this._removeListener(listenerId));
+      };
+    } catch (error) {
+      console.error('Listen to SOS events error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get user data
    * @param {string} userId - User ID to fetch
@@ -586,70 +861,128 @@ class FirebaseService {
 
   /**
    * Get nearby hikers based on location
+   * Users are looked up by the geohash of their location: one range query
+   * per cell around us, read a page at a time so a crowded cell can't pull
+   * in an unbounded number of documents.
    * @param {Object} location - Current location
    * @param {number} radiusKm - Search radius in kilometers
-   * @returns {Promise<Array>} Nearby hikers
+   * @param {Object} options - Query options ({ pageSize, maxResults })
+   * @returns {Promise<Array>} Nearby hikers, closest first
    */
-  async getNearbyHikers(location, radiusKm = 10) {
+  async getNearbyHikers(location, radiusKm = 10, options = {}) {
     if (!this.initialized) {
       throw new Error('Firebase not initialized');
     }
     
+    const pageSize = options.pageSize || 50;
+    const maxResults = options.maxResults || 200;
+    
     try {
-      // Get all users with location data
-      // In a production app, you would use GeoFirestore or a similar solution for efficient geoqueries
       const usersRef = collection(this.firestore, 'users');
-      const querySnapshot = await getDocs(usersRef);
-      
-      const nearbyHikers = [];
       const currentUserId = this.userId;
       const maxDistanceMeters = radiusKm * 1000;
+      const cells = getGeohashesInRadius(location.latitude, location.longitude, maxDistanceMeters);
+      const nearbyHikers = new Map();
       
-      querySnapshot.forEach(doc => {
-        const userData = doc.data();
-        
-        // Skip current user and users without location
-        if (doc.id === currentUserId || !userData.location) {
-          return;
-        }
-        
-        // Skip users who don't share location unless they have an active emergency
-        if (!userData.shareLocation && !userData.location.isEmergency) {
-          return;
-        }
-        
-        // Calculate distance
-        const distance = this._calculateDistance(
-          location.latitude,
-          location.longitude,
-          userData.location.latitude,
-          userData.location.longitude
-        );
+      await Promise.all(cells.map(async (cell) => {
+        let lastDoc = null;
         
-        // Add to result if within range
-        if (distance <= maxDistanceMeters) {
-          nearbyHikers.push({
-            id: doc.id,
-            name: userData.displayName,
-            distance: distance,
-            location: userData.location,
-            isOnline: userData.isOnline,
-            lastSeen: userData.lastSeen,
-            isEmergency: userData.location.isEmergency
+        // Page through the cell until it is exhausted or we have enough hikers
+        while (nearbyHikers.size < maxResults) {
+          const constraints = [
+            where('location.geohash', '>=', cell),
+            where('location.geohash', '<=', `${cell}~`),
+            orderBy('location.geohash'),
+            limit(pageSize),
+          ];
+          if (lastDoc) {
+            constraints.push(startAfter(lastDoc));
+          }
+          
+          const querySnapshot = await getDocs(query(usersRef, ...constraints));
+          
+          querySnapshot.forEach(doc => {
+            const userData = doc.data();
+            
+            // Skip current user and users without location
+            if (doc.id === currentUserId || !userData.location) {
+              return;
+            }
+            
+            // Skip users who don't share location unless they have an active emergency
+            if (!userData.shareLocation && !userData.location.isEmergency) {
+              return;
+            }
+            
+            // The cells are coarse, so check the actual distance
+            const distance = this._calculateDistance(
+              location.latitude,
+              location.longitude,
+              userData.location.latitude,
+              userData.location.longitude
+            );
+            
+            if (distance <= maxDistanceMeters) {
+              nearbyHikers.set(doc.id, {
+                id: doc.id,
+                name: userData.displayName,
+                distance: distance,
+                location: userData.location,
+                isOnline: userData.isOnline,
+                lastSeen: userData.lastSeen,
+                isEmergency: userData.location.isEmergency
+              });
+            }
           });
+          
+          if (querySnapshot.size < pageSize) break;
+          lastDoc = querySnapshot.docs[querySnapshot.docs.length - 1];
         }
-      });
+      }));
       
       // Sort by distance
-      return nearbyHikers.sort((a, b) => a.distance - b.distance);
+      return Array.from(nearbyHikers.values())
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, maxResults);
     } catch (error) {
       console.error('Get nearby hikers error:', error);
       throw error;
     }
   }
 
+  /**
+   * Publish this device's public keys in the user document
+   * Peers need the encryption key before they can send us messages.
+   * @returns {Promise<void>}
+   */
+  async publishPublicKeys() {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    const publicKey = cryptoService.getPublicKey();
+    if (!publicKey) {
+      console.warn('No public key to publish');
+      return;
+    }
+    
+    try {
+      const userDocRef = doc(this.firestore, 'users', this.userId);
+      await updateDoc(userDocRef, {
+        publicKey,
+        signingKey: cryptoService.getSigningPublicKey(),
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Publish public keys error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Save message to Firestore
+   * Content is encrypted for the peer. Emergency messages stay readable so
+   * anyone can help, but are signed instead.
    * @param {Object} message - Message data
    * @returns {Promise<string>} Message ID
    */
@@ -662,26 +995,49 @@ class FirebaseService {
       // Create chat document if it doesn't exist
       await this._ensureChatExists(message.peerId);
       
-      // Create message document
+      // Reuse the local message ID so retries and mesh copies don't duplicate it
       const messagesRef = collection(this.firestore, 'chats', this._getChatId(message.peerId), 'messages');
-      const messageDoc = doc(messagesRef);
+      const messageDoc = message.messageId ? doc(messagesRef, message.messageId) : doc(messagesRef);
       const messageId = messageDoc.id;
       
-      // Prepare message data
+      // Prepare message data (messages received over the mesh keep their sender)
       const messageData = {
         id: messageId,
-        senderId: this.userId,
-        senderName: this.user.displayName,
-        receiverId: message.peerId,
+        senderId: message.senderId || this.userId,
+        senderName: message.senderName || this.user.displayName,
+        receiverId: message.receiverId || message.peerId,
         type: message.type,
         content: message.content,
-        timestamp: new Date().toISOString(),
+        timestamp: message.timestamp || new Date().toISOString(),
+        hlc: message.hlc || null,
         isDelivered: false,
         isRead: false,
         isEmergency: message.isEmergency || message.type === 'sos',
+        isEncrypted: false,
         metadata: message.metadata || {}
       };
       
+      if (messageData.isEmergency) {
+        // Only the original sender can sign; copies relayed from the mesh go up unsigned
+        if (messageData.senderId === this.userId) {
+          messageData.signingKey = cryptoService.getSigningPublicKey();
+          messageData.signature = cryptoService.sign({
+            type: messageData.type,
+            content: messageData.content,
+            senderId: messageData.senderId,
+            timestamp: messageData.timestamp
+          });
+        }
+      } else {
+        const peerPublicKey = await this._getPeerPublicKey(message.peerId);
+        if (!peerPublicKey) {
+          throw new Error(`No public key published for user ${message.peerId}`);
+        }
+        
+        messageData.content = cryptoService.encrypt(message.content, peerPublicKey);
+        messageData.isEncrypted = true;
+      }
+      
       // Save to Firestore
       await setDoc(messageDoc, messageData);
       
@@ -689,7 +1045,8 @@ class FirebaseService {
       const chatRef = doc(this.firestore, 'chats', this._getChatId(message.peerId));
       await updateDoc(chatRef, {
         lastMessage: {
-          text: this._getMessagePreview(message),
+          // Never leak encrypted content through the chat preview
+          text: messageData.isEncrypted ? 'Encrypted message' : this._getMessagePreview(message),
           type: message.type,
           timestamp: messageData.timestamp,
           isEmergency: messageData.isEmergency
@@ -777,7 +1134,11 @@ class FirebaseService {
         });
       });
       
-      return messages.sort((a, b) => 
+      const decryptedMessages = await Promise.all(
+        messages.map(message => this._decryptMessage(message))
+      );
+      
+      return decryptedMessages.sort((a, b) => 
         new Date(a.timestamp) - new Date(b.timestamp)
       );
     } catch (error) {
@@ -811,7 +1172,7 @@ class FirebaseService {
         limit(50)
       );
       
-      const unsubscribe = onSnapshot(messagesQuery, (snapshot) => {
+      const unsubscribe = onSnapshot(messagesQuery, async (snapshot) => {
         const messages = [];
         snapshot.docChanges().forEach(change => {
           if (change.type === 'added' || change.type === 'modified') {
@@ -834,7 +1195,9 @@ class FirebaseService {
             new Date(a.timestamp) - new Date(b.timestamp)
           );
           
-          callback(messages);
+          callback(await Promise.all(
+            messages.map(message => this._decryptMessage(message))
+          ));
         }
       });
       
@@ -849,113 +1212,742 @@ class FirebaseService {
   }
 
   /**
-   * Get user chats
-   * @returns {Promise<Array>} User chats
+   * Create or update the shared chat document of a group channel
+   * Group chats live in the chats collection like one-to-one chats, so they
+   * show up in getUserChats for every member.
+   * @param {Object} group - Group object ({ id, name, createdBy, members: [{ id, name }] })
+   * @returns {Promise<void>}
    */
-  async getUserChats() {
+  async saveGroup(group) {
     if (!this.initialized || !this.userId) {
       throw new Error('Not authenticated');
     }
     
     try {
-      const chatsRef = collection(this.firestore, 'chats');
-      const q = query(
-        chatsRef,
-        where('participants', 'array-contains', this.userId),
-        orderBy('updatedAt', 'desc')
-      );
-      const querySnapshot = await getDocs(q);
-      
-      const chats = [];
-      const userPromises = [];
-      
-      querySnapshot.forEach(doc => {
-        const chatData = doc.data();
-        const otherUserId = chatData.participants.find(id => id !== this.userId);
-        
-        chats.push({
-          id: doc.id,
-          ...chatData,
-          otherUserId
+      const chatRef = doc(this.firestore, 'chats', group.id);
+      const chatDoc = await getDoc(chatRef);
+      const now = new Date().toISOString();
+      
+      if (!chatDoc.exists()) {
+        await setDoc(chatRef, {
+          isGroup: true,
+          name: group.name,
+          createdBy: group.createdBy || this.userId,
+          participants: group.members.map(member => member.id),
+          memberNames: this._getMemberNames(group.members),
+          createdAt: now,
+          updatedAt: now,
+          lastMessage: {
+            text: 'Group created',
+            timestamp: now,
+            type: 'system',
+            isEmergency: false
+          }
         });
-        
-        // Get other user data
-        userPromises.push(this.getUserData(otherUserId));
-      });
-      
-      // Wait for all user data to be fetched
-      const users = await Promise.all(userPromises);
-      
-      // Combine chat data with user data
-      return chats.map((chat, index) => ({
-        ...chat,
-        otherUser: users[index]
-      }));
+      } else {
+        await updateDoc(chatRef, {
+          name: group.name,
+          participants: arrayUnion(...group.members.map(member => member.id)),
+          memberNames: {
+            ...chatDoc.data().memberNames,
+            ...this._getMemberNames(group.members)
+          },
+          updatedAt: now
+        });
+      }
     } catch (error) {
-      console.error('Get user chats error:', error);
+      console.error('Save group error:', error);
       throw error;
     }
   }
 
   /**
-   * Listen to user chats
-   * @param {Function} callback - Callback function for chat updates
-   * @returns {Function} Unsubscribe function
+   * Remove a member from a group chat
+   * @param {string} groupId - Group ID
+   * @param {string} memberId - Member ID
+   * @returns {Promise<void>}
    */
-  listenToUserChats(callback) {
+  async removeGroupMember(groupId, memberId) {
     if (!this.initialized || !this.userId) {
       throw new Error('Not authenticated');
     }
     
     try {
-      const listenerId = 'user_chats';
-      
-      // Remove existing listener if any
-      this._removeListener(listenerId);
-      
-      const chatsRef = collection(this.firestore, 'chats');
-      const q = query(
-        chatsRef,
-        where('participants', 'array-contains', this.userId),
-        orderBy('updatedAt', 'desc')
-      );
-      
-      const unsubscribe = onSnapshot(q, async (snapshot) => {
-        const chats = [];
-        const userPromises = [];
-        
-        snapshot.docs.forEach(doc => {
-          const chatData = doc.data();
-          const otherUserId = chatData.participants.find(id => id !== this.userId);
-          
-          chats.push({
-            id: doc.id,
-            ...chatData,
-            otherUserId
-          });
-          
-          // Get other user data
-          userPromises.push(this.getUserData(otherUserId));
-        });
-        
-        // Wait for all user data to be fetched
-        const users = await Promise.all(userPromises);
-        
-        // Combine chat data with user data
-        const chatsWithUsers = chats.map((chat, index) => ({
-          ...chat,
-          otherUser: users[index]
-        }));
-        
-        callback(chatsWithUsers);
+      const chatRef = doc(this.firestore, 'chats', groupId);
+      await updateDoc(chatRef, {
+        participants: arrayRemove(memberId),
+        updatedAt: new Date().toISOString()
       });
-      
-      // Save the listener for cleanup
-      this.listeners[listenerId] = unsubscribe;
-      
-      return unsubscribe;
     } catch (error) {
-      console.error('Listen to user chats error:', error);
+      console.error('Remove group member error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a message to a group chat
+   * Group messages are protected by chat membership rather than end-to-end
+   * encryption, since each one would otherwise need a copy per member.
+   * @param {string} groupId - Group ID
+   * @param {Object} message - Message data
+   * @returns {Promise<string>} Message ID
+   */
+  async saveGroupMessage(groupId, message) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      // Reuse the local message ID so retries and mesh copies don't duplicate it
+      const messagesRef = collection(this.firestore, 'chats', groupId, 'messages');
+      const messageDoc = message.messageId ? doc(messagesRef, message.messageId) : doc(messagesRef);
+      const messageId = messageDoc.id;
+      
+      // Prepare message data (messages received over the mesh keep their sender)
+      const messageData = {
+        id: messageId,
+        senderId: message.senderId || this.userId,
+        senderName: message.senderName || this.user.displayName,
+        groupId,
+        type: message.type,
+        content: message.content,
+        timestamp: message.timestamp || new Date().toISOString(),
+        hlc: message.hlc || null,
+        isEmergency: message.isEmergency || message.type === 'sos',
+        metadata: message.metadata || {}
+      };
+      
+      // Only the original sender can sign; copies relayed from the mesh go up unsigned
+      if (messageData.isEmergency && messageData.senderId === this.userId) {
+        messageData.signingKey = cryptoService.getSigningPublicKey();
+        messageData.signature = cryptoService.sign({
+          type: messageData.type,
+          content: messageData.content,
+          senderId: messageData.senderId,
+          timestamp: messageData.timestamp
+        });
+      }
+      
+      // Save to Firestore
+      await setDoc(messageDoc, messageData);
+      
+      // Update chat document with last message
+      const chatRef = doc(this.firestore, 'chats', groupId);
+      await updateDoc(chatRef, {
+        lastMessage: {
+          text: this._getMessagePreview(message),
+          senderName: messageData.senderName,
+          type: message.type,
+          timestamp: messageData.timestamp,
+          isEmergency: messageData.isEmergency
+        },
+        updatedAt: messageData.timestamp
+      });
+      
+      return messageId;
+    } catch (error) {
+      console.error('Save group message error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get group chat messages
+   * @param {string} groupId - Group ID
+   * @param {number} maxMessages - Maximum number of messages
+   * @returns {Promise<Array>} Group messages, oldest first
+   */
+  async getGroupMessages(groupId, maxMessages = 50) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      const messagesRef = collection(this.firestore, 'chats', groupId, 'messages');
+      const messagesQuery = query(
+        messagesRef,
+        orderBy('timestamp', 'desc'),
+        limit(maxMessages)
+      );
+      const querySnapshot = await getDocs(messagesQuery);
+      
+      const messages = [];
+      querySnapshot.forEach(doc => {
+        messages.push({
+          ...doc.data(),
+          id: doc.id
+        });
+      });
+      
+      return messages.sort((a, b) => 
+        new Date(a.timestamp) - new Date(b.timestamp)
+      );
+    } catch (error) {
+      console.error('Get group messages error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Listen to group chat messages
+   * @param {string} groupId - Group ID
+   * @param {Function} callback - Callback function for new messages
+   * @returns {Function} Unsubscribe function
+   */
+  listenToGroupMessages(groupId, callback) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      const listenerId = `group_${groupId}`;
+      
+      // Remove existing listener if any
+      this._removeListener(listenerId);
+      
+      const messagesRef = collection(this.firestore, 'chats', groupId, 'messages');
+      const messagesQuery = query(
+        messagesRef,
+        orderBy('timestamp', 'desc'),
+        limit(50)
+      );
+      
+      const unsubscribe = onSnapshot(messagesQuery, (snapshot) => {
+        const messages = [];
+        snapshot.docChanges().forEach(change => {
+          if (change.type === 'added' || change.type === 'modified') {
+            messages.push({
+              ...change.doc.data(),
+              id: change.doc.id
+            });
+          }
+        });
+        
+        if (messages.length > 0) {
+          // Sort by timestamp
+          messages.sort((a, b) => 
+            new Date(a.timestamp) - new Date(b.timestamp)
+          );
+          
+          callback(messages);
+        }
+      });
+      
+      // Save the listener for cleanup
+      this.listeners[listenerId] = unsubscribe;
+      
+      return unsubscribe;
+    } catch (error) {
+      console.error('Listen to group messages error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a trail channel post
+   * Posts live in a single collection indexed by the geohash of where they
+   * were made, so readers can fetch just the cells around them.
+   * @param {Object} post - Post data
+   * @returns {Promise<string>} Post ID
+   */
+  async saveChannelPost(post) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      // Reuse the local post ID so mesh copies synced by other hikers don't duplicate it
+      const postRef = doc(this.firestore, 'channelPosts', post.postId);
+      
+      await setDoc(postRef, {
+        id: post.postId,
+        channelId: post.channelId,
+        senderId: post.senderId,
+        senderName: post.senderName,
+        content: post.content,
+        latitude: post.latitude,
+        longitude: post.longitude,
+        radius: post.radius,
+        geohash: post.geohash || encodeGeohash(post.latitude, post.longitude),
+        timestamp: post.timestamp,
+        syncedBy: this.userId
+      });
+      
+      return post.postId;
+    } catch (error) {
+      console.error('Save channel post error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the trail channel posts that apply at a location
+   * @param {string} channelId - Channel ID
+   * @param {Object} location - Current location
+   * @param {number} radius - Largest post radius to look for, in meters
+   * @param {number} maxPosts - Maximum number of posts
+   * @returns {Promise<Array>} Posts whose radius covers the location, newest first
+   */
+  async getChannelPosts(channelId, location, radius, maxPosts = 50) {
+    if (!this.initialized) {
+      throw new Error('Firebase not initialized');
+    }
+    
+    try {
+      const postsRef = collection(this.firestore, 'channelPosts');
+      const cells = getGeohashesInRadius(location.latitude, location.longitude, radius);
+      
+      // One prefix range query per geohash cell around the location
+      const snapshots = await Promise.all(cells.map(cell => getDocs(query(
+        postsRef,
+        where('channelId', '==', channelId),
+        where('geohash', '>=', cell),
+        where('geohash', '<=', `${cell}~`),
+        limit(maxPosts)
+      ))));
+      
+      const posts = new Map();
+      snapshots.forEach(snapshot => {
+        snapshot.forEach(doc => {
+          const post = doc.data();
+          const distance = this._calculateDistance(
+            location.latitude,
+            location.longitude,
+            post.latitude,
+            post.longitude
+          );
+          
+          // The cells are coarse, so check each post's own radius
+          if (distance <= post.radius) {
+            posts.set(doc.id, { ...post, id: doc.id, distance });
+          }
+        });
+      });
+      
+      return Array.from(posts.values())
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, maxPosts);
+    } catch (error) {
+      console.error('Get channel posts error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a live location sharing session we own
+   * Viewers find the session through its viewerIds and read the latest
+   * position from it.
+   * @param {Object} share - Session ({ id, ownerName, targetType, targetId, viewerIds, status, expiresAt, lastLocation, ... })
+   * @returns {Promise<void>}
+   */
+  async saveLocationShare(share) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      const shareRef = doc(this.firestore, 'locationShares', share.id);
+      
+      await setDoc(shareRef, {
+        id: share.id,
+        ownerId: this.userId,
+        ownerName: share.ownerName || this.user.displayName,
+        targetType: share.targetType,
+        targetId: share.targetId,
+        targetName: share.targetName || null,
+        viewerIds: share.viewerIds,
+        status: share.status,
+        startedAt: share.startedAt,
+        expiresAt: share.expiresAt,
+        endedBy: share.endedBy || null,
+        location: share.lastLocation || null,
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+    } catch (error) {
+      console.error('Save location share error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a trip plan to Firestore
+   * The contacts it was shared with can read it by their user ID.
+   * @param {Object} plan - Trip plan
+   * @returns {Promise<void>}
+   */
+  async saveTripPlan(plan) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      const planRef = doc(this.firestore, 'tripPlans', plan.id);
+      
+      await setDoc(planRef, {
+        id: plan.id,
+        ownerId: this.userId,
+        ownerName: this.user.displayName || null,
+        name: plan.name || null,
+        status: plan.status,
+        trailhead: plan.trailhead || null,
+        route: plan.route || null,
+        partyMembers: plan.partyMembers || [],
+        vehicle: plan.vehicle || null,
+        gear: plan.gear || null,
+        startedAt: plan.startedAt,
+        expectedReturnAt: plan.expectedReturnAt,
+        checkInInterval: plan.checkInInterval,
+        lastCheckInAt: plan.lastCheckInAt || null,
+        nextCheckInAt: plan.nextCheckInAt || null,
+        escalatedAt: plan.escalatedAt || null,
+        endedAt: plan.endedAt || null,
+        sharedWith: (plan.sharedWith || []).map(contact => contact.id),
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+    } catch (error) {
+      console.error('Save trip plan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save one of our emergency contacts
+   * Removed contacts are kept with removedAt set, so the removal reaches
+   * every device.
+   * @param {Object} contact - Contact ({ id, name, phone, peerId, firebaseUid, channels, position, delay, removedAt })
+   * @returns {Promise<void>}
+   */
+  async saveEmergencyContact(contact) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      const contactRef = doc(this.firestore, 'users', this.userId, 'emergencyContacts', contact.id);
+      
+      await setDoc(contactRef, {
+        id: contact.id,
+        name: contact.name,
+        phone: contact.phone || null,
+        peerId: contact.peerId || null,
+        firebaseUid: contact.firebaseUid || null,
+        channels: contact.channels || [],
+        position: contact.position,
+        delay: contact.delay,
+        removedAt: contact.removedAt || null,
+        createdAt: contact.createdAt,
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+    } catch (error) {
+      console.error('Save emergency contact error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get our emergency contacts from the cloud, including removed ones
+   * @returns {Promise<Array>} Contacts
+   */
+  async getEmergencyContacts() {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      const contactsRef = collection(this.firestore, 'users', this.userId, 'emergencyContacts');
+      const contactsSnapshot = await getDocs(query(contactsRef, orderBy('position')));
+      
+      return contactsSnapshot.docs.map(contactDoc => contactDoc.data());
+    } catch (error) {
+      console.error('Get emergency contacts error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save our medical profile to the cloud
+   * It is encrypted on the device with the profile's backup key, which
+   * never leaves the device, so the cloud only holds what it cannot read.
+   * The copy is kept to restore our ICE card on a new device.
+   * @param {Object} profile - Medical profile, with its backupKey
+   * @returns {Promise<void>}
+   */
+  async saveMedicalProfile(profile) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    const { backupKey, ...details } = profile;
+    if (!backupKey) {
+      throw new Error('Medical profile has no backup key');
+    }
+    
+    try {
+      await setDoc(doc(this.firestore, 'users', this.userId, 'private', 'medicalProfile'), {
+        sealed: cryptoService.encryptWithKey(details, backupKey),
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Save medical profile error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get our medical profile from the cloud
+   * @param {string} backupKey - Backup key the profile was saved with
+   * @returns {Promise<Object|null>} Medical profile or null
+   */
+  async getMedicalProfile(backupKey) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      const profileDoc = await getDoc(doc(this.firestore, 'users', this.userId, 'private', 'medicalProfile'));
+      if (!profileDoc.exists() || !profileDoc.data().sealed) {
+        return null;
+      }
+      
+      try {
+        return cryptoService.decryptWithKey(profileDoc.data().sealed, backupKey);
+      } catch (error) {
+        throw new Error('Wrong backup key');
+      }
+    } catch (error) {
+      console.error('Get medical profile error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove our medical profile from the cloud
+   * @returns {Promise<void>}
+   */
+  async deleteMedicalProfile() {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      await deleteDoc(doc(this.firestore, 'users', this.userId, 'private', 'medicalProfile'));
+    } catch (error) {
+      console.error('Delete medical profile error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that an emergency contact was alerted of our SOS
+   * @param {string} sosId - SOS document ID
+   * @param {Object} recipient - Who was alerted and how ({ contactId, name, channel, firebaseUid, notifiedAt })
+   * @param {boolean} isFirst - Whether this is the first contact alerted, which sets sentAt
+   * @returns {Promise<void>}
+   */
+  async addSOSNotificationRecipient(sosId, recipient, isFirst = false) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      const notifications = {
+        sent: true,
+        recipients: arrayUnion(recipient)
+      };
+      if (isFirst) {
+        notifications.sentAt = recipient.notifiedAt;
+      }
+      
+      await setDoc(doc(this.firestore, 'sos', sosId), {
+        notifications,
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+    } catch (error) {
+      console.error('Error recording SOS notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop viewing a live location session shared with us
+   * @param {string} shareId - Session ID
+   * @returns {Promise<void>}
+   */
+  async leaveLocationShare(shareId) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      await updateDoc(doc(this.firestore, 'locationShares', shareId), {
+        viewerIds: arrayRemove(this.userId),
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Leave location share error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Listen to the live location sessions we own or can view
+   * @param {Function} callback - Callback function for changed sessions
+   * @returns {Function} Unsubscribe function
+   */
+  listenToLocationShares(callback) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      const sharesRef = collection(this.firestore, 'locationShares');
+      const queries = {
+        location_shares_viewing: query(sharesRef, where('viewerIds', 'array-contains', this.userId)),
+        location_shares_owned: query(sharesRef, where('ownerId', '==', this.userId)),
+      };
+      
+      Object.entries(queries).forEach(([listenerId, sharesQuery]) => {
+        // Remove existing listener if any
+        this._removeListener(listenerId);
+        
+        this.listeners[listenerId] = onSnapshot(sharesQuery, (snapshot) => {
+          const shares = [];
+          snapshot.docChanges().forEach(change => {
+            if (change.type === 'added' || change.type === 'modified') {
+              shares.push({
+                ...change.doc.data(),
+                id: change.doc.id
+              });
+            }
+          });
+          
+          if (shares.length > 0) {
+            callback(shares);
+          }
+        });
+      });
+      
+      return () => {
+        Object.keys(queries).forEach(listenerId => this._removeListener(listenerId));
+      };
+    } catch (error) {
+      console.error('Listen to location shares error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get user chats
+   * @returns {Promise<Array>} User chats
+   */
+  async getUserChats() {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      const chatsRef = collection(this.firestore, 'chats');
+      const q = query(
+        chatsRef,
+        where('participants', 'array-contains', this.userId),
+        orderBy('updatedAt', 'desc')
+      );
+      const querySnapshot = await getDocs(q);
+      
+      const chats = [];
+      const userPromises = [];
+      
+      querySnapshot.forEach(doc => {
+        const chatData = doc.data();
+        const otherUserId = chatData.isGroup
+          ? null
+          : chatData.participants.find(id => id !== this.userId);
+        
+        chats.push({
+          id: doc.id,
+          ...chatData,
+          otherUserId
+        });
+        
+        // Get other user data (group chats have no single other user)
+        userPromises.push(otherUserId ? this.getUserData(otherUserId) : Promise.resolve(null));
+      });
+      
+      // Wait for all user data to be fetched
+      const users = await Promise.all(userPromises);
+      
+      // Combine chat data with user data
+      return chats.map((chat, index) => ({
+        ...chat,
+        otherUser: users[index]
+      }));
+    } catch (error) {
+      console.error('Get user chats error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Listen to user chats
+   * @param {Function} callback - Callback function for chat updates
+   * @returns {Function} Unsubscribe function
+   */
+  listenToUserChats(callback) {
+    if (!this.initialized || !this.userId) {
+      throw new Error('Not authenticated');
+    }
+    
+    try {
+      const listenerId = 'user_chats';
+      
+      // Remove existing listener if any
+      this._removeListener(listenerId);
+      
+      const chatsRef = collection(this.firestore, 'chats');
+      const q = query(
+        chatsRef,
+        where('participants', 'array-contains', this.userId),
+        orderBy('updatedAt', 'desc')
+      );
+      
+      const unsubscribe = onSnapshot(q, async (snapshot) => {
+        const chats = [];
+        const userPromises = [];
+        
+        snapshot.docs.forEach(doc => {
+          const chatData = doc.data();
+          const otherUserId = chatData.isGroup
+            ? null
+            : chatData.participants.find(id => id !== this.userId);
+          
+          chats.push({
+            id: doc.id,
+            ...chatData,
+            otherUserId
+          });
+          
+          // Get other user data (group chats have no single other user)
+          userPromises.push(otherUserId ? this.getUserData(otherUserId) : Promise.resolve(null));
+        });
+        
+        // Wait for all user data to be fetched
+        const users = await Promise.all(userPromises);
+        
+        // Combine chat data with user data
+        const chatsWithUsers = chats.map((chat, index) => ({
+          ...chat,
+          otherUser: users[index]
+        }));
+        
+        callback(chatsWithUsers);
+      });
+      
+      // Save the listener for cleanup
+      this.listeners[listenerId] = unsubscribe;
+      
+      return unsubscribe;
+    } catch (error) {
+      console.error('Listen to user chats error:', error);
       throw error;
     }
   }
@@ -986,10 +1978,15 @@ class FirebaseService {
           
           // Convert local message format to Firestore format
           const cloudMessage = {
+            messageId: message.id,
             peerId: message.peer_id,
+            senderId: message.sender_id,
+            senderName: message.sender_name,
+            receiverId: message.is_outgoing ? message.peer_id : this.userId,
             type: message.type,
             content: message.content,
             timestamp: message.timestamp,
+            hlc: message.hlc,
             isEmergency: message.is_emergency,
             metadata: message.metadata || {}
           };
@@ -1013,7 +2010,11 @@ class FirebaseService {
           }
           
           // Save to Firestore
-          await this.saveMessage(cloudMessage);
+          if (message.group_id) {
+            await this.saveGroupMessage(message.group_id, cloudMessage);
+          } else {
+            await this.saveMessage(cloudMessage);
+          }
           
           // Mark as synced
           await databaseService.markMessageForSync(message.id, false);
@@ -1033,6 +2034,155 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Sync trail channel posts from local database to Firestore
+   * Includes posts relayed to us over the mesh, so a post made out of
+   * coverage reaches the cloud through whoever gets online first.
+   * @returns {Promise<number>} Number of posts synced
+   */
+  async syncChannelPostsToCloud() {
+    if (!this.initialized || !this.userId || !this.onlineStatus) {
+      return 0;
+    }
+    
+    try {
+      const posts = await databaseService.getChannelPostsNeedingSync();
+      let syncedCount = 0;
+      
+      for (const post of posts) {
+        try {
+          await databaseService.updateChannelPostSyncStatus(post.id, 'syncing');
+          
+          await this.saveChannelPost({
+            postId: post.id,
+            channelId: post.channel_id,
+            senderId: post.sender_id,
+            senderName: post.sender_name,
+            content: post.content,
+            latitude: post.latitude,
+            longitude: post.longitude,
+            radius: post.radius,
+            geohash: post.geohash,
+            timestamp: post.timestamp
+          });
+          
+          await databaseService.updateChannelPostSyncStatus(post.id, 'synced');
+          syncedCount++;
+        } catch (error) {
+          console.error(`Error syncing channel post ${post.id}:`, error);
+          await databaseService.updateChannelPostSyncStatus(post.id, 'failed');
+        }
+      }
+      
+      return syncedCount;
+    } catch (error) {
+      console.error('Sync channel posts to cloud error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Sync trip plans changed while offline to Firestore
+   * @returns {Promise<number>} Number of plans synced
+   */
+  async syncTripPlansToCloud() {
+    if (!this.initialized || !this.userId || !this.onlineStatus) {
+      return 0;
+    }
+    
+    try {
+      const plans = await databaseService.getTripPlansNeedingSync();
+      let syncedCount = 0;
+      
+      for (const plan of plans) {
+        try {
+          await databaseService.updateTripPlanSyncStatus(plan.id, 'syncing');
+          await this.saveTripPlan(plan);
+          await databaseService.updateTripPlanSyncStatus(plan.id, 'synced');
+          syncedCount++;
+        } catch (error) {
+          console.error(`Error syncing trip plan ${plan.id}:`, error);
+          await databaseService.updateTripPlanSyncStatus(plan.id, 'failed');
+        }
+      }
+      
+      return syncedCount;
+    } catch (error) {
+      console.error('Sync trip plans to cloud error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Sync emergency contacts changed while offline to the cloud
+   * @returns {Promise<number>} Number of contacts synced
+   */
+  async syncEmergencyContactsToCloud() {
+    if (!this.initialized || !this.userId || !this.onlineStatus) {
+      return 0;
+    }
+    
+    try {
+      const contacts = await databaseService.getEmergencyContactsNeedingSync();
+      let syncedCount = 0;
+      
+      for (const contact of contacts) {
+        try {
+          await databaseService.updateEmergencyContactSyncStatus(contact.id, 'syncing');
+          await this.saveEmergencyContact(contact);
+          await databaseService.updateEmergencyContactSyncStatus(contact.id, 'synced');
+          syncedCount++;
+        } catch (error) {
+          console.error(`Error syncing emergency contact ${contact.id}:`, error);
+          await databaseService.updateEmergencyContactSyncStatus(contact.id, 'failed');
+        }
+      }
+      
+      return syncedCount;
+    } catch (error) {
+      console.error('Sync emergency contacts to cloud error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Sync our medical profile, if changed while offline, to the cloud
+   * The profile is only kept in the cloud while its cloud backup is on;
+   * turning it off removes the cloud copy.
+   * @returns {Promise<number>} 1 if the profile was synced, otherwise 0
+   */
+  async syncMedicalProfileToCloud() {
+    if (!this.initialized || !this.userId || !this.onlineStatus) {
+      return 0;
+    }
+    
+    try {
+      const stored = await databaseService.getMedicalProfile();
+      if (!stored || !stored.needsSync) {
+        return 0;
+      }
+      
+      try {
+        await databaseService.updateMedicalProfileSyncStatus('syncing');
+        const profile = cryptoService.decrypt(stored.sealed, cryptoService.getPublicKey());
+        if (profile.cloudBackup) {
+          await this.saveMedicalProfile(profile);
+        } else {
+          await this.deleteMedicalProfile();
+        }
+        await databaseService.updateMedicalProfileSyncStatus('synced');
+        return 1;
+      } catch (error) {
+        console.error('Error syncing medical profile:', error);
+        await databaseService.updateMedicalProfileSyncStatus('failed');
+        return 0;
+      }
+    } catch (error) {
+      console.error('Sync medical profile to cloud error:', error);
+      return 0;
+    }
+  }
+
   /**
    * Create a user document in Firestore
    * @param {Object} user - User object
@@ -1103,6 +2253,84 @@ class FirebaseService {
     return `${sortedIds[0]}_${sortedIds[1]}`;
   }
 
+  /**
+   * Get the public encryption key another user has published
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} Base64 public key, or null if none is published
+   * @private
+   */
+  async _getPeerPublicKey(userId) {
+    if (this.peerPublicKeys.has(userId)) {
+      return this.peerPublicKeys.get(userId);
+    }
+    
+    const userData = await this.getUserData(userId);
+    const publicKey = userData ? userData.publicKey || null : null;
+    
+    if (publicKey) {
+      this.peerPublicKeys.set(userId, publicKey);
+    }
+    
+    return publicKey;
+  }
+
+  /**
+   * Decrypt the content of a Firestore message
+   * Messages that cannot be decrypted are returned without content and
+   * flagged with decryptionError rather than failing the whole batch.
+   * @param {Object} message - Message as stored in Firestore
+   * @returns {Promise<Object>} Message with readable content
+   * @private
+   */
+  async _decryptMessage(message) {
+    if (!message.isEncrypted) {
+      return message;
+    }
+    
+    // Both directions use the key shared with the other participant
+    const otherUserId = message.senderId === this.userId ? message.receiverId : message.senderId;
+    
+    try {
+      const peerPublicKey = await this._getPeerPublicKey(otherUserId);
+      if (!peerPublicKey) {
+        throw new Error(`No public key published for user ${otherUserId}`);
+      }
+      
+      return {
+        ...message,
+        content: cryptoService.decrypt(message.content, peerPublicKey),
+        isEncrypted: false
+      };
+    } catch (error) {
+      console.error(`Error decrypting message ${message.id}:`, error);
+      
+      // The peer may have rotated its key; fetch it again next time
+      this.peerPublicKeys.delete(otherUserId);
+      
+      return {
+        ...message,
+        content: null,
+        decryptionError: true
+      };
+    }
+  }
+
+  /**
+   * Map group members to their display names
+   * @param {Array} members - Members ({ id, name })
+   * @returns {Object} Names keyed by member ID
+   * @private
+   */
+  _getMemberNames(members) {
+    const names = {};
+    members.forEach(member => {
+      if (member.name) {
+        names[member.id] = member.name;
+      }
+    });
+    return names;
+  }
+
   /**
    * Get message preview text
    * @param {Object} message - Message object
@@ -1158,6 +2386,7 @@ class FirebaseService {
     const syncInterval = setInterval(async () => {
       if (this.onlineStatus && this.userId) {
         await this.syncMessagesToCloud();
+        await this.syncChannelPostsToCloud();
       }
     }, 30000); // Every 30 seconds
     
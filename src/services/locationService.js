@@ -130,6 +130,19 @@ class LocationService {
 
     return R * c; // Distance in meters
   }
+
+  // Calculate the initial bearing from one coordinate to another in degrees (0 = north)
+  calculateBearing(lat1, lon1, lat2, lon2) {
+    const φ1 = (lat1 * Math.PI) / 180;
+    const φ2 = (lat2 * Math.PI) / 180;
+    const Δλ = ((lon2 - lon1) * Math.PI) / 180;
+
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) -
+              Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+
+    return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+  }
 }
 
 // Export as singleton
@@ -0,0 +1,610 @@
+import bridgefyService, { MESSAGE_TYPES, VERIFICATION_STATUS } from './bridgefyService';
+import firebaseService from './firebaseService';
+import databaseService from './databaseService';
+import messagingService from './messagingService';
+import backgroundLocationService from './backgroundLocationService';
+import locationService from './locationService';
+import { generateMessageId } from '../utils/messageId';
+
+// State of a live location sharing session
+export const SHARE_STATUS = {
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked',
+};
+
+// Who a session is shared with
+export const SHARE_TARGET = {
+  PEER: 'peer',
+  GROUP: 'group',
+};
+
+// What a live location message over the mesh says about its session
+const SHARE_ACTION = {
+  START: 'start',
+  UPDATE: 'update',
+  STOP: 'stop',
+};
+
+export const DEFAULT_SHARE_DURATION = 2 * 60 * 60 * 1000; // 2 hours
+
+// Least time between two updates of a session in each tracking mode
+const UPDATE_INTERVALS = {
+  'high-accuracy': 10000, // 10 seconds
+  'standard': 30000, // 30 seconds
+  'power-saving': 120000, // 2 minutes
+};
+
+// setTimeout can't wait longer than this
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Service for live location sharing sessions
+ * Shares our position with a peer or group until the session expires or
+ * either side ends it. Updates follow background location tracking, at
+ * most as often as the tracking mode allows, and go over the cloud when
+ * online and over the mesh otherwise. Sessions both ways are stored
+ * locally so they survive an app restart.
+ */
+class LocationSharingService {
+  constructor() {
+    this.isInitialized = false;
+    this.shares = new Map(); // shareId -> active session, ours or shared with us
+    this.endedShareIds = new Set(); // Sessions that must not be revived by late updates
+    this.expiryTimers = new Map(); // shareId -> expiry timeout
+    this.lastSentAt = new Map(); // shareId -> time of our last update
+    this.startedTracking = false;
+    this.shareListeners = [];
+    this.removeLocationListener = null;
+    this.removeCloudListener = null;
+
+    // Bindings
+    this._onLocation = this._onLocation.bind(this);
+    this._handleMeshMessage = this._handleMeshMessage.bind(this);
+    this._handleCloudShares = this._handleCloudShares.bind(this);
+  }
+
+  /**
+   * Restore stored sessions and start listening for updates
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    try {
+      const shares = await databaseService.getLocationShares();
+      shares.forEach(share => {
+        if (share.status === SHARE_STATUS.ACTIVE) {
+          this.shares.set(share.id, share);
+        } else {
+          this.endedShareIds.add(share.id);
+        }
+      });
+
+      this.isInitialized = true;
+
+      // Sessions that ran out while the app was closed end now
+      const now = Date.now();
+      for (const share of this.shares.values()) {
+        if (new Date(share.expiresAt).getTime() <= now) {
+          await this._endShare(share, SHARE_STATUS.EXPIRED, null);
+        } else {
+          this._scheduleExpiry(share);
+        }
+      }
+
+      bridgefyService.onMessageReceived(this._handleMeshMessage);
+      this.removeLocationListener = backgroundLocationService.addLocationListener(this._onLocation);
+
+      if (firebaseService.isSignedIn()) {
+        this.removeCloudListener = firebaseService.listenToLocationShares(this._handleCloudShares);
+      }
+
+      // Keep streaming sessions that were running before the restart
+      if (this._getOutgoingShares().length > 0 && !backgroundLocationService.isTracking) {
+        this.startedTracking = await backgroundLocationService.startTracking();
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error initializing location sharing:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Stop listening for updates
+   * Sessions keep running and are picked up again by initialize().
+   */
+  cleanup() {
+    this.expiryTimers.forEach(timer => clearTimeout(timer));
+    this.expiryTimers.clear();
+
+    bridgefyService.removeMessageReceivedCallback(this._handleMeshMessage);
+    if (this.removeLocationListener) {
+      this.removeLocationListener();
+      this.removeLocationListener = null;
+    }
+    if (this.removeCloudListener) {
+      this.removeCloudListener();
+      this.removeCloudListener = null;
+    }
+
+    this.shares.clear();
+    this.endedShareIds.clear();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Start sharing our live location
+   * @param {Object} target - Who to share with ({ type: SHARE_TARGET value, id, name })
+   * @param {number} duration - How long to share for, in milliseconds
+   * @returns {Promise<Object>} The new session
+   */
+  async startSharing(target, duration = DEFAULT_SHARE_DURATION) {
+    if (!this.isInitialized) {
+      throw new Error('Location sharing not initialized');
+    }
+
+    if (!Object.values(SHARE_TARGET).includes(target.type)) {
+      throw new Error(`Unknown share target: ${target.type}`);
+    }
+
+    const ownerId = this._getUserId();
+    let viewerIds = [target.id];
+
+    if (target.type === SHARE_TARGET.GROUP) {
+      const group = await this._getGroup(target.id);
+      if (!group) {
+        throw new Error(`Group ${target.id} not found`);
+      }
+      viewerIds = group.members.map(member => member.id).filter(id => id !== ownerId);
+    }
+
+    const now = new Date();
+    const share = {
+      id: generateMessageId(),
+      isOutgoing: true,
+      ownerId,
+      ownerName: messagingService.username,
+      targetType: target.type,
+      targetId: target.id,
+      targetName: target.name || null,
+      viewerIds,
+      status: SHARE_STATUS.ACTIVE,
+      startedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + duration).toISOString(),
+      lastLocation: null,
+      lastUpdateAt: null,
+    };
+
+    // Updates follow background tracking, so make sure it runs
+    if (!backgroundLocationService.isTracking) {
+      this.startedTracking = await backgroundLocationService.startTracking();
+    }
+
+    const location = backgroundLocationService.getLastKnownLocation() ||
+      await locationService.getCurrentLocation();
+
+    this.shares.set(share.id, share);
+    this._scheduleExpiry(share);
+    await this._sendUpdate(share, SHARE_ACTION.START, location);
+
+    return share;
+  }
+
+  /**
+   * End a session
+   * Ending our own session stops the updates; ending one shared with us
+   * tells its owner we no longer want them.
+   * @param {string} shareId - Session ID
+   * @returns {Promise<boolean>} Whether an active session was ended
+   */
+  async stopSharing(shareId) {
+    const share = this.shares.get(shareId);
+    if (!share) return false;
+
+    await this._endShare(share, SHARE_STATUS.REVOKED, this._getUserId());
+    return true;
+  }
+
+  /**
+   * Get the active sessions, ours and those shared with us
+   * @returns {Array} Sessions, newest first
+   */
+  getActiveShares() {
+    return Array.from(this.shares.values())
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+  }
+
+  /**
+   * Add a listener for changes to the active sessions
+   * @param {Function} listener - Callback function(shares)
+   * @returns {Function} Function to remove listener
+   */
+  addShareListener(listener) {
+    if (typeof listener !== 'function') return () => {};
+
+    this.shareListeners.push(listener);
+    return () => {
+      this.shareListeners = this.shareListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Get the ID other hikers know us by
+   * @returns {string} User ID
+   * @private
+   */
+  _getUserId() {
+    return messagingService.userId || bridgefyService.userId;
+  }
+
+  /**
+   * Get our active sessions
+   * @returns {Array} Outgoing sessions
+   * @private
+   */
+  _getOutgoingShares() {
+    return Array.from(this.shares.values()).filter(share => share.isOutgoing);
+  }
+
+  /**
+   * Find a group channel by ID
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object|null>} Group with members, or null
+   * @private
+   */
+  async _getGroup(groupId) {
+    const groups = await messagingService.getGroups();
+    return groups.find(group => group.id === groupId) || null;
+  }
+
+  /**
+   * Get the least time between two updates for the current tracking mode
+   * @returns {number} Interval in milliseconds
+   * @private
+   */
+  _getUpdateInterval() {
+    const { trackingMode } = backgroundLocationService.getTrackingStatus();
+    return UPDATE_INTERVALS[trackingMode] || UPDATE_INTERVALS.standard;
+  }
+
+  /**
+   * Handle a location update from background tracking
+   * @param {Object} location - Formatted location
+   * @private
+   */
+  _onLocation(location) {
+    const now = Date.now();
+    const interval = this._getUpdateInterval();
+
+    this._getOutgoingShares().forEach(share => {
+      if (now - (this.lastSentAt.get(share.id) || 0) < interval) return;
+
+      this._sendUpdate(share, SHARE_ACTION.UPDATE, location).catch(error => {
+        console.error('Error sending live location update:', error);
+      });
+    });
+  }
+
+  /**
+   * Record our latest position on a session and send it to the viewers
+   * @param {Object} share - Outgoing session
+   * @param {string} action - SHARE_ACTION value
+   * @param {Object|null} location - Our position, if known
+   * @private
+   */
+  async _sendUpdate(share, action, location) {
+    if (location) {
+      share.lastLocation = {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        altitude: location.altitude || null,
+        accuracy: location.accuracy || null,
+        heading: location.heading || null,
+        speed: location.speed || null,
+        timestamp: location.timestamp || new Date().toISOString(),
+      };
+    }
+    share.lastUpdateAt = new Date().toISOString();
+    this.lastSentAt.set(share.id, Date.now());
+
+    await databaseService.saveLocationShare(share);
+    await this._transmit(share, action);
+    this._notifyShareListeners();
+  }
+
+  /**
+   * Send a session's state to the other side
+   * Online, the session document in the cloud carries it; otherwise a
+   * live location message goes over the mesh.
+   * @param {Object} share - Session
+   * @param {string} action - SHARE_ACTION value
+   * @returns {Promise<boolean>} Whether either transport accepted it
+   * @private
+   */
+  async _transmit(share, action) {
+    let cloudSent = false;
+    if (messagingService.isOnline && firebaseService.isSignedIn()) {
+      try {
+        if (share.isOutgoing) {
+          await firebaseService.saveLocationShare(share);
+        } else {
+          await firebaseService.leaveLocationShare(share.id);
+        }
+        cloudSent = true;
+      } catch (error) {
+        console.error('Error sending live location via Firebase:', error);
+      }
+    }
+
+    let meshSent = false;
+    if (!cloudSent && messagingService.isOfflineMessagingEnabled && bridgefyService.isStarted) {
+      const message = {
+        type: MESSAGE_TYPES.LIVE_LOCATION,
+        content: {
+          sessionId: share.id,
+          action,
+          expiresAt: share.expiresAt,
+          targetType: share.targetType,
+          location: share.isOutgoing ? share.lastLocation : null,
+        },
+      };
+
+      try {
+        if (!share.isOutgoing) {
+          meshSent = await bridgefyService.sendMessage(share.ownerId, message);
+        } else if (share.targetType === SHARE_TARGET.GROUP) {
+          const group = await this._getGroup(share.targetId);
+          meshSent = !!group && await bridgefyService.sendGroupMessage({
+            id: group.id,
+            name: group.name,
+            memberIds: group.members.map(member => member.id),
+          }, message);
+        } else {
+          meshSent = await bridgefyService.sendMessage(share.targetId, message);
+        }
+      } catch (error) {
+        console.error('Error sending live location via Bridgefy:', error);
+      }
+    }
+
+    return cloudSent || meshSent;
+  }
+
+  /**
+   * End a session and forget it
+   * @param {Object} share - Session
+   * @param {string} status - SHARE_STATUS value it ends with
+   * @param {string|null} endedBy - Who ended it, or null when it expired
+   * @param {boolean} notifyRemote - Whether to tell the other side
+   * @private
+   */
+  async _endShare(share, status, endedBy, notifyRemote = true) {
+    clearTimeout(this.expiryTimers.get(share.id));
+    this.expiryTimers.delete(share.id);
+    this.lastSentAt.delete(share.id);
+    this.shares.delete(share.id);
+    this.endedShareIds.add(share.id);
+
+    share.status = status;
+    share.endedBy = endedBy;
+    await databaseService.saveLocationShare(share);
+
+    // Expired sessions end on both sides without being told;
+    // the owner still closes the cloud copy
+    if (notifyRemote && (share.isOutgoing || status === SHARE_STATUS.REVOKED)) {
+      await this._transmit(share, SHARE_ACTION.STOP);
+    }
+
+    // Stop tracking again if we only started it for sharing
+    if (this.startedTracking && this._getOutgoingShares().length === 0) {
+      this.startedTracking = false;
+      await backgroundLocationService.stopTracking();
+    }
+
+    this._notifyShareListeners();
+  }
+
+  /**
+   * End a session when it expires
+   * @param {Object} share - Session
+   * @private
+   */
+  _scheduleExpiry(share) {
+    clearTimeout(this.expiryTimers.get(share.id));
+
+    const delay = Math.max(0, new Date(share.expiresAt).getTime() - Date.now());
+    this.expiryTimers.set(share.id, setTimeout(() => {
+      // Very long sessions wait in steps
+      if (new Date(share.expiresAt).getTime() > Date.now()) {
+        this._scheduleExpiry(share);
+        return;
+      }
+
+      this._endShare(share, SHARE_STATUS.EXPIRED, null).catch(error => {
+        console.error('Error ending expired location share:', error);
+      });
+    }, Math.min(delay, MAX_TIMER_DELAY)));
+  }
+
+  /**
+   * Drop a viewer who no longer wants our updates
+   * The session ends once nobody is left watching.
+   * @param {Object} share - Outgoing session
+   * @param {string} viewerId - Viewer who left
+   * @private
+   */
+  async _removeViewer(share, viewerId) {
+    share.viewerIds = share.viewerIds.filter(id => id !== viewerId);
+
+    if (share.viewerIds.length === 0) {
+      await this._endShare(share, SHARE_STATUS.REVOKED, viewerId);
+      return;
+    }
+
+    await databaseService.saveLocationShare(share);
+    this._notifyShareListeners();
+  }
+
+  /**
+   * Handle a live location message received over the mesh
+   * @param {string} peerId - Sender peer ID
+   * @param {Object} message - Received message
+   * @private
+   */
+  async _handleMeshMessage(peerId, message) {
+    if (message.type !== MESSAGE_TYPES.LIVE_LOCATION || !message.content) return;
+
+    if (message.verification === VERIFICATION_STATUS.INVALID) {
+      console.warn(`Dropping live location from ${peerId}: invalid signature`);
+      return;
+    }
+
+    const { sessionId, action, expiresAt, location } = message.content;
+    const existing = this.shares.get(sessionId);
+
+    try {
+      // A viewer of one of our sessions leaving it
+      if (existing && existing.isOutgoing) {
+        if (action === SHARE_ACTION.STOP && existing.viewerIds.includes(message.senderId)) {
+          await this._removeViewer(existing, message.senderId);
+        }
+        return;
+      }
+
+      await this._applyIncoming({
+        id: sessionId,
+        ownerId: message.senderId,
+        ownerName: message.senderName,
+        targetType: message.groupId ? SHARE_TARGET.GROUP : SHARE_TARGET.PEER,
+        targetId: message.groupId || this._getUserId(),
+        targetName: message.groupName || null,
+        status: action === SHARE_ACTION.STOP ? SHARE_STATUS.REVOKED : SHARE_STATUS.ACTIVE,
+        expiresAt,
+        endedBy: action === SHARE_ACTION.STOP ? message.senderId : null,
+        lastLocation: location || null,
+      });
+    } catch (error) {
+      console.error('Error handling live location message:', error);
+    }
+  }
+
+  /**
+   * Handle sessions changed in the cloud
+   * @param {Array} docs - Changed session documents
+   * @private
+   */
+  async _handleCloudShares(docs) {
+    const userId = firebaseService.userId;
+
+    for (const doc of docs) {
+      try {
+        if (doc.ownerId === userId) {
+          // Viewers leave a session by removing themselves from it
+          const share = this.shares.get(doc.id);
+          if (!share) continue;
+
+          const viewerIds = doc.viewerIds || [];
+          const leftIds = share.viewerIds.filter(id => !viewerIds.includes(id));
+          for (const viewerId of leftIds) {
+            if (this.shares.has(share.id)) {
+              await this._removeViewer(share, viewerId);
+            }
+          }
+          continue;
+        }
+
+        await this._applyIncoming({
+          id: doc.id,
+          ownerId: doc.ownerId,
+          ownerName: doc.ownerName,
+          targetType: doc.targetType,
+          targetId: doc.targetId,
+          targetName: doc.targetName,
+          status: doc.status,
+          startedAt: doc.startedAt,
+          expiresAt: doc.expiresAt,
+          endedBy: doc.endedBy,
+          lastLocation: doc.location,
+        });
+      } catch (error) {
+        console.error('Error handling location share from Firebase:', error);
+      }
+    }
+  }
+
+  /**
+   * Create or update a session shared with us
+   * @param {Object} update - Session state from the owner
+   * @private
+   */
+  async _applyIncoming(update) {
+    if (!update.id || this.endedShareIds.has(update.id)) return;
+
+    const existing = this.shares.get(update.id);
+
+    if (update.status !== SHARE_STATUS.ACTIVE) {
+      if (existing) {
+        await this._endShare(existing, update.status, update.endedBy || null, false);
+      }
+      return;
+    }
+
+    // Ignore sessions that have already run out
+    if (!update.expiresAt || new Date(update.expiresAt).getTime() <= Date.now()) return;
+
+    // Updates can arrive over both transports, and out of order
+    const isNewer = update.lastLocation && (
+      !existing?.lastLocation ||
+      new Date(update.lastLocation.timestamp) > new Date(existing.lastLocation.timestamp)
+    );
+
+    const share = {
+      viewerIds: [this._getUserId()],
+      startedAt: update.startedAt || new Date().toISOString(),
+      ...existing,
+      id: update.id,
+      isOutgoing: false,
+      ownerId: update.ownerId,
+      ownerName: update.ownerName || existing?.ownerName || null,
+      targetType: update.targetType,
+      targetId: update.targetId,
+      targetName: update.targetName || existing?.targetName || null,
+      status: SHARE_STATUS.ACTIVE,
+      expiresAt: update.expiresAt,
+      lastLocation: isNewer ? update.lastLocation : (existing?.lastLocation || null),
+      lastUpdateAt: isNewer ? new Date().toISOString() : (existing?.lastUpdateAt || null),
+    };
+
+    this.shares.set(share.id, share);
+    if (!existing || existing.expiresAt !== share.expiresAt) {
+      this._scheduleExpiry(share);
+    }
+
+    await databaseService.saveLocationShare(share);
+    this._notifyShareListeners();
+  }
+
+  /**
+   * Notify all share listeners of the active sessions
+   * @private
+   */
+  _notifyShareListeners() {
+    const shares = this.getActiveShares();
+
+    this.shareListeners.forEach(listener => {
+      try {
+        listener(shares);
+      } catch (error) {
+        console.error('Error in location share listener:', error);
+      }
+    });
+  }
+}
+
+// Export as singleton
+export default new LocationSharingService();
@@ -0,0 +1,270 @@
+import bridgefyService from './bridgefyService';
+import firebaseService from './firebaseService';
+import databaseService from './databaseService';
+import messagingService from './messagingService';
+import cryptoService from './cryptoService';
+
+// What the medical profile holds, in the order the ICE card shows it
+export const MEDICAL_FIELDS = [
+  { key: 'bloodType', label: 'Blood Type' },
+  { key: 'allergies', label: 'Allergies' },
+  { key: 'medications', label: 'Medications' },
+  { key: 'conditions', label: 'Conditions' },
+  { key: 'notes', label: 'Other Notes' },
+];
+
+// Limit on each field that goes into an SOS, which has to fit through the mesh
+const MAX_SOS_TEXT_LENGTH = 120;
+
+const EMPTY_PROFILE = {
+  name: '',
+  bloodType: '',
+  allergies: '',
+  medications: '',
+  conditions: '',
+  notes: '',
+  sosFields: [], // Keys of the fields we agreed to send with our SOS
+  cloudBackup: false,
+  backupKey: null, // Key the cloud copy is encrypted with, which only we hold
+  updatedAt: null,
+};
+
+/**
+ * Read the medical summary of an SOS we received
+ * Only known fields with text are kept, whatever the sender put in.
+ * @param {*} medical - Medical summary from the SOS content
+ * @returns {Object|null} Medical summary or null
+ */
+export const readSOSMedical = (medical) => {
+  if (!medical || typeof medical !== 'object') return null;
+
+  const summary = {};
+  MEDICAL_FIELDS.forEach(({ key }) => {
+    if (typeof medical[key] === 'string' && medical[key].trim()) {
+      summary[key] = medical[key].trim().slice(0, MAX_SOS_TEXT_LENGTH);
+    }
+  });
+
+  return Object.keys(summary).length > 0 ? summary : null;
+};
+
+/**
+ * Service for our medical profile and ICE (in case of emergency) card
+ * The profile is stored on the device, so the ICE card can be shown
+ * without a connection. Only the fields we approve go with our SOS, and
+ * the profile is kept in the cloud only if we turn its backup on. The
+ * cloud copy is encrypted with a backup key made on the device, which the
+ * hiker keeps to restore the profile on a new one; the server never sees it.
+ */
+class MedicalProfileService {
+  constructor() {
+    this.isInitialized = false;
+    this.profile = { ...EMPTY_PROFILE };
+    this.profileListeners = [];
+
+    // Bindings
+    this.getSOSSummary = this.getSOSSummary.bind(this);
+  }
+
+  /**
+   * Load the stored profile
+   * A profile backed up to the cloud is restored with restoreFromCloud().
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    try {
+      const stored = await databaseService.getMedicalProfile();
+      if (stored) {
+        this.profile = { ...EMPTY_PROFILE, ...this._open(stored.sealed) };
+
+        // Backups made before they were encrypted are replaced by an encrypted one
+        if (this.profile.cloudBackup && !this.profile.backupKey) {
+          this.profile.backupKey = cryptoService.generateSecretKey();
+          await databaseService.saveMedicalProfile(this._seal(this.profile), true);
+        }
+      }
+
+      this.isInitialized = true;
+      bridgefyService.setMedicalProvider(this.getSOSSummary);
+      return true;
+    } catch (error) {
+      console.error('Error initializing medical profile:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get our medical profile
+   * @returns {Object} Profile ({ name, bloodType, allergies, medications, conditions, notes, sosFields, cloudBackup, updatedAt })
+   */
+  getProfile() {
+    return { ...this.profile, sosFields: [...this.profile.sosFields] };
+  }
+
+  /**
+   * Check whether anything has been filled in
+   * @returns {boolean} Whether the profile has any medical details
+   */
+  hasProfile() {
+    return MEDICAL_FIELDS.some(field => !!this.profile[field.key]);
+  }
+
+  /**
+   * Update our medical profile
+   * @param {Object} changes - Profile fields to set
+   * @returns {Promise<Object>} The saved profile
+   */
+  async saveProfile(changes) {
+    const unknown = (changes.sosFields || []).find(key => !MEDICAL_FIELDS.some(field => field.key === key));
+    if (unknown) {
+      throw new Error(`Unknown medical field: ${unknown}`);
+    }
+
+    const previous = this.profile;
+    const profile = {
+      ...previous,
+      ...changes,
+      backupKey: previous.backupKey,
+      updatedAt: new Date().toISOString(),
+    };
+    MEDICAL_FIELDS.forEach(field => {
+      profile[field.key] = (profile[field.key] || '').trim();
+    });
+    profile.name = (profile.name || '').trim();
+    profile.sosFields = [...new Set(profile.sosFields)];
+    profile.cloudBackup = !!profile.cloudBackup;
+    if (profile.cloudBackup && !profile.backupKey) {
+      profile.backupKey = cryptoService.generateSecretKey();
+    }
+
+    // The cloud copy only changes while backed up, or to be removed
+    const needsSync = profile.cloudBackup || previous.cloudBackup;
+    const saved = await databaseService.saveMedicalProfile(this._seal(profile), needsSync);
+    if (!saved) {
+      throw new Error('Medical profile could not be saved');
+    }
+    this.profile = profile;
+
+    if (needsSync && messagingService.isOnline && firebaseService.isSignedIn()) {
+      try {
+        if (profile.cloudBackup) {
+          await firebaseService.saveMedicalProfile(profile);
+        } else {
+          await firebaseService.deleteMedicalProfile();
+        }
+        await databaseService.updateMedicalProfileSyncStatus('synced');
+      } catch (error) {
+        console.error('Error saving medical profile to Firebase:', error);
+      }
+    }
+
+    this._notifyProfileListeners();
+    return this.getProfile();
+  }
+
+  /**
+   * Restore a profile backed up to the cloud, e.g. on a new device
+   * Replaces the profile on this device, and keeps the backup on.
+   * @param {string} backupKey - Backup key shown when the backup was turned on
+   * @returns {Promise<Object>} The restored profile
+   */
+  async restoreFromCloud(backupKey) {
+    if (!messagingService.isOnline || !firebaseService.isSignedIn()) {
+      throw new Error('Restoring needs a connection');
+    }
+
+    const key = String(backupKey || '').trim();
+    const restored = await firebaseService.getMedicalProfile(key);
+    if (!restored) {
+      throw new Error('No medical details are backed up to the cloud');
+    }
+
+    const profile = { ...EMPTY_PROFILE, ...restored, cloudBackup: true, backupKey: key };
+    const saved = await databaseService.saveMedicalProfile(this._seal(profile), false);
+    if (!saved) {
+      throw new Error('Medical profile could not be saved');
+    }
+    this.profile = profile;
+
+    this._notifyProfileListeners();
+    return this.getProfile();
+  }
+
+  /**
+   * Get the part of our profile that goes with an SOS
+   * Only fields we approved and filled in are included.
+   * @returns {Object|null} Medical summary or null
+   */
+  getSOSSummary() {
+    const summary = {};
+    MEDICAL_FIELDS.forEach(({ key }) => {
+      const value = this.profile[key];
+      if (value && this.profile.sosFields.includes(key)) {
+        summary[key] = value.length > MAX_SOS_TEXT_LENGTH
+          ? `${value.slice(0, MAX_SOS_TEXT_LENGTH - 3)}...`
+          : value;
+      }
+    });
+
+    return Object.keys(summary).length > 0 ? summary : null;
+  }
+
+  /**
+   * Add a listener for changes to our medical profile
+   * @param {Function} listener - Callback function(profile)
+   * @returns {Function} Function to remove listener
+   */
+  addProfileListener(listener) {
+    if (typeof listener !== 'function') return () => {};
+
+    this.profileListeners.push(listener);
+    return () => {
+      this.profileListeners = this.profileListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Encrypt the profile for this device
+   * This keeps it out of plain text only: the device key is stored in the
+   * same database, so anyone who can read the app's data can open it.
+   * @param {Object} profile - Profile
+   * @returns {Object} Encrypted profile ({ nonce, ciphertext })
+   * @private
+   */
+  _seal(profile) {
+    return cryptoService.encrypt(profile, cryptoService.getPublicKey());
+  }
+
+  /**
+   * Decrypt a profile stored by this device
+   * @param {Object} sealed - Encrypted profile ({ nonce, ciphertext })
+   * @returns {Object} Profile
+   * @private
+   */
+  _open(sealed) {
+    return cryptoService.decrypt(sealed, cryptoService.getPublicKey());
+  }
+
+  /**
+   * Notify all profile listeners of our medical profile
+   * @private
+   */
+  _notifyProfileListeners() {
+    const profile = this.getProfile();
+
+    this.profileListeners.forEach(listener => {
+      try {
+        listener(profile);
+      } catch (error) {
+        console.error('Error in medical profile listener:', error);
+      }
+    });
+  }
+}
+
+// Export as singleton
+export default new MedicalProfileService();
@@ -1,9 +1,36 @@
-import bridgefyService, { MESSAGE_TYPES } from './bridgefyService';
+import bridgefyService, {
+  MESSAGE_TYPES,
+  DELIVERY_STATUS,
+  CONNECTION_STATE,
+  VERIFICATION_STATUS,
+} from './bridgefyService';
 import firebaseService from './firebaseService';
 import databaseService from './databaseService';
+import cryptoService from './cryptoService';
 import locationService from './locationService';
+import { encodeGeohash } from '../utils/geohash';
+import { generateMessageId } from '../utils/messageId';
+import { HybridLogicalClock, compareHlc } from '../utils/hybridClock';
 import { Platform, NetInfo } from 'react-native';
 
+// Outbox retry settings
+const MAX_SEND_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 30000; // 30 seconds, doubled after every failed attempt
+const RETRY_MAX_DELAY = 30 * 60 * 1000; // 30 minutes
+
+// What an SOS outbox entry replays to the cloud
+const SOS_OUTBOX_KIND = {
+  EVENT: 'event', // A new SOS of ours, replayed to saveSOSEvent
+  UPDATE: 'update', // A change in the state of an SOS, replayed to updateSOSStatus
+};
+
+// Public trail channels hikers can opt in to, with the radius posts apply to
+export const TRAIL_CHANNELS = {
+  TRAIL_CONDITIONS: { id: 'trail_conditions', name: 'Trail Conditions', radius: 10000 },
+  WATER_SOURCES: { id: 'water_sources', name: 'Water Sources', radius: 5000 },
+  WILDLIFE: { id: 'wildlife', name: 'Wildlife Sightings', radius: 3000 },
+};
+
 /**
  * Combined messaging service that handles both online and offline messaging
  * Coordinates between Bridgefy (offline) and Firebase (online) services
@@ -16,6 +43,13 @@ class MessagingService {
     this.username = null;
     this.userId = null;
     this.messageListeners = [];
+    this.deliveryListeners = [];
+    this.sosSyncListeners = [];
+    this.channelListeners = [];
+    this.channelSubscriptions = new Set();
+    this.clock = new HybridLogicalClock(); // Orders messages across devices
+    this.isDrainingOutbox = false;
+    this.sosSync = Promise.resolve(); // Runs SOS outbox syncs one after another
   }
 
   /**
@@ -37,6 +71,16 @@ class MessagingService {
         console.error('Failed to initialize database service');
         return false;
       }
+      
+      // Restore the trail channels this user opted in to
+      this.channelSubscriptions = new Set(await databaseService.getChannelSubscriptions());
+
+      // Load or create this device's encryption keys
+      const cryptoInitialized = await cryptoService.initialize();
+      if (!cryptoInitialized) {
+        console.error('Failed to initialize crypto service');
+        return false;
+      }
 
       // Initialize Firebase service if config is provided
       let firebaseInitialized = false;
@@ -52,6 +96,13 @@ class MessagingService {
           
           this.userId = firebaseService.getCurrentUserId();
           
+          // Let peers encrypt messages for this device
+          try {
+            await firebaseService.publishPublicKeys();
+          } catch (error) {
+            console.warn('Failed to publish public keys:', error);
+          }
+          
           // Get the username from Firebase if available
           const user = firebaseService.getCurrentUser();
           if (user && user.displayName) {
@@ -89,11 +140,24 @@ class MessagingService {
           bridgefyService.onPeerDetected(this._handlePeerDetected.bind(this));
           bridgefyService.onPeerLost(this._handlePeerLost.bind(this));
           bridgefyService.onPeerConnectionStateChanged(this._handlePeerConnectionStateChanged.bind(this));
+          
+          // Set up Bridgefy delivery acknowledgement listener
+          bridgefyService.onDeliveryStatusChanged(this._handleDeliveryStatusChanged.bind(this));
+          
+          // Restore keys exchanged in earlier sessions and persist new ones
+          await this._loadPeerKeys();
+          bridgefyService.onPeerKeyExchanged(this._handlePeerKeyExchanged.bind(this));
+          
+          // Remember which cloud account each hiker nearby belongs to
+          bridgefyService.onPresenceUpdated(this._handlePresenceUpdated.bind(this));
         } else {
           console.warn('Failed to initialize Bridgefy service');
         }
       }
 
+      // Tie-break clock values with an ID other devices know us by
+      this.clock.setNodeId(this.userId || bridgefyService.userId);
+
       // Set up network status monitoring
       this._setupNetworkMonitoring();
 
@@ -156,7 +220,7 @@ class MessagingService {
     }
     
     try {
-      const messageId = `msg_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+      const messageId = generateMessageId();
       const timestamp = new Date().toISOString();
       
       // Create message object
@@ -169,7 +233,9 @@ class MessagingService {
         type: MESSAGE_TYPES.TEXT,
         content: text,
         timestamp,
+        hlc: this.clock.now(),
         isDelivered: false,
+        deliveryStatus: DELIVERY_STATUS.PENDING,
         metadata: {
           sentVia: this.isOnline ? 'firebase' : 'bridgefy'
         }
@@ -178,40 +244,16 @@ class MessagingService {
       // Save to local database
       await databaseService.saveMessage(message, this.isOnline);
       
-      // Send via Firebase if online
-      let firebaseSent = false;
-      if (this.isOnline && firebaseService.isSignedIn()) {
-        try {
-          await firebaseService.saveMessage({
-            peerId: peerId,
-            type: MESSAGE_TYPES.TEXT,
-            content: text,
-            timestamp,
-          });
-          firebaseSent = true;
-        } catch (error) {
-          console.error('Error sending message via Firebase:', error);
-        }
-      }
-      
-      // Send via Bridgefy if offline or Firebase failed
-      let bridgefySent = false;
-      if (this.isOfflineMessagingEnabled && (!firebaseSent || !this.isOnline)) {
-        try {
-          const bridgefyMessage = {
-            type: MESSAGE_TYPES.TEXT,
-            content: text,
-          };
-          bridgefySent = await bridgefyService.sendMessage(peerId, bridgefyMessage);
-        } catch (error) {
-          console.error('Error sending message via Bridgefy:', error);
-        }
+      // Send now, or queue in the outbox for another attempt
+      const sent = await this._deliverMessage(message);
+      if (!sent) {
+        await this._scheduleRetry(message, 1);
       }
       
       // Notify listeners
       this._notifyMessageListeners([message]);
       
-      return firebaseSent || bridgefySent;
+      return sent;
     } catch (error) {
       console.error('Error sending text message:', error);
       throw error;
@@ -236,7 +278,7 @@ class MessagingService {
         throw new Error('Could not get current location');
       }
       
-      const messageId = `msg_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+      const messageId = generateMessageId();
       const timestamp = new Date().toISOString();
       const messageType = isEmergency ? MESSAGE_TYPES.SOS : MESSAGE_TYPES.LOCATION;
       
@@ -256,68 +298,34 @@ class MessagingService {
           timestamp: location.timestamp || timestamp,
         },
         timestamp,
+        hlc: this.clock.now(),
         isDelivered: false,
+        deliveryStatus: DELIVERY_STATUS.PENDING,
         isEmergency,
         metadata: {
           sentVia: this.isOnline ? 'firebase' : 'bridgefy'
         }
       };
       
-      // Add message text for SOS
+      // Add message text for SOS, and the SOS ID every retry goes out under
       if (isEmergency) {
         message.content.message = 'I need help! This is an emergency.';
+        message.content.sosId = messageId;
       }
       
       // Save to local database
       await databaseService.saveMessage(message, this.isOnline);
       
-      // Save to Firebase if online
-      let firebaseSent = false;
-      if (this.isOnline && firebaseService.isSignedIn()) {
-        try {
-          // Save message
-          await firebaseService.saveMessage({
-            peerId: peerId,
-            type: messageType,
-            content: message.content,
-            timestamp,
-            isEmergency,
-          });
-          
-          // If emergency, also save to user's location
-          if (isEmergency) {
-            await firebaseService.saveUserLocation(message.content, true);
-          }
-          
-          firebaseSent = true;
-        } catch (error) {
-          console.error('Error sending location via Firebase:', error);
-        }
-      }
-      
-      // Send via Bridgefy if offline or Firebase failed
-      let bridgefySent = false;
-      if (this.isOfflineMessagingEnabled && (!firebaseSent || !this.isOnline)) {
-        try {
-          if (isEmergency) {
-            bridgefySent = await bridgefyService.sendSOS(message.content.message);
-          } else {
-            const bridgefyMessage = {
-              type: messageType,
-              content: message.content,
-              isEmergency,
-            };
-            bridgefySent = await bridgefyService.sendMessage(peerId, bridgefyMessage);
-          }
-        } catch (error) {
-          console.error('Error sending location via Bridgefy:', error);
-        }
+      // Send now, or queue in the outbox for another attempt
+      const sent = await this._deliverMessage(message);
+      if (!sent) {
+        await this._scheduleRetry(message, 1);
       }
       
       // Notify listeners
       this._notifyMessageListeners([message]);
       
-      return firebaseSent || bridgefySent;
+      return sent;
     } catch (error) {
       console.error('Error sending location message:', error);
       throw error;
@@ -326,54 +334,131 @@ class MessagingService {
 
   /**
    * Send an SOS emergency message to all peers
+   * The SOS is kept in the SOS outbox first, so it reaches the cloud once
+   * we are back online even if it can't now.
    * @param {string} message - Optional emergency message
-   * @returns {Promise<boolean>} Success status
+   * @param {string|null} sosId - ID that updates to this SOS refer to
+   * @param {Object} details - Further fields of the SOS event, e.g. the trip plan
+   * @returns {Promise<Object>} Result ({ sosId, meshSent, cloudSent })
    */
-  async sendSOSMessage(message = 'I need help! This is an emergency.') {
+  async sendSOSMessage(message = 'I need help! This is an emergency.', sosId = null, details = {}) {
     if (!this.initialized) {
       throw new Error('Messaging service not initialized');
     }
     
     try {
-      // Get current location
-      const location = await locationService.getCurrentLocation();
-      if (!location) {
-        throw new Error('Could not get current location');
+      const id = sosId || generateMessageId();
+      const timestamp = new Date().toISOString();
+      
+      // Get current location; an SOS without one still goes out
+      let location = null;
+      try {
+        location = await locationService.getCurrentLocation();
+      } catch (error) {
+        console.error('Error getting location for SOS:', error);
       }
       
-      const timestamp = new Date().toISOString();
+      // Record the SOS, sending it to Firebase now if online
+      const cloudSent = await this.queueSOSEvent({
+        id,
+        userId: firebaseService.getCurrentUserId() || null,
+        displayName: this.username,
+        location,
+        message,
+        timestamp,
+        status: 'active',
+        ...details,
+      });
       
-      // Send to Firebase if online
-      let firebaseSent = false;
-      if (this.isOnline && firebaseService.isSignedIn()) {
+      if (cloudSent && location) {
         try {
           await firebaseService.saveUserLocation({
             ...location,
             message
           }, true);
-          firebaseSent = true;
         } catch (error) {
-          console.error('Error sending SOS via Firebase:', error);
+          console.error('Error saving SOS location via Firebase:', error);
         }
       }
       
       // Send via Bridgefy
-      let bridgefySent = false;
+      let meshSent = false;
       if (this.isOfflineMessagingEnabled) {
         try {
-          bridgefySent = await bridgefyService.sendSOS(message);
+          meshSent = await bridgefyService.sendSOS(message, id, location);
         } catch (error) {
           console.error('Error sending SOS via Bridgefy:', error);
         }
       }
       
-      return firebaseSent || bridgefySent;
+      return { sosId: id, meshSent, cloudSent };
     } catch (error) {
       console.error('Error sending SOS message:', error);
       throw error;
     }
   }
 
+  /**
+   * Record a new SOS of ours for the cloud
+   * Kept in the SOS outbox and sent now if online, or replayed when the
+   * connection returns.
+   * @param {Object} sosData - SOS event data, with the SOS ID as id
+   * @returns {Promise<boolean>} Whether it reached the cloud now
+   */
+  async queueSOSEvent(sosData) {
+    return this._queueSOSChange(SOS_OUTBOX_KIND.EVENT, sosData.id, sosData);
+  }
+
+  /**
+   * Check whether a new SOS of ours has reached the cloud
+   * @param {string} sosId - SOS ID
+   * @returns {Promise<boolean>} Whether the SOS document was saved
+   */
+  async isSOSEventInCloud(sosId) {
+    return databaseService.hasSyncedSOSOutboxEntry(sosId, SOS_OUTBOX_KIND.EVENT);
+  }
+
+  /**
+   * Add a listener for new SOS of ours reaching the cloud
+   * Called with the SOS ID when the outbox sends one it had kept.
+   * @param {Function} callback - Callback function
+   * @returns {Function} Function to remove the listener
+   */
+  addSOSSyncListener(callback) {
+    if (typeof callback !== 'function') return () => {};
+    
+    this.sosSyncListeners.push(callback);
+    
+    return () => {
+      this.sosSyncListeners = this.sosSyncListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Record a change in the state of an SOS for the cloud
+   * @param {string} sosId - SOS ID
+   * @param {Object} update - Change ({ status, responder, endedBy })
+   * @param {boolean} isOwn - Whether the SOS is ours
+   * @returns {Promise<boolean>} Whether it reached the cloud now
+   */
+  async queueSOSUpdate(sosId, update, isOwn) {
+    return this._queueSOSChange(SOS_OUTBOX_KIND.UPDATE, sosId, { update, isOwn });
+  }
+
+  /**
+   * Send SOS changes waiting in the SOS outbox to the cloud
+   * Changes go in the order they were made; a change that fails holds
+   * back the later ones to the same SOS, so the cloud never sees them out
+   * of order. Each carries its idempotency key, so a change that reached
+   * the cloud before we could mark it synced is not applied twice.
+   * @returns {Promise<Array>} IDs of the entries synced
+   */
+  async syncSOSOutbox() {
+    const sync = this.sosSync.then(() => this._drainSOSOutbox());
+    this.sosSync = sync.catch(() => []);
+    return sync;
+  }
+
   /**
    * Get messages for a peer
    * @param {string} peerId - Peer ID
@@ -387,7 +472,8 @@ class MessagingService {
     
     try {
       // First, get messages from local database
-      const localMessages = await databaseService.getMessagesByPeerId(peerId, limit);
+      const rows = await databaseService.getMessagesByPeerId(peerId, limit);
+      const localMessages = rows.map(row => this._messageFromRow(row));
       
       // If online, also get messages from Firebase
       let cloudMessages = [];
@@ -395,48 +481,44 @@ class MessagingService {
         try {
           cloudMessages = await firebaseService.getChatMessages(peerId, limit);
           
+          // Messages we could not decrypt are reported and kept as placeholders
+          cloudMessages.filter(msg => msg.decryptionError).forEach(msg => {
+            bridgefyService.reportError('decryption_error', `Could not decrypt message from ${msg.senderName || msg.senderId}`);
+          });
+
           // Convert to local format
           cloudMessages = cloudMessages.map(msg => ({
             messageId: msg.id,
             peerId: msg.receiverId === this.userId ? msg.senderId : msg.receiverId,
             senderId: msg.senderId,
             senderName: msg.senderName,
+            localUserId: this.userId,
             type: msg.type,
             content: msg.content,
             timestamp: msg.timestamp,
+            hlc: msg.hlc,
             isDelivered: msg.isDelivered,
             isEmergency: msg.isEmergency,
-            metadata: msg.metadata || { sentVia: 'firebase' }
+            metadata: msg.decryptionError
+              ? { ...(msg.metadata || { sentVia: 'firebase' }), decryptionError: true }
+              : msg.metadata || { sentVia: 'firebase' }
           }));
           
-          // Save cloud messages to local database
+          // Save cloud messages to local database; placeholders are fetched
+          // again next time, when the sender's key may have been refreshed
           for (const msg of cloudMessages) {
-            await databaseService.saveMessage({
-              ...msg,
-              localUserId: this.userId,
-            }, false); // Don't mark for sync as they came from the cloud
+            this.clock.receive(msg.hlc);
+            if (!msg.metadata.decryptionError) {
+              await databaseService.saveMessage(msg, false); // Don't mark for sync as they came from the cloud
+            }
           }
         } catch (error) {
           console.error('Error getting cloud messages:', error);
         }
       }
       
-      // Merge messages from both sources, remove duplicates, and sort by timestamp
-      const allMessages = [...localMessages];
-      
-      // Add cloud messages that aren't in local messages
-      cloudMessages.forEach(cloudMsg => {
-        if (!allMessages.some(localMsg => localMsg.messageId === cloudMsg.messageId)) {
-          allMessages.push(cloudMsg);
-        }
-      });
-      
-      // Sort by timestamp
-      return allMessages.sort((a, b) => {
-        const timeA = new Date(a.timestamp || a.created_at);
-        const timeB = new Date(b.timestamp || b.created_at);
-        return timeA - timeB;
-      });
+      // Local copies win over cloud copies of the same message
+      return this._mergeMessages(localMessages, cloudMessages);
     } catch (error) {
       console.error('Error getting messages:', error);
       throw error;
@@ -459,159 +541,676 @@ class MessagingService {
   }
 
   /**
-   * Get peers from both online and offline sources
-   * @returns {Promise<Array>} Combined peers list
+   * Add a delivery status listener
+   * Called with { messageId, status, peerId } whenever an outgoing message
+   * moves to a new DELIVERY_STATUS
+   * @param {Function} callback - Callback function for delivery updates
+   * @returns {Function} Function to remove the listener
    */
-  async getPeers() {
+  addDeliveryListener(callback) {
+    if (typeof callback !== 'function') return () => {};
+    
+    this.deliveryListeners.push(callback);
+    
+    return () => {
+      this.deliveryListeners = this.deliveryListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Mark an incoming message as read and send a read receipt to its sender
+   * @param {string} peerId - Sender peer ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async markMessageRead(peerId, messageId) {
     if (!this.initialized) {
       throw new Error('Messaging service not initialized');
     }
     
     try {
-      // Get local peers from database
-      const localPeers = await databaseService.getAllPeers();
-      
-      // Get offline peers from Bridgefy
-      const offlinePeers = bridgefyService.getAvailablePeers();
+      await databaseService.updateMessageDeliveryStatus(messageId, DELIVERY_STATUS.READ);
       
-      // Get online users from Firebase if online
-      let onlinePeers = [];
-      if (this.isOnline && firebaseService.isSignedIn()) {
-        try {
-          // Get current location
-          const location = await locationService.getCurrentLocation();
-          if (location) {
-            const nearbyHikers = await firebaseService.getNearbyHikers(location);
-            onlinePeers = nearbyHikers.map(hiker => ({
-              id: hiker.id,
-              name: hiker.name,
-              connectionState: hiker.isOnline ? 'connected' : 'disconnected',
-              distance: hiker.distance,
-              location: hiker.location,
-              lastSeen: hiker.lastSeen,
-              isEmergency: hiker.isEmergency,
-              isOnline: hiker.isOnline,
-              source: 'firebase'
-            }));
-          }
-        } catch (error) {
-          console.error('Error getting online peers:', error);
-        }
+      if (this.isOfflineMessagingEnabled && bridgefyService.isStarted) {
+        return await bridgefyService.sendReadReceipt(peerId, messageId);
       }
       
-      // Combine and deduplicate peers
-      const allPeers = [...localPeers];
-      
-      // Add Bridgefy peers that aren't already in the list
-      offlinePeers.forEach(offlinePeer => {
-        const existingIndex = allPeers.findIndex(p => p.id === offlinePeer.id);
-        if (existingIndex >= 0) {
-          // Update existing peer with Bridgefy info
-          allPeers[existingIndex] = {
-            ...allPeers[existingIndex],
-            connectionState: offlinePeer.connectionState,
-            name: offlinePeer.name || allPeers[existingIndex].name,
-            source: 'bridgefy'
-          };
-        } else {
-          // Add new peer
-          allPeers.push({
-            ...offlinePeer,
-            source: 'bridgefy'
-          });
-        }
-      });
-      
-      // Add Firebase peers that aren't already in the list
-      onlinePeers.forEach(onlinePeer => {
-        const existingIndex = allPeers.findIndex(p => 
-          p.id === onlinePeer.id || 
-          (p.firebase_uid && p.firebase_uid === onlinePeer.id)
-        );
-        
-        if (existingIndex >= 0) {
-          // Update existing peer with Firebase info
-          allPeers[existingIndex] = {
-            ...allPeers[existingIndex],
-            firebase_uid: onlinePeer.id,
-            name: onlinePeer.name || allPeers[existingIndex].name,
-            connectionState: onlinePeer.connectionState,
-            distance: onlinePeer.distance,
-            location: onlinePeer.location,
-            lastSeen: onlinePeer.lastSeen,
-            isEmergency: onlinePeer.isEmergency,
-            isOnline: onlinePeer.isOnline,
-            source: 'firebase'
-          };
-        } else {
-          // Add new peer
-          allPeers.push({
-            ...onlinePeer,
-            firebase_uid: onlinePeer.id,
-            source: 'firebase'
-          });
-        }
-        
-        // Always save Firebase peers to the database
-        databaseService.savePeer({
-          ...onlinePeer,
-          id: onlinePeer.id,
-          firebaseUid: onlinePeer.id,
-          connectionState: onlinePeer.connectionState
-        }).catch(console.error);
-      });
-      
-      return allPeers.sort((a, b) => {
-        // Sort by online status first
-        if (a.isOnline && !b.isOnline) return -1;
-        if (!a.isOnline && b.isOnline) return 1;
-        
-        // Then by connection state
-        if (a.connectionState === 'connected' && b.connectionState !== 'connected') return -1;
-        if (a.connectionState !== 'connected' && b.connectionState === 'connected') return 1;
-        
-        // Then by emergency status
-        if (a.isEmergency && !b.isEmergency) return -1;
-        if (!a.isEmergency && b.isEmergency) return 1;
-        
-        // Then by distance if available
-        if (a.distance && b.distance) return a.distance - b.distance;
-        
-        // Finally by name
-        return (a.name || '').localeCompare(b.name || '');
-      });
+      return true;
     } catch (error) {
-      console.error('Error getting peers:', error);
-      throw error;
+      console.error('Error marking message as read:', error);
+      return false;
     }
   }
 
   /**
-   * Connect to a peer
-   * @param {Object} peer - Peer to connect to
+   * Manually resend an outgoing message, e.g. one that ran out of retries
+   * @param {string} messageId - Message ID
    * @returns {Promise<boolean>} Success status
    */
-  async connectToPeer(peer) {
+  async resendMessage(messageId) {
     if (!this.initialized) {
       throw new Error('Messaging service not initialized');
     }
     
-    // If it's a Firebase peer, no need to connect
-    if (peer.source === 'firebase' || peer.firebase_uid) {
-      return true;
-    }
-    
-    // If it's a Bridgefy peer, connect via Bridgefy
-    if (peer.source === 'bridgefy' || !peer.source) {
-      try {
-        return await bridgefyService.connectToPeer(peer.id);
-      } catch (error) {
-        console.error('Error connecting to peer:', error);
+    try {
+      const row = await databaseService.getMessageById(messageId);
+      if (!row || !row.is_outgoing) {
+        console.error(`Cannot resend message ${messageId}: not an outgoing message`);
         return false;
       }
+      
+      // Start a fresh round of attempts
+      const message = this._messageFromRow(row);
+      await databaseService.scheduleMessageRetry(messageId, 0, null);
+      this._notifyDeliveryListeners({ messageId, status: DELIVERY_STATUS.PENDING, peerId: message.peerId });
+      
+      const sent = await this._deliverMessage(message);
+      if (!sent) {
+        await this._scheduleRetry(message, 1);
+      }
+      
+      return sent;
+    } catch (error) {
+      console.error('Error resending message:', error);
+      return false;
     }
-    
-    return false;
+  }
+
+  /**
+   * Create a group channel
+   * @param {string} name - Group name
+   * @param {Array} members - Members other than this user ({ id, name })
+   * @returns {Promise<Object>} Created group
+   */
+  async createGroup(name, members = []) {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    try {
+      const localUserId = this.userId || bridgefyService.userId;
+      const group = {
+        id: `group_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
+        name,
+        createdBy: localUserId,
+        members: [
+          { id: localUserId, name: this.username || 'Me' },
+          ...members
+            .filter(member => member.id !== localUserId)
+            .map(member => ({ id: member.id, name: member.name || null })),
+        ],
+      };
+      
+      await databaseService.saveGroup(group);
+      
+      if (this.isOnline && firebaseService.isSignedIn()) {
+        try {
+          await firebaseService.saveGroup(group);
+        } catch (error) {
+          console.error('Error saving group to Firebase:', error);
+        }
+      }
+      
+      return { ...group, unreadCount: 0 };
+    } catch (error) {
+      console.error('Error creating group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all group channels with their unread counts
+   * @returns {Promise<Array>} Groups, most recently active first
+   */
+  async getGroups() {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    const rows = await databaseService.getGroups();
+    return rows.map(row => this._groupFromRow(row));
+  }
+
+  /**
+   * Add a member to a group channel
+   * @param {string} groupId - Group ID
+   * @param {Object} member - Member to add ({ id, name })
+   * @returns {Promise<boolean>} Success status
+   */
+  async addGroupMember(groupId, member) {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    try {
+      const row = await databaseService.getGroupById(groupId);
+      if (!row) {
+        console.error(`Cannot add member: group ${groupId} not found`);
+        return false;
+      }
+      
+      await databaseService.addGroupMember(groupId, member);
+      
+      if (this.isOnline && firebaseService.isSignedIn()) {
+        await firebaseService.saveGroup({ id: groupId, name: row.name, members: [member] });
+      }
+      
+      return true;
+    } catch (error) {
+      console.error('Error adding group member:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a member from a group channel
+   * @param {string} groupId - Group ID
+   * @param {string} memberId - Member ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeGroupMember(groupId, memberId) {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    try {
+      await databaseService.removeGroupMember(groupId, memberId);
+      
+      if (this.isOnline && firebaseService.isSignedIn()) {
+        await firebaseService.removeGroupMember(groupId, memberId);
+      }
+      
+      return true;
+    } catch (error) {
+      console.error('Error removing group member:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send a text message to a group channel
+   * @param {string} groupId - Group ID
+   * @param {string} text - Message text
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendGroupMessage(groupId, text) {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    try {
+      const messageId = generateMessageId();
+      
+      // Create message object
+      const message = {
+        messageId,
+        peerId: groupId,
+        groupId,
+        senderId: this.userId || bridgefyService.userId,
+        senderName: this.username || 'Me',
+        localUserId: this.userId || bridgefyService.userId, // For determining if outgoing
+        type: MESSAGE_TYPES.TEXT,
+        content: text,
+        timestamp: new Date().toISOString(),
+        hlc: this.clock.now(),
+        isDelivered: false,
+        deliveryStatus: DELIVERY_STATUS.PENDING,
+        metadata: {
+          sentVia: this.isOnline ? 'firebase' : 'bridgefy'
+        }
+      };
+      
+      // Save to local database
+      await databaseService.saveMessage(message, this.isOnline);
+      
+      // Send now, or queue in the outbox for another attempt
+      const sent = await this._deliverMessage(message);
+      if (!sent) {
+        await this._scheduleRetry(message, 1);
+      }
+      
+      // Notify listeners
+      this._notifyMessageListeners([message]);
+      
+      return sent;
+    } catch (error) {
+      console.error('Error sending group message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the message history of a group channel
+   * @param {string} groupId - Group ID
+   * @param {number} limit - Maximum number of messages
+   * @returns {Promise<Array>} Messages, oldest first
+   */
+  async getGroupMessages(groupId, limit = 50) {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    try {
+      const rows = await databaseService.getMessagesByGroupId(groupId, limit);
+      const localMessages = rows.map(row => this._messageFromRow(row));
+      
+      const cloudMessages = [];
+      
+      // If online, also pick up messages posted while we were away
+      if (this.isOnline && firebaseService.isSignedIn()) {
+        try {
+          for (const msg of await firebaseService.getGroupMessages(groupId, limit)) {
+            const message = {
+              messageId: msg.id,
+              peerId: groupId,
+              groupId,
+              senderId: msg.senderId,
+              senderName: msg.senderName,
+              localUserId: this.userId,
+              type: msg.type,
+              content: msg.content,
+              timestamp: msg.timestamp,
+              hlc: msg.hlc,
+              isDelivered: true,
+              isEmergency: msg.isEmergency,
+              metadata: msg.metadata || { sentVia: 'firebase' }
+            };
+            
+            this.clock.receive(msg.hlc);
+            await databaseService.saveMessage(message, false); // Came from the cloud
+            cloudMessages.push(message);
+          }
+        } catch (error) {
+          console.error('Error getting cloud group messages:', error);
+        }
+      }
+      
+      return this._mergeMessages(localMessages, cloudMessages);
+    } catch (error) {
+      console.error('Error getting group messages:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every message in a group channel as read
+   * @param {string} groupId - Group ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async markGroupRead(groupId) {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    return await databaseService.markGroupRead(groupId);
+  }
+
+  /**
+   * Get the public trail channels and whether this user subscribed to them
+   * @returns {Array} Channels ({ id, name, radius, isSubscribed })
+   */
+  getTrailChannels() {
+    return Object.values(TRAIL_CHANNELS).map(channel => ({
+      ...channel,
+      isSubscribed: this.channelSubscriptions.has(channel.id),
+    }));
+  }
+
+  /**
+   * Opt in to a public trail channel
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async subscribeToChannel(channelId) {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    if (!this._getTrailChannel(channelId)) {
+      console.error(`Cannot subscribe: unknown channel ${channelId}`);
+      return false;
+    }
+    
+    const saved = await databaseService.saveChannelSubscription(channelId);
+    if (saved) {
+      this.channelSubscriptions.add(channelId);
+    }
+    
+    return saved;
+  }
+
+  /**
+   * Opt out of a public trail channel
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async unsubscribeFromChannel(channelId) {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    const deleted = await databaseService.deleteChannelSubscription(channelId);
+    if (deleted) {
+      this.channelSubscriptions.delete(channelId);
+    }
+    
+    return deleted;
+  }
+
+  /**
+   * Post to a public trail channel
+   * The post applies within the channel radius of the current position.
+   * It goes out over the mesh to hikers nearby and, when online, to the
+   * cloud; otherwise it is synced later.
+   * @param {string} channelId - Channel ID
+   * @param {string} text - Post text
+   * @returns {Promise<boolean>} Whether either transport accepted the post
+   */
+  async postToChannel(channelId, text) {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    const channel = this._getTrailChannel(channelId);
+    if (!channel) {
+      throw new Error(`Unknown channel ${channelId}`);
+    }
+    
+    try {
+      // Get current location
+      const location = await locationService.getCurrentLocation();
+      if (!location) {
+        throw new Error('Could not get current location');
+      }
+      
+      const post = {
+        postId: generateMessageId(),
+        channelId,
+        senderId: this.userId || bridgefyService.userId,
+        senderName: this.username || 'Me',
+        localUserId: this.userId || bridgefyService.userId, // For determining if outgoing
+        content: text,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        radius: channel.radius,
+        geohash: encodeGeohash(location.latitude, location.longitude),
+        timestamp: new Date().toISOString(),
+      };
+      
+      // Save to local database, marked for sync until the cloud has it
+      await databaseService.saveChannelPost(post, true);
+      
+      // Send via Firebase if online
+      let firebaseSent = false;
+      if (this.isOnline && firebaseService.isSignedIn()) {
+        try {
+          await firebaseService.saveChannelPost(post);
+          await databaseService.updateChannelPostSyncStatus(post.postId, 'synced');
+          firebaseSent = true;
+        } catch (error) {
+          console.error('Error posting to channel via Firebase:', error);
+        }
+      }
+      
+      // Always send via Bridgefy too: hikers nearby may well be offline
+      let bridgefySent = false;
+      if (this.isOfflineMessagingEnabled) {
+        try {
+          bridgefySent = await bridgefyService.sendChannelMessage({
+            id: channelId,
+            radius: post.radius,
+            latitude: post.latitude,
+            longitude: post.longitude,
+          }, {
+            messageId: post.postId,
+            content: post.content,
+          });
+        } catch (error) {
+          console.error('Error posting to channel via Bridgefy:', error);
+        }
+      }
+      
+      // Notify listeners
+      this._notifyChannelListeners([post]);
+      
+      return firebaseSent || bridgefySent;
+    } catch (error) {
+      console.error('Error posting to channel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the posts of a trail channel that apply at the current position
+   * @param {string} channelId - Channel ID
+   * @param {number} limit - Maximum number of posts
+   * @returns {Promise<Array>} Posts, newest first
+   */
+  async getChannelPosts(channelId, limit = 50) {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    const channel = this._getTrailChannel(channelId);
+    if (!channel) {
+      throw new Error(`Unknown channel ${channelId}`);
+    }
+    
+    try {
+      let location = locationService.currentLocation;
+      if (!location) {
+        try {
+          location = await locationService.getCurrentLocation();
+        } catch (error) {
+          console.warn('Showing channel posts without a position:', error);
+        }
+      }
+      
+      // If online, also pick up posts made while we were away
+      if (location && this.isOnline && firebaseService.isSignedIn()) {
+        try {
+          const cloudPosts = await firebaseService.getChannelPosts(channelId, location, channel.radius, limit);
+          
+          for (const cloudPost of cloudPosts) {
+            await databaseService.saveChannelPost({
+              postId: cloudPost.id,
+              channelId,
+              senderId: cloudPost.senderId,
+              senderName: cloudPost.senderName,
+              localUserId: this.userId,
+              content: cloudPost.content,
+              latitude: cloudPost.latitude,
+              longitude: cloudPost.longitude,
+              radius: cloudPost.radius,
+              geohash: cloudPost.geohash,
+              timestamp: cloudPost.timestamp,
+            }, false); // Came from the cloud
+          }
+        } catch (error) {
+          console.error('Error getting cloud channel posts:', error);
+        }
+      }
+      
+      const rows = await databaseService.getChannelPosts(channelId, limit);
+      return rows
+        .map(row => this._postFromRow(row))
+        .filter(post => !location || this._isPostInRange(post, location));
+    } catch (error) {
+      console.error('Error getting channel posts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a trail channel listener
+   * Called with new posts, outgoing and incoming, on subscribed channels
+   * @param {Function} callback - Callback function for new posts
+   * @returns {Function} Function to remove the listener
+   */
+  addChannelListener(callback) {
+    if (typeof callback !== 'function') return () => {};
+    
+    this.channelListeners.push(callback);
+    
+    return () => {
+      this.channelListeners = this.channelListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * Get peers from both online and offline sources
+   * @returns {Promise<Array>} Combined peers list
+   */
+  async getPeers() {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    try {
+      // Get local peers from database
+      const localPeers = await databaseService.getAllPeers();
+      
+      // Get offline peers from Bridgefy
+      const offlinePeers = bridgefyService.getAvailablePeers();
+      
+      // Get online users from Firebase if online
+      let onlinePeers = [];
+      if (this.isOnline && firebaseService.isSignedIn()) {
+        try {
+          // Get current location
+          const location = await locationService.getCurrentLocation();
+          if (location) {
+            const nearbyHikers = await firebaseService.getNearbyHikers(location);
+            onlinePeers = nearbyHikers.map(hiker => ({
+              id: hiker.id,
+              name: hiker.name,
+              connectionState: hiker.isOnline ? 'connected' : 'disconnected',
+              distance: hiker.distance,
+              location: hiker.location,
+              lastSeen: hiker.lastSeen,
+              isEmergency: hiker.isEmergency,
+              isOnline: hiker.isOnline,
+              source: 'firebase'
+            }));
+          }
+        } catch (error) {
+          console.error('Error getting online peers:', error);
+        }
+      }
+      
+      // Combine and deduplicate peers
+      const allPeers = [...localPeers];
+      
+      // Add Bridgefy peers that aren't already in the list
+      offlinePeers.forEach(offlinePeer => {
+        const existingIndex = allPeers.findIndex(p => p.id === offlinePeer.id);
+        if (existingIndex >= 0) {
+          // Update existing peer with Bridgefy info
+          allPeers[existingIndex] = {
+            ...allPeers[existingIndex],
+            connectionState: offlinePeer.connectionState,
+            name: offlinePeer.name || allPeers[existingIndex].name,
+            source: 'bridgefy'
+          };
+        } else {
+          // Add new peer
+          allPeers.push({
+            ...offlinePeer,
+            source: 'bridgefy'
+          });
+        }
+      });
+      
+      // Add Firebase peers that aren't already in the list
+      onlinePeers.forEach(onlinePeer => {
+        const existingIndex = allPeers.findIndex(p => 
+          p.id === onlinePeer.id || 
+          (p.firebase_uid && p.firebase_uid === onlinePeer.id)
+        );
+        
+        if (existingIndex >= 0) {
+          // Update existing peer with Firebase info
+          allPeers[existingIndex] = {
+            ...allPeers[existingIndex],
+            firebase_uid: onlinePeer.id,
+            name: onlinePeer.name || allPeers[existingIndex].name,
+            connectionState: onlinePeer.connectionState,
+            distance: onlinePeer.distance,
+            location: onlinePeer.location,
+            lastSeen: onlinePeer.lastSeen,
+            isEmergency: onlinePeer.isEmergency,
+            isOnline: onlinePeer.isOnline,
+            source: 'firebase'
+          };
+        } else {
+          // Add new peer
+          allPeers.push({
+            ...onlinePeer,
+            firebase_uid: onlinePeer.id,
+            source: 'firebase'
+          });
+        }
+        
+        // Always save Firebase peers to the database
+        databaseService.savePeer({
+          ...onlinePeer,
+          id: onlinePeer.id,
+          firebaseUid: onlinePeer.id,
+          connectionState: onlinePeer.connectionState
+        }).catch(console.error);
+      });
+      
+      return allPeers.sort((a, b) => {
+        // Sort by online status first
+        if (a.isOnline && !b.isOnline) return -1;
+        if (!a.isOnline && b.isOnline) return 1;
+        
+        // Then by connection state
+        if (a.connectionState === 'connected' && b.connectionState !== 'connected') return -1;
+        if (a.connectionState !== 'connected' && b.connectionState === 'connected') return 1;
+        
+        // Then by emergency status
+        if (a.isEmergency && !b.isEmergency) return -1;
+        if (!a.isEmergency && b.isEmergency) return 1;
+        
+        // Then by distance if available
+        if (a.distance && b.distance) return a.distance - b.distance;
+        
+        // Finally by name
+        return (a.name || '').localeCompare(b.name || '');
+      });
+    } catch (error) {
+      console.error('Error getting peers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Connect to a peer
+   * @param {Object} peer - Peer to connect to
+   * @returns {Promise<boolean>} Success status
+   */
+  async connectToPeer(peer) {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    // If it's a Firebase peer, no need to connect
+    if (peer.source === 'firebase' || peer.firebase_uid) {
+      return true;
+    }
+    
+    // If it's a Bridgefy peer, connect via Bridgefy
+    if (peer.source === 'bridgefy' || !peer.source) {
+      try {
+        return await bridgefyService.connectToPeer(peer.id);
+      } catch (error) {
+        console.error('Error connecting to peer:', error);
+        return false;
+      }
+    }
+    
+    return false;
   }
 
   /**
@@ -619,208 +1218,864 @@ class MessagingService {
    * @param {Object} peer - Peer to disconnect from
    * @returns {Promise<boolean>} Success status
    */
-  async disconnectFromPeer(peer) {
-    if (!this.initialized) {
-      throw new Error('Messaging service not initialized');
+  async disconnectFromPeer(peer) {
+    if (!this.initialized) {
+      throw new Error('Messaging service not initialized');
+    }
+    
+    // Firebase peers don't need disconnection
+    if (peer.source === 'firebase') {
+      return true;
+    }
+    
+    // Disconnect from Bridgefy peer
+    if (peer.source === 'bridgefy') {
+      try {
+        return await bridgefyService.disconnectFromPeer(peer.id);
+      } catch (error) {
+        console.error('Error disconnecting from peer:', error);
+        return false;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Sync messages with the cloud
+   * @returns {Promise<number>} Number of messages synced
+   */
+  async syncMessages() {
+    if (!this.initialized || !this.isOnline || !firebaseService.isSignedIn()) {
+      return 0;
+    }
+    
+    // SOS first, ahead of everything else waiting
+    const sosCount = (await this.syncSOSOutbox()).length;
+    const messageCount = await firebaseService.syncMessagesToCloud();
+    const postCount = await firebaseService.syncChannelPostsToCloud();
+    const planCount = await firebaseService.syncTripPlansToCloud();
+    const contactCount = await firebaseService.syncEmergencyContactsToCloud();
+    const medicalCount = await firebaseService.syncMedicalProfileToCloud();
+    return sosCount + messageCount + postCount + planCount + contactCount + medicalCount;
+  }
+  
+  /**
+   * Get count of messages pending cloud sync
+   * @returns {Promise<number>} Count of pending messages
+   */
+  async getPendingMessageCount() {
+    if (!this.initialized) {
+      return 0;
+    }
+    
+    try {
+      // Get count from database service
+      const messages = await databaseService.getMessagesNeedingSync(999);
+      return messages.length;
+    } catch (error) {
+      console.error('Error getting pending message count:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Set up network monitoring
+   * @private
+   */
+  _setupNetworkMonitoring() {
+    // Check network status initially
+    this._checkNetworkStatus();
+    
+    // Set up periodic network status checks
+    setInterval(() => {
+      this._checkNetworkStatus();
+    }, 30000); // Every 30 seconds
+    
+    // Set up periodic sync when online
+    setInterval(() => {
+      if (this.isOnline) {
+        this.syncMessages().catch(console.error);
+      }
+    }, 60000); // Every minute
+    
+    // Retry outbox messages whose backoff has elapsed
+    setInterval(() => {
+      this._drainOutbox().catch(console.error);
+    }, RETRY_BASE_DELAY);
+  }
+
+  /**
+   * Check network status
+   * @private
+   */
+  _checkNetworkStatus() {
+    // Check if navigator.onLine is available
+    if (typeof navigator !== 'undefined' && 'onLine' in navigator) {
+      const wasOnline = this.isOnline;
+      this.isOnline = navigator.onLine;
+      
+      // If status changed, handle it
+      if (wasOnline !== this.isOnline) {
+        this._handleNetworkStatusChange(this.isOnline);
+      }
+    }
+  }
+
+  /**
+   * Handle network status change
+   * @param {boolean} isOnline - Whether device is online
+   * @private
+   */
+  _handleNetworkStatusChange(isOnline) {
+    console.log(`Network status changed: ${isOnline ? 'online' : 'offline'}`);
+    
+    // Update Firebase online status if signed in
+    if (firebaseService.isSignedIn()) {
+      firebaseService.updateUserOnlineStatus(isOnline).catch(console.error);
+    }
+    
+    // If came online, sync messages and retry anything waiting in the outbox,
+    // once any SOS changes made while offline have reached the cloud
+    if (isOnline) {
+      this.syncSOSOutbox()
+        .then(() => {
+          this.syncMessages().catch(console.error);
+          this._drainOutbox(true).catch(console.error);
+        })
+        .catch(console.error);
+    }
+  }
+
+  /**
+   * Handle Bridgefy message
+   * @param {string} peerId - Sender peer ID
+   * @param {Object} message - Message object
+   * @private
+   */
+  async _handleBridgefyMessage(peerId, message) {
+    if (message.type === MESSAGE_TYPES.CHANNEL) {
+      await this._handleChannelMessage(message);
+      return;
+    }
+    
+    // Live location updates are handled by locationSharingService,
+    // and SOS updates by sosIncidentService
+    if (message.type === MESSAGE_TYPES.LIVE_LOCATION || message.type === MESSAGE_TYPES.SOS_UPDATE) return;
+    
+    try {
+      // Bridgefy checked the envelope signature before handing it over
+      const verification = message.verification || VERIFICATION_STATUS.UNSIGNED;
+      if (message.isEmergency && verification !== VERIFICATION_STATUS.VERIFIED) {
+        console.warn(`Emergency message from ${peerId} could not be verified (${verification})`);
+      }
+      
+      // Remember the identity key seen for a new sender
+      if (verification === VERIFICATION_STATUS.UNVERIFIED && message.signingKey) {
+        await databaseService.updatePeerKeys(peerId, { signingKey: message.signingKey });
+      }
+      
+      if (message.groupId) {
+        await this._saveGroupFromMessage(message);
+      }
+      
+      // Keep our clock ahead of everything we have seen
+      this.clock.receive(message.hlc);
+      
+      // Prepare message for storage (group messages are filed under the group).
+      // An SOS is filed under its SOS ID, so the repeats of an SOS beacon are
+      // shown once
+      const formattedMessage = {
+        messageId: (message.type === MESSAGE_TYPES.SOS && message.content?.sosId) ||
+          message.messageId || generateMessageId(),
+        peerId: message.groupId || peerId,
+        groupId: message.groupId || null,
+        senderId: message.senderId,
+        senderName: message.senderName || 'Unknown Hiker',
+        localUserId: this.userId || bridgefyService.userId,
+        type: message.type,
+        content: message.content,
+        timestamp: message.timestamp || new Date().toISOString(),
+        hlc: message.hlc || this.clock.now(),
+        isDelivered: true,
+        isEmergency: message.isEmergency || message.type === MESSAGE_TYPES.SOS,
+        metadata: {
+          ...message.metadata,
+          receivedVia: 'bridgefy',
+          verification,
+          senderVerified: verification === VERIFICATION_STATUS.VERIFIED
+        }
+      };
+      
+      // Save to local database, unless we already have this message
+      // (e.g. from Firestore, or over another mesh path)
+      const isNew = await databaseService.saveMessage(formattedMessage, this.isOnline);
+      if (!isNew) {
+        console.log(`Ignoring duplicate message ${formattedMessage.messageId}`);
+        return;
+      }
+      
+      // Notify listeners
+      this._notifyMessageListeners([formattedMessage]);
+      
+      // If we're online, sync this message to the cloud
+      // (group messages are posted to the group chat by their sender)
+      if (this.isOnline && firebaseService.isSignedIn() && !message.groupId) {
+        // Save to Firebase under the sender's message ID
+        try {
+          await firebaseService.saveMessage({
+            messageId: formattedMessage.messageId,
+            peerId: message.senderId,
+            senderId: message.senderId,
+            senderName: formattedMessage.senderName,
+            receiverId: this.userId,
+            type: message.type,
+            content: message.content,
+            timestamp: formattedMessage.timestamp,
+            hlc: formattedMessage.hlc,
+            isEmergency: message.isEmergency || message.type === MESSAGE_TYPES.SOS,
+            metadata: {
+              ...message.metadata,
+              originalSource: 'bridgefy'
+            }
+          });
+        } catch (error) {
+          console.error('Error saving Bridgefy message to Firebase:', error);
+        }
+      }
+    } catch (error) {
+      console.error('Error handling Bridgefy message:', error);
+    }
+  }
+
+  /**
+   * Handle a trail channel post received over Bridgefy
+   * Bridgefy only hands over posts whose radius covers our position; posts
+   * on channels this user hasn't opted in to are dropped here.
+   * @param {Object} message - Channel envelope
+   * @private
+   */
+  async _handleChannelMessage(message) {
+    if (!this.channelSubscriptions.has(message.channelId)) return;
+    
+    try {
+      const origin = message.channelOrigin || {};
+      const post = {
+        postId: message.messageId,
+        channelId: message.channelId,
+        senderId: message.senderId,
+        senderName: message.senderName || 'Unknown Hiker',
+        localUserId: this.userId || bridgefyService.userId,
+        content: message.content,
+        latitude: origin.latitude,
+        longitude: origin.longitude,
+        radius: message.channelRadius,
+        geohash: encodeGeohash(origin.latitude, origin.longitude),
+        timestamp: message.timestamp || new Date().toISOString(),
+        verification: message.verification || VERIFICATION_STATUS.UNSIGNED,
+      };
+      
+      // Mark for sync so the post reaches the cloud if we get online first
+      await databaseService.saveChannelPost(post, true);
+      
+      this._notifyChannelListeners([post]);
+    } catch (error) {
+      console.error('Error handling channel message:', error);
+    }
+  }
+
+  /**
+   * Handle peer detected
+   * @param {Object} peer - Detected peer
+   * @private
+   */
+  async _handlePeerDetected(peer) {
+    try {
+      // Save peer to database
+      await databaseService.savePeer(peer);
+    } catch (error) {
+      console.error('Error handling peer detected:', error);
+    }
+  }
+
+  /**
+   * Handle a presence beacon from a hiker nearby
+   * @param {Object} presence - Presence entry from bridgefyService
+   * @private
+   */
+  async _handlePresenceUpdated(presence) {
+    if (!presence.firebaseUid) return;
+    
+    try {
+      await databaseService.updatePeerFirebaseUid(presence.peerId, presence.firebaseUid);
+    } catch (error) {
+      console.error('Error handling presence update:', error);
+    }
+  }
+
+  /**
+   * Handle peer lost
+   * @param {Object} peer - Lost peer
+   * @private
+   */
+  async _handlePeerLost(peer) {
+    // No special handling needed for now
+  }
+
+  /**
+   * Handle peer connection state changed
+   * @param {Object} peer - Peer with updated state
+   * @private
+   */
+  async _handlePeerConnectionStateChanged(peer) {
+    try {
+      // Save updated peer to database
+      await databaseService.savePeer(peer);
+      
+      // A new mesh neighbour is a fresh chance to deliver queued messages
+      if (peer.connectionState === CONNECTION_STATE.CONNECTED) {
+        await this._drainOutbox(true);
+      }
+    } catch (error) {
+      console.error('Error handling peer connection state changed:', error);
+    }
+  }
+
+  /**
+   * Handle a peer's public keys arriving in a key exchange
+   * @param {string} peerId - Peer ID
+   * @param {string} publicKey - Peer's base64 public key
+   * @param {string|null} signingKey - Peer's base64 identity key
+   * @private
+   */
+  async _handlePeerKeyExchanged(peerId, publicKey, signingKey) {
+    try {
+      await databaseService.updatePeerKeys(peerId, { publicKey, signingKey });
+      
+      // Messages waiting for this key can be encrypted now
+      await this._drainOutbox(true);
+    } catch (error) {
+      console.error('Error handling peer key exchange:', error);
+    }
+  }
+
+  /**
+   * Hand stored peer encryption and identity keys to Bridgefy
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadPeerKeys() {
+    const peers = await databaseService.getAllPeers();
+    peers.forEach(peer => {
+      bridgefyService.setPeerPublicKey(peer.id, peer.public_key);
+      bridgefyService.setPeerSigningKey(peer.id, peer.signing_key);
+    });
+  }
+
+  /**
+   * Send a message over Firebase when online, falling back to Bridgefy
+   * @param {Object} message - Message object as saved to the local database
+   * @returns {Promise<boolean>} Whether either transport accepted the message
+   * @private
+   */
+  async _deliverMessage(message) {
+    if (message.groupId) {
+      return await this._deliverGroupMessage(message);
     }
     
-    // Firebase peers don't need disconnection
-    if (peer.source === 'firebase') {
-      return true;
+    const { messageId, peerId, type, content, timestamp, hlc, isEmergency } = message;
+    
+    // Send via Firebase if online
+    let firebaseSent = false;
+    if (this.isOnline && firebaseService.isSignedIn()) {
+      try {
+        await firebaseService.saveMessage({
+          messageId,
+          peerId,
+          type,
+          content,
+          timestamp,
+          hlc,
+          isEmergency,
+        });
+        
+        // If emergency, also save to user's location
+        if (isEmergency) {
+          await firebaseService.saveUserLocation(content, true);
+        }
+        
+        firebaseSent = true;
+      } catch (error) {
+        console.error('Error sending message via Firebase:', error);
+      }
     }
     
-    // Disconnect from Bridgefy peer
-    if (peer.source === 'bridgefy') {
+    // Send via Bridgefy if offline or Firebase failed
+    let bridgefySent = false;
+    if (this.isOfflineMessagingEnabled && (!firebaseSent || !this.isOnline)) {
       try {
-        return await bridgefyService.disconnectFromPeer(peer.id);
+        if (isEmergency) {
+          // Messages queued without an SOS ID keep their own, so retries stay one SOS
+          bridgefySent = await bridgefyService.sendSOS(content.message, content.sosId || messageId);
+        } else {
+          bridgefySent = await bridgefyService.sendMessage(peerId, {
+            messageId,
+            hlc,
+            type,
+            content,
+            isEmergency,
+          });
+        }
       } catch (error) {
-        console.error('Error disconnecting from peer:', error);
-        return false;
+        console.error('Error sending message via Bridgefy:', error);
       }
     }
     
-    return false;
+    // Mesh sends report their own state through delivery acknowledgements
+    if (firebaseSent && !bridgefySent) {
+      await this._handleDeliveryStatusChanged(messageId, DELIVERY_STATUS.SENT, peerId);
+    }
+    
+    return firebaseSent || bridgefySent;
   }
 
   /**
-   * Sync messages with the cloud
-   * @returns {Promise<number>} Number of messages synced
+   * Send a group message to the shared Firebase chat when online, falling
+   * back to a membership-filtered Bridgefy broadcast
+   * Broadcasts are not acknowledged, so a send is reported as SENT.
+   * @param {Object} message - Message object as saved to the local database
+   * @returns {Promise<boolean>} Whether either transport accepted the message
+   * @private
    */
-  async syncMessages() {
-    if (!this.initialized || !this.isOnline || !firebaseService.isSignedIn()) {
-      return 0;
+  async _deliverGroupMessage(message) {
+    const { messageId, groupId, type, content, timestamp, hlc, isEmergency, metadata } = message;
+    
+    const row = await databaseService.getGroupById(groupId);
+    if (!row) {
+      console.error(`Cannot send message: group ${groupId} not found`);
+      return false;
+    }
+    const group = this._groupFromRow(row);
+    
+    // Send via Firebase if online
+    let firebaseSent = false;
+    if (this.isOnline && firebaseService.isSignedIn()) {
+      try {
+        await firebaseService.saveGroupMessage(groupId, {
+          messageId,
+          type,
+          content,
+          timestamp,
+          hlc,
+          isEmergency,
+          metadata,
+        });
+        firebaseSent = true;
+      } catch (error) {
+        console.error('Error sending group message via Firebase:', error);
+      }
+    }
+    
+    // Send via Bridgefy if offline or Firebase failed
+    let bridgefySent = false;
+    if (this.isOfflineMessagingEnabled && (!firebaseSent || !this.isOnline)) {
+      try {
+        bridgefySent = await bridgefyService.sendGroupMessage({
+          id: group.id,
+          name: group.name,
+          memberIds: group.members.map(member => member.id),
+        }, {
+          messageId,
+          hlc,
+          type,
+          content,
+          isEmergency,
+        });
+      } catch (error) {
+        console.error('Error sending group message via Bridgefy:', error);
+      }
     }
     
-    return await firebaseService.syncMessagesToCloud();
+    if (firebaseSent || bridgefySent) {
+      await this._handleDeliveryStatusChanged(messageId, DELIVERY_STATUS.SENT, groupId);
+    }
+    
+    return firebaseSent || bridgefySent;
   }
-  
+
   /**
-   * Get count of messages pending cloud sync
-   * @returns {Promise<number>} Count of pending messages
+   * Record the group channel of an incoming group message
+   * Unknown groups are created from the details on the message, which is how
+   * members learn about a group they were added to while out of range.
+   * @param {Object} message - Incoming Bridgefy group message
+   * @returns {Promise<void>}
+   * @private
    */
-  async getPendingMessageCount() {
-    if (!this.initialized) {
+  async _saveGroupFromMessage(message) {
+    await databaseService.saveGroup({
+      id: message.groupId,
+      name: message.groupName || 'Group chat',
+      createdBy: message.senderId,
+      members: (message.groupMembers || []).map(id => ({
+        id,
+        name: id === message.senderId ? message.senderName : null,
+      })),
+    });
+  }
+
+  /**
+   * Queue a message for another send attempt with exponential backoff,
+   * or mark it failed once it has run out of attempts
+   * @param {Object} message - Message that could not be sent
+   * @param {number} attempts - Number of attempts made so far
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _scheduleRetry(message, attempts) {
+    if (attempts >= MAX_SEND_ATTEMPTS) {
+      console.log(`Message ${message.messageId} failed after ${attempts} attempts`);
+      await this._handleDeliveryStatusChanged(message.messageId, DELIVERY_STATUS.FAILED, message.peerId);
+      return;
+    }
+    
+    const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * Math.pow(2, attempts - 1));
+    const nextRetryAt = new Date(Date.now() + delay).toISOString();
+    
+    await databaseService.scheduleMessageRetry(message.messageId, attempts, nextRetryAt);
+    console.log(`Message ${message.messageId} queued for retry at ${nextRetryAt}`);
+  }
+
+  /**
+   * Retry messages waiting in the outbox
+   * @param {boolean} force - Retry all queued messages, ignoring their backoff
+   * @returns {Promise<number>} Number of messages sent
+   * @private
+   */
+  async _drainOutbox(force = false) {
+    if (!this.initialized || this.isDrainingOutbox) {
       return 0;
     }
     
+    this.isDrainingOutbox = true;
+    
     try {
-      // Get count from database service
-      const messages = await databaseService.getMessagesNeedingSync(999);
-      return messages.length;
+      const rows = await databaseService.getOutboxMessages(force ? null : new Date().toISOString());
+      let sentCount = 0;
+      
+      for (const row of rows) {
+        const message = this._messageFromRow(row);
+        
+        if (await this._deliverMessage(message)) {
+          sentCount++;
+        } else {
+          await this._scheduleRetry(message, (row.send_attempts || 0) + 1);
+        }
+      }
+      
+      if (sentCount > 0) {
+        console.log(`Sent ${sentCount} queued messages from the outbox`);
+      }
+      
+      return sentCount;
     } catch (error) {
-      console.error('Error getting pending message count:', error);
+      console.error('Error draining outbox:', error);
       return 0;
+    } finally {
+      this.isDrainingOutbox = false;
     }
   }
 
   /**
-   * Set up network monitoring
+   * Keep an SOS change in the SOS outbox, and sync it now if online
+   * @param {string} kind - SOS_OUTBOX_KIND value
+   * @param {string} sosId - SOS ID
+   * @param {Object} payload - What to replay
+   * @returns {Promise<boolean>} Whether it reached the cloud now
    * @private
    */
-  _setupNetworkMonitoring() {
-    // Check network status initially
-    this._checkNetworkStatus();
+  async _queueSOSChange(kind, sosId, payload) {
+    const entryId = generateMessageId();
+    const saved = await databaseService.addSOSOutboxEntry({
+      id: entryId,
+      sosId,
+      kind,
+      payload,
+      createdAt: new Date().toISOString(),
+    });
+    if (!saved) {
+      console.error(`SOS ${sosId} change could not be kept for the cloud`);
+    }
     
-    // Set up periodic network status checks
-    setInterval(() => {
-      this._checkNetworkStatus();
-    }, 30000); // Every 30 seconds
+    if (!this.isOnline || !firebaseService.isSignedIn()) {
+      return false;
+    }
     
-    // Set up periodic sync when online
-    setInterval(() => {
-      if (this.isOnline) {
-        this.syncMessages().catch(console.error);
-      }
-    }, 60000); // Every minute
+    const syncedIds = await this.syncSOSOutbox();
+    return syncedIds.includes(entryId);
   }
 
   /**
-   * Check network status
+   * Replay SOS outbox entries to the cloud
+   * @returns {Promise<Array>} IDs of the entries synced
    * @private
    */
-  _checkNetworkStatus() {
-    // Check if navigator.onLine is available
-    if (typeof navigator !== 'undefined' && 'onLine' in navigator) {
-      const wasOnline = this.isOnline;
-      this.isOnline = navigator.onLine;
+  async _drainSOSOutbox() {
+    if (!this.isOnline || !firebaseService.isSignedIn()) {
+      return [];
+    }
+    
+    const syncedIds = [];
+    const heldBack = new Set(); // SOS with an earlier change that failed
+    
+    try {
+      const entries = await databaseService.getSOSOutboxEntries();
       
-      // If status changed, handle it
-      if (wasOnline !== this.isOnline) {
-        this._handleNetworkStatusChange(this.isOnline);
+      for (const entry of entries) {
+        if (heldBack.has(entry.sosId)) continue;
+        
+        try {
+          if (entry.kind === SOS_OUTBOX_KIND.EVENT) {
+            await firebaseService.saveSOSEvent(entry.payload, entry.id);
+          } else {
+            await firebaseService.updateSOSStatus(entry.sosId, entry.payload.update, entry.payload.isOwn, entry.id);
+          }
+          await databaseService.updateSOSOutboxStatus(entry.id, 'synced');
+          syncedIds.push(entry.id);
+          if (entry.kind === SOS_OUTBOX_KIND.EVENT) {
+            this._notifySOSSyncListeners(entry.sosId);
+          }
+        } catch (error) {
+          if (error.code === 'not-found') {
+            // An SOS heard over the mesh may have no cloud copy to update
+            await databaseService.updateSOSOutboxStatus(entry.id, 'dropped');
+            continue;
+          }
+          
+          console.error(`Error syncing SOS ${entry.sosId} change:`, error);
+          await databaseService.updateSOSOutboxStatus(entry.id, 'failed');
+          heldBack.add(entry.sosId);
+        }
       }
+      
+      if (syncedIds.length > 0) {
+        console.log(`Synced ${syncedIds.length} SOS changes to the cloud`);
+      }
+    } catch (error) {
+      console.error('Error syncing SOS outbox:', error);
     }
+    
+    return syncedIds;
   }
 
   /**
-   * Handle network status change
-   * @param {boolean} isOnline - Whether device is online
+   * Merge message lists from several sources into one conversation
+   * Every copy of a message carries the same globally unique ID, so the
+   * first copy seen wins. Messages are ordered by hybrid logical clock, or
+   * by timestamp for messages sent before clocks were introduced.
+   * @param {...Array} sources - Message lists, preferred copies first
+   * @returns {Array} Messages, oldest first
    * @private
    */
-  _handleNetworkStatusChange(isOnline) {
-    console.log(`Network status changed: ${isOnline ? 'online' : 'offline'}`);
+  _mergeMessages(...sources) {
+    const merged = new Map();
     
-    // Update Firebase online status if signed in
-    if (firebaseService.isSignedIn()) {
-      firebaseService.updateUserOnlineStatus(isOnline).catch(console.error);
-    }
+    sources.forEach(messages => {
+      messages.forEach(message => {
+        if (!merged.has(message.messageId)) {
+          merged.set(message.messageId, message);
+        }
+      });
+    });
     
-    // If came online, sync messages
-    if (isOnline) {
-      this.syncMessages().catch(console.error);
-    }
+    return Array.from(merged.values()).sort((a, b) =>
+      compareHlc(a.hlc || a.timestamp, b.hlc || b.timestamp)
+    );
   }
 
   /**
-   * Handle Bridgefy message
-   * @param {string} peerId - Sender peer ID
-   * @param {Object} message - Message object
+   * Convert a message database row back to a message object
+   * @param {Object} row - Parsed row from databaseService
+   * @returns {Object} Message object
    * @private
    */
-  async _handleBridgefyMessage(peerId, message) {
+  _messageFromRow(row) {
+    return {
+      messageId: row.id,
+      peerId: row.peer_id,
+      groupId: row.group_id || null,
+      senderId: row.sender_id,
+      senderName: row.sender_name,
+      localUserId: row.is_outgoing ? row.sender_id : this.userId || bridgefyService.userId,
+      type: row.type,
+      content: row.content,
+      timestamp: row.timestamp,
+      hlc: row.hlc,
+      isDelivered: row.is_delivered,
+      deliveryStatus: row.delivery_status,
+      isEmergency: row.is_emergency,
+      metadata: row.metadata || {},
+    };
+  }
+
+  /**
+   * Convert a group database row to a group object
+   * @param {Object} row - Row from databaseService.getGroups or getGroupById
+   * @returns {Object} Group object
+   * @private
+   */
+  _groupFromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      createdBy: row.created_by,
+      unreadCount: row.unread_count || 0,
+      members: (row.members || []).map(member => ({
+        id: member.member_id,
+        name: member.member_name,
+      })),
+    };
+  }
+
+  /**
+   * Convert a channel post database row to a post object
+   * @param {Object} row - Row from databaseService.getChannelPosts
+   * @returns {Object} Post object
+   * @private
+   */
+  _postFromRow(row) {
+    return {
+      postId: row.id,
+      channelId: row.channel_id,
+      senderId: row.sender_id,
+      senderName: row.sender_name,
+      localUserId: row.is_outgoing ? row.sender_id : this.userId || bridgefyService.userId,
+      content: row.content,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      radius: row.radius,
+      geohash: row.geohash,
+      timestamp: row.timestamp,
+    };
+  }
+
+  /**
+   * Look up a trail channel by ID
+   * @param {string} channelId - Channel ID
+   * @returns {Object|undefined} Channel
+   * @private
+   */
+  _getTrailChannel(channelId) {
+    return Object.values(TRAIL_CHANNELS).find(channel => channel.id === channelId);
+  }
+
+  /**
+   * Check whether a location lies inside the area a post applies to
+   * @param {Object} post - Post object
+   * @param {Object} location - Location ({ latitude, longitude })
+   * @returns {boolean} Whether the post applies at the location
+   * @private
+   */
+  _isPostInRange(post, location) {
+    const distance = locationService.calculateDistance(
+      post.latitude,
+      post.longitude,
+      location.latitude,
+      location.longitude
+    );
+    
+    return distance <= post.radius;
+  }
+
+  /**
+   * Handle delivery status change for an outgoing message
+   * Deliveries and reads are acknowledged over the mesh, and only count
+   * when they come from whoever the message was sent to.
+   * @param {string} messageId - Message ID
+   * @param {string} status - New delivery status
+   * @param {string} peerId - Recipient peer ID
+   * @private
+   */
+  async _handleDeliveryStatusChanged(messageId, status, peerId) {
     try {
-      // Prepare message for storage
-      const formattedMessage = {
-        messageId: message.messageId || `bridgefy_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-        peerId,
-        senderId: message.senderId,
-        senderName: message.senderName || 'Unknown Hiker',
-        localUserId: this.userId || bridgefyService.userId,
-        type: message.type,
-        content: message.content,
-        timestamp: message.timestamp || new Date().toISOString(),
-        isDelivered: true,
-        isEmergency: message.isEmergency || message.type === MESSAGE_TYPES.SOS,
-        metadata: {
-          ...message.metadata,
-          receivedVia: 'bridgefy'
+      if (status === DELIVERY_STATUS.DELIVERED || status === DELIVERY_STATUS.READ) {
+        if (!await this._isMessageRecipient(messageId, peerId)) {
+          console.warn(`Ignoring ${status} for message ${messageId} from ${peerId}, who it wasn't sent to`);
+          return;
         }
-      };
-      
-      // Save to local database
-      await databaseService.saveMessage(formattedMessage, this.isOnline);
+        await databaseService.markMessageDelivered(messageId);
+      }
       
-      // Notify listeners
-      this._notifyMessageListeners([formattedMessage]);
+      // A status that arrives after a later one is already recorded changes nothing
+      if (!await databaseService.updateMessageDeliveryStatus(messageId, status)) return;
       
-      // If we're online, sync this message to the cloud
-      if (this.isOnline && firebaseService.isSignedIn()) {
-        // Save to Firebase
-        try {
-          await firebaseService.saveMessage({
-            peerId: message.senderId,
-            type: message.type,
-            content: message.content,
-            timestamp: message.timestamp || new Date().toISOString(),
-            isEmergency: message.isEmergency || message.type === MESSAGE_TYPES.SOS,
-            metadata: {
-              ...message.metadata,
-              originalSource: 'bridgefy'
-            }
-          });
-        } catch (error) {
-          console.error('Error saving Bridgefy message to Firebase:', error);
-        }
-      }
+      this._notifyDeliveryListeners({ messageId, status, peerId });
     } catch (error) {
-      console.error('Error handling Bridgefy message:', error);
+      console.error('Error handling delivery status change:', error);
     }
   }
 
   /**
-   * Handle peer detected
-   * @param {Object} peer - Detected peer
+   * Check that a peer is who one of our messages was sent to
+   * @param {string} messageId - Message ID
+   * @param {string} peerId - Peer ID
+   * @returns {Promise<boolean>} Whether it is our message to that peer, or to a group they are in
    * @private
    */
-  async _handlePeerDetected(peer) {
-    try {
-      // Save peer to database
-      await databaseService.savePeer(peer);
-    } catch (error) {
-      console.error('Error handling peer detected:', error);
+  async _isMessageRecipient(messageId, peerId) {
+    const message = await databaseService.getMessageById(messageId);
+    if (!message || !message.is_outgoing) return false;
+
+    if (message.group_id) {
+      const row = await databaseService.getGroupById(message.group_id);
+      return !!row && this._groupFromRow(row).members.some(member => member.id === peerId);
     }
+
+    return message.peer_id === peerId;
   }
 
   /**
-   * Handle peer lost
-   * @param {Object} peer - Lost peer
+   * Notify delivery listeners
+   * @param {Object} update - Delivery update ({ messageId, status, peerId })
    * @private
    */
-  async _handlePeerLost(peer) {
-    // No special handling needed for now
+  _notifyDeliveryListeners(update) {
+    this.deliveryListeners.forEach(callback => {
+      try {
+        callback(update);
+      } catch (error) {
+        console.error('Error in delivery listener:', error);
+      }
+    });
   }
 
   /**
-   * Handle peer connection state changed
-   * @param {Object} peer - Peer with updated state
+   * Notify SOS sync listeners
+   * @param {string} sosId - SOS that reached the cloud
    * @private
    */
-  async _handlePeerConnectionStateChanged(peer) {
-    try {
-      // Save updated peer to database
-      await databaseService.savePeer(peer);
-    } catch (error) {
-      console.error('Error handling peer connection state changed:', error);
-    }
+  _notifySOSSyncListeners(sosId) {
+    this.sosSyncListeners.forEach(callback => {
+      try {
+        callback(sosId);
+      } catch (error) {
+        console.error('Error in SOS sync listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Notify trail channel listeners
+   * @param {Array} posts - New posts
+   * @private
+   */
+  _notifyChannelListeners(posts) {
+    this.channelListeners.forEach(callback => {
+      try {
+        callback(posts);
+      } catch (error) {
+        console.error('Error in channel listener:', error);
+      }
+    });
   }
 
   /**
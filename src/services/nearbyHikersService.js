@@ -0,0 +1,250 @@
+import presenceService from './presenceService';
+import firebaseService from './firebaseService';
+import databaseService from './databaseService';
+import locationService from './locationService';
+import backgroundLocationService from './backgroundLocationService';
+import { PRESENCE_STATUS } from './bridgefyService';
+
+// Where a hiker's position came from
+export const HIKER_SOURCE = {
+  MESH: 'mesh',
+  CLOUD: 'cloud',
+};
+
+const CLOUD_REFRESH_INTERVAL = 60000; // Ask the cloud for hikers nearby every minute
+const CLOUD_SEARCH_RADIUS_KM = 10;
+const ASSUMED_WALKING_SPEED = 1.3; // Meters per second a hiker may have moved since their last fix
+
+/**
+ * Service merging the hikers nearby we know of from every source
+ * Mesh presence beacons and cloud user locations are combined into one
+ * list. A hiker seen both ways is shown once, matched by Firebase UID, at
+ * whichever position is fresher. Hikers are ranked by how far away they
+ * may be by now: an old fix counts as further away than a fresh one.
+ */
+class NearbyHikersService {
+  constructor() {
+    this.isStarted = false;
+    this.cloudHikers = [];
+    this.cloudRefreshInterval = null;
+    this.peerFirebaseUids = new Map(); // mesh peer ID -> Firebase UID from the peers table
+    this.hikers = [];
+    this.listeners = [];
+    this.removePresenceListener = null;
+    this.removeLocationListener = null;
+
+    // Bindings
+    this._update = this._update.bind(this);
+  }
+
+  /**
+   * Start following hikers nearby
+   * Updates are pushed to listeners as mesh beacons arrive, as cloud
+   * results come in and as we move.
+   * @returns {Promise<Array>} Hikers nearby
+   */
+  async start() {
+    if (this.isStarted) {
+      return this.hikers;
+    }
+
+    this.isStarted = true;
+    this.removePresenceListener = presenceService.addPresenceListener(this._update);
+    this.removeLocationListener = backgroundLocationService.addLocationListener(this._update);
+    this.cloudRefreshInterval = setInterval(() => {
+      this.refresh().catch(console.error);
+    }, CLOUD_REFRESH_INTERVAL);
+
+    return this.refresh();
+  }
+
+  /**
+   * Stop following hikers nearby
+   */
+  stop() {
+    if (!this.isStarted) return;
+
+    this.isStarted = false;
+    clearInterval(this.cloudRefreshInterval);
+    this.cloudRefreshInterval = null;
+
+    if (this.removePresenceListener) {
+      this.removePresenceListener();
+      this.removePresenceListener = null;
+    }
+    if (this.removeLocationListener) {
+      this.removeLocationListener();
+      this.removeLocationListener = null;
+    }
+  }
+
+  /**
+   * Fetch hikers nearby from the cloud and rebuild the merged list
+   * Without a connection the last cloud results are kept.
+   * @returns {Promise<Array>} Hikers nearby
+   */
+  async refresh() {
+    await this._loadPeerFirebaseUids();
+
+    const ownLocation = this._getOwnLocation();
+    if (ownLocation && firebaseService.isSignedIn()) {
+      try {
+        this.cloudHikers = await firebaseService.getNearbyHikers(ownLocation, CLOUD_SEARCH_RADIUS_KM);
+      } catch (error) {
+        console.error('Error getting hikers nearby from the cloud:', error);
+      }
+    }
+
+    this._update();
+    return this.hikers;
+  }
+
+  /**
+   * Get the hikers nearby, most likely closest first
+   * @returns {Array} Hikers ({ id, name, status, location, distance, source, sources, age, ... })
+   */
+  getNearbyHikers() {
+    return this.hikers;
+  }
+
+  /**
+   * Add a listener for changes to the hikers nearby
+   * @param {Function} listener - Callback function(hikers)
+   * @returns {Function} Function to remove listener
+   */
+  addListener(listener) {
+    if (typeof listener !== 'function') return () => {};
+
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Get our own position, from background tracking if it has one
+   * @returns {Object|null} Location or null
+   * @private
+   */
+  _getOwnLocation() {
+    return backgroundLocationService.getLastKnownLocation() || locationService.currentLocation;
+  }
+
+  /**
+   * Load the Firebase UIDs known for mesh peers
+   * @private
+   */
+  async _loadPeerFirebaseUids() {
+    try {
+      const peers = await databaseService.getAllPeers();
+      this.peerFirebaseUids = new Map(
+        peers.filter(peer => peer.firebase_uid).map(peer => [peer.id, peer.firebase_uid])
+      );
+    } catch (error) {
+      console.error('Error loading peer Firebase UIDs:', error);
+    }
+  }
+
+  /**
+   * Rebuild the merged list and notify listeners
+   * @private
+   */
+  _update() {
+    const ownLocation = this._getOwnLocation();
+    const now = Date.now();
+    const merged = new Map(); // Firebase UID, or mesh peer ID -> hiker
+
+    const meshHikers = presenceService.getNearbyHikers().map(hiker => ({
+      ...hiker,
+      peerId: hiker.id,
+      firebaseUid: hiker.firebaseUid || this.peerFirebaseUids.get(hiker.id) || null,
+      fixTime: hiker.location?.timestamp || hiker.lastSeen,
+      source: HIKER_SOURCE.MESH,
+    }));
+
+    const cloudHikers = this.cloudHikers.map(hiker => ({
+      id: hiker.id,
+      name: hiker.name,
+      status: hiker.isEmergency ? PRESENCE_STATUS.NEEDS_HELP : PRESENCE_STATUS.OK,
+      location: hiker.location,
+      peerId: null,
+      firebaseUid: hiker.id,
+      isOnline: hiker.isOnline,
+      fixTime: hiker.location?.timestamp || hiker.lastSeen,
+      source: HIKER_SOURCE.CLOUD,
+    }));
+
+    [...meshHikers, ...cloudHikers].forEach(hiker => {
+      const key = hiker.firebaseUid || hiker.peerId;
+      const existing = merged.get(key);
+
+      if (!existing) {
+        merged.set(key, { ...hiker, sources: [hiker.source] });
+        return;
+      }
+
+      // Keep the fresher position, but everything either source knows
+      const isFresher = this._getTime(hiker.fixTime) > this._getTime(existing.fixTime);
+      const [newer, older] = isFresher ? [hiker, existing] : [existing, hiker];
+      merged.set(key, {
+        ...older,
+        ...newer,
+        id: key,
+        name: existing.name || hiker.name,
+        peerId: existing.peerId || hiker.peerId,
+        status: [existing.status, hiker.status].includes(PRESENCE_STATUS.NEEDS_HELP)
+          ? PRESENCE_STATUS.NEEDS_HELP
+          : PRESENCE_STATUS.OK,
+        sources: [...existing.sources, hiker.source],
+      });
+    });
+
+    this.hikers = Array.from(merged.values()).map(hiker => {
+      const age = hiker.fixTime ? Math.max(0, now - this._getTime(hiker.fixTime)) : null;
+      const distance = hiker.location && ownLocation
+        ? locationService.calculateDistance(
+            ownLocation.latitude,
+            ownLocation.longitude,
+            hiker.location.latitude,
+            hiker.location.longitude
+          )
+        : null;
+
+      return {
+        ...hiker,
+        id: hiker.firebaseUid || hiker.peerId,
+        distance,
+        age,
+        rank: distance === null ? Infinity : distance + (age || 0) / 1000 * ASSUMED_WALKING_SPEED,
+      };
+    }).sort((a, b) => {
+      if (a.rank === b.rank) return 0;
+      return a.rank < b.rank ? -1 : 1;
+    });
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.hikers);
+      } catch (error) {
+        console.error('Error in nearby hikers listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Get the time of an ISO timestamp or Firestore Timestamp
+   * @param {string|Object} timestamp - Timestamp
+   * @returns {number} Milliseconds since the epoch, or 0 if unknown
+   * @private
+   */
+  _getTime(timestamp) {
+    if (!timestamp) return 0;
+    if (typeof timestamp.toMillis === 'function') return timestamp.toMillis();
+
+    const time = new Date(timestamp).getTime();
+    return isNaN(time) ? 0 : time;
+  }
+}
+
+// Export as singleton
+export default new NearbyHikersService();
@@ -0,0 +1,271 @@
+import bridgefyService, { PRESENCE_STATUS } from './bridgefyService';
+import backgroundLocationService from './backgroundLocationService';
+import locationService from './locationService';
+
+// How often to advertise our presence in each tracking mode
+const BEACON_INTERVALS = {
+  'high-accuracy': 15000, // 15 seconds
+  'standard': 60000, // 1 minute
+  'power-saving': 300000, // 5 minutes
+};
+
+/**
+ * Service for presence beacons
+ * Periodically advertises our name, status, battery and last position to
+ * hikers nearby over the mesh, and keeps track of the beacons they send.
+ * Beacons are sent more often while tracking closely and less often when
+ * saving power, so the radio follows the same battery budget as the GPS.
+ */
+class PresenceService {
+  constructor() {
+    this.isStarted = false;
+    this.displayName = null;
+    this.status = PRESENCE_STATUS.OK;
+    this.beaconTimeout = null;
+    this.beaconInterval = null;
+    this.lastBeaconAt = null;
+    this.presenceListeners = [];
+    this.removeLocationListener = null;
+
+    // Bindings
+    this._onPresenceUpdated = this._onPresenceUpdated.bind(this);
+    this._onLocation = this._onLocation.bind(this);
+  }
+
+  /**
+   * Start advertising our presence
+   * Requires the mesh to be started.
+   * @param {string} displayName - Name shown to other hikers
+   * @returns {Promise<boolean>} Success status
+   */
+  async start(displayName) {
+    if (this.isStarted) {
+      this.displayName = displayName || this.displayName;
+      return true;
+    }
+
+    if (!bridgefyService.isStarted) {
+      console.error('Cannot start presence beacons: mesh not started');
+      return false;
+    }
+
+    this.isStarted = true;
+    this.displayName = displayName || bridgefyService.username;
+
+    bridgefyService.onPresenceUpdated(this._onPresenceUpdated);
+    this.removeLocationListener = backgroundLocationService.addLocationListener(this._onLocation);
+
+    // Let hikers nearby know about us straight away
+    await this.sendBeacon();
+    this._scheduleBeacon();
+
+    return true;
+  }
+
+  /**
+   * Stop advertising our presence
+   */
+  stop() {
+    if (!this.isStarted) return;
+
+    this.isStarted = false;
+    clearTimeout(this.beaconTimeout);
+    this.beaconTimeout = null;
+    this.beaconInterval = null;
+
+    bridgefyService.removePresenceUpdatedCallback(this._onPresenceUpdated);
+    if (this.removeLocationListener) {
+      this.removeLocationListener();
+      this.removeLocationListener = null;
+    }
+  }
+
+  /**
+   * Set the status we advertise
+   * A change is sent right away rather than with the next beacon.
+   * @param {string} status - PRESENCE_STATUS value
+   * @returns {Promise<boolean>} Whether the new status was sent
+   */
+  async setStatus(status) {
+    if (!Object.values(PRESENCE_STATUS).includes(status)) {
+      throw new Error(`Unknown presence status: ${status}`);
+    }
+
+    const changed = status !== this.status;
+    this.status = status;
+
+    if (!this.isStarted || !changed) return false;
+
+    const sent = await this.sendBeacon();
+    this._scheduleBeacon();
+    return sent;
+  }
+
+  /**
+   * Get the status we advertise
+   * @returns {string} PRESENCE_STATUS value
+   */
+  getStatus() {
+    return this.status;
+  }
+
+  /**
+   * Advertise our presence now
+   * @returns {Promise<boolean>} Whether the beacon reached a neighbour
+   */
+  async sendBeacon() {
+    if (!this.isStarted) return false;
+
+    this.lastBeaconAt = Date.now();
+    return bridgefyService.sendPresenceBeacon(this._buildBeacon());
+  }
+
+  /**
+   * Get the hikers nearby that have sent us a beacon
+   * Hikers we can place are sorted by distance from us, closest first.
+   * @returns {Array} Hikers ({ id, name, firebaseUid, status, location, distance, battery, heading, activity, lastSeen, hopCount })
+   */
+  getNearbyHikers() {
+    const ownLocation = backgroundLocationService.getLastKnownLocation() ||
+      locationService.currentLocation;
+
+    const hikers = bridgefyService.getPeerPresence().map(presence => {
+      const location = presence.lastFix || null;
+      const distance = location && ownLocation
+        ? locationService.calculateDistance(
+            ownLocation.latitude,
+            ownLocation.longitude,
+            location.latitude,
+            location.longitude
+          )
+        : null;
+
+      return {
+        id: presence.peerId,
+        name: presence.displayName || presence.peerId,
+        firebaseUid: presence.firebaseUid || null,
+        status: presence.status,
+        location,
+        distance,
+        battery: presence.battery || null,
+        heading: presence.heading,
+        activity: presence.activity,
+        lastSeen: presence.receivedAt,
+        hopCount: presence.hopCount,
+        verification: presence.verification,
+      };
+    });
+
+    return hikers.sort((a, b) => {
+      if (a.distance === null) return b.distance === null ? 0 : 1;
+      if (b.distance === null) return -1;
+      return a.distance - b.distance;
+    });
+  }
+
+  /**
+   * Add a listener for presence beacons from other hikers
+   * @param {Function} listener - Callback function(presence)
+   * @returns {Function} Function to remove listener
+   */
+  addPresenceListener(listener) {
+    if (typeof listener !== 'function') return () => {};
+
+    this.presenceListeners.push(listener);
+    return () => {
+      this.presenceListeners = this.presenceListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Get the beacon interval for the current tracking mode
+   * Without background tracking we fall back to the slowest rate.
+   * @returns {number} Interval in milliseconds
+   * @private
+   */
+  _getBeaconInterval() {
+    const { isTracking, trackingMode } = backgroundLocationService.getTrackingStatus();
+    if (!isTracking) {
+      return BEACON_INTERVALS['power-saving'];
+    }
+
+    return BEACON_INTERVALS[trackingMode] || BEACON_INTERVALS.standard;
+  }
+
+  /**
+   * Schedule the next beacon at the interval of the current tracking mode
+   * @private
+   */
+  _scheduleBeacon() {
+    clearTimeout(this.beaconTimeout);
+    if (!this.isStarted) return;
+
+    this.beaconInterval = this._getBeaconInterval();
+    const elapsed = this.lastBeaconAt ? Date.now() - this.lastBeaconAt : 0;
+
+    this.beaconTimeout = setTimeout(async () => {
+      try {
+        await this.sendBeacon();
+      } catch (error) {
+        console.error('Error sending presence beacon:', error);
+      }
+      this._scheduleBeacon();
+    }, Math.max(0, this.beaconInterval - elapsed));
+  }
+
+  /**
+   * Build the beacon content from our last known location
+   * @returns {Object} Beacon content
+   * @private
+   */
+  _buildBeacon() {
+    const location = backgroundLocationService.getLastKnownLocation() ||
+      locationService.currentLocation;
+    const { trackingMode } = backgroundLocationService.getTrackingStatus();
+
+    return {
+      displayName: this.displayName,
+      firebaseUid: bridgefyService.profileInfo?.firebaseUid || null,
+      status: this.status,
+      battery: location?.battery?.level !== undefined ? location.battery : null,
+      lastFix: location ? {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        accuracy: location.accuracy,
+        timestamp: location.timestamp,
+      } : null,
+      heading: location ? location.heading : null,
+      activity: location?.activity || null,
+      trackingMode,
+    };
+  }
+
+  /**
+   * Handle a location update from background tracking
+   * Tracking mode follows activity, so the beacon rate is checked here too.
+   * @private
+   */
+  _onLocation() {
+    if (this.isStarted && this._getBeaconInterval() !== this.beaconInterval) {
+      this._scheduleBeacon();
+    }
+  }
+
+  /**
+   * Handle a presence beacon from another hiker
+   * @param {Object} presence - Presence entry from bridgefyService
+   * @private
+   */
+  _onPresenceUpdated(presence) {
+    this.presenceListeners.forEach(listener => {
+      try {
+        listener(presence);
+      } catch (error) {
+        console.error('Error in presence listener:', error);
+      }
+    });
+  }
+}
+
+// Export as singleton
+export default new PresenceService();
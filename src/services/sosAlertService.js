@@ -0,0 +1,462 @@
+import { AppState, Vibration } from 'react-native';
+import notifee, {
+  AndroidImportance,
+  AndroidCategory,
+  EventType,
+  TriggerType,
+} from '@notifee/react-native';
+import locationService from './locationService';
+import backgroundLocationService from './backgroundLocationService';
+import sosIncidentService from './sosIncidentService';
+
+// Notification channel of incoming SOS alerts
+const ALERT_CHANNEL_ID = 'sos_alerts';
+
+// iOS category carrying the respond and relay actions
+const ALERT_CATEGORY_ID = 'sos_alert';
+
+// Actions offered on an incoming SOS
+export const ALERT_ACTIONS = {
+  RESPOND: 'respond',
+  RELAY: 'relay',
+};
+
+// Alarm vibration, repeated until the alert is answered or dismissed
+const ALARM_PATTERN = [0, 1000, 500, 1000, 500, 1000, 2000];
+
+// Minutes after the SOS arrives at which it is raised again if nobody
+// answered it, so an alert missed while the phone was in a pocket gets
+// another chance even if the app is suspended in the background
+const ESCALATION_DELAYS = [2, 5, 10];
+
+// Walking pace used to estimate how long it takes to reach the hiker
+const WALKING_SPEED = 60; // meters per minute, slower than usual for trails
+const MIN_ETA = 5; // minutes
+
+// Compass points for describing a bearing
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * Describe a bearing as a compass point, e.g. "NE"
+ * @param {number} bearing - Bearing in degrees (0 = north)
+ * @returns {string} Compass point
+ */
+export const toCompassPoint = (bearing) => COMPASS_POINTS[Math.round(bearing / 45) % 8];
+
+/**
+ * Format a distance for an alert, e.g. "850 m" or "2.4 km"
+ * @param {number} meters - Distance in meters
+ * @returns {string} Formatted distance
+ */
+export const formatDistance = (meters) =>
+  meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+
+/**
+ * Service for alerting us to SOS from other hikers
+ * An SOS heard for the first time raises a full-screen alert with an
+ * alarm, telling us how far away the hiker is and in which direction, and
+ * offering to respond or relay the SOS towards rescuers in one tap. The
+ * alert is also posted as a full-screen notification and raised again
+ * later through scheduled notifications, which fire even while the app is
+ * in the background, until we act on it or the SOS ends.
+ */
+class SOSAlertService {
+  constructor() {
+    this.isInitialized = false;
+    this.alerts = new Map(); // sosId -> alert not yet acted on, oldest first
+    this.isAlarmOn = false;
+    this.appState = AppState.currentState;
+    this.alertListeners = [];
+    this.removeIncomingListener = null;
+    this.removeIncidentListener = null;
+    this.removeForegroundListener = null;
+    this.appStateSubscription = null;
+
+    // Bindings
+    this.handleNotificationEvent = this.handleNotificationEvent.bind(this);
+    this._onIncomingSOS = this._onIncomingSOS.bind(this);
+    this._onIncidentsChanged = this._onIncidentsChanged.bind(this);
+    this._onAppStateChange = this._onAppStateChange.bind(this);
+  }
+
+  /**
+   * Set up the alert channel and start listening for incoming SOS
+   * Requires sosIncidentService to be initialized.
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    try {
+      await notifee.requestPermission({ criticalAlert: true });
+      await notifee.createChannel({
+        id: ALERT_CHANNEL_ID,
+        name: 'Incoming SOS',
+        importance: AndroidImportance.HIGH,
+        sound: 'default',
+        vibration: true,
+        vibrationPattern: [300, 1000, 500, 1000],
+        bypassDnd: true,
+      });
+      await notifee.setNotificationCategories([
+        {
+          id: ALERT_CATEGORY_ID,
+          actions: [
+            { id: ALERT_ACTIONS.RESPOND, title: "I'm Responding", foreground: true },
+            { id: ALERT_ACTIONS.RELAY, title: 'Relay to Rescue' },
+          ],
+        },
+      ]);
+
+      this.removeIncomingListener = sosIncidentService.addIncomingSOSListener(this._onIncomingSOS);
+      this.removeIncidentListener = sosIncidentService.addIncidentListener(this._onIncidentsChanged);
+      this.removeForegroundListener = notifee.onForegroundEvent(this.handleNotificationEvent);
+      this.appStateSubscription = AppState.addEventListener('change', this._onAppStateChange);
+
+      this.isInitialized = true;
+      return true;
+    } catch (error) {
+      console.error('Error initializing SOS alerts:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Stop listening for incoming SOS
+   * Scheduled notifications stay in place, so alerts still escalate.
+   */
+  cleanup() {
+    if (this.removeIncomingListener) {
+      this.removeIncomingListener();
+      this.removeIncomingListener = null;
+    }
+    if (this.removeIncidentListener) {
+      this.removeIncidentListener();
+      this.removeIncidentListener = null;
+    }
+    if (this.removeForegroundListener) {
+      this.removeForegroundListener();
+      this.removeForegroundListener = null;
+    }
+    if (this.appStateSubscription) {
+      this.appStateSubscription.remove();
+      this.appStateSubscription = null;
+    }
+
+    this._stopAlarm();
+    this.alerts.clear();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Get the alert to show, the most recent one not yet acted on
+   * @returns {Object|null} Alert or null
+   */
+  getActiveAlert() {
+    const alerts = [...this.alerts.values()];
+    return alerts.length > 0 ? { ...alerts[alerts.length - 1] } : null;
+  }
+
+  /**
+   * Tell the hiker we are on our way
+   * The ETA is estimated from the distance at walking pace; if we don't
+   * know where either of us is, the SOS is acknowledged instead.
+   * @param {string} sosId - SOS ID
+   * @returns {Promise<Object>} The updated incident
+   */
+  async respond(sosId) {
+    const alert = this.alerts.get(sosId);
+    const distance = alert ? alert.distance : null;
+
+    const incident = distance !== null
+      ? await sosIncidentService.setEnRoute(sosId, Math.max(MIN_ETA, Math.ceil(distance / WALKING_SPEED)))
+      : await sosIncidentService.acknowledge(sosId);
+
+    await this._clearAlert(sosId);
+    return incident;
+  }
+
+  /**
+   * Relay the SOS towards rescuers over the mesh and the cloud
+   * @param {string} sosId - SOS ID
+   * @returns {Promise<Object>} Result ({ meshSent, cloudSent })
+   */
+  async relay(sosId) {
+    const result = await sosIncidentService.relay(sosId);
+    await this._clearAlert(sosId);
+    return result;
+  }
+
+  /**
+   * Put away the alert without acting on it
+   * The SOS itself stays open in the SOS Status screen.
+   * @param {string} sosId - SOS ID
+   * @returns {Promise<void>}
+   */
+  async dismiss(sosId) {
+    await this._clearAlert(sosId);
+  }
+
+  /**
+   * Silence the alarm while keeping the alert open
+   */
+  silence() {
+    this._stopAlarm();
+  }
+
+  /**
+   * Handle a press on an alert notification
+   * Registered for both foreground and background notification events.
+   * @param {Object} event - Notifee event ({ type, detail })
+   * @returns {Promise<void>}
+   */
+  async handleNotificationEvent({ type, detail }) {
+    const sosId = detail.notification?.data?.sosId;
+    if (!sosId) return;
+
+    try {
+      if (type === EventType.ACTION_PRESS) {
+        if (detail.pressAction.id === ALERT_ACTIONS.RESPOND) {
+          await this.respond(sosId);
+        } else if (detail.pressAction.id === ALERT_ACTIONS.RELAY) {
+          await this.relay(sosId);
+        }
+      } else if (type === EventType.PRESS) {
+        // The app opens on the full-screen alert
+        this._stopAlarm();
+      }
+    } catch (error) {
+      console.error('Error handling SOS alert action:', error);
+    }
+  }
+
+  /**
+   * Add a listener for changes to the active alert
+   * @param {Function} listener - Callback function(alert)
+   * @returns {Function} Function to remove listener
+   */
+  addAlertListener(listener) {
+    if (typeof listener !== 'function') return () => {};
+
+    this.alertListeners.push(listener);
+    return () => {
+      this.alertListeners = this.alertListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Raise the alert for an SOS we just heard
+   * @param {Object} incident - Incoming SOS from sosIncidentService
+   * @private
+   */
+  async _onIncomingSOS(incident) {
+    const alert = {
+      sosId: incident.id,
+      ownerName: incident.ownerName,
+      message: incident.message,
+      location: incident.location,
+      track: incident.track || [],
+      medical: incident.medical || null,
+      relayedBy: incident.relayedBy,
+      verification: incident.verification,
+      distance: null,
+      bearing: null,
+      receivedAt: new Date().toISOString(),
+      notificationIds: [],
+    };
+
+    await this._locate(alert);
+    this.alerts.set(alert.sosId, alert);
+
+    this._startAlarm();
+    this._notifyAlertListeners();
+
+    try {
+      alert.notificationIds = await this._postNotifications(alert);
+    } catch (error) {
+      console.error('Error posting SOS alert notification:', error);
+    }
+  }
+
+  /**
+   * Work out how far away the hiker is and in which direction
+   * @param {Object} alert - Alert to fill in
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _locate(alert) {
+    if (!alert.location) return;
+
+    let position = backgroundLocationService.getLastKnownLocation();
+    if (!position) {
+      try {
+        position = await locationService.getCurrentLocation();
+      } catch (error) {
+        console.error('Error getting location for SOS alert:', error);
+      }
+    }
+    if (!position) return;
+
+    const { latitude, longitude } = alert.location;
+    alert.distance = locationService.calculateDistance(position.latitude, position.longitude, latitude, longitude);
+    alert.bearing = locationService.calculateBearing(position.latitude, position.longitude, latitude, longitude);
+  }
+
+  /**
+   * Post the full-screen notification and schedule its escalations
+   * @param {Object} alert - Alert
+   * @returns {Promise<Array>} IDs of the notifications
+   * @private
+   */
+  async _postNotifications(alert) {
+    const name = alert.ownerName || 'A hiker';
+    const where = alert.distance !== null
+      ? `${formatDistance(alert.distance)} ${toCompassPoint(alert.bearing)} of you`
+      : 'Location unknown';
+    const body = [alert.message, where].filter(Boolean).join(' - ');
+
+    const notification = (id, title) => ({
+      id,
+      title,
+      body,
+      data: { sosId: alert.sosId },
+      android: {
+        channelId: ALERT_CHANNEL_ID,
+        category: AndroidCategory.ALARM,
+        importance: AndroidImportance.HIGH,
+        fullScreenAction: { id: 'default' },
+        pressAction: { id: 'default', launchActivity: 'default' },
+        actions: [
+          {
+            title: "I'm Responding",
+            pressAction: { id: ALERT_ACTIONS.RESPOND, launchActivity: 'default' },
+          },
+          {
+            title: 'Relay to Rescue',
+            pressAction: { id: ALERT_ACTIONS.RELAY },
+          },
+        ],
+        ongoing: true,
+        autoCancel: false,
+      },
+      ios: {
+        categoryId: ALERT_CATEGORY_ID,
+        critical: true,
+        criticalVolume: 1.0,
+        sound: 'default',
+        interruptionLevel: 'critical',
+      },
+    });
+
+    const ids = [];
+    ids.push(await notifee.displayNotification(
+      notification(`sos-${alert.sosId}`, `SOS from ${name}`)
+    ));
+
+    const receivedAt = new Date(alert.receivedAt).getTime();
+    for (const delay of ESCALATION_DELAYS) {
+      ids.push(await notifee.createTriggerNotification(
+        notification(`sos-${alert.sosId}-${delay}`, `SOS from ${name} - still needs help (${delay} min)`),
+        { type: TriggerType.TIMESTAMP, timestamp: receivedAt + delay * 60000, alarmManager: { allowWhileIdle: true } }
+      ));
+    }
+
+    return ids;
+  }
+
+  /**
+   * Put away an alert and its notifications
+   * @param {string} sosId - SOS ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _clearAlert(sosId) {
+    const alert = this.alerts.get(sosId);
+    if (!alert) return;
+
+    this.alerts.delete(sosId);
+    if (this.alerts.size === 0) {
+      this._stopAlarm();
+    }
+    this._notifyAlertListeners();
+
+    for (const id of alert.notificationIds) {
+      try {
+        await notifee.cancelNotification(id);
+      } catch (error) {
+        console.error('Error cancelling SOS alert notification:', error);
+      }
+    }
+  }
+
+  /**
+   * Put away alerts whose SOS has ended
+   * @param {Array} incidents - Incidents that haven't ended
+   * @private
+   */
+  async _onIncidentsChanged(incidents) {
+    const openIds = new Set(incidents.map(incident => incident.id));
+    for (const sosId of [...this.alerts.keys()]) {
+      if (!openIds.has(sosId)) {
+        await this._clearAlert(sosId);
+      }
+    }
+  }
+
+  /**
+   * Sound the alarm again when we come back to an alert left unanswered
+   * @param {string} nextState - New app state
+   * @private
+   */
+  _onAppStateChange(nextState) {
+    const wasBackground = this.appState !== 'active';
+    this.appState = nextState;
+
+    if (nextState === 'active' && wasBackground && this.alerts.size > 0) {
+      this._startAlarm();
+    }
+  }
+
+  /**
+   * Start the alarm vibration
+   * @private
+   */
+  _startAlarm() {
+    if (this.isAlarmOn) return;
+
+    Vibration.vibrate(ALARM_PATTERN, true);
+    this.isAlarmOn = true;
+  }
+
+  /**
+   * Stop the alarm vibration
+   * @private
+   */
+  _stopAlarm() {
+    if (!this.isAlarmOn) return;
+
+    Vibration.cancel();
+    this.isAlarmOn = false;
+  }
+
+  /**
+   * Notify all alert listeners of the active alert
+   * @private
+   */
+  _notifyAlertListeners() {
+    const alert = this.getActiveAlert();
+
+    this.alertListeners.forEach(listener => {
+      try {
+        listener(alert);
+      } catch (error) {
+        console.error('Error in SOS alert listener:', error);
+      }
+    });
+  }
+}
+
+// Export as singleton
+export default new SOSAlertService();
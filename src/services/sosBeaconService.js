@@ -0,0 +1,448 @@
+import bridgefyService, { PRESENCE_STATUS } from './bridgefyService';
+import firebaseService from './firebaseService';
+import databaseService from './databaseService';
+import messagingService from './messagingService';
+import presenceService from './presenceService';
+import backgroundLocationService from './backgroundLocationService';
+import sosIncidentService from './sosIncidentService';
+import sosService from './sosService';
+
+// Setting holding the running beacon, so it resumes after a restart
+const BEACON_SETTING = 'sos_beacon';
+
+// Message of an SOS started by the beacon
+const DEFAULT_BEACON_MESSAGE = 'Emergency mode is on. I need help!';
+
+// How often to re-broadcast at each battery level, from full to nearly empty.
+// The beacon has to last until help arrives, so it slows down as the
+// battery drains; while charging it runs at the fastest rate.
+const BEACON_INTERVALS = [
+  { minBattery: 0.5, interval: 60000 }, // 1 minute
+  { minBattery: 0.25, interval: 180000 }, // 3 minutes
+  { minBattery: 0.1, interval: 300000 }, // 5 minutes
+  { minBattery: 0, interval: 600000 }, // 10 minutes
+];
+
+// Tracking mode while the beacon runs
+const BEACON_TRACKING_MODE = 'high-accuracy';
+
+/**
+ * Service for the SOS beacon of emergency mode
+ * While the beacon runs, our SOS is broadcast again with a fresh
+ * high-accuracy fix over the mesh, reaching hikers who walk into range
+ * later, and to the cloud when online. It keeps running in the background
+ * and after a restart, and stops only once the SOS is resolved or
+ * cancelled through sosIncidentService.
+ */
+class SOSBeaconService {
+  constructor() {
+    this.isInitialized = false;
+    this.beacon = null; // { sosId, startedAt, lastBroadcastAt, broadcastCount, previousMode, startedTracking }
+    this.beaconTimeout = null;
+    this.isBroadcasting = false;
+    this.beaconListeners = [];
+    this.removeBackgroundTask = null;
+    this.removeLocationListener = null;
+    this.removeIncidentListener = null;
+
+    // Bindings
+    this._broadcastIfDue = this._broadcastIfDue.bind(this);
+    this._onIncidentsChanged = this._onIncidentsChanged.bind(this);
+  }
+
+  /**
+   * Resume a beacon that was running before a restart
+   * Requires sosIncidentService to be initialized.
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    try {
+      const beacon = await databaseService.getSetting(BEACON_SETTING);
+      this.isInitialized = true;
+
+      if (beacon && sosIncidentService.getIncident(beacon.sosId)) {
+        this.beacon = beacon;
+        await this._startWatching();
+        await this._setNeedsHelp();
+        await this._broadcastIfDue();
+      } else if (beacon) {
+        // The SOS ended while we were not running
+        await databaseService.saveSetting(BEACON_SETTING, null);
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error initializing SOS beacon:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Stop broadcasting until the next initialize()
+   * The beacon itself keeps running and is picked up again by initialize().
+   */
+  cleanup() {
+    this._stopWatching();
+    this.beacon = null;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Turn on emergency mode
+   * Beacons our open SOS, or sends a new one if there is none.
+   * @param {string} message - Message of a new SOS
+   * @returns {Promise<Object>} The running beacon
+   */
+  async start(message = DEFAULT_BEACON_MESSAGE) {
+    if (!this.isInitialized) {
+      throw new Error('SOS beacon not initialized');
+    }
+
+    if (this.beacon) {
+      return this.getBeacon();
+    }
+
+    const existing = sosIncidentService.getOwnActiveIncident();
+    const incident = existing ||
+      await sosIncidentService.startIncident(message, backgroundLocationService.getLastKnownLocation());
+
+    const wasTracking = backgroundLocationService.isTracking;
+    this.beacon = {
+      sosId: incident.id,
+      startedAt: new Date().toISOString(),
+      lastBroadcastAt: null,
+      broadcastCount: 0,
+      previousMode: backgroundLocationService.trackingMode,
+      startedTracking: false,
+    };
+
+    const tracking = await this._startWatching();
+    this.beacon.startedTracking = !wasTracking && tracking;
+    await this._setNeedsHelp();
+
+    await this._saveBeacon();
+    this._notifyBeaconListeners();
+
+    // A new SOS is kept until it reaches the cloud, ahead of its beacons
+    let cloudSent = false;
+    if (!existing) {
+      cloudSent = await messagingService.queueSOSEvent({
+        id: incident.id,
+        userId: firebaseService.getCurrentUserId() || null,
+        displayName: messagingService.username || null,
+        location: incident.location,
+        message,
+        timestamp: incident.createdAt,
+        status: 'active',
+      });
+    }
+
+    await this._broadcast();
+
+    // An SOS started by emergency mode alerts our emergency contacts too
+    if (!existing) {
+      sosService.startContactEscalation(incident.id, message, incident.location, cloudSent);
+    }
+
+    return this.getBeacon();
+  }
+
+  /**
+   * Check whether emergency mode is on
+   * @returns {boolean} Whether the beacon is running
+   */
+  isActive() {
+    return !!this.beacon;
+  }
+
+  /**
+   * Get the running beacon
+   * @returns {Object|null} Beacon ({ sosId, startedAt, lastBroadcastAt, broadcastCount, interval, nextBroadcastAt }) or null
+   */
+  getBeacon() {
+    if (!this.beacon) return null;
+
+    const interval = this._getInterval();
+    return {
+      sosId: this.beacon.sosId,
+      startedAt: this.beacon.startedAt,
+      lastBroadcastAt: this.beacon.lastBroadcastAt,
+      broadcastCount: this.beacon.broadcastCount,
+      interval,
+      nextBroadcastAt: this.beacon.lastBroadcastAt
+        ? new Date(new Date(this.beacon.lastBroadcastAt).getTime() + interval).toISOString()
+        : null,
+    };
+  }
+
+  /**
+   * Add a listener for the beacon starting, broadcasting and stopping
+   * @param {Function} listener - Callback function(beacon), with null once stopped
+   * @returns {Function} Function to remove listener
+   */
+  addBeaconListener(listener) {
+    if (typeof listener !== 'function') return () => {};
+
+    this.beaconListeners.push(listener);
+    return () => {
+      this.beaconListeners = this.beaconListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Get the re-broadcast interval for our battery level
+   * Without a battery reading we assume the best.
+   * @returns {number} Interval in milliseconds
+   * @private
+   */
+  _getInterval() {
+    const battery = backgroundLocationService.getLastKnownLocation()?.battery;
+    const level = battery?.level;
+
+    if (battery?.isCharging || level === null || level === undefined) {
+      return BEACON_INTERVALS[0].interval;
+    }
+
+    const step = BEACON_INTERVALS.find(({ minBattery }) => level >= minBattery);
+    return (step || BEACON_INTERVALS[BEACON_INTERVALS.length - 1]).interval;
+  }
+
+  /**
+   * Start broadcasting in the foreground and background
+   * Tracking is locked to high accuracy so every broadcast has a good fix.
+   * @returns {Promise<boolean>} Whether tracking is running
+   * @private
+   */
+  async _startWatching() {
+    const tracking = await backgroundLocationService.lockTrackingMode(BEACON_TRACKING_MODE);
+
+    if (!this.removeBackgroundTask) {
+      this.removeBackgroundTask = backgroundLocationService.addBackgroundTask(this._broadcastIfDue);
+    }
+
+    // New fixes may come with a battery level that changes the interval
+    if (!this.removeLocationListener) {
+      this.removeLocationListener = backgroundLocationService.addLocationListener(this._broadcastIfDue);
+    }
+
+    if (!this.removeIncidentListener) {
+      this.removeIncidentListener = sosIncidentService.addIncidentListener(this._onIncidentsChanged);
+    }
+
+    this._scheduleBroadcast();
+    return tracking;
+  }
+
+  /**
+   * Stop the timers and listeners of the beacon
+   * @private
+   */
+  _stopWatching() {
+    clearTimeout(this.beaconTimeout);
+    this.beaconTimeout = null;
+
+    if (this.removeBackgroundTask) {
+      this.removeBackgroundTask();
+      this.removeBackgroundTask = null;
+    }
+
+    if (this.removeLocationListener) {
+      this.removeLocationListener();
+      this.removeLocationListener = null;
+    }
+
+    if (this.removeIncidentListener) {
+      this.removeIncidentListener();
+      this.removeIncidentListener = null;
+    }
+  }
+
+  /**
+   * Stop the beacon once its SOS has ended
+   * Tracking goes back to how it was before the beacon started.
+   * @private
+   */
+  async _stop() {
+    const beacon = this.beacon;
+    if (!beacon) return;
+
+    this.beacon = null;
+    this._stopWatching();
+
+    backgroundLocationService.unlockTrackingMode();
+    try {
+      if (beacon.startedTracking) {
+        await backgroundLocationService.stopTracking();
+      } else if (beacon.previousMode) {
+        await backgroundLocationService.setTrackingMode(beacon.previousMode);
+      }
+    } catch (error) {
+      console.error('Error restoring tracking after SOS beacon:', error);
+    }
+
+    await databaseService.saveSetting(BEACON_SETTING, null);
+    this._notifyBeaconListeners();
+    console.log(`SOS beacon for ${beacon.sosId} stopped after ${beacon.broadcastCount} broadcasts`);
+  }
+
+  /**
+   * Schedule the next broadcast at the interval for our battery level
+   * @private
+   */
+  _scheduleBroadcast() {
+    clearTimeout(this.beaconTimeout);
+    this.beaconTimeout = null;
+    if (!this.beacon) return;
+
+    const lastBroadcastAt = this.beacon.lastBroadcastAt
+      ? new Date(this.beacon.lastBroadcastAt).getTime()
+      : 0;
+    const delay = Math.max(0, lastBroadcastAt + this._getInterval() - Date.now());
+
+    this.beaconTimeout = setTimeout(() => {
+      this._broadcastIfDue().catch(error => {
+        console.error('Error broadcasting SOS beacon:', error);
+      });
+    }, delay);
+  }
+
+  /**
+   * Broadcast if the interval has passed, otherwise reschedule
+   * Runs from our own timer, from new fixes and from background fetch.
+   * @private
+   */
+  async _broadcastIfDue() {
+    if (!this.beacon || this.isBroadcasting) return;
+
+    const lastBroadcastAt = this.beacon.lastBroadcastAt
+      ? new Date(this.beacon.lastBroadcastAt).getTime()
+      : 0;
+
+    if (Date.now() >= lastBroadcastAt + this._getInterval()) {
+      await this._broadcast();
+    } else {
+      this._scheduleBroadcast();
+    }
+  }
+
+  /**
+   * Broadcast our SOS with where we are now, over the mesh and to the cloud
+   * Both are tried: rescuers may be reachable over only one of them.
+   * @private
+   */
+  async _broadcast() {
+    const beacon = this.beacon;
+    if (!beacon || this.isBroadcasting) return;
+
+    this.isBroadcasting = true;
+    try {
+      const incident = sosIncidentService.getIncident(beacon.sosId);
+      if (!incident) {
+        await this._stop();
+        return;
+      }
+
+      let location = null;
+      try {
+        location = await backgroundLocationService.getCurrentLocation(true);
+      } catch (error) {
+        console.error('Error getting location for SOS beacon:', error);
+        location = backgroundLocationService.getLastKnownLocation();
+      }
+
+      let meshSent = false;
+      if (messagingService.isOfflineMessagingEnabled && bridgefyService.isStarted) {
+        meshSent = await bridgefyService.sendSOS(incident.message, incident.id, location);
+      }
+
+      let cloudSent = false;
+      if (messagingService.isOnline && firebaseService.isSignedIn()) {
+        try {
+          await firebaseService.saveSOSBeacon(incident.id, {
+            message: incident.message,
+            displayName: messagingService.username || null,
+            status: incident.status,
+            createdAt: incident.createdAt,
+          }, location);
+          cloudSent = true;
+        } catch (error) {
+          console.error('Error sending SOS beacon via Firebase:', error);
+        }
+      }
+
+      // The SOS may have ended while we were sending
+      if (this.beacon !== beacon) return;
+
+      beacon.lastBroadcastAt = new Date().toISOString();
+      beacon.broadcastCount += 1;
+      await this._saveBeacon();
+      this._notifyBeaconListeners();
+
+      if (!meshSent && !cloudSent) {
+        console.warn(`SOS beacon ${beacon.sosId} reached nobody, will try again`);
+      }
+    } finally {
+      this.isBroadcasting = false;
+      this._scheduleBroadcast();
+    }
+  }
+
+  /**
+   * Stop the beacon when its SOS is no longer open
+   * @param {Array} incidents - Incidents that haven't ended
+   * @private
+   */
+  _onIncidentsChanged(incidents) {
+    if (this.beacon && !incidents.some(incident => incident.id === this.beacon.sosId)) {
+      this._stop().catch(error => {
+        console.error('Error stopping SOS beacon:', error);
+      });
+    }
+  }
+
+  /**
+   * Tell hikers nearby that we need help with our presence beacons
+   * sosIncidentService sets it back once the SOS ends.
+   * @private
+   */
+  async _setNeedsHelp() {
+    try {
+      await presenceService.setStatus(PRESENCE_STATUS.NEEDS_HELP);
+    } catch (error) {
+      console.error('Error setting presence status:', error);
+    }
+  }
+
+  /**
+   * Save the running beacon so it resumes after a restart
+   * @private
+   */
+  async _saveBeacon() {
+    if (this.beacon) {
+      await databaseService.saveSetting(BEACON_SETTING, this.beacon);
+    }
+  }
+
+  /**
+   * Notify all beacon listeners of the beacon
+   * @private
+   */
+  _notifyBeaconListeners() {
+    const beacon = this.getBeacon();
+
+    this.beaconListeners.forEach(listener => {
+      try {
+        listener(beacon);
+      } catch (error) {
+        console.error('Error in SOS beacon listener:', error);
+      }
+    });
+  }
+}
+
+// Export as singleton
+export default new SOSBeaconService();
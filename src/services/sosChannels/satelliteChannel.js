@@ -0,0 +1,71 @@
+import { Platform, Linking, Share } from 'react-native';
+
+/**
+ * SatelliteChannel - Hands the SOS to a satellite communicator's companion app
+ *
+ * Companion apps send messages through a paired satellite messenger when
+ * there is no cell coverage at all. With a URL template for the app, e.g.
+ * "messenger://compose?text={text}", the payload opens in it directly;
+ * otherwise it goes through the share sheet for the hiker to pick the app.
+ * Either way the hiker sends it from the companion app.
+ */
+class SatelliteChannel {
+  /**
+   * @param {Object} options - Channel options
+   * @param {string} options.name - Name of the companion app shown to the hiker
+   * @param {string|null} options.urlTemplate - URL opening the app with the payload at {text}
+   */
+  constructor({ name = 'Satellite messenger', urlTemplate = null } = {}) {
+    this.id = 'satellite';
+    this.name = name;
+    this.urlTemplate = urlTemplate;
+  }
+
+  /**
+   * Check whether the companion app, or the share sheet, can be opened
+   * @returns {Promise<boolean>} - Whether the channel can be used
+   */
+  async isAvailable() {
+    if (Platform.OS === 'web') {
+      return false;
+    }
+    if (!this.urlTemplate) {
+      return true;
+    }
+
+    try {
+      return await Linking.canOpenURL(this._getURL(''));
+    } catch (error) {
+      console.error('Error checking satellite app availability:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Open the companion app with the payload
+   * Recipients are set up in the companion app, so they are not passed on.
+   * @param {string} payload - Compact SOS text
+   * @returns {Promise<boolean>} - Whether the app accepted the payload
+   */
+  async send(payload) {
+    if (this.urlTemplate) {
+      await Linking.openURL(this._getURL(payload));
+      return true;
+    }
+
+    const result = await Share.share({ message: payload });
+    return result.action === Share.sharedAction;
+  }
+
+  /**
+   * Fill the payload into the URL template
+   * @param {string} payload - Compact SOS text
+   * @returns {string} URL
+   * @private
+   */
+  _getURL(payload) {
+    return this.urlTemplate.replace('{text}', encodeURIComponent(payload));
+  }
+}
+
+export default SatelliteChannel;
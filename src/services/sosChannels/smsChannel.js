@@ -0,0 +1,51 @@
+import { Platform, Linking } from 'react-native';
+
+/**
+ * SMSChannel - Hands the SOS to the phone's SMS composer
+ *
+ * SMS goes out over the cell network's signalling channel, which often
+ * still works where there is too little signal for data. The composer
+ * opens with the recipients and payload filled in; the hiker still has to
+ * press send, so accepted means the composer took the message.
+ */
+class SMSChannel {
+  constructor() {
+    this.id = 'sms';
+    this.name = 'SMS';
+  }
+
+  /**
+   * Check whether the device can compose an SMS
+   * @param {Array} recipients - Phone numbers
+   * @returns {Promise<boolean>} - Whether the channel can be used
+   */
+  async isAvailable(recipients) {
+    if (Platform.OS === 'web' || recipients.length === 0) {
+      return false;
+    }
+
+    try {
+      return await Linking.canOpenURL('sms:');
+    } catch (error) {
+      console.error('Error checking SMS availability:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Open the SMS composer with the payload
+   * @param {string} payload - Compact SOS text
+   * @param {Array} recipients - Phone numbers
+   * @returns {Promise<boolean>} - Whether the composer accepted the payload
+   */
+  async send(payload, recipients) {
+    // iOS separates the body with "&", Android with "?"
+    const separator = Platform.OS === 'ios' ? '&' : '?';
+    const numbers = recipients.map(number => number.replace(/[^\d+]/g, '')).join(',');
+
+    await Linking.openURL(`sms:${numbers}${separator}body=${encodeURIComponent(payload)}`);
+    return true;
+  }
+}
+
+export default SMSChannel;
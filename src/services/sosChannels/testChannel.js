@@ -0,0 +1,44 @@
+/**
+ * TestChannel - Channel that keeps the SOS on the device
+ *
+ * For trying out the fallback without texting anyone: payloads are
+ * recorded and logged, and the channel accepts or refuses them as set up.
+ */
+class TestChannel {
+  /**
+   * @param {Object} options - Channel options
+   * @param {boolean} options.available - Whether the channel reports itself usable
+   * @param {boolean} options.accept - Whether payloads are accepted
+   */
+  constructor({ available = true, accept = true } = {}) {
+    this.id = 'test';
+    this.name = 'Test channel';
+    this.available = available;
+    this.accept = accept;
+    this.sent = []; // { payload, recipients, at }
+  }
+
+  /**
+   * Check whether the channel is usable
+   * @returns {Promise<boolean>} - Whether the channel can be used
+   */
+  async isAvailable() {
+    return this.available;
+  }
+
+  /**
+   * Record the payload
+   * @param {string} payload - Compact SOS text
+   * @param {Array} recipients - Recipients
+   * @returns {Promise<boolean>} - Whether the payload was accepted
+   */
+  async send(payload, recipients) {
+    console.log(`[SOS test channel] ${this.accept ? 'Accepted' : 'Refused'}: ${payload}`);
+    if (this.accept) {
+      this.sent.push({ payload, recipients, at: new Date().toISOString() });
+    }
+    return this.accept;
+  }
+}
+
+export default TestChannel;
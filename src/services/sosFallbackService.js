@@ -0,0 +1,176 @@
+import messagingService from './messagingService';
+import emergencyContactsService from './emergencyContactsService';
+import SMSChannel from './sosChannels/smsChannel';
+import SatelliteChannel from './sosChannels/satelliteChannel';
+import { formatSOSPayload } from '../utils/sosPayload';
+
+// What happened when a channel was offered the SOS
+export const CHANNEL_STATUS = {
+  ACCEPTED: 'accepted',
+  REFUSED: 'refused',
+  UNAVAILABLE: 'unavailable',
+  FAILED: 'failed',
+};
+
+/**
+ * Service for sending an SOS outside the app when the app can't
+ * With no data connection and no hikers in mesh range, the SOS is turned
+ * into a compact text payload and offered to outbound channels in order,
+ * moving on to the next one until a channel accepts it. By default these
+ * are the SMS composer and a satellite messenger's companion app.
+ *
+ * A channel implements:
+ * - id / name: identifier and name shown to the hiker
+ * - isAvailable(recipients): Promise<boolean>, whether it can be used now
+ * - send(payload, recipients): Promise<boolean>, whether it accepted the payload
+ */
+class SOSFallbackService {
+  constructor() {
+    this.channels = [new SMSChannel(), new SatelliteChannel()];
+    this.deliveries = new Map(); // sosId -> { payload, attempts, acceptedBy }
+    this.deliveryListeners = [];
+  }
+
+  /**
+   * Replace the channels, in the order they are tried
+   * @param {Array} channels - Channel implementations
+   */
+  setChannels(channels) {
+    this.channels = channels;
+  }
+
+  /**
+   * Get the channels, in the order they are tried
+   * @returns {Array} Channels ({ id, name })
+   */
+  getChannels() {
+    return this.channels.map(channel => ({ id: channel.id, name: channel.name }));
+  }
+
+  /**
+   * Get the phone numbers fallback SOS are texted to
+   * These are the emergency contacts who take text messages.
+   * @returns {Array} Phone numbers
+   */
+  getRecipients() {
+    return emergencyContactsService.getPhoneNumbers();
+  }
+
+  /**
+   * Send an SOS through the first channel that accepts it
+   * Channels that already accepted this SOS are skipped, so calling this
+   * again retries on the next channel.
+   * @param {Object} sos - SOS ({ sosId, message, location, timestamp, tripPlanId })
+   * @returns {Promise<Object>} Delivery ({ payload, attempts, acceptedBy }), where
+   *   acceptedBy is the ID of the channel that accepted it this time, if any
+   */
+  async sendSOS(sos) {
+    const delivery = this.deliveries.get(sos.sosId) || {
+      payload: formatSOSPayload({
+        name: messagingService.username,
+        message: sos.message,
+        location: sos.location,
+        timestamp: sos.timestamp || new Date().toISOString(),
+        tripPlanId: sos.tripPlanId || null,
+        sosId: sos.sosId,
+      }),
+      attempts: [],
+      acceptedBy: null,
+    };
+    this.deliveries.set(sos.sosId, delivery);
+    delivery.acceptedBy = null;
+
+    const recipients = this.getRecipients();
+    const accepted = new Set(delivery.attempts
+      .filter(attempt => attempt.status === CHANNEL_STATUS.ACCEPTED)
+      .map(attempt => attempt.channelId));
+
+    for (const channel of this.channels) {
+      if (accepted.has(channel.id)) continue;
+
+      const status = await this._tryChannel(channel, delivery.payload, recipients);
+      delivery.attempts.push({
+        channelId: channel.id,
+        channelName: channel.name,
+        status,
+        at: new Date().toISOString(),
+      });
+      this._notifyDeliveryListeners(sos.sosId);
+
+      if (status === CHANNEL_STATUS.ACCEPTED) {
+        delivery.acceptedBy = channel.id;
+        this._notifyDeliveryListeners(sos.sosId);
+        break;
+      }
+    }
+
+    return this.getDelivery(sos.sosId);
+  }
+
+  /**
+   * Get how far an SOS got through the channels
+   * @param {string} sosId - SOS ID
+   * @returns {Object|null} Delivery ({ payload, attempts, acceptedBy }) or null
+   */
+  getDelivery(sosId) {
+    const delivery = this.deliveries.get(sosId);
+    return delivery ? { ...delivery, attempts: [...delivery.attempts] } : null;
+  }
+
+  /**
+   * Add a listener for changes to the delivery of an SOS
+   * @param {Function} listener - Callback function(sosId, delivery)
+   * @returns {Function} Function to remove listener
+   */
+  addDeliveryListener(listener) {
+    if (typeof listener !== 'function') return () => {};
+
+    this.deliveryListeners.push(listener);
+    return () => {
+      this.deliveryListeners = this.deliveryListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Offer the payload to a channel
+   * @param {Object} channel - Channel
+   * @param {string} payload - Compact SOS text
+   * @param {Array} recipients - Phone numbers
+   * @returns {Promise<string>} CHANNEL_STATUS value
+   * @private
+   */
+  async _tryChannel(channel, payload, recipients) {
+    try {
+      if (!await channel.isAvailable(recipients)) {
+        return CHANNEL_STATUS.UNAVAILABLE;
+      }
+
+      return await channel.send(payload, recipients)
+        ? CHANNEL_STATUS.ACCEPTED
+        : CHANNEL_STATUS.REFUSED;
+    } catch (error) {
+      console.error(`Error sending SOS via ${channel.name}:`, error);
+      return CHANNEL_STATUS.FAILED;
+    }
+  }
+
+  /**
+   * Notify all delivery listeners of a change to an SOS
+   * @param {string} sosId - SOS ID
+   * @private
+   */
+  _notifyDeliveryListeners(sosId) {
+    const delivery = this.getDelivery(sosId);
+
+    this.deliveryListeners.forEach(listener => {
+      try {
+        listener(sosId, delivery);
+      } catch (error) {
+        console.error('Error in SOS delivery listener:', error);
+      }
+    });
+  }
+}
+
+// Export as singleton
+export default new SOSFallbackService();
@@ -0,0 +1,925 @@
+import bridgefyService, {
+  MESSAGE_TYPES,
+  VERIFICATION_STATUS,
+  PRESENCE_STATUS,
+  SOS_STATUS,
+} from './bridgefyService';
+import firebaseService from './firebaseService';
+import databaseService from './databaseService';
+import messagingService from './messagingService';
+import cryptoService from './cryptoService';
+import presenceService from './presenceService';
+import backgroundLocationService from './backgroundLocationService';
+import { readSOSMedical } from './medicalProfileService';
+import { generateMessageId } from '../utils/messageId';
+import { getSignedFields } from '../utils/meshProtocol';
+
+export { SOS_STATUS };
+
+// Events recorded in the SOS audit log
+export const SOS_AUDIT_EVENT = {
+  TRIGGERED: 'triggered', // A trigger started the countdown
+  EXTENDED: 'extended', // Another trigger during the countdown started it over
+  SENT: 'sent', // The SOS went out
+  COUNTDOWN_CANCELLED: 'countdown_cancelled', // Stopped before the SOS went out
+  CANCELLED: 'cancelled', // Our SOS was cancelled as a false alarm
+  CANCEL_REFUSED: 'cancel_refused', // Cancelling our SOS failed on the PIN
+};
+
+// Statuses after which an SOS takes no more updates
+const ENDED_STATUSES = [SOS_STATUS.RESOLVED, SOS_STATUS.CANCELLED];
+
+// How far along a responder can get, in order; an SOS is as far along as
+// its furthest responder
+const RESPONDER_PROGRESS = [SOS_STATUS.ACTIVE, SOS_STATUS.ACKNOWLEDGED, SOS_STATUS.EN_ROUTE];
+
+// Setting holding the salted hash of the PIN that cancels our SOS
+const CANCEL_PIN_SETTING = 'sos_cancel_pin';
+const PIN_PATTERN = /^\d{4,8}$/;
+
+// Number of recent fixes sent with our SOS and kept for another hiker's,
+// showing responders which way the hiker was heading
+const SOS_TRACK_POINTS = 10;
+
+// What whoever ends an SOS signs, so that the end can be checked against
+// their key when it arrives through the cloud
+const getEndSignedFields = (sosId, status, endedBy) => ({ purpose: 'sos_end', sosId, status, endedBy });
+
+/**
+ * Service for the lifecycle of SOS incidents
+ * Tracks our own SOS and those we hear from other hikers through their
+ * states: active, acknowledged, en route, and finally resolved or
+ * cancelled. Responders acknowledge an SOS and say when they expect to
+ * arrive; the hiker who needs help cancels a false alarm with their PIN,
+ * and either side marks it resolved. Every change goes over the mesh and,
+ * when online, to the SOS document in the cloud.
+ */
+class SOSIncidentService {
+  constructor() {
+    this.isInitialized = false;
+    this.incidents = new Map(); // sosId -> incident that hasn't ended, ours or another hiker's
+    this.endedIncidentIds = new Set(); // Incidents that must not be revived by late updates
+    this.cancelPin = null; // { salt, hash } of our cancel PIN
+    this.incidentListeners = [];
+    this.incomingListeners = [];
+    this.removeCloudListener = null;
+
+    // Bindings
+    this._handleMeshMessage = this._handleMeshMessage.bind(this);
+    this._handleCloudEvents = this._handleCloudEvents.bind(this);
+    this._getRecentTrack = this._getRecentTrack.bind(this);
+  }
+
+  /**
+   * Restore incidents that haven't ended and start listening for updates
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    try {
+      const incidents = await databaseService.getSOSIncidents();
+      incidents.forEach(incident => {
+        if (ENDED_STATUSES.includes(incident.status)) {
+          this.endedIncidentIds.add(incident.id);
+        } else {
+          this.incidents.set(incident.id, incident);
+        }
+      });
+
+      this.cancelPin = await databaseService.getSetting(CANCEL_PIN_SETTING);
+
+      bridgefyService.onMessageReceived(this._handleMeshMessage);
+      bridgefyService.setTrackProvider(this._getRecentTrack);
+
+      if (firebaseService.isSignedIn()) {
+        this.removeCloudListener = firebaseService.listenToSOSEvents(this._handleCloudEvents);
+      }
+
+      this.isInitialized = true;
+      return true;
+    } catch (error) {
+      console.error('Error initializing SOS incidents:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Stop listening for updates
+   * Incidents are picked up again by initialize().
+   */
+  cleanup() {
+    bridgefyService.removeMessageReceivedCallback(this._handleMeshMessage);
+    bridgefyService.setTrackProvider(null);
+    if (this.removeCloudListener) {
+      this.removeCloudListener();
+      this.removeCloudListener = null;
+    }
+
+    this.incidents.clear();
+    this.endedIncidentIds.clear();
+    this.isInitialized = false;
+  }
+
+  /**
+   * Record a new SOS of ours
+   * The caller sends the SOS itself, with the ID of the returned incident
+   * so that updates can refer to it.
+   * @param {string} message - SOS message
+   * @param {Object|null} location - Where we are, if known
+   * @returns {Promise<Object>} The new incident
+   */
+  async startIncident(message, location = null) {
+    const incident = {
+      id: generateMessageId(),
+      isOwn: true,
+      ownerId: this._getUserId(),
+      ownerName: messagingService.username,
+      message,
+      location: location ? { latitude: location.latitude, longitude: location.longitude } : null,
+      track: this._getRecentTrack(),
+      status: SOS_STATUS.ACTIVE,
+      responders: [],
+      notifiedContacts: [],
+      relayedAt: null,
+      createdAt: new Date().toISOString(),
+      endedAt: null,
+      endedBy: null,
+    };
+
+    this.incidents.set(incident.id, incident);
+    await databaseService.saveSOSIncident(incident);
+    this._notifyIncidentListeners();
+
+    return incident;
+  }
+
+  /**
+   * Let a hiker know we have seen their SOS
+   * @param {string} sosId - SOS ID
+   * @returns {Promise<Object>} The updated incident
+   */
+  async acknowledge(sosId) {
+    return this._respond(sosId, SOS_STATUS.ACKNOWLEDGED, null);
+  }
+
+  /**
+   * Let a hiker know we are on our way
+   * Can be sent again to correct the ETA.
+   * @param {string} sosId - SOS ID
+   * @param {number} etaMinutes - Minutes until we expect to arrive
+   * @returns {Promise<Object>} The updated incident
+   */
+  async setEnRoute(sosId, etaMinutes) {
+    if (!(etaMinutes > 0)) {
+      throw new Error('ETA must be a positive number of minutes');
+    }
+
+    const eta = new Date(Date.now() + etaMinutes * 60000).toISOString();
+    return this._respond(sosId, SOS_STATUS.EN_ROUTE, eta);
+  }
+
+  /**
+   * Mark an SOS as resolved
+   * Done by the hiker who needed help, or by one of their responders.
+   * @param {string} sosId - SOS ID
+   * @returns {Promise<Object>} The ended incident
+   */
+  async resolve(sosId) {
+    const incident = this._getOpenIncident(sosId);
+    const userId = this._getUserId();
+
+    if (!incident.isOwn && !incident.responders.some(responder => responder.id === userId)) {
+      throw new Error('Only the hiker or a responder can resolve an SOS');
+    }
+
+    await this._endIncident(incident, SOS_STATUS.RESOLVED, userId);
+    await this._transmit(incident, { status: SOS_STATUS.RESOLVED, endedBy: userId });
+    return incident;
+  }
+
+  /**
+   * Cancel our SOS as a false alarm
+   * Needs our cancel PIN once one is set, so that nobody else can call
+   * off an SOS with our phone.
+   * @param {string} sosId - SOS ID
+   * @param {string} pin - Cancel PIN
+   * @returns {Promise<Object>} The ended incident
+   */
+  async cancel(sosId, pin = null) {
+    const incident = this._getOpenIncident(sosId);
+    if (!incident.isOwn) {
+      throw new Error('Only the hiker who sent an SOS can cancel it');
+    }
+
+    if (this.cancelPin && !this._isCancelPin(pin)) {
+      await databaseService.addSOSAuditEntry({ event: SOS_AUDIT_EVENT.CANCEL_REFUSED, sosId });
+      throw new Error('Wrong PIN');
+    }
+
+    const userId = this._getUserId();
+    await databaseService.addSOSAuditEntry({
+      event: SOS_AUDIT_EVENT.CANCELLED,
+      sosId,
+      details: { withPin: !!this.cancelPin },
+    });
+    await this._endIncident(incident, SOS_STATUS.CANCELLED, userId);
+    await this._transmit(incident, { status: SOS_STATUS.CANCELLED, endedBy: userId });
+    return incident;
+  }
+
+  /**
+   * Pass another hiker's SOS on towards rescuers
+   * The SOS is broadcast again from us over the mesh, carrying the hiker's
+   * own signed SOS so that others know whose it is, and reaches further
+   * than their own broadcast did; when online it is also posted to the
+   * cloud, where it may not be yet. An SOS we never heard signed by the
+   * hiker goes out as ours to act on.
+   * @param {string} sosId - SOS ID
+   * @returns {Promise<Object>} Result ({ meshSent, cloudSent })
+   */
+  async relay(sosId) {
+    const incident = this._getOpenIncident(sosId);
+    if (incident.isOwn) {
+      throw new Error('Cannot relay our own SOS');
+    }
+
+    const userId = this._getUserId();
+    const timestamp = new Date().toISOString();
+
+    let meshSent = false;
+    if (messagingService.isOfflineMessagingEnabled && bridgefyService.isStarted) {
+      meshSent = await bridgefyService.broadcastMessage({
+        type: MESSAGE_TYPES.SOS,
+        content: incident.ownerProof ? {
+          sosId: incident.id,
+          original: incident.ownerProof,
+          relayedBy: userId,
+        } : {
+          sosId: incident.id,
+          ownerName: incident.ownerName,
+          message: incident.message,
+          latitude: incident.location ? incident.location.latitude : null,
+          longitude: incident.location ? incident.location.longitude : null,
+          timestamp: incident.createdAt,
+          track: incident.track,
+          medical: incident.medical || null,
+          relayedBy: userId,
+        },
+        isEmergency: true,
+        priority: 'high',
+      });
+    }
+
+    let cloudSent = false;
+    if (messagingService.isOnline && firebaseService.isSignedIn()) {
+      try {
+        await firebaseService.relaySOSEvent(incident.id, {
+          ownerId: incident.ownerId,
+          displayName: incident.ownerName,
+          message: incident.message,
+          location: incident.location,
+          track: incident.track,
+          status: incident.status,
+          createdAt: incident.createdAt,
+        });
+        cloudSent = true;
+      } catch (error) {
+        console.error('Error relaying SOS via Firebase:', error);
+      }
+    }
+
+    if (!meshSent && !cloudSent) {
+      throw new Error('No hikers in range and no connection to relay the SOS');
+    }
+
+    incident.relayedAt = timestamp;
+    await databaseService.saveSOSIncident(incident);
+    this._notifyIncidentListeners();
+
+    return { meshSent, cloudSent };
+  }
+
+  /**
+   * Record that one of our emergency contacts was alerted of our SOS
+   * Kept with the incident and, when online, added to the recipients of
+   * the SOS document in the cloud.
+   * @param {string} sosId - SOS ID
+   * @param {Object} recipient - Who and how ({ contactId, name, channel, firebaseUid, notifiedAt })
+   * @returns {Promise<Object>} The updated incident
+   */
+  async recordNotifiedContact(sosId, recipient) {
+    const incident = this._getOpenIncident(sosId);
+    if (!incident.isOwn) {
+      throw new Error('Only our own SOS alerts emergency contacts');
+    }
+
+    incident.notifiedContacts = [...(incident.notifiedContacts || []), recipient];
+    await databaseService.saveSOSIncident(incident);
+    this._notifyIncidentListeners();
+
+    if (messagingService.isOnline && firebaseService.isSignedIn()) {
+      try {
+        await firebaseService.addSOSNotificationRecipient(sosId, recipient, incident.notifiedContacts.length === 1);
+      } catch (error) {
+        console.error('Error recording SOS notification in Firebase:', error);
+      }
+    }
+
+    return incident;
+  }
+
+  /**
+   * Set the PIN that cancels our SOS
+   * @param {string} pin - 4 to 8 digits
+   * @param {string|null} currentPin - The PIN set now, if any
+   * @returns {Promise<boolean>} Success status
+   */
+  async setCancelPin(pin, currentPin = null) {
+    if (!PIN_PATTERN.test(pin || '')) {
+      throw new Error('PIN must be 4 to 8 digits');
+    }
+
+    if (this.cancelPin && !this._isCancelPin(currentPin)) {
+      throw new Error('Wrong current PIN');
+    }
+
+    const cancelPin = cryptoService.hashSecret(pin);
+    const saved = await databaseService.saveSetting(CANCEL_PIN_SETTING, cancelPin);
+    if (saved) {
+      this.cancelPin = cancelPin;
+    }
+    return saved;
+  }
+
+  /**
+   * Check whether a cancel PIN has been set
+   * @returns {boolean} Whether cancelling our SOS needs a PIN
+   */
+  hasCancelPin() {
+    return !!this.cancelPin;
+  }
+
+  /**
+   * Get an incident that hasn't ended
+   * @param {string} sosId - SOS ID
+   * @returns {Object|null} Incident or null
+   */
+  getIncident(sosId) {
+    return this.incidents.get(sosId) || null;
+  }
+
+  /**
+   * Get the incidents that haven't ended
+   * @returns {Array} Incidents, ours first, then newest first
+   */
+  getActiveIncidents() {
+    return Array.from(this.incidents.values())
+      .sort((a, b) => (b.isOwn - a.isOwn) || (new Date(b.createdAt) - new Date(a.createdAt)));
+  }
+
+  /**
+   * Get our latest SOS that hasn't ended
+   * @returns {Object|null} Incident or null
+   */
+  getOwnActiveIncident() {
+    return this.getActiveIncidents().find(incident => incident.isOwn) || null;
+  }
+
+  /**
+   * Add a listener for changes to the incidents
+   * @param {Function} listener - Callback function(incidents)
+   * @returns {Function} Function to remove listener
+   */
+  addIncidentListener(listener) {
+    if (typeof listener !== 'function') return () => {};
+
+    this.incidentListeners.push(listener);
+    return () => {
+      this.incidentListeners = this.incidentListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Add a listener for SOS from other hikers that we hear for the first time
+   * @param {Function} listener - Callback function(incident)
+   * @returns {Function} Function to remove listener
+   */
+  addIncomingSOSListener(listener) {
+    if (typeof listener !== 'function') return () => {};
+
+    this.incomingListeners.push(listener);
+    return () => {
+      this.incomingListeners = this.incomingListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Get the ID other hikers know us by
+   * @returns {string} User ID
+   * @private
+   */
+  _getUserId() {
+    return messagingService.userId || bridgefyService.userId;
+  }
+
+  /**
+   * Get an incident that can still change
+   * @param {string} sosId - SOS ID
+   * @returns {Object} Incident
+   * @private
+   */
+  _getOpenIncident(sosId) {
+    const incident = this.incidents.get(sosId);
+    if (!incident) {
+      throw new Error(`SOS ${sosId} not found or already ended`);
+    }
+    return incident;
+  }
+
+  /**
+   * Check a PIN against our cancel PIN
+   * @param {string} pin - PIN entered
+   * @returns {boolean} Whether it matches
+   * @private
+   */
+  _isCancelPin(pin) {
+    if (!this.cancelPin || !pin) return false;
+    return cryptoService.hashSecret(pin, this.cancelPin.salt).hash === this.cancelPin.hash;
+  }
+
+  /**
+   * Record and send our own progress as a responder
+   * @param {string} sosId - SOS ID
+   * @param {string} status - SOS_STATUS.ACKNOWLEDGED or SOS_STATUS.EN_ROUTE
+   * @param {string|null} eta - When we expect to arrive
+   * @returns {Promise<Object>} The updated incident
+   * @private
+   */
+  async _respond(sosId, status, eta) {
+    const incident = this._getOpenIncident(sosId);
+    if (incident.isOwn) {
+      throw new Error('Cannot respond to our own SOS');
+    }
+
+    const responder = {
+      id: this._getUserId(),
+      name: messagingService.username || null,
+      status,
+      eta,
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (!this._applyResponder(incident, responder)) {
+      throw new Error(`Already ${incident.responders.find(r => r.id === responder.id).status.replace('_', ' ')}`);
+    }
+
+    await databaseService.saveSOSIncident(incident);
+    this._notifyIncidentListeners();
+    await this._transmit(incident, { status, eta, responder });
+
+    return incident;
+  }
+
+  /**
+   * Add or update a responder of an incident
+   * Responders only move forward: an acknowledgement arriving after the
+   * responder set out is ignored.
+   * @param {Object} incident - Incident
+   * @param {Object} responder - Responder ({ id, name, status, eta, updatedAt })
+   * @returns {boolean} Whether the incident changed
+   * @private
+   */
+  _applyResponder(incident, responder) {
+    const existing = incident.responders.find(r => r.id === responder.id);
+
+    if (existing) {
+      const progress = RESPONDER_PROGRESS.indexOf(responder.status);
+      const existingProgress = RESPONDER_PROGRESS.indexOf(existing.status);
+      const isNewer = new Date(responder.updatedAt) > new Date(existing.updatedAt);
+
+      // Only a newer ETA repeats a status
+      if (progress < existingProgress || (progress === existingProgress &&
+          (responder.status !== SOS_STATUS.EN_ROUTE || !isNewer || responder.eta === existing.eta))) {
+        return false;
+      }
+
+      Object.assign(existing, responder, { name: responder.name || existing.name });
+    } else {
+      incident.responders.push(responder);
+    }
+
+    incident.status = incident.responders.reduce((status, r) => (
+      RESPONDER_PROGRESS.indexOf(r.status) > RESPONDER_PROGRESS.indexOf(status) ? r.status : status
+    ), incident.status);
+
+    return true;
+  }
+
+  /**
+   * End an incident and forget it
+   * @param {Object} incident - Incident
+   * @param {string} status - SOS_STATUS.RESOLVED or SOS_STATUS.CANCELLED
+   * @param {string|null} endedBy - Who ended it
+   * @private
+   */
+  async _endIncident(incident, status, endedBy) {
+    this.incidents.delete(incident.id);
+    this.endedIncidentIds.add(incident.id);
+
+    incident.status = status;
+    incident.endedAt = new Date().toISOString();
+    incident.endedBy = endedBy || null;
+    await databaseService.saveSOSIncident(incident);
+
+    // Stop asking for help once our own SOS is over
+    if (incident.isOwn && !this.getOwnActiveIncident() &&
+        presenceService.getStatus() === PRESENCE_STATUS.NEEDS_HELP) {
+      try {
+        await presenceService.setStatus(PRESENCE_STATUS.OK);
+      } catch (error) {
+        console.error('Error resetting presence status:', error);
+      }
+    }
+
+    this._notifyIncidentListeners();
+  }
+
+  /**
+   * Send a change to an incident over the mesh and to the cloud
+   * Both are tried: the other side may be reachable over only one of them.
+   * @param {Object} incident - Incident
+   * @param {Object} update - Change ({ status, eta, responder, endedBy })
+   * @param {boolean} viaMesh - Whether to send it over the mesh too
+   * @returns {Promise<boolean>} Whether either transport accepted it
+   * @private
+   */
+  async _transmit(incident, update, viaMesh = true) {
+    // Kept until it reaches the cloud, after the changes before it
+    const cloudSent = await messagingService.queueSOSUpdate(incident.id, {
+      status: incident.status,
+      responder: update.responder || null,
+      endedBy: update.endedBy || null,
+      endSignature: this._signEnd(incident),
+    }, incident.isOwn);
+
+    let meshSent = false;
+    if (viaMesh && messagingService.isOfflineMessagingEnabled && bridgefyService.isStarted) {
+      meshSent = await bridgefyService.sendSOSUpdate({
+        sosId: incident.id,
+        status: update.status,
+        eta: update.eta || null,
+      });
+    }
+
+    return cloudSent || meshSent;
+  }
+
+  /**
+   * Sign an end we made for the cloud copy
+   * Other hikers only take the end from the cloud with this signature.
+   * @param {Object} incident - Incident
+   * @returns {string|null} Base64 signature, or null if we didn't end it
+   * @private
+   */
+  _signEnd(incident) {
+    if (!ENDED_STATUSES.includes(incident.status) || incident.endedBy !== this._getUserId()) return null;
+
+    try {
+      return cryptoService.sign(getEndSignedFields(incident.id, incident.status, incident.endedBy));
+    } catch (error) {
+      console.error('Error signing end of SOS:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Apply a change made by another hiker
+   * Anyone can claim to be the hiker or a responder, so ending an SOS needs
+   * the signature of whoever ended it, checked against the key we pinned
+   * for them. Only we end our own SOS: nobody else can call off our alerts.
+   * @param {Object} incident - Incident
+   * @param {Object} update - Change ({ by, byName, status, eta, at, verification })
+   * @param {boolean} fromCloud - Whether it came from the cloud, which then already has it
+   * @private
+   */
+  async _applyRemoteUpdate(incident, update, fromCloud) {
+    const claimsOwner = update.by === incident.ownerId;
+    const isOwner = claimsOwner && update.verification === VERIFICATION_STATUS.VERIFIED;
+    const isResponder = !claimsOwner && update.verification === VERIFICATION_STATUS.VERIFIED &&
+      incident.responders.some(responder => responder.id === update.by);
+
+    switch (update.status) {
+      case SOS_STATUS.ACKNOWLEDGED:
+      case SOS_STATUS.EN_ROUTE: {
+        if (claimsOwner) return;
+
+        const responder = {
+          id: update.by,
+          name: update.byName || null,
+          status: update.status,
+          eta: update.eta || null,
+          updatedAt: update.at || new Date().toISOString(),
+        };
+        if (!this._applyResponder(incident, responder)) return;
+
+        await databaseService.saveSOSIncident(incident);
+        this._notifyIncidentListeners();
+
+        // Keep the cloud copy of our SOS up to date with responders
+        // that could only reach us over the mesh
+        if (incident.isOwn && !fromCloud) {
+          await this._transmit(incident, { status: update.status, responder }, false);
+        }
+        break;
+      }
+
+      case SOS_STATUS.RESOLVED:
+        if (incident.isOwn || (!isOwner && !isResponder)) return;
+        await this._endIncident(incident, SOS_STATUS.RESOLVED, update.by);
+        break;
+
+      case SOS_STATUS.CANCELLED:
+        if (incident.isOwn || !isOwner) return;
+        await this._endIncident(incident, SOS_STATUS.CANCELLED, update.by);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Handle an SOS or SOS update received over the mesh
+   * @param {string} peerId - Sender peer ID
+   * @param {Object} message - Received message
+   * @private
+   */
+  async _handleMeshMessage(peerId, message) {
+    if (![MESSAGE_TYPES.SOS, MESSAGE_TYPES.SOS_UPDATE].includes(message.type) || !message.content) return;
+
+    // Bridgefy drops these already; never act on an SOS we cannot attribute
+    if (![VERIFICATION_STATUS.VERIFIED, VERIFICATION_STATUS.UNVERIFIED].includes(message.verification)) {
+      console.warn(`Dropping ${message.type} from ${peerId}: ${message.verification || 'unsigned'} signature`);
+      return;
+    }
+
+    try {
+      if (message.type === MESSAGE_TYPES.SOS) {
+        const sosId = message.content.sosId || message.messageId;
+        const owner = this._getSOSOwner(sosId, message);
+        if (!owner) {
+          console.warn(`Dropping SOS ${sosId} from ${peerId}: the hiker's signature does not check out`);
+          return;
+        }
+
+        const { content } = owner;
+        const { latitude, longitude, timestamp, track } = content;
+        const hasLocation = latitude !== null && latitude !== undefined;
+
+        // An SOS beacon repeats the SOS with where the hiker is now
+        const existing = this.incidents.get(sosId);
+        if (existing) {
+          if (!existing.isOwn && hasLocation && owner.ownerId === existing.ownerId) {
+            existing.ownerProof = owner.proof || existing.ownerProof || null;
+            await this._updateLocation(existing, { latitude, longitude, timestamp });
+          }
+          return;
+        }
+        if (this.endedIncidentIds.has(sosId)) return;
+
+        const incident = {
+          id: sosId,
+          isOwn: false,
+          ownerId: owner.ownerId,
+          ownerName: owner.ownerName,
+          ownerProof: owner.proof,
+          message: content.message || null,
+          location: hasLocation ? { latitude, longitude, timestamp } : null,
+          track: Array.isArray(track) ? track.slice(-SOS_TRACK_POINTS) : [],
+          medical: readSOSMedical(content.medical),
+          status: SOS_STATUS.ACTIVE,
+          responders: [],
+          relayedAt: null,
+          createdAt: timestamp || new Date().toISOString(),
+          endedAt: null,
+          endedBy: null,
+        };
+
+        this.incidents.set(incident.id, incident);
+        await databaseService.saveSOSIncident(incident);
+        this._notifyIncidentListeners();
+        this._notifyIncomingListeners(incident, message);
+        return;
+      }
+
+      // Updates to an SOS we never heard can't be shown
+      const incident = this.incidents.get(message.content.sosId);
+      if (!incident) return;
+
+      // The signature was checked against the origin, not whoever relayed it
+      await this._applyRemoteUpdate(incident, {
+        by: message.originId || message.senderId,
+        byName: message.senderName,
+        status: message.content.status,
+        eta: message.content.eta,
+        at: message.content.timestamp,
+        verification: message.verification,
+      }, false);
+    } catch (error) {
+      console.error('Error handling SOS message:', error);
+    }
+  }
+
+  /**
+   * Work out whose SOS a mesh message is
+   * The SOS belongs to whoever signed it. A relayed SOS carries the hiker's
+   * own signed SOS, which must check out, and against the key we pinned
+   * for them if we have one; without it the relayer is taken as the owner.
+   * @param {string} sosId - SOS ID
+   * @param {Object} message - Received SOS message
+   * @returns {Object|null} Owner ({ ownerId, ownerName, content, proof }), or null for a forged SOS
+   * @private
+   */
+  _getSOSOwner(sosId, message) {
+    const { original } = message.content;
+
+    if (!original) {
+      const isSigned = !message.isEncrypted && message.signature && message.signingKey;
+      return {
+        ownerId: message.originId || message.senderId,
+        ownerName: message.content.ownerName || message.senderName || null,
+        content: message.content,
+        // Kept so that we can pass the SOS on with their signature
+        proof: isSigned
+          ? { ...getSignedFields(message), signature: message.signature, signingKey: message.signingKey }
+          : null,
+      };
+    }
+
+    const pinnedKey = original.originId && bridgefyService.getPeerSigningKey(original.originId);
+    const isValid = original.type === MESSAGE_TYPES.SOS && original.content && !original.isEncrypted &&
+      (original.content.sosId || original.messageId) === sosId &&
+      original.signature && original.signingKey &&
+      (!pinnedKey || pinnedKey === original.signingKey) &&
+      cryptoService.verify(getSignedFields(original), original.signature, original.signingKey);
+    if (!isValid) return null;
+
+    return {
+      ownerId: original.originId,
+      ownerName: original.senderName || null,
+      content: original.content,
+      proof: original,
+    };
+  }
+
+  /**
+   * Handle SOS documents changed in the cloud
+   * @param {Array} docs - Changed SOS documents
+   * @private
+   */
+  async _handleCloudEvents(docs) {
+    const userId = this._getUserId();
+
+    for (const doc of docs) {
+      const incident = this.incidents.get(doc.id);
+      if (!incident) continue;
+
+      try {
+        if (!incident.isOwn && doc.location) {
+          await this._updateLocation(incident, doc.location);
+        }
+
+        // Responders other than us, oldest change first
+        const responders = Object.values(doc.responders || {})
+          .filter(responder => responder.id !== userId)
+          .sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt));
+
+        for (const responder of responders) {
+          await this._applyRemoteUpdate(incident, {
+            by: responder.id,
+            byName: responder.name,
+            status: responder.status,
+            eta: responder.eta,
+            at: responder.updatedAt,
+          }, true);
+        }
+
+        // Whoever ended it is known by their signature over the end, since
+        // anyone who relayed the SOS can write the document
+        if (ENDED_STATUSES.includes(doc.status) && this.incidents.has(doc.id) && doc.endedBy !== userId) {
+          const verification = this._verifyCloudEnd(doc);
+          await this._applyRemoteUpdate(incident, {
+            by: doc.endedBy,
+            status: doc.status,
+            verification,
+          }, true);
+        }
+      } catch (error) {
+        console.error('Error handling SOS update from Firebase:', error);
+      }
+    }
+  }
+
+  /**
+   * Check the signature over the end of an SOS in the cloud
+   * @param {Object} doc - SOS document
+   * @returns {string} VERIFICATION_STATUS of the end
+   * @private
+   */
+  _verifyCloudEnd(doc) {
+    if (!doc.endSignature || !doc.endedBy) return VERIFICATION_STATUS.UNSIGNED;
+
+    const signingKey = bridgefyService.getPeerSigningKey(doc.endedBy);
+    if (!signingKey) return VERIFICATION_STATUS.UNVERIFIED;
+
+    return cryptoService.verify(getEndSignedFields(doc.id, doc.status, doc.endedBy), doc.endSignature, signingKey)
+      ? VERIFICATION_STATUS.VERIFIED
+      : VERIFICATION_STATUS.INVALID;
+  }
+
+  /**
+   * Get our last few fixes, in the compact form sent with an SOS
+   * @returns {Array} Locations ({ latitude, longitude, timestamp }), oldest first
+   * @private
+   */
+  _getRecentTrack() {
+    return backgroundLocationService.getRecentTrack(SOS_TRACK_POINTS).map(location => ({
+      latitude: location.latitude,
+      longitude: location.longitude,
+      timestamp: location.timestamp,
+    }));
+  }
+
+  /**
+   * Move another hiker's incident to where they were last heard from
+   * Positions older than the one we have are ignored, since the cloud and
+   * the mesh can deliver them out of order.
+   * @param {Object} incident - Incident
+   * @param {Object} location - Position ({ latitude, longitude, timestamp })
+   * @private
+   */
+  async _updateLocation(incident, location) {
+    const current = incident.location;
+    const isSame = current && current.latitude === location.latitude &&
+      current.longitude === location.longitude;
+    const isOlder = current?.timestamp && location.timestamp &&
+      new Date(location.timestamp) < new Date(current.timestamp);
+    if (isSame || isOlder) return;
+
+    // Where they were becomes part of their track
+    if (current) {
+      incident.track = [...(incident.track || []), current].slice(-SOS_TRACK_POINTS);
+    }
+    incident.location = {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      timestamp: location.timestamp || new Date().toISOString(),
+    };
+    await databaseService.saveSOSIncident(incident);
+    this._notifyIncidentListeners();
+  }
+
+  /**
+   * Notify all incoming SOS listeners of an SOS we just heard
+   * @param {Object} incident - New incident
+   * @param {Object} message - Mesh message it came in
+   * @private
+   */
+  _notifyIncomingListeners(incident, message) {
+    const alert = {
+      ...incident,
+      relayedBy: message.content.relayedBy || null,
+      verification: message.verification || VERIFICATION_STATUS.UNSIGNED,
+    };
+
+    this.incomingListeners.forEach(listener => {
+      try {
+        listener(alert);
+      } catch (error) {
+        console.error('Error in incoming SOS listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Notify all incident listeners of the incidents
+   * @private
+   */
+  _notifyIncidentListeners() {
+    const incidents = this.getActiveIncidents();
+
+    this.incidentListeners.forEach(listener => {
+      try {
+        listener(incidents);
+      } catch (error) {
+        console.error('Error in SOS incident listener:', error);
+      }
+    });
+  }
+}
+
+// Export as singleton
+export default new SOSIncidentService();
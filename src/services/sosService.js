@@ -1,8 +1,50 @@
-import { Platform, Alert, Vibration } from 'react-native';
+import { Platform, Alert, Vibration, AppState } from 'react-native';
 import RNShake from 'react-native-shake';
+import { VolumeManager } from 'react-native-volume-manager';
 import messagingService from './messagingService';
+import bridgefyService, { MESSAGE_TYPES } from './bridgefyService';
 import locationService from './locationService';
 import firebaseService from './firebaseService';
+import tripPlanService from './tripPlanService';
+import medicalProfileService from './medicalProfileService';
+import databaseService from './databaseService';
+import backgroundLocationService from './backgroundLocationService';
+import sosIncidentService, { SOS_STATUS, SOS_AUDIT_EVENT } from './sosIncidentService';
+import sosFallbackService, { CHANNEL_STATUS } from './sosFallbackService';
+import emergencyContactsService, { CONTACT_CHANNEL } from './emergencyContactsService';
+import SMSChannel from './sosChannels/smsChannel';
+import { formatSOSPayload } from '../utils/sosPayload';
+
+// What can start the SOS countdown
+export const SOS_TRIGGER = {
+  SHAKE: 'shake',
+  LONG_PRESS: 'long_press',
+  VOLUME: 'volume',
+};
+
+// Setting holding the trigger policy
+const TRIGGER_POLICY_SETTING = 'sos_trigger_policy';
+
+// Setting holding the running contact escalations, so they carry on after
+// a restart and can be advanced from background fetch while timers sleep
+const ESCALATION_SETTING = 'sos_escalations';
+
+// How the SOS countdown can be started and how long it runs
+// A phone in a backpack gets shaken all day, so shaking can be turned off
+// or made to need several shakes in quick succession; a sequence of volume
+// button presses works with the phone in a pocket. Walking jostles the
+// phone the most and leaves the hiker least likely to notice the
+// countdown, so it runs longer while the device is in motion.
+export const DEFAULT_TRIGGER_POLICY = {
+  shakeEnabled: true,
+  shakeCount: 1, // Shakes needed...
+  shakeWindow: 3, // ...within this many seconds
+  volumeEnabled: false,
+  volumeSequence: ['up', 'down', 'up', 'down'], // Volume button presses needed...
+  volumeWindow: 5, // ...within this many seconds
+  countdown: 5, // Seconds before the SOS is sent
+  movingCountdown: 15, // Seconds before the SOS is sent while moving
+};
 
 // Short vibration for feedback
 const SHORT_VIBRATION = 300; // 300ms
@@ -31,6 +73,20 @@ class SOSService {
     this.sosCountdownInterval = null;
     this.sosMessage = "I need help! This is an emergency SOS signal.";
     this.sosCallback = null;
+    this.triggerPolicy = { ...DEFAULT_TRIGGER_POLICY };
+    this.volumeSubscription = null;
+    this.lastVolume = null;
+    this.shakeTimes = []; // Recent shakes, counted towards the policy
+    this.volumePresses = []; // Recent volume presses ({ direction, time })
+    this.countdownTrigger = null; // What started the running countdown
+    this.countdownLength = DEFAULT_TRIGGER_POLICY.countdown;
+    this.escalations = new Map(); // sosId -> escalation of our SOS through the emergency contacts
+    this.removeEscalationTask = null;
+    this.removeSOSSyncListener = null;
+    
+    // Bindings
+    this._advanceContactEscalations = this._advanceContactEscalations.bind(this);
+    this._handleSOSSynced = this._handleSOSSynced.bind(this);
   }
 
   // Initialize SOS service
@@ -43,12 +99,13 @@ class SOSService {
     this.sosMessage = sosMessage || this.sosMessage;
     this.sosCallback = callback;
 
-    // Set up shake detection
-    if (Platform.OS !== 'web') {
-      this.shakeSubscription = RNShake.addListener(() => {
-        this.onShake();
-      });
-    }
+    // Set up shake and volume button detection, then switch to the saved policy
+    this._applyTriggerPolicy();
+    this._loadTriggerPolicy();
+    
+    // Carry on alerting emergency contacts where we left off
+    this.removeSOSSyncListener = messagingService.addSOSSyncListener(this._handleSOSSynced);
+    this._resumeContactEscalations();
 
     console.log('SOS service initialized');
   }
@@ -57,21 +114,79 @@ class SOSService {
   cleanup() {
     this.stopSosCountdown();
     
+    // Stop alerting emergency contacts until the next initialize(), which resumes them
+    for (const escalation of this.escalations.values()) {
+      clearTimeout(escalation.timer);
+    }
+    this.escalations.clear();
+    this._watchContactEscalations();
+    if (this.removeSOSSyncListener) {
+      this.removeSOSSyncListener();
+      this.removeSOSSyncListener = null;
+    }
+    
     if (this.shakeSubscription) {
       this.shakeSubscription.remove();
       this.shakeSubscription = null;
     }
     
+    if (this.volumeSubscription) {
+      this.volumeSubscription.remove();
+      this.volumeSubscription = null;
+    }
+    
     this.isListening = false;
     console.log('SOS service cleaned up');
   }
 
+  // Get the trigger policy
+  getTriggerPolicy() {
+    return { ...this.triggerPolicy, volumeSequence: [...this.triggerPolicy.volumeSequence] };
+  }
+  
+  // Change the trigger policy and save it
+  async setTriggerPolicy(changes) {
+    const policy = { ...this.triggerPolicy, ...changes };
+    
+    if (!(policy.shakeCount >= 1) || !(policy.shakeWindow > 0) || !(policy.volumeWindow > 0)) {
+      throw new Error('Shake count and time windows must be positive');
+    }
+    if (!(policy.countdown >= 1) || !(policy.movingCountdown >= 1)) {
+      throw new Error('Countdown must be at least a second');
+    }
+    if (policy.volumeSequence.length < 2 ||
+        policy.volumeSequence.some(direction => direction !== 'up' && direction !== 'down')) {
+      throw new Error('Volume sequence must be at least two up or down presses');
+    }
+    
+    const saved = await databaseService.saveSetting(TRIGGER_POLICY_SETTING, policy);
+    if (!saved) {
+      throw new Error('Failed to save the SOS trigger policy');
+    }
+    
+    this.triggerPolicy = policy;
+    this._applyTriggerPolicy();
+    return this.getTriggerPolicy();
+  }
+  
+  // Get the latest SOS triggers and cancels, newest first
+  async getAuditLog(limit = 50) {
+    return databaseService.getSOSAuditLog(limit);
+  }
+
   // Handle shake event
   onShake() {
-    if (this.isSending) return;
+    if (this.isSending || !this.triggerPolicy.shakeEnabled) return;
+    
+    // Count only the shakes within the window
+    const now = Date.now();
+    const { shakeCount, shakeWindow } = this.triggerPolicy;
+    this.shakeTimes = [...this.shakeTimes.filter(time => now - time < shakeWindow * 1000), now];
+    if (this.shakeTimes.length < shakeCount) return;
+    this.shakeTimes = [];
     
     // Start or update countdown
-    this.startSosCountdown();
+    this.startSosCountdown(SOS_TRIGGER.SHAKE, { shakes: shakeCount });
     
     // Trigger haptic feedback
     this.triggerHapticFeedback('impactMedium');
@@ -82,22 +197,51 @@ class SOSService {
     if (this.isSending) return;
     
     // Start or update countdown
-    this.startSosCountdown();
+    this.startSosCountdown(SOS_TRIGGER.LONG_PRESS);
+    
+    // Trigger haptic feedback
+    this.triggerHapticFeedback('impactHeavy');
+  }
+  
+  // Handle a volume button press ('up' or 'down')
+  onVolumePress(direction) {
+    if (this.isSending || !this.triggerPolicy.volumeEnabled) return;
+    
+    // Match the latest presses within the window against the sequence
+    const now = Date.now();
+    const { volumeSequence, volumeWindow } = this.triggerPolicy;
+    this.volumePresses = [
+      ...this.volumePresses.filter(press => now - press.time < volumeWindow * 1000),
+      { direction, time: now },
+    ].slice(-volumeSequence.length);
+    
+    const matched = this.volumePresses.length === volumeSequence.length &&
+      this.volumePresses.every((press, index) => press.direction === volumeSequence[index]);
+    if (!matched) return;
+    this.volumePresses = [];
+    
+    // Start or update countdown
+    this.startSosCountdown(SOS_TRIGGER.VOLUME, { sequence: volumeSequence.join(',') });
     
     // Trigger haptic feedback
     this.triggerHapticFeedback('impactHeavy');
   }
 
   // Start SOS countdown
-  startSosCountdown() {
-    // If already counting down, add more time
+  startSosCountdown(trigger = SOS_TRIGGER.LONG_PRESS, details = {}) {
+    // If already counting down, start it over
     if (this.sosCountdownInterval) {
-      this.sosCountdown = 5; // Reset to 5 seconds
+      this.sosCountdown = this.countdownLength;
+      this._audit(SOS_AUDIT_EVENT.EXTENDED, trigger, details);
       return;
     }
     
-    // Start countdown from 5 seconds
-    this.sosCountdown = 5;
+    // Give more time while moving, when the trigger is most likely an accident
+    const isMoving = backgroundLocationService.isMoving();
+    this.countdownLength = isMoving ? this.triggerPolicy.movingCountdown : this.triggerPolicy.countdown;
+    this.sosCountdown = this.countdownLength;
+    this.countdownTrigger = trigger;
+    this._audit(SOS_AUDIT_EVENT.TRIGGERED, trigger, { ...details, countdown: this.countdownLength, isMoving });
     
     // Provide initial feedback to user
     this.triggerHapticFeedback('notificationWarning');
@@ -105,18 +249,19 @@ class SOSService {
     // Show alert
     Alert.alert(
       'SOS Countdown Started',
-      'Shake device again or press and hold to confirm SOS. SOS will be sent in 5 seconds.\nPress Cancel to stop.',
+      `SOS will be sent in ${this.countdownLength} seconds${isMoving ? ' (longer while you are moving)' : ''}.\n` +
+      'Triggering it again starts the countdown over. Press Cancel to stop.',
       [
         {
           text: 'Cancel',
-          onPress: () => this.stopSosCountdown(),
+          onPress: () => this.cancelSosCountdown(),
           style: 'cancel',
         },
         {
           text: 'Send Now',
           onPress: () => {
             this.stopSosCountdown();
-            this.sendSOS();
+            this.sendSOS(trigger);
           },
           style: 'destructive',
         },
@@ -135,10 +280,20 @@ class SOSService {
       
       if (this.sosCountdown <= 0) {
         this.stopSosCountdown();
-        this.sendSOS();
+        this.sendSOS(trigger);
       }
     }, 1000);
   }
+  
+  // Cancel the SOS countdown before the SOS is sent
+  cancelSosCountdown() {
+    if (!this.sosCountdownInterval) return;
+    
+    this.stopSosCountdown();
+    this._audit(SOS_AUDIT_EVENT.COUNTDOWN_CANCELLED, this.countdownTrigger, {
+      secondsLeft: this.sosCountdown,
+    });
+  }
 
   // Stop SOS countdown
   stopSosCountdown() {
@@ -149,7 +304,8 @@ class SOSService {
   }
 
   // Send SOS
-  async sendSOS() {
+  // The trigger is what started the countdown, if anything, for the audit log.
+  async sendSOS(trigger = null) {
     if (this.isSending) return;
     
     try {
@@ -164,48 +320,38 @@ class SOSService {
       // Get message to send
       const message = this.sosMessage;
       
+      // Record the SOS so responders' updates and our cancel can refer to it
+      const incident = await sosIncidentService.startIncident(message, location);
+      this._audit(SOS_AUDIT_EVENT.SENT, trigger, {}, incident.id);
+      
       // Notify callback if provided
       if (this.sosCallback) {
         this.sosCallback();
       }
       
-      // Send SOS via messaging service
-      const success = await messagingService.sendSOSMessage(message);
-      
-      // If online and Firebase is initialized, also send push notification
-      if (firebaseService.isSignedIn()) {
-        try {
-          // Get user data for the notification
-          const userData = await this._getUserInfoForNotification();
-          
-          // Save emergency location to the user's profile
-          await firebaseService.saveUserLocation({
-            ...location,
-            message: message
-          }, true);
-          
-          // Send cloud SOS notification
-          await this._sendSOSPushNotification(userData, location, message);
-          
-          console.log('SOS cloud notification sent');
-        } catch (err) {
-          console.error('Error sending SOS cloud notification:', err);
-        }
-      }
+      // Send SOS via messaging service, which keeps it until it reaches the cloud
+      const userData = await this._getUserInfoForNotification();
+      const { meshSent, cloudSent } = await messagingService.sendSOSMessage(message, incident.id, {
+        ...(userData ? { userId: userData.userId, displayName: userData.displayName } : {}),
+        tripPlan: tripPlanService.getSOSSummary(),
+      });
       
       // Show success or error message
-      if (success) {
+      if (meshSent || cloudSent) {
         Alert.alert(
           'SOS Sent',
-          'Your emergency signal has been broadcast to nearby hikers' +
-          (firebaseService.isSignedIn() ? ' and to the cloud.' : '.')
+          (meshSent ? 'Your emergency signal has been broadcast to nearby hikers' : 'Your emergency signal has been sent') +
+          (cloudSent
+            ? (meshSent ? ' and to the cloud.' : ' to the cloud.')
+            : '. It will be sent to the cloud once you are back online.')
         );
       } else {
-        Alert.alert(
-          'SOS Sending Failed',
-          'Failed to send emergency signal. Please try again or use the SOS button.'
-        );
+        // Nobody in range and no connection: try SMS or a satellite messenger
+        await this.sendSOSFallback(incident.id, message, location);
       }
+      
+      // Alert our emergency contacts in turn
+      this.startContactEscalation(incident.id, message, location, cloudSent);
     } catch (error) {
       console.error('Error sending SOS:', error);
       Alert.alert(
@@ -217,6 +363,473 @@ class SOSService {
     }
   }
   
+  // Send an SOS outside the app, through SMS or a satellite messenger
+  // Used when neither the mesh nor the cloud could take it. Channels are
+  // tried in order until one accepts the SOS; the hiker can try the next
+  // one from the alert, e.g. if they closed the SMS composer unsent.
+  async sendSOSFallback(sosId, message = this.sosMessage, location = null) {
+    const delivery = await sosFallbackService.sendSOS({
+      sosId,
+      message,
+      location,
+      tripPlanId: tripPlanService.getSOSSummary()?.id || null,
+    });
+    
+    const accepted = delivery.acceptedBy &&
+      sosFallbackService.getChannels().find(channel => channel.id === delivery.acceptedBy);
+    if (accepted) {
+      Alert.alert(
+        'Send Your SOS',
+        `No hikers in range and no connection. Your SOS was passed to ${accepted.name} - make sure it is sent.`,
+        [
+          { text: 'Try Another Way', onPress: () => this.sendSOSFallback(sosId, message, location) },
+          { text: 'OK' },
+        ]
+      );
+    } else {
+      Alert.alert(
+        'SOS Sending Failed',
+        'No hikers in range, no connection, and no SMS or satellite messenger available. ' +
+        'Please try again or use the SOS button.'
+      );
+    }
+    
+    return delivery;
+  }
+  
+  // Alert our emergency contacts of an SOS, one after another
+  // Contacts are alerted in their order, each given their own delay to
+  // respond before the next one is alerted; a contact none of whose
+  // channels works is skipped straight away. Escalation stops once someone
+  // responds to the SOS or it ends. Each contact alerted is recorded with
+  // the incident and in the recipients of the SOS document in the cloud.
+  // Who is next and when is saved, so the escalation survives a restart.
+  startContactEscalation(sosId, message = this.sosMessage, location = null, cloudSent = false) {
+    this.stopContactEscalation(sosId);
+    
+    const contacts = emergencyContactsService.getContacts();
+    if (contacts.length === 0) return;
+    
+    const escalation = {
+      sosId,
+      message,
+      location,
+      cloudSent,
+      contacts,
+      next: 0,
+      nextDueAt: null,
+      timer: null,
+      isAlerting: false,
+    };
+    this.escalations.set(sosId, escalation);
+    this._watchContactEscalations();
+    this._alertNextContact(escalation);
+  }
+  
+  // Stop alerting emergency contacts of an SOS
+  stopContactEscalation(sosId) {
+    const escalation = this.escalations.get(sosId);
+    if (escalation) {
+      clearTimeout(escalation.timer);
+      this.escalations.delete(sosId);
+      this._watchContactEscalations();
+      this._saveContactEscalations();
+    }
+  }
+  
+  // Send SOS to designated contacts instead of everyone nearby
+  // Contacts are mesh peers or groups ({ type: 'peer' | 'group', id, name }).
+  // The track is our last known positions, oldest first, and our trip plan
+  // goes with it, so contacts know where to start looking. Details are
+  // added to the SOS content as is. Pass the sosId of an earlier attempt
+  // to send the same SOS again rather than start a new one.
+  async sendSOSToContacts(contacts, { message = this.sosMessage, track = [], details = {}, sosId = null } = {}) {
+    // Play SOS vibration pattern
+    this.playSOSPattern();
+    
+    let location = track.length > 0 ? track[track.length - 1] : null;
+    if (!location) {
+      try {
+        location = await locationService.getCurrentLocation();
+      } catch (error) {
+        console.error('Error getting location for contact SOS:', error);
+      }
+    }
+    
+    const incident = (sosId && sosIncidentService.getIncident(sosId)) ||
+      await sosIncidentService.startIncident(message, location);
+    
+    const timestamp = new Date().toISOString();
+    const tripPlan = tripPlanService.getSOSSummary();
+    const compactTrack = track.map(point => ({
+      latitude: point.latitude,
+      longitude: point.longitude,
+      timestamp: point.timestamp,
+    }));
+    
+    // The SOS event in the cloud names the contacts to alert; it is kept
+    // until it gets there, should we be offline now
+    const userData = await this._getUserInfoForNotification();
+    const cloudSent = await messagingService.queueSOSEvent({
+      id: incident.id,
+      userId: userData?.userId || null,
+      displayName: userData?.displayName || messagingService.username,
+      location: location,
+      message: message,
+      track: compactTrack,
+      tripPlan: tripPlan,
+      contacts: contacts.map(contact => ({ type: contact.type, id: contact.id })),
+      timestamp: timestamp,
+      status: 'active',
+      ...details,
+    });
+    
+    if (cloudSent && location) {
+      try {
+        await firebaseService.saveUserLocation({
+          ...location,
+          message: message
+        }, true);
+      } catch (error) {
+        console.error('Error saving contact SOS location via Firebase:', error);
+      }
+    }
+    
+    // Also reach contacts over the mesh, in case they are out of coverage too
+    const notifiedIds = [];
+    if (messagingService.isOfflineMessagingEnabled && bridgefyService.isStarted) {
+      const sosMessage = {
+        type: MESSAGE_TYPES.SOS,
+        content: {
+          sosId: incident.id,
+          message,
+          latitude: location ? location.latitude : null,
+          longitude: location ? location.longitude : null,
+          timestamp,
+          track: compactTrack,
+          tripPlan,
+          ...details,
+        },
+        isEmergency: true,
+        priority: 'high',
+      };
+      
+      const groups = contacts.some(contact => contact.type === 'group')
+        ? await messagingService.getGroups()
+        : [];
+      
+      for (const contact of contacts) {
+        try {
+          let sent = false;
+          if (contact.type === 'group') {
+            const group = groups.find(g => g.id === contact.id);
+            sent = !!group && await bridgefyService.sendGroupMessage({
+              id: group.id,
+              name: group.name,
+              memberIds: group.members.map(member => member.id),
+            }, sosMessage);
+          } else {
+            sent = await bridgefyService.sendMessage(contact.id, sosMessage);
+          }
+          
+          if (sent) {
+            notifiedIds.push(contact.id);
+          }
+        } catch (error) {
+          console.error(`Error sending contact SOS to ${contact.id}:`, error);
+        }
+      }
+    }
+    
+    return {
+      success: cloudSent || notifiedIds.length > 0,
+      sosId: incident.id,
+      cloudSent,
+      notifiedIds,
+    };
+  }
+  
+  // Alert the next emergency contact, then schedule the one after
+  async _alertNextContact(escalation) {
+    if (escalation.isAlerting) return;
+    
+    clearTimeout(escalation.timer);
+    escalation.timer = null;
+    escalation.nextDueAt = null;
+    escalation.isAlerting = true;
+    
+    try {
+      while (this.escalations.get(escalation.sosId) === escalation) {
+        const incident = sosIncidentService.getIncident(escalation.sosId);
+        const contact = escalation.contacts[escalation.next];
+        if (!incident || incident.status !== SOS_STATUS.ACTIVE || !contact) {
+          this.escalations.delete(escalation.sosId);
+          this._watchContactEscalations();
+          break;
+        }
+        
+        // Saved as due now, so a contact we were alerting when the app died is alerted again
+        await this._saveContactEscalations();
+        if (this.escalations.get(escalation.sosId) !== escalation) break;
+        escalation.next += 1;
+        
+        const channel = await this._alertContact(escalation, contact);
+        if (channel) {
+          try {
+            await sosIncidentService.recordNotifiedContact(escalation.sosId, {
+              contactId: contact.id,
+              name: contact.name,
+              channel,
+              firebaseUid: contact.firebaseUid || null,
+              notifiedAt: new Date().toISOString(),
+            });
+          } catch (error) {
+            console.error(`Error recording SOS alert to ${contact.name}:`, error);
+          }
+          
+          // Give them time to respond before alerting the next contact
+          if (this.escalations.get(escalation.sosId) !== escalation) break;
+          if (escalation.next < escalation.contacts.length) {
+            this._scheduleNextContact(escalation, Date.now() + contact.delay * 60000);
+          } else {
+            this.escalations.delete(escalation.sosId);
+            this._watchContactEscalations();
+          }
+          break;
+        }
+        
+        console.warn(`Could not reach emergency contact ${contact.name}, trying the next one`);
+      }
+    } finally {
+      escalation.isAlerting = false;
+      await this._saveContactEscalations();
+    }
+  }
+  
+  // Alert the next emergency contact of an escalation at the given time
+  _scheduleNextContact(escalation, dueAt) {
+    clearTimeout(escalation.timer);
+    escalation.nextDueAt = new Date(dueAt).toISOString();
+    escalation.timer = setTimeout(() => this._alertNextContact(escalation), Math.max(0, dueAt - Date.now()));
+  }
+  
+  // Alert the contacts that are due
+  // Runs from background fetch, since timers don't fire while the app sleeps.
+  async _advanceContactEscalations() {
+    const due = Array.from(this.escalations.values()).filter(escalation =>
+      !escalation.isAlerting && escalation.nextDueAt && new Date(escalation.nextDueAt).getTime() <= Date.now());
+    
+    for (const escalation of due) {
+      await this._alertNextContact(escalation);
+    }
+  }
+  
+  // Note that an SOS sent without a connection has reached the cloud,
+  // so contacts alerted from now on can be reached there
+  async _handleSOSSynced(sosId) {
+    const escalation = this.escalations.get(sosId);
+    if (!escalation || escalation.cloudSent) return;
+    
+    escalation.cloudSent = true;
+    await this._saveContactEscalations();
+  }
+  
+  // Run the background task only while contacts are being alerted
+  _watchContactEscalations() {
+    if (this.escalations.size > 0 && !this.removeEscalationTask) {
+      this.removeEscalationTask = backgroundLocationService.addBackgroundTask(this._advanceContactEscalations);
+    } else if (this.escalations.size === 0 && this.removeEscalationTask) {
+      this.removeEscalationTask();
+      this.removeEscalationTask = null;
+    }
+  }
+  
+  // Save who is next in each escalation and when
+  // Contacts are kept by ID, and only those not yet alerted.
+  async _saveContactEscalations() {
+    const saved = Array.from(this.escalations.values()).map(escalation => ({
+      sosId: escalation.sosId,
+      message: escalation.message,
+      location: escalation.location,
+      cloudSent: escalation.cloudSent,
+      contactIds: escalation.contacts.slice(escalation.next).map(contact => contact.id),
+      nextDueAt: escalation.nextDueAt,
+    }));
+    
+    try {
+      await databaseService.saveSetting(ESCALATION_SETTING, saved.length > 0 ? saved : null);
+    } catch (error) {
+      console.error('Error saving contact escalations:', error);
+    }
+  }
+  
+  // Pick up the escalations that were running before a restart
+  // Contacts removed meanwhile are skipped; one that came due while we
+  // were not running is alerted straight away.
+  async _resumeContactEscalations() {
+    try {
+      const saved = await databaseService.getSetting(ESCALATION_SETTING, null);
+      if (!saved) return;
+      
+      const contacts = emergencyContactsService.getContacts();
+      saved.forEach(entry => {
+        const incident = sosIncidentService.getIncident(entry.sosId);
+        if (!incident || incident.status !== SOS_STATUS.ACTIVE || this.escalations.has(entry.sosId)) return;
+        
+        const escalation = {
+          sosId: entry.sosId,
+          message: entry.message,
+          location: entry.location,
+          cloudSent: entry.cloudSent,
+          contacts: entry.contactIds.map(id => contacts.find(contact => contact.id === id)).filter(Boolean),
+          next: 0,
+          nextDueAt: null,
+          timer: null,
+          isAlerting: false,
+        };
+        this.escalations.set(escalation.sosId, escalation);
+        
+        if (entry.nextDueAt) {
+          this._scheduleNextContact(escalation, new Date(entry.nextDueAt).getTime());
+        } else {
+          this._alertNextContact(escalation);
+        }
+      });
+      
+      this._watchContactEscalations();
+      await this._saveContactEscalations();
+    } catch (error) {
+      console.error('Error resuming contact escalations:', error);
+    }
+  }
+  
+  // Alert an emergency contact through the first of their channels that works
+  // Returns the channel used, or null if none worked.
+  async _alertContact(escalation, contact) {
+    for (const channel of contact.channels) {
+      try {
+        if (channel === CONTACT_CHANNEL.MESH) {
+          if (!messagingService.isOfflineMessagingEnabled || !bridgefyService.isStarted) continue;
+          
+          const sent = await bridgefyService.sendMessage(contact.peerId, {
+            type: MESSAGE_TYPES.SOS,
+            content: {
+              sosId: escalation.sosId,
+              message: escalation.message,
+              latitude: escalation.location ? escalation.location.latitude : null,
+              longitude: escalation.location ? escalation.location.longitude : null,
+              timestamp: new Date().toISOString(),
+              tripPlan: tripPlanService.getSOSSummary(),
+              medical: medicalProfileService.getSOSSummary(),
+            },
+            isEmergency: true,
+            priority: 'high',
+          });
+          if (sent) return channel;
+        } else if (channel === CONTACT_CHANNEL.CLOUD) {
+          // Naming them a recipient of the SOS document is what alerts them,
+          // so the document must be in the cloud, which the outbox knows
+          if (!messagingService.isOnline || !firebaseService.isSignedIn()) continue;
+          
+          if (!escalation.cloudSent) {
+            escalation.cloudSent = await messagingService.isSOSEventInCloud(escalation.sosId);
+          }
+          if (escalation.cloudSent) return channel;
+        } else if (channel === CONTACT_CHANNEL.SMS) {
+          // The fallback may already have put their number in the SMS composer
+          const delivery = sosFallbackService.getDelivery(escalation.sosId);
+          if (delivery && delivery.attempts.some(attempt =>
+            attempt.channelId === 'sms' && attempt.status === CHANNEL_STATUS.ACCEPTED)) {
+            return channel;
+          }
+          
+          // The composer can only be opened while the hiker has the app open
+          if (AppState.currentState !== 'active') continue;
+          
+          const sms = new SMSChannel();
+          const payload = formatSOSPayload({
+            name: messagingService.username,
+            message: escalation.message,
+            location: escalation.location,
+            tripPlanId: tripPlanService.getSOSSummary()?.id || null,
+            sosId: escalation.sosId,
+          });
+          if (await sms.isAvailable([contact.phone]) && await sms.send(payload, [contact.phone])) {
+            return channel;
+          }
+        }
+      } catch (error) {
+        console.error(`Error alerting ${contact.name} by ${channel}:`, error);
+      }
+    }
+    
+    return null;
+  }
+  
+  // Subscribe to the triggers the policy turns on, and unsubscribe from the rest
+  _applyTriggerPolicy() {
+    if (!this.isListening || Platform.OS === 'web') return;
+    
+    const { shakeEnabled, volumeEnabled } = this.triggerPolicy;
+    
+    if (shakeEnabled && !this.shakeSubscription) {
+      this.shakeSubscription = RNShake.addListener(() => {
+        this.onShake();
+      });
+    } else if (!shakeEnabled && this.shakeSubscription) {
+      this.shakeSubscription.remove();
+      this.shakeSubscription = null;
+      this.shakeTimes = [];
+    }
+    
+    if (volumeEnabled && !this.volumeSubscription) {
+      this.lastVolume = null;
+      this.volumeSubscription = VolumeManager.addVolumeListener(result => this._onVolumeChange(result));
+      VolumeManager.getVolume()
+        .then(result => {
+          if (this.lastVolume === null) this.lastVolume = result.volume;
+        })
+        .catch(error => console.error('Error getting volume:', error));
+    } else if (!volumeEnabled && this.volumeSubscription) {
+      this.volumeSubscription.remove();
+      this.volumeSubscription = null;
+      this.volumePresses = [];
+    }
+  }
+  
+  // Load the saved trigger policy
+  async _loadTriggerPolicy() {
+    try {
+      const saved = await databaseService.getSetting(TRIGGER_POLICY_SETTING, null);
+      if (saved) {
+        this.triggerPolicy = { ...DEFAULT_TRIGGER_POLICY, ...saved };
+        this._applyTriggerPolicy();
+      }
+    } catch (error) {
+      console.error('Error loading SOS trigger policy:', error);
+    }
+  }
+  
+  // Turn a volume change into a button press
+  // Only the volume level is reported, so a press at full or zero volume
+  // that doesn't change it goes unseen; sequences that alternate up and
+  // down keep away from both ends.
+  _onVolumeChange(result) {
+    const volume = result.volume;
+    const previous = this.lastVolume;
+    this.lastVolume = volume;
+    
+    if (previous === null || volume === previous) return;
+    this.onVolumePress(volume > previous ? 'up' : 'down');
+  }
+  
+  // Record an SOS trigger or cancel in the audit log
+  _audit(event, trigger, details = {}, sosId = null) {
+    databaseService.addSOSAuditEntry({ event, trigger, sosId, details }).catch(error => {
+      console.error('Error writing SOS audit log:', error);
+    });
+  }
+  
   // Get user information for notification
   async _getUserInfoForNotification() {
     if (!firebaseService.isSignedIn()) {
@@ -236,41 +849,6 @@ class SOSService {
     }
   }
   
-  // Send SOS push notification to nearby hikers
-  async _sendSOSPushNotification(userData, location, message) {
-    if (!firebaseService.isSignedIn() || !userData) {
-      return false;
-    }
-    
-    try {
-      // This would typically involve a cloud function or backend service
-      // to send push notifications to all nearby users
-      
-      // In a full implementation, you would:
-      // 1. Query for nearby users with their FCM tokens
-      // 2. Send notifications to those tokens
-      
-      // For demonstration purposes, we'll use Firebase messaging to 
-      // record the SOS event in Firestore under the 'sos' collection
-      const sosData = {
-        userId: userData.userId,
-        displayName: userData.displayName,
-        location: location,
-        message: message,
-        timestamp: new Date().toISOString(),
-        status: 'active'
-      };
-      
-      // This will be picked up by our Firebase functions (in a real implementation)
-      await firebaseService.saveSOSEvent(sosData);
-      
-      return true;
-    } catch (error) {
-      console.error('Error sending SOS push notification:', error);
-      return false;
-    }
-  }
-
   // Trigger haptic feedback
   triggerHapticFeedback(type) {
     if (Platform.OS !== 'web') {
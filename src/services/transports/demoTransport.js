@@ -0,0 +1,503 @@
+import { requestBluetoothPermissions } from '../../utils/permissions';
+import cryptoService from '../cryptoService';
+import locationService from '../locationService';
+import { generateMessageId } from '../../utils/messageId';
+import { encodeEnvelope, EnvelopeDecoder, DEFAULT_MTU, CODEC_VERSION } from '../../utils/envelopeCodec';
+import {
+  MESSAGE_TYPES,
+  DELIVERY_STATUS,
+  CONNECTION_STATE,
+  PRESENCE_STATUS,
+  SOS_STATUS,
+  DEFAULT_TTL,
+  PRESENCE_TTL,
+  getSignedFields,
+} from '../../utils/meshProtocol';
+
+const PRESENCE_INTERVAL = 30000; // Demo peers advertise themselves every 30 seconds
+const ACTIVITIES = ['still', 'walking', 'on_foot', 'running']; // BackgroundGeolocation activity types
+const RESPONDER_SPEED = 1.2; // Meters per second a demo peer walks to an SOS
+const RESPONDER_SETUP_TIME = 5 * 60 * 1000; // Packing up before setting out
+
+/**
+ * DemoTransport - Transport that invents nearby hikers for the demo app
+ *
+ * Discovers a few random peers, loses one of them after a while and has
+ * each peer answer what it receives. This is what the app runs until the
+ * Bridgefy SDK transport is wired in; tests should use the scriptable
+ * MeshSimulator instead, which is deterministic.
+ *
+ * Transports implement initialize(), start(node), stop(), connect(peerId),
+ * disconnect(peerId) and send(peerId, frame); see bridgefyService.
+ */
+class DemoTransport {
+  constructor() {
+    this.node = null;
+    this.isStarted = false;
+    this.peers = new Map(); // peerId -> discovered peer
+    this.connectedPeerIds = new Set();
+    this.peerKeys = new Map(); // peerId -> encryption and signing key pairs
+    this.peerStates = new Map(); // peerId -> simulated position, battery and activity
+    this.beaconTimers = new Map(); // peerId -> presence beacon interval
+    this.decoder = new EnvelopeDecoder(); // Reassembles the frames we are sent
+  }
+
+  /**
+   * Request the permissions the radio needs
+   * @returns {Promise<boolean>} - Whether the transport can be used
+   */
+  async initialize() {
+    return requestBluetoothPermissions();
+  }
+
+  /**
+   * Start discovering demo peers
+   * @param {Object} node - Local node ({ userId, onPeerDiscovered, onPeerLost, onFrameReceived, ... })
+   */
+  async start(node) {
+    this.node = node;
+    this.isStarted = true;
+    this._simulatePeerDiscovery();
+  }
+
+  /**
+   * Stop the transport and forget all demo peers
+   */
+  async stop() {
+    this.isStarted = false;
+    this.beaconTimers.forEach(timer => clearInterval(timer));
+    this.beaconTimers.clear();
+    this.peers.clear();
+    this.connectedPeerIds.clear();
+    this.peerKeys.clear();
+    this.peerStates.clear();
+  }
+
+  /**
+   * Connect to a demo peer
+   * @param {string} peerId - Peer ID
+   * @returns {Promise<boolean>} - Whether the connection was established
+   */
+  async connect(peerId) {
+    // Simulate connection process
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        if (!this.isStarted || !this.peers.has(peerId)) {
+          resolve(false);
+          return;
+        }
+
+        this.connectedPeerIds.add(peerId);
+        resolve(true);
+      }, 1000);
+    });
+  }
+
+  /**
+   * Disconnect from a demo peer
+   * @param {string} peerId - Peer ID
+   */
+  async disconnect(peerId) {
+    this.connectedPeerIds.delete(peerId);
+  }
+
+  /**
+   * Send a frame to a connected demo peer
+   * @param {string} peerId - Peer ID
+   * @param {Uint8Array} frame - Frame to send
+   * @returns {boolean} - Whether the frame was handed to the peer
+   */
+  send(peerId, frame) {
+    if (!this.connectedPeerIds.has(peerId)) return false;
+
+    // Simulate message delivery delay with slight variation
+    const delay = 500 + Math.random() * 500;
+    setTimeout(() => {
+      try {
+        const envelope = this.decoder.receive(peerId, frame);
+        if (envelope) {
+          this._simulateMessageDelivery(peerId, envelope);
+        }
+      } catch (error) {
+        console.error(`Demo peer ${peerId} could not decode frame:`, error);
+      }
+    }, delay);
+
+    return true;
+  }
+
+  /**
+   * Check whether a demo peer can still talk to us
+   * @param {string} peerId - Peer ID
+   * @returns {boolean} - Whether the peer is connected
+   * @private
+   */
+  _isConnected(peerId) {
+    return this.isStarted && this.connectedPeerIds.has(peerId);
+  }
+
+  /**
+   * Send an envelope from a demo peer to the local node
+   * @param {string} peerId - Demo peer ID
+   * @param {Object} envelope - Envelope the peer sends
+   * @private
+   */
+  _deliverFromPeer(peerId, envelope) {
+    encodeEnvelope(envelope, DEFAULT_MTU).forEach(frame => {
+      this.node.onFrameReceived(peerId, frame);
+    });
+  }
+
+  /**
+   * Build a signed envelope from a demo peer addressed to the local node
+   * @param {string} peerId - Demo peer ID
+   * @param {Object} message - Message fields (type, content, ...)
+   * @returns {Object} - Signed envelope
+   * @private
+   */
+  _createPeerEnvelope(peerId, message) {
+    const signing = this.peerKeys.get(peerId).signing;
+    const envelope = {
+      senderId: peerId,
+      senderName: this.peers.get(peerId).name,
+      timestamp: new Date().toISOString(),
+      messageId: generateMessageId(),
+      originId: peerId,
+      recipientId: this.node.userId,
+      isBroadcast: false,
+      ttl: DEFAULT_TTL,
+      hopCount: 0,
+      ...message,
+    };
+
+    return {
+      ...envelope,
+      signingKey: signing.publicKey,
+      signature: cryptoService.sign(getSignedFields(envelope), signing.secretKey),
+    };
+  }
+
+  /**
+   * Simulate peer discovery process
+   * @private
+   */
+  _simulatePeerDiscovery() {
+    if (!this.isStarted) return;
+
+    console.log('Simulating peer discovery...');
+
+    // Simulate discovery of 2-5 peers
+    const peerCount = Math.floor(Math.random() * 4) + 2;
+    const discoveryInterval = setInterval(() => {
+      if (!this.isStarted) {
+        clearInterval(discoveryInterval);
+        return;
+      }
+
+      // Generate random peer
+      const peerId = `peer_${Math.floor(Math.random() * 1000000)}`;
+      const peer = {
+        id: peerId,
+        name: `Hiker ${Math.floor(Math.random() * 100)}`,
+        connectionState: CONNECTION_STATE.DISCONNECTED,
+        discoveredAt: new Date().toISOString(),
+        rssi: -45 - Math.floor(Math.random() * 50), // -45 to -94 dBm
+        profileInfo: {
+          hikeExperience: ['beginner', 'intermediate', 'advanced'][Math.floor(Math.random() * 3)],
+        },
+      };
+
+      // Give the demo peer its own encryption and identity keys
+      this.peerKeys.set(peerId, {
+        encryption: cryptoService.generateKeyPair(),
+        signing: cryptoService.generateSigningKeyPair(),
+      });
+
+      this.peers.set(peerId, peer);
+      this.node.onPeerDiscovered(peer);
+      this._simulatePresenceBeacons(peerId);
+
+      if (this.peers.size >= peerCount) {
+        clearInterval(discoveryInterval);
+
+        // Simulate peer loss after some time
+        setTimeout(() => {
+          if (!this.isStarted) return;
+
+          // Randomly select a peer to lose
+          const peerIds = Array.from(this.peers.keys());
+          if (peerIds.length > 0) {
+            const randomPeerId = peerIds[Math.floor(Math.random() * peerIds.length)];
+
+            clearInterval(this.beaconTimers.get(randomPeerId));
+            this.beaconTimers.delete(randomPeerId);
+            this.peers.delete(randomPeerId);
+            this.connectedPeerIds.delete(randomPeerId);
+            this.node.onPeerLost(randomPeerId);
+          }
+        }, 30000); // Simulate peer loss after 30 seconds
+      }
+    }, 5000); // Discover a new peer every 5 seconds
+  }
+
+  /**
+   * Simulate a demo peer advertising its presence
+   * Beacons are heard whether or not we are connected to the peer, like
+   * BLE advertisements.
+   * @param {string} peerId - Demo peer ID
+   * @private
+   */
+  _simulatePresenceBeacons(peerId) {
+    // Place the peer up to about 500m away from us, walking slowly
+    this.peerStates.set(peerId, {
+      latOffset: (Math.random() * 0.01) - 0.005,
+      lonOffset: (Math.random() * 0.01) - 0.005,
+      batteryLevel: 0.2 + Math.random() * 0.8,
+      activity: ACTIVITIES[Math.floor(Math.random() * ACTIVITIES.length)],
+    });
+
+    const sendBeacon = () => {
+      const state = this.peerStates.get(peerId);
+      if (!this.isStarted || !state) return;
+
+      if (state.activity !== 'still') {
+        state.latOffset += (Math.random() * 0.0004) - 0.0002;
+        state.lonOffset += (Math.random() * 0.0004) - 0.0002;
+      }
+      state.batteryLevel = Math.max(0.05, state.batteryLevel - 0.002);
+
+      // Without a fix of our own there is nothing to place the peer near
+      const location = locationService.currentLocation;
+      const lastFix = location ? {
+        latitude: location.latitude + state.latOffset,
+        longitude: location.longitude + state.lonOffset,
+        accuracy: 10 + Math.round(Math.random() * 20),
+        timestamp: new Date().toISOString(),
+      } : null;
+
+      this._deliverFromPeer(peerId, this._createPeerEnvelope(peerId, {
+        type: MESSAGE_TYPES.PRESENCE,
+        content: {
+          displayName: this.peers.get(peerId).name,
+          status: state.batteryLevel < 0.1 ? PRESENCE_STATUS.NEEDS_HELP : PRESENCE_STATUS.OK,
+          battery: {
+            level: state.batteryLevel,
+            isCharging: false,
+          },
+          lastFix,
+          heading: Math.floor(Math.random() * 360),
+          activity: state.activity,
+          trackingMode: 'standard',
+        },
+        recipientId: null,
+        isBroadcast: true,
+        ttl: PRESENCE_TTL,
+      }));
+    };
+
+    setTimeout(sendBeacon, 1000);
+    this.beaconTimers.set(peerId, setInterval(sendBeacon, PRESENCE_INTERVAL));
+  }
+
+  /**
+   * Estimate when a demo peer walking to a position would get there
+   * @param {string} peerId - Demo peer ID
+   * @param {Object} target - Position to walk to ({ latitude, longitude })
+   * @returns {string} ISO timestamp of the arrival
+   * @private
+   */
+  _estimateArrival(peerId, target) {
+    const state = this.peerStates.get(peerId);
+    const location = locationService.currentLocation;
+
+    // Demo peers are placed around our own position
+    let distance = 500;
+    if (state && location && target.latitude !== null && target.latitude !== undefined) {
+      distance = locationService.calculateDistance(
+        location.latitude + state.latOffset,
+        location.longitude + state.lonOffset,
+        target.latitude,
+        target.longitude
+      );
+    }
+
+    return new Date(Date.now() + RESPONDER_SETUP_TIME + (distance / RESPONDER_SPEED) * 1000).toISOString();
+  }
+
+  /**
+   * Simulate a demo peer answering an envelope we sent it
+   * @param {string} peerId - Demo peer ID
+   * @param {Object} message - Envelope the peer received
+   * @private
+   */
+  _simulateMessageDelivery(peerId, message) {
+    if (!this._isConnected(peerId)) return;
+
+    // Demo peers only answer envelopes addressed to them
+    if (!message.isBroadcast && message.recipientId !== peerId) return;
+
+    // Demo peers never reply to acknowledgements, pongs, presence beacons, live locations
+    // or SOS updates
+    if ([
+      MESSAGE_TYPES.ACK,
+      MESSAGE_TYPES.PONG,
+      MESSAGE_TYPES.PRESENCE,
+      MESSAGE_TYPES.LIVE_LOCATION,
+      MESSAGE_TYPES.SOS_UPDATE,
+    ].includes(message.type)) return;
+
+    const peerKeys = this.peerKeys.get(peerId);
+    if (!peerKeys) return;
+
+    // Simulate the peer answering a key exchange with its own public keys
+    if (message.type === MESSAGE_TYPES.KEY_EXCHANGE) {
+      if (message.content.isReply) return;
+
+      setTimeout(() => {
+        if (!this._isConnected(peerId)) return;
+
+        this._deliverFromPeer(peerId, this._createPeerEnvelope(peerId, {
+          type: MESSAGE_TYPES.KEY_EXCHANGE,
+          content: {
+            publicKey: peerKeys.encryption.publicKey,
+            signingKey: peerKeys.signing.publicKey,
+            codecVersion: CODEC_VERSION,
+            isReply: true,
+          },
+        }));
+      }, 300);
+      return;
+    }
+
+    // Simulate the peer answering a ping
+    if (message.type === MESSAGE_TYPES.PING) {
+      setTimeout(() => {
+        if (!this._isConnected(peerId)) return;
+
+        this._deliverFromPeer(peerId, this._createPeerEnvelope(peerId, {
+          type: MESSAGE_TYPES.PONG,
+          content: {
+            pingId: message.messageId,
+            hopCount: message.hopCount || 0,
+          },
+        }));
+      }, 50 + Math.random() * 250);
+      return;
+    }
+
+    // Demo peers only answer group messages for groups they belong to
+    if (message.groupId && !(message.groupMembers || []).includes(peerId)) return;
+
+    // Demo peers read trail channel posts without answering them
+    if (message.channelId) return;
+
+    // Simulate the peer decrypting the message with its own key
+    let content = message.content;
+    if (message.isEncrypted) {
+      try {
+        content = cryptoService.decrypt(message.content, cryptoService.getPublicKey(), peerKeys.encryption.secretKey);
+      } catch (error) {
+        console.error(`Demo peer ${peerId} could not decrypt message:`, error);
+        return;
+      }
+    }
+
+    // Simulate the peer acknowledging a message addressed to it
+    if (!message.isBroadcast) {
+      setTimeout(() => {
+        if (!this._isConnected(peerId)) return;
+
+        this._deliverFromPeer(peerId, this._createPeerEnvelope(peerId, {
+          type: MESSAGE_TYPES.ACK,
+          content: {
+            messageId: message.messageId,
+            status: DELIVERY_STATUS.DELIVERED,
+            receivedAt: new Date().toISOString(),
+          },
+        }));
+      }, 300);
+    }
+
+    // Simulate a response from the peer
+    setTimeout(() => {
+      if (!this._isConnected(peerId)) return;
+
+      // Generate a response based on the message type
+      let response;
+      switch (message.type) {
+        case MESSAGE_TYPES.TEXT:
+          response = {
+            type: MESSAGE_TYPES.TEXT,
+            content: `Thanks for your message: "${content}"`,
+            isResponse: true,
+          };
+          break;
+
+        case MESSAGE_TYPES.LOCATION:
+          // Simulate nearby location
+          const latOffset = (Math.random() * 0.01) - 0.005;
+          const lonOffset = (Math.random() * 0.01) - 0.005;
+          response = {
+            type: MESSAGE_TYPES.LOCATION,
+            content: {
+              latitude: content.latitude + latOffset,
+              longitude: content.longitude + lonOffset,
+              timestamp: new Date().toISOString(),
+            },
+            isResponse: true,
+          };
+          break;
+
+        case MESSAGE_TYPES.SOS:
+          // The peer sets out for the SOS, arriving at walking pace
+          response = {
+            type: MESSAGE_TYPES.SOS_UPDATE,
+            content: {
+              sosId: content.sosId || message.messageId,
+              status: SOS_STATUS.EN_ROUTE,
+              eta: this._estimateArrival(peerId, content),
+              timestamp: new Date().toISOString(),
+            },
+            isResponse: true,
+          };
+          break;
+
+        default:
+          response = {
+            type: MESSAGE_TYPES.STATUS,
+            content: {
+              status: 'received',
+              message: 'Message received',
+            },
+            isResponse: true,
+          };
+      }
+
+      // Answer encrypted messages in kind
+      if (message.isEncrypted) {
+        response.content = cryptoService.encrypt(response.content, cryptoService.getPublicKey(), peerKeys.encryption.secretKey);
+        response.isEncrypted = true;
+      }
+
+      // Address the response back to us, or to the group
+      if (message.groupId) {
+        response = {
+          ...response,
+          groupId: message.groupId,
+          groupName: message.groupName,
+          groupMembers: message.groupMembers,
+          recipientId: null,
+          isBroadcast: true,
+        };
+      }
+
+      response = this._createPeerEnvelope(peerId, response);
+
+      console.log(`Received response from peer ${response.senderName} (${peerId}):`, response);
+
+      this._deliverFromPeer(peerId, response);
+    }, 2000 + Math.random() * 3000); // Random delay between 2-5 seconds
+  }
+}
+
+export default DemoTransport;
@@ -0,0 +1,332 @@
+import bridgefyService from './bridgefyService';
+import firebaseService from './firebaseService';
+import databaseService from './databaseService';
+import messagingService from './messagingService';
+import { generateMessageId } from '../utils/messageId';
+
+// State of a trip plan
+export const TRIP_STATUS = {
+  PLANNED: 'planned', // Written down, check-ins not started yet
+  ACTIVE: 'active', // Checking in on time
+  OVERDUE: 'overdue', // Missed a check-in, prompting the hiker
+  ESCALATED: 'escalated', // Contacts have been alerted
+  COMPLETED: 'completed',
+};
+
+// Who a trip plan is shared with, and who is alerted when a check-in is missed
+export const CONTACT_TYPE = {
+  PEER: 'peer',
+  GROUP: 'group',
+};
+
+// Statuses of a trip that is under way
+const RUNNING_STATUSES = [TRIP_STATUS.ACTIVE, TRIP_STATUS.OVERDUE, TRIP_STATUS.ESCALATED];
+
+// Limits on what goes into an SOS, which has to fit through the mesh
+const MAX_SOS_WAYPOINTS = 20;
+const MAX_SOS_TEXT_LENGTH = 200;
+
+export const DEFAULT_CHECK_IN_INTERVAL = 60 * 60 * 1000; // 1 hour
+export const DEFAULT_GRACE_PERIOD = 15 * 60 * 1000; // 15 minutes to answer a missed check-in prompt
+
+const DEFAULT_TRIP_DURATION = 4 * 60 * 60 * 1000; // 4 hours
+
+/**
+ * Service for trip plans
+ * A trip plan records where a hiker intends to go: trailhead, route,
+ * party, vehicle, gear and expected times. Plans are stored locally and
+ * in the cloud, can be shared with contacts, and a summary of the current
+ * plan goes with every SOS so responders know the intended route.
+ * Check-ins against a plan are run by checkInService.
+ */
+class TripPlanService {
+  constructor() {
+    this.isInitialized = false;
+    this.plans = new Map(); // planId -> plan, the same object everywhere it is used
+    this.planListeners = [];
+
+    // Bindings
+    this.getSOSSummary = this.getSOSSummary.bind(this);
+  }
+
+  /**
+   * Load stored trip plans
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.isInitialized) {
+      return true;
+    }
+
+    try {
+      const plans = await databaseService.getTripPlans();
+      plans.forEach(plan => this.plans.set(plan.id, plan));
+
+      this.isInitialized = true;
+      bridgefyService.setTripPlanProvider(this.getSOSSummary);
+      return true;
+    } catch (error) {
+      console.error('Error initializing trip plans:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Create or update a trip plan
+   * Changes are stored locally first and then sent to the cloud; offline
+   * they are synced with the messages once we are back online.
+   * @param {Object} changes - Plan fields to set, with the plan ID to update an existing plan
+   * @returns {Promise<Object>} The saved plan
+   */
+  async savePlan(changes) {
+    const existing = changes.id ? this.plans.get(changes.id) : null;
+    if (changes.id && !existing) {
+      throw new Error(`Trip plan ${changes.id} not found`);
+    }
+
+    const defaults = {
+      id: generateMessageId(),
+      name: null,
+      status: TRIP_STATUS.PLANNED,
+      contacts: [],
+      trailhead: null,
+      route: null,
+      partyMembers: [],
+      vehicle: null,
+      gear: null,
+      sharedWith: [],
+      startedAt: new Date().toISOString(),
+      expectedReturnAt: new Date(Date.now() + DEFAULT_TRIP_DURATION).toISOString(),
+      checkInInterval: DEFAULT_CHECK_IN_INTERVAL,
+      gracePeriod: DEFAULT_GRACE_PERIOD,
+      lastCheckInAt: null,
+      nextCheckInAt: null,
+      promptedAt: null,
+      escalatedAt: null,
+      escalationAttempts: 0,
+      endedAt: null,
+    };
+    const base = existing || defaults;
+    const updated = { ...base, ...changes, id: base.id };
+
+    if (new Date(updated.expectedReturnAt).getTime() <= new Date(updated.startedAt).getTime()) {
+      throw new Error('Expected return time must be after the start time');
+    }
+
+    // A plan that hasn't started is due for its first check-in one interval after it starts
+    if (updated.status === TRIP_STATUS.PLANNED) {
+      updated.nextCheckInAt = new Date(
+        new Date(updated.startedAt).getTime() + updated.checkInInterval
+      ).toISOString();
+    }
+
+    // Update in place, so services holding the plan see the change
+    const plan = existing ? Object.assign(existing, updated) : updated;
+
+    this.plans.set(plan.id, plan);
+    await this._storePlan(plan);
+    this._notifyPlanListeners();
+
+    return plan;
+  }
+
+  /**
+   * Get a trip plan
+   * @param {string} planId - Trip plan ID
+   * @returns {Object|null} Trip plan or null
+   */
+  getPlan(planId) {
+    return this.plans.get(planId) || null;
+  }
+
+  /**
+   * Get all trip plans
+   * @returns {Array} Trip plans, latest start first
+   */
+  getPlans() {
+    return Array.from(this.plans.values())
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+  }
+
+  /**
+   * Get the trip plan that is under way
+   * @returns {Object|null} Running trip plan or null
+   */
+  getRunningPlan() {
+    return this.getPlans().find(plan => RUNNING_STATUSES.includes(plan.status)) || null;
+  }
+
+  /**
+   * Get the trip plan that describes where we are now
+   * That is the trip under way, or else the plan for a trip that should
+   * have started but hasn't been ended or returned from yet.
+   * @returns {Object|null} Trip plan or null
+   */
+  getCurrentPlan() {
+    const running = this.getRunningPlan();
+    if (running) return running;
+
+    const now = Date.now();
+    return this.getPlans().find(plan =>
+      plan.status === TRIP_STATUS.PLANNED &&
+      new Date(plan.startedAt).getTime() <= now &&
+      new Date(plan.expectedReturnAt).getTime() > now
+    ) || null;
+  }
+
+  /**
+   * Share a trip plan with contacts
+   * Each contact gets a message describing the plan, and is allowed to read
+   * it in the cloud.
+   * @param {string} planId - Trip plan ID
+   * @param {Array} contacts - Contacts ({ type: CONTACT_TYPE value, id, name })
+   * @returns {Promise<Array>} IDs of the contacts the plan was sent to
+   */
+  async sharePlan(planId, contacts) {
+    const plan = this.plans.get(planId);
+    if (!plan) {
+      throw new Error(`Trip plan ${planId} not found`);
+    }
+
+    const text = this.formatPlan(plan);
+    const sentIds = [];
+
+    for (const contact of contacts) {
+      try {
+        // Queued in the outbox if it can't be delivered now
+        if (contact.type === CONTACT_TYPE.GROUP) {
+          await messagingService.sendGroupMessage(contact.id, text);
+        } else {
+          await messagingService.sendTextMessage(contact.id, text);
+        }
+        sentIds.push(contact.id);
+      } catch (error) {
+        console.error(`Error sharing trip plan with ${contact.id}:`, error);
+      }
+    }
+
+    const sharedWith = [
+      ...plan.sharedWith.filter(shared => !sentIds.includes(shared.id)),
+      ...contacts
+        .filter(contact => sentIds.includes(contact.id))
+        .map(contact => ({ type: contact.type, id: contact.id, name: contact.name || null })),
+    ];
+    await this.savePlan({ id: plan.id, sharedWith });
+
+    return sentIds;
+  }
+
+  /**
+   * Describe a trip plan in a few lines of text
+   * @param {Object} plan - Trip plan
+   * @returns {string} Description
+   */
+  formatPlan(plan) {
+    const lines = [`Trip plan: ${plan.name || 'Hike'}`];
+
+    if (plan.trailhead) {
+      const position = plan.trailhead.latitude !== undefined && plan.trailhead.latitude !== null
+        ? ` (${plan.trailhead.latitude.toFixed(4)}, ${plan.trailhead.longitude.toFixed(4)})`
+        : '';
+      lines.push(`Trailhead: ${plan.trailhead.name || ''}${position}`);
+    }
+    if (plan.route?.description) {
+      lines.push(`Route: ${plan.route.description}`);
+    }
+    lines.push(`Start: ${new Date(plan.startedAt).toLocaleString()}`);
+    lines.push(`Back by: ${new Date(plan.expectedReturnAt).toLocaleString()}`);
+    if (plan.partyMembers.length > 0) {
+      lines.push(`Party: ${plan.partyMembers.join(', ')}`);
+    }
+    if (plan.vehicle) {
+      lines.push(`Vehicle: ${plan.vehicle}`);
+    }
+    if (plan.gear) {
+      lines.push(`Gear: ${plan.gear}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Get the summary of the current trip plan that goes with an SOS
+   * @returns {Object|null} Trip plan summary or null
+   */
+  getSOSSummary() {
+    const plan = this.getCurrentPlan();
+    if (!plan) return null;
+
+    const shorten = (text) => (text && text.length > MAX_SOS_TEXT_LENGTH
+      ? `${text.slice(0, MAX_SOS_TEXT_LENGTH - 3)}...`
+      : text || null);
+
+    return {
+      id: plan.id,
+      name: plan.name || null,
+      trailhead: plan.trailhead || null,
+      route: plan.route ? {
+        description: shorten(plan.route.description),
+        waypoints: (plan.route.waypoints || []).slice(0, MAX_SOS_WAYPOINTS).map(point => ({
+          latitude: point.latitude,
+          longitude: point.longitude,
+        })),
+      } : null,
+      partyMembers: plan.partyMembers,
+      vehicle: shorten(plan.vehicle),
+      gear: shorten(plan.gear),
+      startedAt: plan.startedAt,
+      expectedReturnAt: plan.expectedReturnAt,
+    };
+  }
+
+  /**
+   * Add a listener for changes to trip plans
+   * @param {Function} listener - Callback function(plans)
+   * @returns {Function} Function to remove listener
+   */
+  addPlanListener(listener) {
+    if (typeof listener !== 'function') return () => {};
+
+    this.planListeners.push(listener);
+    return () => {
+      this.planListeners = this.planListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Store a plan locally and, when online, in the cloud
+   * @param {Object} plan - Trip plan
+   * @private
+   */
+  async _storePlan(plan) {
+    await databaseService.saveTripPlan(plan, true);
+
+    if (messagingService.isOnline && firebaseService.isSignedIn()) {
+      try {
+        await firebaseService.saveTripPlan(plan);
+        await databaseService.updateTripPlanSyncStatus(plan.id, 'synced');
+      } catch (error) {
+        console.error('Error saving trip plan to Firebase:', error);
+      }
+    }
+  }
+
+  /**
+   * Notify all plan listeners of the trip plans
+   * @private
+   */
+  _notifyPlanListeners() {
+    const plans = this.getPlans();
+
+    this.planListeners.forEach(listener => {
+      try {
+        listener(plans);
+      } catch (error) {
+        console.error('Error in trip plan listener:', error);
+      }
+    });
+  }
+}
+
+// Export as singleton
+export default new TripPlanService();
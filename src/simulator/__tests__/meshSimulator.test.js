@@ -0,0 +1,243 @@
+import { MeshSimulator } from '../meshSimulator';
+import ridgeSos from '../scenarios/ridgeSos.json';
+import { MESSAGE_TYPES, DELIVERY_STATUS, VERIFICATION_STATUS } from '../../services/bridgefyService';
+import { encodeEnvelope, CODEC_VERSION } from '../../utils/envelopeCodec';
+
+// About 70m of latitude: neighbours in a chain hear each other, but not the node after
+const SPACING = 0.00063;
+
+// Perfect links, so only range, partitions and the scenario decide who hears whom
+const RADIO = { range: 100, latency: 40, jitter: 20, packetLoss: 0, quality: 1 };
+
+const chainScenario = (length, overrides = {}) => ({
+  seed: 7,
+  duration: 20000,
+  radio: RADIO,
+  nodes: Array.from({ length }, (_, i) => ({
+    id: `n${i}`,
+    name: `Hiker ${i}`,
+    position: { latitude: 46.5 + i * SPACING, longitude: 8.0 },
+  })),
+  ...overrides,
+});
+
+// Start a scenario and record what every node receives
+const startSimulator = async (scenario) => {
+  const simulator = new MeshSimulator(scenario);
+  await simulator.start();
+
+  const received = [];
+  scenario.nodes.forEach(({ id }) => {
+    simulator.getService(id).onMessageReceived((peerId, message) => {
+      received.push({ node: id, time: simulator.now, from: peerId, message });
+    });
+  });
+
+  return { simulator, received };
+};
+
+const receivedBy = (received, type) => received
+  .filter(({ message }) => message.type === type)
+  .map(({ node }) => node);
+
+describe('MeshSimulator', () => {
+  let simulator;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (simulator) {
+      await simulator.stop();
+      simulator = null;
+    }
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('relays an SOS over several hops with its signature intact', async () => {
+    let received;
+    ({ simulator, received } = await startSimulator(chainScenario(4, {
+      events: [{ at: 2000, node: 'n0', action: 'sendSOS', message: 'Twisted ankle' }],
+    })));
+
+    await simulator.run();
+
+    const sos = received.filter(({ message }) => message.type === MESSAGE_TYPES.SOS);
+    expect(sos.map(({ node }) => node)).toEqual(['n1', 'n2', 'n3']);
+    sos.forEach(({ node, message }) => {
+      expect(message.originId).toBe('n0');
+      expect(message.hopCount).toBe(Number(node.slice(1)) - 1);
+      expect([VERIFICATION_STATUS.VERIFIED, VERIFICATION_STATUS.UNVERIFIED]).toContain(message.verification);
+    });
+  });
+
+  test('stops relaying when the TTL runs out', async () => {
+    let received;
+    ({ simulator, received } = await startSimulator(chainScenario(8, {
+      events: [{ at: 2000, node: 'n0', action: 'broadcast', content: 'Trail closed at the pass' }],
+    })));
+
+    await simulator.run();
+
+    expect(receivedBy(received, MESSAGE_TYPES.TEXT)).toEqual(['n1', 'n2', 'n3', 'n4', 'n5']);
+    expect(simulator.getService('n5').getDiagnostics().relayQueue).toHaveLength(0);
+  });
+
+  test('stores an SOS and forwards it when a hiker comes into range', async () => {
+    let received;
+    ({ simulator, received } = await startSimulator({
+      seed: 3,
+      duration: 60000,
+      radio: RADIO,
+      nodes: [
+        { id: 'alice', position: { latitude: 46.5, longitude: 8.0 } },
+        { id: 'bob', position: { latitude: 46.5003, longitude: 8.0 } },
+        {
+          id: 'carol',
+          route: [
+            { at: 0, latitude: 46.51, longitude: 8.0 },
+            { at: 40000, latitude: 46.5009, longitude: 8.0 },
+          ],
+        },
+      ],
+      events: [{ at: 5000, node: 'alice', action: 'sendSOS', message: 'Fell on the scree' }],
+    }));
+
+    await simulator.advance(10000);
+    expect(receivedBy(received, MESSAGE_TYPES.SOS)).toEqual(['bob']);
+    expect(simulator.getService('bob').getDiagnostics().relayQueue).toHaveLength(1);
+
+    await simulator.run();
+
+    const atCarol = received.find(({ node, message }) => node === 'carol' && message.type === MESSAGE_TYPES.SOS);
+    expect(atCarol).toBeDefined();
+    expect(atCarol.from).toBe('alice');
+    expect(atCarol.time).toBeGreaterThan(30000);
+    expect(simulator.getService('bob').getDiagnostics().relayQueue).toHaveLength(0);
+  });
+
+  test('holds messages across a partition until it heals', async () => {
+    let received;
+    ({ simulator, received } = await startSimulator(chainScenario(3, {
+      duration: 30000,
+      partitions: [{ from: 3000, to: 15000, groups: [['n0', 'n1'], ['n2']] }],
+      events: [{ at: 5000, node: 'n0', action: 'sendSOS', message: 'Lost the trail' }],
+    })));
+
+    await simulator.advance(14000);
+    expect(receivedBy(received, MESSAGE_TYPES.SOS)).toEqual(['n1']);
+
+    await simulator.run();
+    expect(receivedBy(received, MESSAGE_TYPES.SOS)).toEqual(['n1', 'n2']);
+  });
+
+  test('drops every frame on a link with total packet loss', async () => {
+    let received;
+    ({ simulator, received } = await startSimulator(chainScenario(2, {
+      links: [{ nodes: ['n0', 'n1'], packetLoss: 1 }],
+      events: [{ at: 2000, node: 'n0', action: 'broadcast', content: 'Anyone there?' }],
+    })));
+
+    await simulator.run();
+
+    expect(received).toHaveLength(0);
+    expect(simulator.getTrace().length).toBeGreaterThan(0);
+    expect(simulator.getTrace().every(entry => entry.dropped)).toBe(true);
+  });
+
+  test('gives the same result every run of a scenario', async () => {
+    const runScenario = async () => {
+      // Envelope timestamps come from the system clock, which would change their size
+      jest.useFakeTimers({ now: Date.parse(ridgeSos.startTime) });
+      const run = await startSimulator(ridgeSos);
+      await run.simulator.run();
+      await run.simulator.stop();
+      jest.useRealTimers();
+
+      return {
+        trace: run.simulator.getTrace(),
+        received: run.received.map(({ node, time, message }) => `${time}:${node}:${message.type}`),
+      };
+    };
+
+    const first = await runScenario();
+    const second = await runScenario();
+
+    expect(first.trace.some(entry => entry.dropped)).toBe(true);
+    expect(second).toEqual(first);
+  });
+
+  test('neighbours agree on the newest wire format', async () => {
+    ({ simulator } = await startSimulator(chainScenario(2)));
+
+    await simulator.advance(2000);
+
+    expect(simulator.getService('n0').peerCodecVersions.get('n1')).toBe(CODEC_VERSION);
+    expect(simulator.getService('n1').peerCodecVersions.get('n0')).toBe(CODEC_VERSION);
+  });
+
+  test('drops an SOS forged in the name of a known hiker', async () => {
+    let received;
+    ({ simulator, received } = await startSimulator(chainScenario(2, {
+      events: [{ at: 2000, node: 'n0', action: 'broadcast', content: 'Hi' }],
+    })));
+
+    await simulator.advance(5000);
+    const n1 = simulator.getService('n1');
+    expect(n1.getPeerSigningKey('n0')).toBeTruthy();
+
+    const [frame] = encodeEnvelope({
+      type: MESSAGE_TYPES.SOS,
+      content: { message: 'Send everyone to the wrong valley', latitude: 46.6, longitude: 8.1 },
+      messageId: 'forged-sos',
+      originId: 'n0',
+      senderId: 'n0',
+      senderName: 'Hiker 0',
+      isBroadcast: true,
+      isEmergency: true,
+      timestamp: new Date().toISOString(),
+      ttl: 5,
+      hopCount: 0,
+    });
+    simulator.nodes.get('n1').transport.node.onFrameReceived('n0', frame);
+
+    expect(receivedBy(received, MESSAGE_TYPES.SOS)).toEqual([]);
+    expect(n1.getDiagnostics().recentErrors.map(error => error.code)).toContain('verification_error');
+  });
+
+  test('only takes signed acknowledgements that a message arrived or was read', async () => {
+    ({ simulator } = await startSimulator(chainScenario(2, {
+      events: [{ at: 2000, node: 'n1', action: 'broadcast', content: 'Hi' }],
+    })));
+    await simulator.advance(5000);
+
+    const n0 = simulator.getService('n0');
+    const n1 = simulator.getService('n1');
+    const statuses = [];
+    n0.onDeliveryStatusChanged((messageId, status, peerId) => statuses.push(`${messageId}:${status}:${peerId}`));
+
+    const deliver = (envelope) => encodeEnvelope(envelope).forEach(frame => {
+      simulator.nodes.get('n0').transport.node.onFrameReceived('n1', frame);
+    });
+    const ack = (messageId, status) => n1._createEnvelope({
+      type: MESSAGE_TYPES.ACK,
+      content: { messageId, status, receivedAt: new Date().toISOString() },
+    }, 'n0');
+
+    deliver(ack('m1', DELIVERY_STATUS.FAILED));
+    deliver(ack('m2', 'anything'));
+    deliver({
+      ...ack('m3', DELIVERY_STATUS.DELIVERED),
+      originId: 'n7',
+      senderId: 'n7',
+      signature: undefined,
+      signingKey: undefined,
+    });
+    deliver(ack('m4', DELIVERY_STATUS.READ));
+
+    expect(statuses).toEqual(['m4:read:n1']);
+  });
+});
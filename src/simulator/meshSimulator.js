@@ -0,0 +1,566 @@
+import { BridgefyService, MESSAGE_TYPES } from '../services/bridgefyService';
+import { CryptoService } from '../services/cryptoService';
+import locationService from '../services/locationService';
+import SimulatedTransport from './simulatedTransport';
+import { createSeededRandom } from '../utils/seededRandom';
+import { RSSI_AT_ONE_METER, PATH_LOSS_EXPONENT } from '../utils/meshProtocol';
+
+// Radio defaults, overridable for the whole scenario and per link
+const DEFAULT_RADIO = {
+  range: 100, // Meters
+  latency: 40, // Milliseconds per frame
+  jitter: 20, // Up to this many extra milliseconds per frame
+  packetLoss: 0, // Chance a frame is dropped, before link quality
+  autoConnect: true, // Connect nodes as soon as they come into range
+};
+
+const DEFAULT_TICK_INTERVAL = 1000; // How often positions and links are re-evaluated
+const DEFAULT_START_TIME = '2024-06-01T08:00:00.000Z';
+
+/**
+ * Create a key store that keeps device keys in memory
+ * @returns {Object} - Key store for CryptoService
+ */
+const createMemoryKeyStore = () => {
+  const keys = new Map();
+
+  return {
+    getDeviceKey: async (name) => keys.get(name) || null,
+    saveDeviceKey: async (name, publicKey, secretKey) => {
+      keys.set(name, { name, public_key: publicKey, secret_key: secretKey });
+    },
+  };
+};
+
+/**
+ * Get the key of an unordered pair of node IDs
+ * @param {string} a - Node ID
+ * @param {string} b - Node ID
+ * @returns {string} - Pair key
+ */
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/**
+ * MeshSimulator - In-process mesh of BridgefyService nodes
+ *
+ * Runs a scenario on a virtual clock: nothing happens until advance() is
+ * called, and every random choice (packet loss, jitter) comes from a
+ * generator seeded by the scenario, so the same scenario always delivers
+ * and drops the same frames at the same virtual times. Each node is a full
+ * BridgefyService with its own keys, talking through a SimulatedTransport.
+ *
+ * Scenario format:
+ * {
+ *   seed: 42,
+ *   startTime: '2024-06-01T08:00:00.000Z', // Wall time at virtual time 0
+ *   duration: 60000, // Virtual milliseconds run() covers
+ *   tickInterval: 1000,
+ *   radio: { range, latency, jitter, packetLoss, autoConnect },
+ *   nodes: [
+ *     { id: 'alice', name: 'Alice', position: { latitude, longitude } },
+ *     { id: 'bob', route: [{ at: 0, latitude, longitude }, { at: 30000, latitude, longitude }] },
+ *   ],
+ *   links: [
+ *     // Overrides for one pair; quality (0-1) replaces the distance based quality
+ *     { nodes: ['alice', 'bob'], quality: 0.5, packetLoss, latency, jitter, range },
+ *   ],
+ *   partitions: [
+ *     // Between from and to, nodes only reach nodes in their own group;
+ *     // nodes in no group reach nobody
+ *     { from: 20000, to: 40000, groups: [['alice', 'bob'], ['carol']] },
+ *   ],
+ *   events: [
+ *     { at: 5000, node: 'alice', action: 'sendSOS', message: 'Twisted ankle' },
+ *     { at: 8000, node: 'bob', action: 'sendMessage', to: 'alice', content: 'Coming' },
+ *     { at: 9000, node: 'bob', action: 'broadcast', content: 'Trail closed' },
+ *     { at: 9500, node: 'bob', action: 'sendLocation' },
+ *     { at: 10000, node: 'carol', action: 'stop' }, // and 'start'
+ *   ],
+ * }
+ */
+export class MeshSimulator {
+  /**
+   * @param {Object} scenario - Scenario description (see above)
+   */
+  constructor(scenario) {
+    this.scenario = scenario;
+    this.radio = { ...DEFAULT_RADIO, ...(scenario.radio || {}) };
+    this.random = createSeededRandom(scenario.seed !== undefined ? scenario.seed : 1);
+    this.startTime = Date.parse(scenario.startTime || DEFAULT_START_TIME);
+    this.tickInterval = scenario.tickInterval || DEFAULT_TICK_INTERVAL;
+
+    this.now = 0; // Virtual milliseconds since the scenario started
+    this.queue = []; // Scheduled work, ordered by time then sequence
+    this.sequence = 0;
+    this.nodes = new Map(); // nodeId -> { config, service, transport }
+    this.links = new Set(); // Pairs of nodes that can hear each other
+    this.connections = new Set(); // Pairs of nodes that are connected
+    this.trace = []; // Every frame sent and what became of it
+    this.actionLog = []; // Every scenario event run and its result
+  }
+
+  /**
+   * Create and start every node, then discover the initial links
+   * @returns {Promise<void>}
+   */
+  async start() {
+    for (const config of this.scenario.nodes) {
+      const crypto = new CryptoService(createMemoryKeyStore());
+      const transport = new SimulatedTransport(this, config.id);
+      const service = new BridgefyService({
+        transport,
+        crypto,
+        location: this._createLocation(config.id),
+        userId: config.id,
+      });
+
+      this.nodes.set(config.id, { config, service, transport });
+
+      await crypto.initialize();
+      await service.initialize('simulated_api_key');
+      await service.start({ username: config.name || config.id });
+    }
+
+    (this.scenario.events || []).forEach(event => {
+      this._schedule(event.at, () => this._runEvent(event));
+    });
+
+    await this._tick();
+  }
+
+  /**
+   * Stop every node and drop all scheduled work
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.queue = [];
+
+    for (const { service } of this.nodes.values()) {
+      await service.stop();
+    }
+  }
+
+  /**
+   * Run the scenario for some virtual time
+   * @param {number} ms - Virtual milliseconds to run
+   * @returns {Promise<void>}
+   */
+  async advance(ms) {
+    const until = this.now + ms;
+
+    while (this.queue.length > 0 && this.queue[0].at <= until) {
+      const task = this.queue.shift();
+      this.now = task.at;
+      await task.run();
+    }
+
+    this.now = until;
+  }
+
+  /**
+   * Run the scenario to the end of its duration
+   * @returns {Promise<void>}
+   */
+  async run() {
+    await this.advance(Math.max(0, (this.scenario.duration || 0) - this.now));
+  }
+
+  /**
+   * Get the BridgefyService of a node
+   * @param {string} nodeId - Scenario node ID
+   * @returns {BridgefyService} - The node's service
+   */
+  getService(nodeId) {
+    return this._getNode(nodeId).service;
+  }
+
+  /**
+   * Get the current virtual wall time
+   * @returns {string} - ISO timestamp
+   */
+  getTime() {
+    return new Date(this.startTime + this.now).toISOString();
+  }
+
+  /**
+   * Get the position of a node at the current virtual time
+   * Nodes with a route move in straight lines between its waypoints.
+   * @param {string} nodeId - Scenario node ID
+   * @returns {Object} - { latitude, longitude }
+   */
+  getPosition(nodeId) {
+    const { route, position } = this._getNode(nodeId).config;
+    if (!route || route.length === 0) {
+      return position;
+    }
+
+    if (this.now <= route[0].at) {
+      return route[0];
+    }
+
+    for (let i = 1; i < route.length; i++) {
+      const next = route[i];
+      if (this.now <= next.at) {
+        const previous = route[i - 1];
+        const progress = (this.now - previous.at) / (next.at - previous.at);
+        return {
+          latitude: previous.latitude + (next.latitude - previous.latitude) * progress,
+          longitude: previous.longitude + (next.longitude - previous.longitude) * progress,
+        };
+      }
+    }
+
+    return route[route.length - 1];
+  }
+
+  /**
+   * Check whether two nodes are connected
+   * @param {string} a - Node ID
+   * @param {string} b - Node ID
+   * @returns {boolean} - Whether frames can currently be sent between them
+   */
+  isConnected(a, b) {
+    return this.connections.has(pairKey(a, b));
+  }
+
+  /**
+   * Get every frame sent so far
+   * @returns {Array} - Entries of { time, from, to, bytes, dropped }
+   */
+  getTrace() {
+    return [...this.trace];
+  }
+
+  /**
+   * Connect two nodes on behalf of a transport
+   * @param {string} fromId - Node opening the connection
+   * @param {string} toId - Node being connected to
+   * @returns {boolean} - Whether the nodes are in range
+   * @private
+   */
+  _connect(fromId, toId) {
+    if (!this._canReach(fromId, toId)) return false;
+
+    this.connections.add(pairKey(fromId, toId));
+    this._getNode(toId).transport.node.onPeerConnected(fromId);
+    return true;
+  }
+
+  /**
+   * Disconnect two nodes on behalf of a transport
+   * @param {string} fromId - Node closing the connection
+   * @param {string} toId - Other node
+   * @private
+   */
+  _disconnect(fromId, toId) {
+    if (!this.connections.delete(pairKey(fromId, toId))) return;
+
+    const { transport } = this._getNode(toId);
+    if (transport.node) {
+      transport.node.onPeerDisconnected(fromId);
+    }
+  }
+
+  /**
+   * Drop every link of a node whose transport stopped
+   * @param {string} nodeId - Stopped node
+   * @private
+   */
+  _detach(nodeId) {
+    this.nodes.forEach((other, otherId) => {
+      const key = pairKey(nodeId, otherId);
+      if (!this.links.has(key)) return;
+
+      this.links.delete(key);
+      this.connections.delete(key);
+      if (other.transport.node) {
+        other.transport.node.onPeerLost(nodeId);
+      }
+    });
+  }
+
+  /**
+   * Send a frame on behalf of a transport
+   * Whether the frame is lost and how long it takes are decided now, from
+   * the seeded generator, so runs are reproducible.
+   * @param {string} fromId - Sending node
+   * @param {string} toId - Receiving node
+   * @param {Uint8Array} frame - Frame to send
+   * @returns {boolean} - Whether the nodes are connected
+   * @private
+   */
+  _send(fromId, toId, frame) {
+    const key = pairKey(fromId, toId);
+    if (!this.connections.has(key)) return false;
+
+    const link = this._getLinkSettings(fromId, toId);
+    const deliveryChance = (1 - link.packetLoss) * this._getLinkQuality(fromId, toId);
+    const dropped = this.random() >= deliveryChance;
+    const delay = link.latency + link.jitter * this.random();
+
+    this.trace.push({ time: this.now, from: fromId, to: toId, bytes: frame.length, dropped });
+
+    if (!dropped) {
+      this._schedule(this.now + delay, () => {
+        // The link may have gone down while the frame was in the air
+        const { transport } = this._getNode(toId);
+        if (this.connections.has(key) && transport.node) {
+          transport.node.onFrameReceived(fromId, frame);
+        }
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Re-evaluate positions and links, then schedule the next tick
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _tick() {
+    await this._updateLinks();
+    this._schedule(this.now + this.tickInterval, () => this._tick());
+  }
+
+  /**
+   * Report nodes coming into and going out of range of each other
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _updateLinks() {
+    const nodeIds = Array.from(this.nodes.keys());
+    const connecting = [];
+
+    for (let i = 0; i < nodeIds.length; i++) {
+      for (let j = i + 1; j < nodeIds.length; j++) {
+        const a = nodeIds[i];
+        const b = nodeIds[j];
+        const key = pairKey(a, b);
+        const canReach = this._canReach(a, b);
+
+        if (canReach) {
+          // Report both ways; repeat reports update the signal strength
+          this._reportPeer(a, b);
+          this._reportPeer(b, a);
+
+          if (!this.links.has(key)) {
+            this.links.add(key);
+            if (this.radio.autoConnect) {
+              connecting.push(this._getNode(a).service.connectToPeer(b));
+            }
+          }
+        } else if (this.links.has(key)) {
+          this.links.delete(key);
+          this.connections.delete(key);
+
+          [[a, b], [b, a]].forEach(([nodeId, lostId]) => {
+            const { transport } = this._getNode(nodeId);
+            if (transport.node) {
+              transport.node.onPeerLost(lostId);
+            }
+          });
+        }
+      }
+    }
+
+    await Promise.all(connecting);
+  }
+
+  /**
+   * Tell a node about a neighbour in range
+   * @param {string} nodeId - Node to tell
+   * @param {string} peerId - Neighbour
+   * @private
+   */
+  _reportPeer(nodeId, peerId) {
+    const peerConfig = this._getNode(peerId).config;
+    const distance = Math.max(1, this._getDistance(nodeId, peerId));
+
+    this._getNode(nodeId).transport.node.onPeerDiscovered({
+      id: peerId,
+      name: peerConfig.name || peerId,
+      rssi: Math.round(RSSI_AT_ONE_METER - 10 * PATH_LOSS_EXPONENT * Math.log10(distance)),
+    });
+  }
+
+  /**
+   * Check whether two running nodes can hear each other right now
+   * @param {string} a - Node ID
+   * @param {string} b - Node ID
+   * @returns {boolean} - Whether they are in range and not partitioned
+   * @private
+   */
+  _canReach(a, b) {
+    if (!this._getNode(a).transport.node || !this._getNode(b).transport.node) {
+      return false;
+    }
+
+    if (this._isPartitioned(a, b)) {
+      return false;
+    }
+
+    return this._getDistance(a, b) <= this._getLinkSettings(a, b).range;
+  }
+
+  /**
+   * Check whether an active partition separates two nodes
+   * @param {string} a - Node ID
+   * @param {string} b - Node ID
+   * @returns {boolean} - Whether the nodes are partitioned
+   * @private
+   */
+  _isPartitioned(a, b) {
+    return (this.scenario.partitions || []).some(partition => {
+      if (this.now < partition.from || this.now >= partition.to) return false;
+
+      const groupA = partition.groups.findIndex(group => group.includes(a));
+      const groupB = partition.groups.findIndex(group => group.includes(b));
+      return groupA === -1 || groupB === -1 || groupA !== groupB;
+    });
+  }
+
+  /**
+   * Get the radio settings of a pair of nodes
+   * @param {string} a - Node ID
+   * @param {string} b - Node ID
+   * @returns {Object} - Scenario radio settings with any link overrides
+   * @private
+   */
+  _getLinkSettings(a, b) {
+    const override = (this.scenario.links || []).find(link =>
+      link.nodes.includes(a) && link.nodes.includes(b)
+    );
+
+    return { ...this.radio, ...(override || {}) };
+  }
+
+  /**
+   * Get the chance that a frame survives a link, before packet loss
+   * Unless the scenario fixes it, quality is perfect up to half the range
+   * and falls to one half at the edge of range.
+   * @param {string} a - Node ID
+   * @param {string} b - Node ID
+   * @returns {number} - Quality between 0 and 1
+   * @private
+   */
+  _getLinkQuality(a, b) {
+    const link = this._getLinkSettings(a, b);
+    if (link.quality !== undefined) {
+      return link.quality;
+    }
+
+    const distance = this._getDistance(a, b);
+    if (distance <= link.range / 2) {
+      return 1;
+    }
+
+    return Math.max(0, 1 - (distance - link.range / 2) / link.range);
+  }
+
+  /**
+   * Get the distance between two nodes
+   * @param {string} a - Node ID
+   * @param {string} b - Node ID
+   * @returns {number} - Distance in meters
+   * @private
+   */
+  _getDistance(a, b) {
+    const positionA = this.getPosition(a);
+    const positionB = this.getPosition(b);
+
+    return locationService.calculateDistance(
+      positionA.latitude,
+      positionA.longitude,
+      positionB.latitude,
+      positionB.longitude
+    );
+  }
+
+  /**
+   * Create the location service a node sees
+   * @param {string} nodeId - Scenario node ID
+   * @returns {Object} - Location service reporting the node's simulated position
+   * @private
+   */
+  _createLocation(nodeId) {
+    const getLocation = () => ({
+      ...this.getPosition(nodeId),
+      altitude: null,
+      accuracy: 5,
+      timestamp: this.getTime(),
+    });
+
+    return {
+      get currentLocation() {
+        return getLocation();
+      },
+      getCurrentLocation: async () => getLocation(),
+      calculateDistance: (...args) => locationService.calculateDistance(...args),
+    };
+  }
+
+  /**
+   * Run a scripted scenario event
+   * @param {Object} event - Scenario event
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runEvent(event) {
+    const { config, service } = this._getNode(event.node);
+    let result;
+
+    switch (event.action) {
+      case 'sendMessage':
+        result = await service.sendMessage(event.to, { type: MESSAGE_TYPES.TEXT, content: event.content });
+        break;
+      case 'broadcast':
+        result = await service.broadcastMessage({ type: MESSAGE_TYPES.TEXT, content: event.content });
+        break;
+      case 'sendSOS':
+        result = await service.sendSOS(event.message);
+        break;
+      case 'sendLocation':
+        result = await service.sendLocationUpdate(!!event.isEmergency);
+        break;
+      case 'stop':
+        result = await service.stop();
+        break;
+      case 'start':
+        result = await service.start({ username: config.name || config.id });
+        break;
+      default:
+        throw new Error(`Unknown scenario action: ${event.action}`);
+    }
+
+    this.actionLog.push({ time: this.now, node: event.node, action: event.action, result });
+  }
+
+  /**
+   * Schedule work at a virtual time
+   * @param {number} at - Virtual time in milliseconds
+   * @param {Function} run - Work to do; may return a promise
+   * @private
+   */
+  _schedule(at, run) {
+    this.queue.push({ at, sequence: this.sequence++, run });
+    this.queue.sort((a, b) => a.at - b.at || a.sequence - b.sequence);
+  }
+
+  /**
+   * Get a node by ID
+   * @param {string} nodeId - Scenario node ID
+   * @returns {Object} - { config, service, transport }
+   * @private
+   */
+  _getNode(nodeId) {
+    const node = this.nodes.get(nodeId);
+    if (!node) {
+      throw new Error(`Unknown scenario node: ${nodeId}`);
+    }
+
+    return node;
+  }
+}
+
+export default MeshSimulator;
@@ -0,0 +1,70 @@
+/**
+ * SimulatedTransport - Transport of one node in a MeshSimulator
+ *
+ * Frames are handed to the simulator, which decides from the scenario
+ * whether, when and to whom they arrive.
+ */
+class SimulatedTransport {
+  /**
+   * @param {MeshSimulator} simulator - Simulator the node lives in
+   * @param {string} nodeId - Scenario node ID
+   */
+  constructor(simulator, nodeId) {
+    this.simulator = simulator;
+    this.nodeId = nodeId;
+    this.node = null;
+  }
+
+  /**
+   * Simulated radios need no permissions
+   * @returns {Promise<boolean>} - Always true
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Attach the node; neighbours are discovered on the next simulator tick
+   * @param {Object} node - Local node callbacks, see bridgefyService
+   */
+  async start(node) {
+    this.node = node;
+  }
+
+  /**
+   * Detach the node, dropping its links
+   */
+  async stop() {
+    this.node = null;
+    this.simulator._detach(this.nodeId);
+  }
+
+  /**
+   * Connect to a node in range
+   * @param {string} peerId - Peer node ID
+   * @returns {Promise<boolean>} - Whether the connection was established
+   */
+  async connect(peerId) {
+    return this.simulator._connect(this.nodeId, peerId);
+  }
+
+  /**
+   * Close the connection to a node
+   * @param {string} peerId - Peer node ID
+   */
+  async disconnect(peerId) {
+    this.simulator._disconnect(this.nodeId, peerId);
+  }
+
+  /**
+   * Send a frame over a connection
+   * @param {string} peerId - Peer node ID
+   * @param {Uint8Array} frame - Frame to send
+   * @returns {boolean} - Whether the frame was handed to the radio
+   */
+  send(peerId, frame) {
+    return this.simulator._send(this.nodeId, peerId, frame);
+  }
+}
+
+export default SimulatedTransport;
@@ -0,0 +1,248 @@
+import naclUtil from 'tweetnacl-util';
+import {
+  encodeEnvelope,
+  encodeBody,
+  decodeBody,
+  EnvelopeDecoder,
+  CODEC_VERSION,
+  MIN_CODEC_VERSION,
+  DEFAULT_MTU,
+} from '../envelopeCodec';
+import { MESSAGE_TYPES, SOS_STATUS, DELIVERY_STATUS } from '../meshProtocol';
+
+const base64 = (length, seed) => naclUtil.encodeBase64(Uint8Array.from({ length }, (_, i) => (i * 7 + seed) & 0xff));
+
+const asText = (bytes) => Buffer.from(bytes).toString('latin1');
+
+const baseEnvelope = (type, content, extra = {}) => ({
+  type,
+  content,
+  messageId: '3f2b8c1e-9a4d-4e6f-8b7a-1c2d3e4f5a6b',
+  hlc: '1760880000000:0003:user_123456',
+  originId: 'user_123456',
+  senderId: 'user_123456',
+  senderName: 'Alice',
+  recipientId: null,
+  isBroadcast: true,
+  isEncrypted: false,
+  isEmergency: false,
+  timestamp: '2026-10-19T14:30:05.123Z',
+  ttl: 5,
+  hopCount: 0,
+  signingKey: base64(32, 1),
+  signature: base64(64, 2),
+  ...extra,
+});
+
+// One realistic envelope for every message type
+const ENVELOPES = {
+  [MESSAGE_TYPES.TEXT]: baseEnvelope(MESSAGE_TYPES.TEXT, { nonce: base64(24, 3), ciphertext: base64(40, 4) }, {
+    recipientId: 'user_654321',
+    isBroadcast: false,
+    isEncrypted: true,
+  }),
+  [MESSAGE_TYPES.LOCATION]: baseEnvelope(MESSAGE_TYPES.LOCATION, {
+    latitude: 46.55812,
+    longitude: 8.5612345,
+    altitude: 2145.5,
+    accuracy: 12,
+    timestamp: '2026-10-19T14:30:00.000Z',
+  }),
+  [MESSAGE_TYPES.SOS]: baseEnvelope(MESSAGE_TYPES.SOS, {
+    sosId: 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d',
+    message: 'Fell on the scree below the ridge, ankle broken',
+    latitude: 46.55812,
+    longitude: 8.5612345,
+    track: [
+      { latitude: 46.558, longitude: 8.561, timestamp: '2026-10-19T14:20:00.000Z' },
+      { latitude: 46.5581, longitude: 8.5612, timestamp: '2026-10-19T14:25:00.000Z' },
+    ],
+    tripPlan: { name: 'Ridge loop', expectedReturnAt: '2026-10-19T18:00:00.000Z' },
+    medical: { bloodType: 'O-', allergies: 'Penicillin' },
+  }, { isEmergency: true }),
+  [MESSAGE_TYPES.STATUS]: baseEnvelope(MESSAGE_TYPES.STATUS, { status: 'ok', message: 'Made it to the hut' }),
+  [MESSAGE_TYPES.ACK]: baseEnvelope(MESSAGE_TYPES.ACK, {
+    messageId: '9e8d7c6b-5a4f-4e3d-8c2b-1a0f9e8d7c6b',
+    status: DELIVERY_STATUS.DELIVERED,
+    receivedAt: '2026-10-19T14:30:06.000Z',
+  }, { recipientId: 'user_654321', isBroadcast: false }),
+  [MESSAGE_TYPES.KEY_EXCHANGE]: baseEnvelope(MESSAGE_TYPES.KEY_EXCHANGE, {
+    publicKey: base64(32, 5),
+    signingKey: base64(32, 1),
+    codecVersion: CODEC_VERSION,
+    isReply: false,
+  }, { recipientId: 'user_654321', isBroadcast: false }),
+  [MESSAGE_TYPES.CHANNEL]: baseEnvelope(MESSAGE_TYPES.CHANNEL, { message: 'Bridge at the second ford is out' }, {
+    channelId: 'trail_conditions',
+    channelRadius: 10000,
+    channelOrigin: { latitude: 46.5, longitude: 8.5 },
+  }),
+  [MESSAGE_TYPES.PING]: baseEnvelope(MESSAGE_TYPES.PING, { pingId: 'p1', sentAt: 1760880005123 }, {
+    recipientId: 'user_654321',
+    isBroadcast: false,
+  }),
+  [MESSAGE_TYPES.PONG]: baseEnvelope(MESSAGE_TYPES.PONG, { pingId: 'p1', sentAt: 1760880005123, hopCount: 2 }, {
+    recipientId: 'user_654321',
+    isBroadcast: false,
+  }),
+  [MESSAGE_TYPES.PRESENCE]: baseEnvelope(MESSAGE_TYPES.PRESENCE, {
+    status: 'needs_help',
+    displayName: 'Alice',
+    battery: { level: 0.42, isCharging: false },
+    lastFix: { latitude: 46.55812, longitude: 8.5612345, accuracy: 8, timestamp: '2026-10-19T14:29:00.000Z' },
+    firebaseUid: 'Xy12AbCdEf',
+  }, { ttl: 2 }),
+  [MESSAGE_TYPES.LIVE_LOCATION]: baseEnvelope(MESSAGE_TYPES.LIVE_LOCATION, {
+    sessionId: 'c0ffee00-1234-4abc-9def-0123456789ab',
+    action: 'update',
+    latitude: 46.55812,
+    longitude: 8.5612345,
+    heading: 270,
+    expiresAt: '2026-10-19T16:30:05.123Z',
+  }, { recipientId: 'user_654321', isBroadcast: false }),
+  [MESSAGE_TYPES.SOS_UPDATE]: baseEnvelope(MESSAGE_TYPES.SOS_UPDATE, {
+    sosId: 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d',
+    status: SOS_STATUS.EN_ROUTE,
+    eta: '2026-10-19T15:10:00.000Z',
+    ownerId: 'user_654321',
+  }),
+};
+
+const decodeFrames = (frames, decoder = new EnvelopeDecoder()) => {
+  let envelope = null;
+  frames.forEach(frame => {
+    envelope = decoder.receive('peer', frame);
+  });
+  return envelope;
+};
+
+describe('envelopeCodec', () => {
+  test('has an envelope for every message type', () => {
+    expect(Object.keys(ENVELOPES).sort()).toEqual(Object.values(MESSAGE_TYPES).sort());
+  });
+
+  describe.each(Object.keys(ENVELOPES))('%s envelope', (type) => {
+    const envelope = ENVELOPES[type];
+
+    test.each([MIN_CODEC_VERSION, CODEC_VERSION])('round trips in version %i', (version) => {
+      expect(decodeBody(encodeBody(envelope, version), version)).toEqual(envelope);
+      expect(decodeFrames(encodeEnvelope(envelope, DEFAULT_MTU, version))).toEqual(envelope);
+    });
+
+    test('is smaller than its JSON', () => {
+      expect(encodeBody(envelope).length).toBeLessThan(JSON.stringify(envelope).length);
+    });
+  });
+
+  test('keeps fields it has no short name for', () => {
+    const envelope = baseEnvelope(MESSAGE_TYPES.TEXT, { futureField: { nested: [1, 'two', null] } });
+    expect(decodeBody(encodeBody(envelope))).toEqual(envelope);
+  });
+
+  test('keeps values that only look like base64, UUIDs or timestamps', () => {
+    const envelope = baseEnvelope(MESSAGE_TYPES.TEXT, {
+      nonce: 'not base64!',
+      message: '2026-10-19T14:30:05Z',
+      id: '3F2B8C1E-9A4D-4E6F-8B7A-1C2D3E4F5A6B',
+      level: -0.1,
+      accuracy: 1e21,
+    });
+    expect(decodeBody(encodeBody(envelope))).toEqual(envelope);
+  });
+
+  describe('versions', () => {
+    test('frames start with the version they are written in', () => {
+      const [frame] = encodeEnvelope(ENVELOPES[MESSAGE_TYPES.STATUS], DEFAULT_MTU, MIN_CODEC_VERSION);
+      expect(frame[0]).toBe(MIN_CODEC_VERSION);
+      expect(encodeEnvelope(ENVELOPES[MESSAGE_TYPES.STATUS])[0][0]).toBe(CODEC_VERSION);
+    });
+
+    test('newer fields and types are written as text for older versions', () => {
+      const envelope = ENVELOPES[MESSAGE_TYPES.SOS_UPDATE];
+      const older = encodeBody(envelope, MIN_CODEC_VERSION);
+      const newer = encodeBody(envelope, CODEC_VERSION);
+
+      expect(older.length).toBeGreaterThan(newer.length);
+      expect(asText(older)).toContain('sos_update');
+      expect(asText(older)).toContain('ownerId');
+      expect(asText(newer)).not.toContain('sos_update');
+    });
+
+    test('rejects fields and types the version does not have', () => {
+      const body = encodeBody(ENVELOPES[MESSAGE_TYPES.SOS_UPDATE], CODEC_VERSION);
+      expect(() => decodeBody(body, MIN_CODEC_VERSION)).toThrow(/Unknown/);
+    });
+
+    test('rejects unknown versions', () => {
+      const [frame] = encodeEnvelope(ENVELOPES[MESSAGE_TYPES.STATUS]);
+      frame[0] = CODEC_VERSION + 1;
+      expect(() => new EnvelopeDecoder().receive('peer', frame)).toThrow(/Unsupported envelope version/);
+
+      frame[0] = 0;
+      expect(() => new EnvelopeDecoder().receive('peer', frame)).toThrow(/Unsupported envelope version/);
+      expect(() => encodeBody(ENVELOPES[MESSAGE_TYPES.STATUS], CODEC_VERSION + 1)).toThrow(/Unsupported/);
+    });
+  });
+
+  describe('fragmentation', () => {
+    const large = baseEnvelope(MESSAGE_TYPES.SOS, {
+      ...ENVELOPES[MESSAGE_TYPES.SOS].content,
+      message: 'Help! '.repeat(120),
+    }, { isEmergency: true });
+
+    test('splits envelopes larger than the MTU into frames that fit', () => {
+      const frames = encodeEnvelope(large, 64);
+      expect(frames.length).toBeGreaterThan(1);
+      frames.forEach(frame => expect(frame.length).toBeLessThanOrEqual(64));
+    });
+
+    test('reassembles fragments in any order, ignoring duplicates', () => {
+      const frames = encodeEnvelope(large, 64);
+      const decoder = new EnvelopeDecoder();
+      const shuffled = [...frames].reverse();
+
+      shuffled.slice(0, -1).forEach(frame => {
+        expect(decoder.receive('peer', frame)).toBeNull();
+        expect(decoder.receive('peer', frame)).toBeNull();
+      });
+      expect(decoder.receive('peer', shuffled[shuffled.length - 1])).toEqual(large);
+      expect(decoder.pending.size).toBe(0);
+    });
+
+    test('keeps fragments from different neighbours apart', () => {
+      const frames = encodeEnvelope(large, 64);
+      const decoder = new EnvelopeDecoder();
+
+      frames.slice(0, -1).forEach(frame => decoder.receive('alice', frame));
+      expect(decoder.receive('bob', frames[frames.length - 1])).toBeNull();
+      expect(decoder.receive('alice', frames[frames.length - 1])).toEqual(large);
+    });
+
+    test('drops fragment sets that never complete', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      const frames = encodeEnvelope(large, 64);
+      const decoder = new EnvelopeDecoder();
+
+      decoder.receive('peer', frames[0]);
+      now.mockReturnValue(61 * 1000);
+      decoder.receive('peer', encodeEnvelope(large, 64)[0]);
+      expect(decoder.pending.size).toBe(1);
+
+      now.mockRestore();
+    });
+
+    test('rejects an MTU too small for fragment headers', () => {
+      expect(() => encodeEnvelope(large, 8)).toThrow(/too small/);
+    });
+  });
+
+  test('rejects malformed frames', () => {
+    const decoder = new EnvelopeDecoder();
+    const body = encodeBody(ENVELOPES[MESSAGE_TYPES.STATUS]);
+
+    expect(() => decoder.receive('peer', new Uint8Array([CODEC_VERSION]))).toThrow(/too short/);
+    expect(() => decoder.receive('peer', Uint8Array.from([CODEC_VERSION, 9, 0]))).toThrow(/frame kind/);
+    expect(() => decodeBody(body.subarray(0, body.length - 3))).toThrow(/Unexpected end/);
+    expect(() => decodeBody(Uint8Array.from([...body, 0]))).toThrow(/Unexpected data/);
+  });
+});
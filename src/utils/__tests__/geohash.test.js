@@ -0,0 +1,68 @@
+import {
+  encodeGeohash,
+  decodeGeohash,
+  getGeohashNeighbors,
+  getGeohashesInRadius,
+  MAX_GEOHASH_PRECISION,
+} from '../geohash';
+
+const METERS_PER_DEGREE = 111320;
+
+// Move a coordinate by a distance and bearing, close enough for a few kilometres
+const offset = ({ latitude, longitude }, meters, bearingDegrees) => {
+  const bearing = (bearingDegrees * Math.PI) / 180;
+  return {
+    latitude: latitude + (meters * Math.cos(bearing)) / METERS_PER_DEGREE,
+    longitude: longitude + (meters * Math.sin(bearing)) / (METERS_PER_DEGREE * Math.cos((latitude * Math.PI) / 180)),
+  };
+};
+
+describe('geohash', () => {
+  test('encodes a known coordinate', () => {
+    expect(encodeGeohash(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+    expect(encodeGeohash(57.64911, 10.40744)).toHaveLength(MAX_GEOHASH_PRECISION);
+  });
+
+  test('decodes to a cell that contains the coordinate', () => {
+    const cell = decodeGeohash(encodeGeohash(46.55812, 8.5612345));
+
+    expect(Math.abs(cell.latitude - 46.55812)).toBeLessThanOrEqual(cell.latitudeError);
+    expect(Math.abs(cell.longitude - 8.5612345)).toBeLessThanOrEqual(cell.longitudeError);
+    expect(() => decodeGeohash('u4pa')).toThrow(/Invalid geohash character/);
+  });
+
+  test('finds the eight neighbours of a cell', () => {
+    // u4pru sits on the northern edge of u4pr, so its northern neighbours are in u4r2
+    expect(getGeohashNeighbors('u4pru').sort()).toEqual([
+      'u4pre', 'u4prg', 'u4prs', 'u4prt', 'u4prv', 'u4r25', 'u4r2h', 'u4r2j',
+    ]);
+  });
+
+  test('wraps neighbours around the antimeridian', () => {
+    const hash = encodeGeohash(0.1, 179.99, 4);
+    const east = encodeGeohash(0.1, -179.99, 4);
+
+    expect(getGeohashNeighbors(hash)).toContain(east);
+  });
+
+  test.each([
+    [46.5, 8.0, 500],
+    [46.5, 8.0, 10000],
+    [69.6, 18.9, 2000],
+    [-33.9, 18.4, 50000],
+  ])('covers every point within the radius around %f, %f (%i m)', (latitude, longitude, radius) => {
+    const cells = getGeohashesInRadius(latitude, longitude, radius);
+
+    for (let bearing = 0; bearing < 360; bearing += 15) {
+      const point = offset({ latitude, longitude }, radius * 0.99, bearing);
+      const hash = encodeGeohash(point.latitude, point.longitude);
+      expect(cells.some(cell => hash.startsWith(cell))).toBe(true);
+    }
+  });
+
+  test('uses the finest cells that still cover the radius', () => {
+    expect(getGeohashesInRadius(46.5, 8.0, 100)[0]).toHaveLength(7);
+    expect(getGeohashesInRadius(46.5, 8.0, 1000)[0]).toHaveLength(5);
+    expect(getGeohashesInRadius(46.5, 8.0, 10000)[0]).toHaveLength(4);
+  });
+});
@@ -0,0 +1,546 @@
+import naclUtil from 'tweetnacl-util';
+
+// Binary wire format for mesh envelopes
+// Envelopes are serialised as CBOR (RFC 8949) with a few size savings that
+// all decode back to exactly the original JSON values, so signatures still
+// verify: well-known field names and message types become small integers,
+// base64 keys and signatures become raw bytes, UUIDs become 16 bytes
+// (tag 37) and ISO timestamps become epoch times (tag 1). The encoded body
+// is split into frames that fit the link MTU, each starting with the codec
+// version so receivers can reject formats they don't understand.
+//
+// Each version fixes how much of the KEYS and TYPES tables it uses. Fields
+// and types past that are still sent, as text, so a neighbour running an
+// older version can read every envelope we send it; bridgefyService picks
+// the version per neighbour once it has learnt theirs.
+
+// Newest wire format version; frames of newer versions are rejected
+export const CODEC_VERSION = 2;
+
+// Oldest version still read and written, used until a neighbour's is known
+export const MIN_CODEC_VERSION = 1;
+
+// Largest frame handed to the radio (fits a BLE link with a 185 byte ATT MTU)
+export const DEFAULT_MTU = 180;
+
+// Frame layout
+const FRAME_SINGLE = 0; // [version, kind, ...body]
+const FRAME_FRAGMENT = 1; // [version, kind, setId (4 bytes), index, count, ...chunk]
+const SINGLE_HEADER_SIZE = 2;
+const FRAGMENT_HEADER_SIZE = 8;
+const MAX_FRAGMENTS = 255;
+
+// Reassembly limits
+const FRAGMENT_TTL = 60 * 1000; // Incomplete fragment sets are dropped after a minute
+const MAX_PENDING_SETS = 50;
+
+// Field names sent as small integers, in wire order (append only, and only
+// used as integers from the version that adds them to VERSION_TABLES)
+const KEYS = [
+  'type', 'content', 'messageId', 'hlc', 'originId', 'senderId', 'senderName',
+  'recipientId', 'isBroadcast', 'isEncrypted', 'isEmergency', 'timestamp', 'ttl',
+  'hopCount', 'signingKey', 'signature', 'groupId', 'groupName', 'groupMembers',
+  'channelId', 'channelRadius', 'channelOrigin', 'latitude', 'longitude',
+  'altitude', 'accuracy', 'message', 'status', 'nonce', 'ciphertext', 'publicKey',
+  'isReply', 'receivedAt', 'eta', 'isResponse', 'verification', 'pingId', 'sentAt',
+  'displayName', 'battery', 'level', 'isCharging', 'lastFix', 'heading', 'activity',
+  'trackingMode', 'firebaseUid', 'sessionId', 'action', 'expiresAt', 'targetType',
+  'track', 'reason', 'tripPlan', 'id', 'name', 'trailhead', 'route', 'waypoints',
+  'partyMembers', 'vehicle', 'gear', 'startedAt', 'expectedReturnAt', 'description',
+  'sosId', 'ownerId', 'ownerName', 'relayedBy', 'codecVersion',
+];
+
+// Message types sent as small integers, in wire order (same rules as KEYS)
+const TYPES = ['text', 'location', 'sos', 'status', 'ack', 'key_exchange', 'channel', 'ping', 'pong',
+  'presence', 'live_location', 'sos_update'];
+
+// How many KEYS and TYPES each version sends as integers
+const VERSION_TABLES = {
+  1: { keys: 36, types: 7 },
+  2: { keys: 70, types: 12 },
+};
+
+// Fields holding base64 that travel as raw bytes
+const BASE64_KEYS = new Set(['signingKey', 'signature', 'nonce', 'ciphertext', 'publicKey']);
+
+// CBOR major types, simple values and tags
+const MAJOR_UINT = 0;
+const MAJOR_NEGINT = 1;
+const MAJOR_BYTES = 2;
+const MAJOR_TEXT = 3;
+const MAJOR_ARRAY = 4;
+const MAJOR_MAP = 5;
+const MAJOR_TAG = 6;
+const MAJOR_SIMPLE = 7;
+const SIMPLE_FALSE = 0xf4;
+const SIMPLE_TRUE = 0xf5;
+const SIMPLE_NULL = 0xf6;
+const FLOAT32 = 0xfa;
+const FLOAT64 = 0xfb;
+const TAG_EPOCH_TIME = 1;
+const TAG_UUID = 37;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const ISO_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+// Check whether frames of a version can be read and written
+export const isSupportedVersion = (version) => !!VERSION_TABLES[version];
+
+// Encode an envelope into one or more frames no larger than the MTU
+export const encodeEnvelope = (envelope, mtu = DEFAULT_MTU, version = CODEC_VERSION) => {
+  const body = encodeBody(envelope, version);
+
+  if (body.length + SINGLE_HEADER_SIZE <= mtu) {
+    const frame = new Uint8Array(SINGLE_HEADER_SIZE + body.length);
+    frame[0] = version;
+    frame[1] = FRAME_SINGLE;
+    frame.set(body, SINGLE_HEADER_SIZE);
+    return [frame];
+  }
+
+  const chunkSize = mtu - FRAGMENT_HEADER_SIZE;
+  if (chunkSize <= 0) {
+    throw new Error(`MTU of ${mtu} bytes is too small for fragments`);
+  }
+
+  const count = Math.ceil(body.length / chunkSize);
+  if (count > MAX_FRAGMENTS) {
+    throw new Error(`Envelope of ${body.length} bytes needs more than ${MAX_FRAGMENTS} fragments`);
+  }
+
+  const setId = Math.floor(Math.random() * 0x100000000);
+  const frames = [];
+
+  for (let index = 0; index < count; index++) {
+    const chunk = body.subarray(index * chunkSize, (index + 1) * chunkSize);
+    const frame = new Uint8Array(FRAGMENT_HEADER_SIZE + chunk.length);
+    const view = new DataView(frame.buffer);
+
+    frame[0] = version;
+    frame[1] = FRAME_FRAGMENT;
+    view.setUint32(2, setId);
+    frame[6] = index;
+    frame[7] = count;
+    frame.set(chunk, FRAGMENT_HEADER_SIZE);
+    frames.push(frame);
+  }
+
+  return frames;
+};
+
+// Encode an envelope body without framing
+export const encodeBody = (envelope, version = CODEC_VERSION) => {
+  const tables = getVersionTables(version);
+  const compact = { ...envelope };
+  const typeIndex = TYPES.indexOf(envelope.type);
+  if (typeIndex >= 0 && typeIndex < tables.types) {
+    compact.type = typeIndex;
+  }
+
+  const writer = { out: [], keyCount: tables.keys };
+  writeValue(writer, compact, null);
+  return Uint8Array.from(writer.out);
+};
+
+// Decode an envelope body without framing
+export const decodeBody = (bytes, version = CODEC_VERSION) => {
+  const tables = getVersionTables(version);
+  const reader = {
+    bytes,
+    view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+    offset: 0,
+    keyCount: tables.keys,
+  };
+
+  const envelope = readValue(reader, null);
+  if (reader.offset !== bytes.length) {
+    throw new Error('Unexpected data after envelope');
+  }
+
+  if (!envelope || typeof envelope !== 'object' || Array.isArray(envelope)) {
+    throw new Error('Envelope is not a map');
+  }
+
+  if (typeof envelope.type === 'number') {
+    if (envelope.type >= tables.types) {
+      throw new Error(`Unknown message type ${envelope.type}`);
+    }
+    envelope.type = TYPES[envelope.type];
+  }
+
+  return envelope;
+};
+
+// Reassembles frames from each neighbour into envelopes
+export class EnvelopeDecoder {
+  constructor() {
+    this.pending = new Map(); // `${sourceId}:${setId}` -> fragment set
+  }
+
+  // Feed a received frame; returns the envelope once it is complete, or null
+  // while fragments are missing. Throws on unknown versions and bad frames.
+  receive(sourceId, frame) {
+    if (!frame || frame.length < SINGLE_HEADER_SIZE) {
+      throw new Error('Frame too short');
+    }
+
+    const version = frame[0];
+    if (!isSupportedVersion(version)) {
+      throw new Error(`Unsupported envelope version ${version}`);
+    }
+
+    if (frame[1] === FRAME_SINGLE) {
+      return decodeBody(frame.subarray(SINGLE_HEADER_SIZE), version);
+    }
+
+    if (frame[1] !== FRAME_FRAGMENT) {
+      throw new Error(`Unknown frame kind ${frame[1]}`);
+    }
+
+    if (frame.length <= FRAGMENT_HEADER_SIZE) {
+      throw new Error('Fragment too short');
+    }
+
+    const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+    const setId = view.getUint32(2);
+    const index = frame[6];
+    const count = frame[7];
+    if (count === 0 || index >= count) {
+      throw new Error(`Bad fragment ${index} of ${count}`);
+    }
+
+    const now = Date.now();
+    this._prune(now);
+
+    const setKey = `${sourceId}:${setId}`;
+    let set = this.pending.get(setKey);
+    if (!set) {
+      set = { version, count, chunks: new Array(count), received: 0, startedAt: now };
+      this.pending.set(setKey, set);
+
+      // Map keeps insertion order, so the first key is the oldest set
+      if (this.pending.size > MAX_PENDING_SETS) {
+        this.pending.delete(this.pending.keys().next().value);
+      }
+    }
+
+    if (set.count !== count || set.version !== version) {
+      this.pending.delete(setKey);
+      throw new Error(`Fragment mismatch in set ${setId}`);
+    }
+
+    // Duplicate fragments are ignored
+    if (!set.chunks[index]) {
+      set.chunks[index] = frame.slice(FRAGMENT_HEADER_SIZE);
+      set.received++;
+    }
+
+    if (set.received < set.count) {
+      return null;
+    }
+
+    this.pending.delete(setKey);
+
+    const length = set.chunks.reduce((total, chunk) => total + chunk.length, 0);
+    const body = new Uint8Array(length);
+    let offset = 0;
+    set.chunks.forEach(chunk => {
+      body.set(chunk, offset);
+      offset += chunk.length;
+    });
+
+    return decodeBody(body, version);
+  }
+
+  // Drop fragment sets that have waited too long for their missing pieces
+  _prune(now) {
+    this.pending.forEach((set, setKey) => {
+      if (now - set.startedAt > FRAGMENT_TTL) {
+        this.pending.delete(setKey);
+      }
+    });
+  }
+}
+
+const getVersionTables = (version) => {
+  const tables = VERSION_TABLES[version];
+  if (!tables) {
+    throw new Error(`Unsupported envelope version ${version}`);
+  }
+  return tables;
+};
+
+// Write a CBOR head: major type plus length or value
+const writeHead = (out, major, length) => {
+  const type = major << 5;
+
+  if (length < 24) {
+    out.push(type | length);
+  } else if (length < 0x100) {
+    out.push(type | 24, length);
+  } else if (length < 0x10000) {
+    out.push(type | 25, length >> 8, length & 0xff);
+  } else if (length < 0x100000000) {
+    out.push(type | 26, (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff);
+  } else {
+    const high = Math.floor(length / 0x100000000);
+    const low = length >>> 0;
+    out.push(
+      type | 27,
+      (high >>> 24) & 0xff, (high >>> 16) & 0xff, (high >>> 8) & 0xff, high & 0xff,
+      (low >>> 24) & 0xff, (low >>> 16) & 0xff, (low >>> 8) & 0xff, low & 0xff
+    );
+  }
+};
+
+const writeBytes = (out, bytes) => {
+  writeHead(out, MAJOR_BYTES, bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    out.push(bytes[i]);
+  }
+};
+
+const writeText = (out, text) => {
+  const bytes = naclUtil.decodeUTF8(text);
+  writeHead(out, MAJOR_TEXT, bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    out.push(bytes[i]);
+  }
+};
+
+const writeNumber = (out, value) => {
+  if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+    if (value >= 0) {
+      writeHead(out, MAJOR_UINT, value);
+    } else {
+      writeHead(out, MAJOR_NEGINT, -1 - value);
+    }
+    return;
+  }
+
+  // Use single precision only when it holds the value exactly
+  const view = new DataView(new ArrayBuffer(8));
+  if (Number.isNaN(value) || Math.fround(value) === value) {
+    view.setFloat32(0, value);
+    out.push(FLOAT32, ...new Uint8Array(view.buffer, 0, 4));
+  } else {
+    view.setFloat64(0, value);
+    out.push(FLOAT64, ...new Uint8Array(view.buffer));
+  }
+};
+
+const writeString = (out, value, key) => {
+  if (BASE64_KEYS.has(key) && isCanonicalBase64(value)) {
+    writeBytes(out, naclUtil.decodeBase64(value));
+  } else if (UUID_PATTERN.test(value)) {
+    writeHead(out, MAJOR_TAG, TAG_UUID);
+    writeBytes(out, uuidToBytes(value));
+  } else if (isCanonicalIsoTime(value)) {
+    writeHead(out, MAJOR_TAG, TAG_EPOCH_TIME);
+    writeNumber(out, Date.parse(value) / 1000);
+  } else {
+    writeText(out, value);
+  }
+};
+
+// Write any JSON value; `key` is the map key the value belongs to
+const writeValue = (writer, value, key) => {
+  const { out } = writer;
+
+  if (value === null || value === undefined) {
+    out.push(SIMPLE_NULL);
+  } else if (typeof value === 'boolean') {
+    out.push(value ? SIMPLE_TRUE : SIMPLE_FALSE);
+  } else if (typeof value === 'number') {
+    writeNumber(out, value);
+  } else if (typeof value === 'string') {
+    writeString(out, value, key);
+  } else if (value instanceof Uint8Array) {
+    writeBytes(out, value);
+  } else if (Array.isArray(value)) {
+    writeHead(out, MAJOR_ARRAY, value.length);
+    value.forEach(item => writeValue(writer, item, null));
+  } else if (typeof value === 'object') {
+    // Like JSON, leave out undefined fields
+    const keys = Object.keys(value).filter(name => value[name] !== undefined);
+    writeHead(out, MAJOR_MAP, keys.length);
+    keys.forEach(name => {
+      const keyIndex = KEYS.indexOf(name);
+      if (keyIndex >= 0 && keyIndex < writer.keyCount) {
+        writeHead(out, MAJOR_UINT, keyIndex);
+      } else {
+        writeText(out, name);
+      }
+      writeValue(writer, value[name], name);
+    });
+  } else {
+    throw new Error(`Cannot encode value of type ${typeof value}`);
+  }
+};
+
+const readByte = (reader) => {
+  if (reader.offset >= reader.bytes.length) {
+    throw new Error('Unexpected end of envelope');
+  }
+  return reader.bytes[reader.offset++];
+};
+
+const readSlice = (reader, length) => {
+  if (reader.offset + length > reader.bytes.length) {
+    throw new Error('Unexpected end of envelope');
+  }
+  const slice = reader.bytes.slice(reader.offset, reader.offset + length);
+  reader.offset += length;
+  return slice;
+};
+
+const readLength = (reader, info) => {
+  if (info < 24) return info;
+
+  let size;
+  if (info === 24) size = 1;
+  else if (info === 25) size = 2;
+  else if (info === 26) size = 4;
+  else if (info === 27) size = 8;
+  else throw new Error(`Unsupported length encoding ${info}`);
+
+  let length = 0;
+  for (let i = 0; i < size; i++) {
+    length = length * 0x100 + readByte(reader);
+  }
+
+  if (!Number.isSafeInteger(length)) {
+    throw new Error('Length out of range');
+  }
+  return length;
+};
+
+// Read any value; `key` is the map key the value belongs to
+const readValue = (reader, key) => {
+  const initial = readByte(reader);
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (major === MAJOR_SIMPLE) {
+    if (initial === SIMPLE_FALSE) return false;
+    if (initial === SIMPLE_TRUE) return true;
+    if (initial === SIMPLE_NULL) return null;
+
+    if (initial === FLOAT32 || initial === FLOAT64) {
+      const size = initial === FLOAT32 ? 4 : 8;
+      if (reader.offset + size > reader.bytes.length) {
+        throw new Error('Unexpected end of envelope');
+      }
+      const value = size === 4
+        ? reader.view.getFloat32(reader.offset)
+        : reader.view.getFloat64(reader.offset);
+      reader.offset += size;
+      return value;
+    }
+
+    throw new Error(`Unsupported simple value ${initial}`);
+  }
+
+  const length = readLength(reader, info);
+
+  switch (major) {
+    case MAJOR_UINT:
+      return length;
+
+    case MAJOR_NEGINT:
+      return -1 - length;
+
+    case MAJOR_BYTES: {
+      const bytes = readSlice(reader, length);
+      return BASE64_KEYS.has(key) ? naclUtil.encodeBase64(bytes) : bytes;
+    }
+
+    case MAJOR_TEXT:
+      return naclUtil.encodeUTF8(readSlice(reader, length));
+
+    case MAJOR_ARRAY: {
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        items.push(readValue(reader, null));
+      }
+      return items;
+    }
+
+    case MAJOR_MAP: {
+      const map = {};
+      for (let i = 0; i < length; i++) {
+        const name = readKey(reader);
+        map[name] = readValue(reader, name);
+      }
+      return map;
+    }
+
+    case MAJOR_TAG: {
+      if (length === TAG_UUID) {
+        const bytes = readValue(reader, null);
+        if (!(bytes instanceof Uint8Array) || bytes.length !== 16) {
+          throw new Error('Malformed UUID');
+        }
+        return bytesToUuid(bytes);
+      }
+
+      if (length === TAG_EPOCH_TIME) {
+        const seconds = readValue(reader, null);
+        if (typeof seconds !== 'number') {
+          throw new Error('Malformed epoch time');
+        }
+        return new Date(Math.round(seconds * 1000)).toISOString();
+      }
+
+      throw new Error(`Unsupported tag ${length}`);
+    }
+
+    default:
+      throw new Error(`Unsupported major type ${major}`);
+  }
+};
+
+const readKey = (reader) => {
+  const key = readValue(reader, null);
+
+  if (typeof key === 'number') {
+    if (!Number.isInteger(key) || key < 0 || key >= reader.keyCount) {
+      throw new Error(`Unknown field ${key}`);
+    }
+    return KEYS[key];
+  }
+
+  if (typeof key !== 'string') {
+    throw new Error('Malformed field name');
+  }
+  return key;
+};
+
+const isCanonicalBase64 = (value) => {
+  try {
+    return naclUtil.encodeBase64(naclUtil.decodeBase64(value)) === value;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isCanonicalIsoTime = (value) => {
+  if (!ISO_TIME_PATTERN.test(value)) return false;
+
+  const time = Date.parse(value);
+  return !Number.isNaN(time) && new Date(time).toISOString() === value;
+};
+
+const uuidToBytes = (uuid) => {
+  const hex = uuid.replace(/-/g, '');
+  const bytes = new Uint8Array(16);
+  for (let i = 0; i < 16; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+const bytesToUuid = (bytes) => {
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
@@ -0,0 +1,128 @@
+// Geohash helpers for storing and looking up positions by area
+// A geohash names a lat/lon cell; every extra character narrows the cell,
+// so nearby positions share a prefix and can be found with range queries.
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const METERS_PER_DEGREE = 111320;
+export const MAX_GEOHASH_PRECISION = 9; // Cells of roughly 5m x 5m
+
+// Encode a coordinate as a geohash
+export const encodeGeohash = (latitude, longitude, precision = MAX_GEOHASH_PRECISION) => {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let isLongitude = true;
+
+  while (hash.length < precision) {
+    const range = isLongitude ? lonRange : latRange;
+    const value = isLongitude ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    isLongitude = !isLongitude;
+    if (++bitCount === 5) {
+      hash += BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+};
+
+// Decode a geohash to the centre of its cell
+export const decodeGeohash = (hash) => {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let isLongitude = true;
+
+  for (const char of hash) {
+    const bits = BASE32.indexOf(char);
+    if (bits === -1) {
+      throw new Error(`Invalid geohash character: ${char}`);
+    }
+
+    for (let i = 4; i >= 0; i--) {
+      const range = isLongitude ? lonRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+
+      if ((bits >> i) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      isLongitude = !isLongitude;
+    }
+  }
+
+  return {
+    latitude: (latRange[0] + latRange[1]) / 2,
+    longitude: (lonRange[0] + lonRange[1]) / 2,
+    latitudeError: (latRange[1] - latRange[0]) / 2,
+    longitudeError: (lonRange[1] - lonRange[0]) / 2,
+  };
+};
+
+// Get the size of a geohash cell in degrees
+export const getGeohashCellSize = (precision) => {
+  const totalBits = precision * 5;
+  const lonBits = Math.ceil(totalBits / 2);
+  const latBits = Math.floor(totalBits / 2);
+
+  return {
+    height: 180 / Math.pow(2, latBits),
+    width: 360 / Math.pow(2, lonBits),
+  };
+};
+
+// Get the eight cells surrounding a geohash
+export const getGeohashNeighbors = (hash) => {
+  const { latitude, longitude } = decodeGeohash(hash);
+  const { height, width } = getGeohashCellSize(hash.length);
+  const neighbors = new Set();
+
+  [-1, 0, 1].forEach(dLat => {
+    [-1, 0, 1].forEach(dLon => {
+      if (dLat === 0 && dLon === 0) return;
+
+      // Clamp at the poles and wrap around the antimeridian
+      const lat = Math.max(-90, Math.min(90 - height / 2, latitude + dLat * height));
+      let lon = longitude + dLon * width;
+      if (lon >= 180) lon -= 360;
+      if (lon < -180) lon += 360;
+
+      neighbors.add(encodeGeohash(lat, lon, hash.length));
+    });
+  });
+
+  neighbors.delete(hash);
+  return Array.from(neighbors);
+};
+
+// Get the geohash cells that together cover a circle around a coordinate
+// Picks the finest precision whose cells are at least as large as the
+// radius, so the centre cell and its neighbours always contain the circle.
+export const getGeohashesInRadius = (latitude, longitude, radiusMeters) => {
+  const metersPerLonDegree = METERS_PER_DEGREE * Math.max(Math.cos((latitude * Math.PI) / 180), 0.01);
+  let precision = 1;
+
+  for (let p = MAX_GEOHASH_PRECISION; p >= 1; p--) {
+    const { height, width } = getGeohashCellSize(p);
+    if (height * METERS_PER_DEGREE >= radiusMeters && width * metersPerLonDegree >= radiusMeters) {
+      precision = p;
+      break;
+    }
+  }
+
+  const center = encodeGeohash(latitude, longitude, precision);
+  return [center, ...getGeohashNeighbors(center)];
+};
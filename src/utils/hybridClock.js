@@ -0,0 +1,89 @@
+// Hybrid logical clock for ordering messages across devices
+// A clock value looks like `2024-06-01T12:00:00.000Z|00003|user_42`: the
+// wall time of the latest event seen, a counter for events within the same
+// millisecond, and the device that produced it. Values compare as plain
+// strings, stay close to wall time, and always put a message after any
+// message its sender had already seen, even when the sender's clock is
+// behind. Plain ISO timestamps of older messages sort correctly among them.
+
+const COUNTER_WIDTH = 5;
+const MAX_CLOCK_DRIFT = 5 * 60 * 1000; // Remote clocks further ahead than this are ignored
+
+// Split a clock value into its parts
+export const parseHlc = (hlc) => {
+  if (typeof hlc !== 'string') return null;
+
+  const [wallTime, counter, nodeId] = hlc.split('|');
+  const physical = Date.parse(wallTime);
+  if (Number.isNaN(physical)) return null;
+
+  return {
+    physical,
+    counter: parseInt(counter, 10) || 0,
+    nodeId: nodeId || '',
+  };
+};
+
+// Compare two clock values (or ISO timestamps) for sorting
+export const compareHlc = (a, b) => {
+  if (a === b) return 0;
+  return (a || '') < (b || '') ? -1 : 1;
+};
+
+export class HybridLogicalClock {
+  constructor(nodeId = '') {
+    this.nodeId = nodeId;
+    this.physical = 0;
+    this.counter = 0;
+  }
+
+  // Set the ID of this device, used to break ties between devices
+  setNodeId(nodeId) {
+    this.nodeId = nodeId || '';
+  }
+
+  // Get a clock value for a local event, such as sending a message
+  now() {
+    const wallTime = Date.now();
+
+    if (wallTime > this.physical) {
+      this.physical = wallTime;
+      this.counter = 0;
+    } else {
+      this.counter++;
+    }
+
+    return this._format();
+  }
+
+  // Advance the clock past a clock value received from another device
+  receive(hlc) {
+    const remote = parseHlc(hlc);
+    if (!remote) return;
+
+    const wallTime = Date.now();
+    if (remote.physical - wallTime > MAX_CLOCK_DRIFT) {
+      console.warn(`Ignoring clock value ${hlc}: too far ahead of local time`);
+      return;
+    }
+
+    const physical = Math.max(this.physical, remote.physical, wallTime);
+
+    if (physical === this.physical && physical === remote.physical) {
+      this.counter = Math.max(this.counter, remote.counter) + 1;
+    } else if (physical === this.physical) {
+      this.counter++;
+    } else if (physical === remote.physical) {
+      this.counter = remote.counter + 1;
+    } else {
+      this.counter = 0;
+    }
+
+    this.physical = physical;
+  }
+
+  _format() {
+    const wallTime = new Date(this.physical).toISOString();
+    return `${wallTime}|${String(this.counter).padStart(COUNTER_WIDTH, '0')}|${this.nodeId}`;
+  }
+}
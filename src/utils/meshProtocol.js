@@ -0,0 +1,100 @@
+// Mesh protocol definitions
+// Shared by bridgefyService and the transports that carry its envelopes, so
+// a transport that plays simulated hikers can build envelopes the service
+// accepts without depending on the service itself.
+
+// Message types
+export const MESSAGE_TYPES = {
+  TEXT: 'text',
+  LOCATION: 'location',
+  SOS: 'sos',
+  STATUS: 'status',
+  ACK: 'ack',
+  KEY_EXCHANGE: 'key_exchange',
+  CHANNEL: 'channel',
+  PING: 'ping',
+  PONG: 'pong',
+  PRESENCE: 'presence',
+  LIVE_LOCATION: 'live_location',
+  SOS_UPDATE: 'sos_update',
+};
+
+// Delivery states reported for outgoing messages
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  RELAYED: 'relayed',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed',
+};
+
+// Outcome of checking an envelope signature against the sender's identity key
+export const VERIFICATION_STATUS = {
+  VERIFIED: 'verified', // Signed with the key already known for the sender
+  UNVERIFIED: 'unverified', // Validly signed, but the first key seen for the sender
+  UNSIGNED: 'unsigned',
+  INVALID: 'invalid', // Bad signature, or signed with a different key than the sender's
+};
+
+// Warnings shown with messages and SOS whose sender could not be verified
+export const VERIFICATION_WARNINGS = {
+  [VERIFICATION_STATUS.UNVERIFIED]: 'New sender - identity not yet verified',
+  [VERIFICATION_STATUS.UNSIGNED]: 'Unsigned message - sender not verified',
+  [VERIFICATION_STATUS.INVALID]: 'Signature mismatch - sender may be impersonated',
+};
+
+// Peer connection states
+export const CONNECTION_STATE = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+};
+
+// Status a hiker advertises in presence beacons
+export const PRESENCE_STATUS = {
+  OK: 'ok',
+  NEEDS_HELP: 'needs_help',
+};
+
+// Lifecycle of an SOS, carried by SOS_UPDATE messages
+export const SOS_STATUS = {
+  ACTIVE: 'active', // Sent, nobody has answered yet
+  ACKNOWLEDGED: 'acknowledged', // A responder has seen it
+  EN_ROUTE: 'en_route', // A responder is on the way, with an ETA
+  RESOLVED: 'resolved', // The hiker is safe
+  CANCELLED: 'cancelled', // False alarm, cancelled by the hiker with their PIN
+};
+
+// Maximum number of hops an envelope may travel
+export const DEFAULT_TTL = 5;
+
+// Presence beacons only describe hikers close by, so they travel less far
+export const PRESENCE_TTL = 2;
+
+// Log-distance path loss model relating BLE signal strength to distance
+export const RSSI_AT_ONE_METER = -59; // Typical BLE signal strength at 1m, in dBm
+export const PATH_LOSS_EXPONENT = 2.5; // Between open ground (2) and forest (3+)
+
+// Get the envelope fields covered by its signature
+// TTL and hop count are left out because relays change them.
+export const getSignedFields = (envelope) => ({
+  type: envelope.type,
+  content: envelope.content,
+  messageId: envelope.messageId,
+  hlc: envelope.hlc,
+  originId: envelope.originId,
+  senderId: envelope.senderId,
+  senderName: envelope.senderName,
+  recipientId: envelope.recipientId,
+  isBroadcast: envelope.isBroadcast,
+  isEncrypted: envelope.isEncrypted,
+  isEmergency: envelope.isEmergency,
+  groupId: envelope.groupId,
+  groupName: envelope.groupName,
+  groupMembers: envelope.groupMembers,
+  channelId: envelope.channelId,
+  channelRadius: envelope.channelRadius,
+  channelOrigin: envelope.channelOrigin,
+  timestamp: envelope.timestamp,
+});
@@ -0,0 +1,17 @@
+import 'react-native-get-random-values';
+
+// Generate a globally unique message ID (an RFC 4122 version 4 UUID)
+// The ID is created once on the sending device and carried unchanged by
+// every transport, so the mesh copy and the Firestore copy of a message
+// can be recognised as the same message.
+export const generateMessageId = () => {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+
+  // Set the version (4) and variant (10xx) bits
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
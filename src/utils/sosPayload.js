@@ -0,0 +1,51 @@
+// Compact text form of an SOS for channels outside the app
+// SMS and satellite messengers carry around 160 characters, so the payload
+// keeps what a rescuer needs in a fixed order, with the message shortened
+// to fit: "SOS <name>: <message> @46.51234,8.01234 2026-10-19 15:40Z TRIP:<id> REF:<id>".
+// The trip plan ID is sent in full so the plan can be looked up; the SOS
+// reference is cut to its first characters, enough to tell SOS apart.
+
+export const MAX_PAYLOAD_LENGTH = 160;
+const SOS_REF_LENGTH = 8;
+
+// Shorten text to a number of characters, marking the cut with "..."
+const shorten = (text, length) => {
+  if (text.length <= length) return text;
+  if (length <= 3) return '';
+  return `${text.slice(0, length - 3)}...`;
+};
+
+// Format a timestamp as UTC to the minute, e.g. "2026-10-19 15:40Z"
+const formatTime = (timestamp) => {
+  const iso = new Date(timestamp).toISOString();
+  return `${iso.slice(0, 10)} ${iso.slice(11, 16)}Z`;
+};
+
+// Format an SOS as a compact text payload
+// Coordinates have five decimals (about a meter); a missing location is
+// sent as "@?" so the reader knows it is unknown rather than cut off.
+export const formatSOSPayload = ({
+  name = null,
+  message = '',
+  location = null,
+  timestamp = new Date().toISOString(),
+  tripPlanId = null,
+  sosId = null,
+}, maxLength = MAX_PAYLOAD_LENGTH) => {
+  const position = location
+    ? `@${location.latitude.toFixed(5)},${location.longitude.toFixed(5)}`
+    : '@?';
+  const tail = [
+    position,
+    formatTime(timestamp),
+    tripPlanId ? `TRIP:${tripPlanId}` : null,
+    sosId ? `REF:${sosId.slice(0, SOS_REF_LENGTH)}` : null,
+  ].filter(Boolean).join(' ');
+
+  const head = name ? `SOS ${name}:` : 'SOS:';
+  const room = maxLength - head.length - tail.length - 2;
+  const text = shorten((message || '').replace(/\s+/g, ' ').trim(), Math.max(0, room));
+
+  const payload = [head, text, tail].filter(Boolean).join(' ');
+  return payload.length > maxLength ? payload.slice(0, maxLength) : payload;
+};
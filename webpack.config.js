@@ -49,7 +49,9 @@ module.exports = {
       'react-native-haptic-feedback': path.resolve(__dirname, 'src/mocks/web-mocks.js'),
       'react-native-vibration': path.resolve(__dirname, 'src/mocks/web-mocks.js'),
       'react-native-background-geolocation': path.resolve(__dirname, 'src/mocks/web-mocks.js'),
-      'react-native-background-fetch': path.resolve(__dirname, 'src/mocks/web-mocks.js')
+      'react-native-background-fetch': path.resolve(__dirname, 'src/mocks/web-mocks.js'),
+      '@notifee/react-native': path.resolve(__dirname, 'src/mocks/web-mocks.js'),
+      'react-native-volume-manager': path.resolve(__dirname, 'src/mocks/web-mocks.js')
     }
   },
   plugins: [